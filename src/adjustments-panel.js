@@ -0,0 +1,222 @@
+import { LitElement, css, html } from 'lit'
+import { AdjustmentService } from './services/adjustment-service.js'
+import { ADJUSTMENT_TYPES, ADJUSTMENT_PARAMS, CURVE_CHANNELS, defaultParams } from './services/adjustments.js'
+import './curves-editor.js'
+
+const CURVE_LABELS = { rgb: ['RGB', '#fff'], r: ['R', 'rgb(255, 90, 90)'], g: ['G', 'rgb(90, 220, 90)'], b: ['B', 'rgb(110, 150, 255)'] }
+
+/**
+ * <adjustments-panel>
+ * Collapsible side panel for the color adjustment stack (applied top to bottom).
+ * - Add brightness/contrast, exposure, white balance, saturation/vibrance and curves
+ * - Show/hide, reorder, reset and delete each adjustment
+ * - Sliders and the curves editor preview live; one undo step per drag
+ * - Subscribes to AdjustmentService and re-renders on updates
+ */
+export class AdjustmentsPanel extends LitElement {
+  static properties = {
+    _stack: { state: true },
+    _expandedId: { state: true },
+    _curveChannel: { state: true },
+    _collapsed: { state: true },
+  }
+
+  constructor() {
+    super()
+    this._stack = AdjustmentService.getStack()
+    /** @type {string|null} adjustment whose controls are shown */
+    this._expandedId = null
+    this._curveChannel = 'rgb'
+    this._collapsed = false
+    /** @type {null | (() => void)} */
+    this._unsub = null
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this._unsub = AdjustmentService.subscribe((stack) => {
+      this._stack = stack
+    })
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    if (this._unsub) {
+      try { this._unsub() } catch {}
+      this._unsub = null
+    }
+  }
+
+  _onAdd(e) {
+    const select = e.currentTarget
+    const id = AdjustmentService.add(select.value)
+    select.value = ''
+    if (id) this._expandedId = id
+  }
+
+  _reset(adjustment) {
+    AdjustmentService.update(adjustment.id, defaultParams(adjustment.type))
+    AdjustmentService.commit(`Reset ${AdjustmentService.getLabel(adjustment.type).toLowerCase()}`)
+  }
+
+  _renderSliders(adjustment) {
+    const label = AdjustmentService.getLabel(adjustment.type).toLowerCase()
+    return ADJUSTMENT_PARAMS[adjustment.type].map(([name, text, min, max, step]) => {
+      const value = adjustment.params[name]
+      return html`
+        <label>
+          <span>${text}</span>
+          <input type="range" min=${min} max=${max} step=${step} .value=${String(value)}
+            @input=${(e) => AdjustmentService.update(adjustment.id, { [name]: Number(e.currentTarget.value) })}
+            @change=${() => AdjustmentService.commit(`Adjust ${label}`)}
+            @dblclick=${() => {
+              AdjustmentService.update(adjustment.id, { [name]: 0 })
+              AdjustmentService.commit(`Adjust ${label}`)
+            }} />
+          <span class="v">${step < 1 ? value.toFixed(2) : value}</span>
+        </label>
+      `
+    })
+  }
+
+  _renderCurves(adjustment) {
+    const channel = this._curveChannel
+    const setPoints = (points) => AdjustmentService.update(adjustment.id, {
+      points: { ...adjustment.params.points, [channel]: points },
+    })
+    return html`
+      <div class="channels" role="tablist">
+        ${CURVE_CHANNELS.map(c => html`
+          <button role="tab" aria-selected=${c === channel ? 'true' : 'false'} class=${c === channel ? 'on' : ''}
+            style=${`color: ${CURVE_LABELS[c][1]}`}
+            @click=${() => { this._curveChannel = c }}>${CURVE_LABELS[c][0]}</button>
+        `)}
+      </div>
+      <curves-editor .points=${adjustment.params.points[channel]} color=${CURVE_LABELS[channel][1]}
+        @curve-input=${(e) => setPoints(e.detail.points)}
+        @curve-change=${(e) => {
+          setPoints(e.detail.points)
+          AdjustmentService.commit('Adjust curves')
+        }}></curves-editor>
+      <div class="hint">Click to add a point, drag to move, double-click to remove.</div>
+    `
+  }
+
+  _renderItem(adjustment, index, count) {
+    const expanded = adjustment.id === this._expandedId
+    const label = AdjustmentService.getLabel(adjustment.type)
+    return html`
+      <li class=${expanded ? 'expanded' : ''}>
+        <div class="row" @click=${() => { this._expandedId = expanded ? null : adjustment.id }}>
+          <button class="eye" title=${adjustment.enabled ? 'Hide adjustment' : 'Show adjustment'}
+            aria-pressed=${adjustment.enabled ? 'true' : 'false'}
+            @click=${(e) => { e.stopPropagation(); AdjustmentService.setEnabled(adjustment.id, !adjustment.enabled) }}
+          >${adjustment.enabled ? '●' : '○'}</button>
+          <span class="name">${label}</span>
+          <span class="order">
+            <button title="Apply earlier" ?disabled=${index === 0}
+              @click=${(e) => { e.stopPropagation(); AdjustmentService.move(adjustment.id, -1) }}>▲</button>
+            <button title="Apply later" ?disabled=${index === count - 1}
+              @click=${(e) => { e.stopPropagation(); AdjustmentService.move(adjustment.id, 1) }}>▼</button>
+            <button title="Delete adjustment"
+              @click=${(e) => { e.stopPropagation(); AdjustmentService.remove(adjustment.id) }}>✕</button>
+          </span>
+        </div>
+        ${expanded ? html`
+          <div class="controls">
+            ${adjustment.type === 'curves' ? this._renderCurves(adjustment) : this._renderSliders(adjustment)}
+            <div class="actions">
+              <button @click=${() => this._reset(adjustment)}>Reset</button>
+            </div>
+          </div>
+        ` : ''}
+      </li>
+    `
+  }
+
+  render() {
+    const stack = this._stack
+    return html`
+      <div class="panel">
+        <div class="header" @click=${() => { this._collapsed = !this._collapsed }}>
+          <div class="title">Adjustments</div>
+          <button class="collapse" aria-label=${this._collapsed ? 'Expand' : 'Collapse'}
+            aria-expanded=${this._collapsed ? 'false' : 'true'}>${this._collapsed ? '+' : '−'}</button>
+        </div>
+        ${this._collapsed ? '' : html`
+          <div class="add">
+            <select aria-label="Add adjustment" @change=${this._onAdd}>
+              <option value="" selected>Add adjustment…</option>
+              ${ADJUSTMENT_TYPES.map(([type, label]) => html`<option value=${type}>${label}</option>`)}
+            </select>
+          </div>
+          ${stack.length ? html`
+            <ul>${stack.map((a, i) => this._renderItem(a, i, stack.length))}</ul>
+          ` : html`<div class="empty">No adjustments. Edits here never change the original pixels.</div>`}
+        `}
+      </div>
+    `
+  }
+
+  static styles = css`
+    :host {
+      display: block;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+      color: #fff;
+      text-align: left;
+    }
+    .panel {
+      background: rgba(15, 15, 18, 0.92);
+      border: 1px solid rgba(255,255,255,0.1);
+      border-radius: 10px;
+      overflow: hidden;
+    }
+    .header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 8px 10px;
+      background: linear-gradient(180deg, rgba(255,255,255,0.06), rgba(255,255,255,0.02));
+      border-bottom: 1px solid rgba(255,255,255,0.08);
+      cursor: pointer;
+      user-select: none;
+    }
+    .title { font-weight: 600; }
+    button {
+      background: transparent;
+      color: #fff;
+      border: 1px solid rgba(255,255,255,0.18);
+      border-radius: 6px;
+      padding: 0 6px;
+      cursor: pointer;
+      font: inherit;
+    }
+    button:disabled { opacity: 0.4; cursor: default; }
+    .add { padding: 8px 10px 4px; }
+    .add select { width: 100%; font: inherit; }
+    ul { list-style: none; margin: 0; padding: 4px; display: grid; gap: 2px; }
+    li { border-radius: 6px; }
+    li.expanded { background: rgba(255,255,255,0.04); }
+    .row { display: flex; align-items: center; gap: 6px; padding: 4px 6px; border-radius: 6px; cursor: pointer; }
+    .row:hover { background: rgba(255,255,255,0.05); }
+    .eye { border: none; padding: 0 2px; width: 1.5em; }
+    .name { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .order { display: inline-flex; gap: 2px; }
+    .order button { padding: 0 4px; font-size: 10px; }
+    .controls { display: grid; gap: 6px; padding: 4px 8px 8px; }
+    .controls label { display: flex; align-items: center; gap: 6px; }
+    .controls label > span:first-child { min-width: 6.5em; color: #bbb; }
+    .controls input[type="range"] { flex: 1; min-width: 0; }
+    .v { min-width: 3em; text-align: right; font-variant-numeric: tabular-nums; color: #bbb; }
+    .channels { display: flex; gap: 4px; }
+    .channels button { flex: 1; font-weight: 600; }
+    .channels button.on { background: rgba(100,108,255,0.25); border-color: #646cff; }
+    .hint { color: #888; }
+    .actions { display: flex; justify-content: flex-end; }
+    .actions button { padding: 2px 8px; }
+    .empty { color: #888; font-style: italic; padding: 8px 10px; }
+  `
+}
+
+customElements.define('adjustments-panel', AdjustmentsPanel)
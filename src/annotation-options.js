@@ -0,0 +1,201 @@
+import { LitElement, css, html } from 'lit'
+import { AnnotationService } from './services/annotation-service.js'
+import {
+  ANNOTATION_KINDS,
+  FONT_FAMILIES,
+  FONT_WEIGHTS,
+  MAX_ANNOTATION_WIDTH,
+  MAX_FONT_SIZE,
+  MIN_ANNOTATION_WIDTH,
+  MIN_FONT_SIZE,
+  isFillable,
+} from './services/annotations.js'
+
+/**
+ * <annotation-options>
+ * Inline toolbar controls for the annotate tool.
+ * - Mode: the kind a drag (or, for text, a click) on empty canvas creates, or select only
+ * - Style bound to AnnotationService: stroke color, width and fill for shapes;
+ *   font, size, weight, color, outline and background box for text. Changes
+ *   restyle the selected annotation (one undo step each) and apply to new ones
+ * - Delete for the selected annotation
+ * - Flatten (fires `annotations-flatten`) to draw all annotations into the active layer
+ */
+export class AnnotationOptions extends LitElement {
+  static properties = {
+    _mode: { state: true },
+    _style: { state: true },
+    _selected: { state: true },
+    _count: { state: true },
+  }
+
+  constructor() {
+    super()
+    this._mode = AnnotationService.mode
+    this._style = { ...AnnotationService.style }
+    /** @type {import('./services/annotations.js').Annotation|null} */
+    this._selected = AnnotationService.getSelected()
+    this._count = AnnotationService.getObjects().length
+    /** @type {null | (() => void)} */
+    this._unsub = null
+    // Last fill and outline colors, kept while switched off so re-enabling restores them
+    this._fillColor = this._style.fill || '#ffffff'
+    this._outlineColor = this._style.outline || '#000000'
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this._unsub = AnnotationService.subscribe(({ mode, style, selected, count }) => {
+      this._mode = mode
+      this._style = style
+      this._selected = selected
+      this._count = count
+      if (style.fill) this._fillColor = style.fill
+      if (style.outline) this._outlineColor = style.outline
+    })
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    if (this._unsub) {
+      try { this._unsub() } catch {}
+      this._unsub = null
+    }
+  }
+
+  _restyle(style, commit) {
+    AnnotationService.setStyle(style)
+    if (commit) AnnotationService.commit('Restyle annotation')
+  }
+
+  /** Color input for one style key; live on input, one undo step on change */
+  _color(key, value, disabled = false) {
+    return html`
+      <input type="color" .value=${value} ?disabled=${disabled}
+        @input=${(e) => this._restyle({ [key]: e.currentTarget.value }, false)}
+        @change=${(e) => this._restyle({ [key]: e.currentTarget.value }, true)} />
+    `
+  }
+
+  _renderShapeStyle(s) {
+    // Fill applies to rectangles and ellipses: the selected one, or the ones drawn next
+    const fillable = this._selected ? isFillable(this._selected.kind) : this._mode === 'select' || isFillable(this._mode)
+    return html`
+      <label title="Stroke color">
+        <span>Color</span>
+        ${this._color('color', s.color)}
+      </label>
+      <label title="Stroke width in image pixels">
+        <span>Width</span>
+        <input type="range" min=${MIN_ANNOTATION_WIDTH} max=${MAX_ANNOTATION_WIDTH} .value=${String(s.width)}
+          @input=${(e) => this._restyle({ width: Number(e.currentTarget.value) }, false)}
+          @change=${(e) => this._restyle({ width: Number(e.currentTarget.value) }, true)} />
+        <span class="v">${Math.round(s.width)}px</span>
+      </label>
+      <label title="Fill rectangles and ellipses">
+        <input type="checkbox" .checked=${!!s.fill} ?disabled=${!fillable}
+          @change=${(e) => this._restyle({ fill: e.currentTarget.checked ? this._fillColor : null }, true)} />
+        <span>Fill</span>
+        ${this._color('fill', this._fillColor, !s.fill)}
+      </label>
+    `
+  }
+
+  _renderTextStyle(s) {
+    return html`
+      <label title="Font">
+        <span>Font</span>
+        <select @change=${(e) => this._restyle({ fontFamily: e.currentTarget.value }, true)}>
+          ${FONT_FAMILIES.map(([family, label]) => html`
+            <option value=${family} ?selected=${family === s.fontFamily}>${label}</option>
+          `)}
+        </select>
+      </label>
+      <label title="Font size in image pixels">
+        <span>Size</span>
+        <input type="number" min=${MIN_FONT_SIZE} max=${MAX_FONT_SIZE} step="1" .value=${String(Math.round(s.fontSize))}
+          @input=${(e) => e.currentTarget.value && this._restyle({ fontSize: Number(e.currentTarget.value) }, false)}
+          @change=${(e) => this._restyle({ fontSize: Number(e.currentTarget.value) }, true)} />
+      </label>
+      <label title="Font weight">
+        <select @change=${(e) => this._restyle({ fontWeight: Number(e.currentTarget.value) }, true)}>
+          ${FONT_WEIGHTS.map(([weight, label]) => html`
+            <option value=${weight} ?selected=${weight === s.fontWeight}>${label}</option>
+          `)}
+        </select>
+      </label>
+      <label title="Text color">
+        <span>Color</span>
+        ${this._color('color', s.color)}
+      </label>
+      <label title="Outline around the letters">
+        <input type="checkbox" .checked=${!!s.outline}
+          @change=${(e) => this._restyle({ outline: e.currentTarget.checked ? this._outlineColor : null }, true)} />
+        <span>Outline</span>
+        ${this._color('outline', this._outlineColor, !s.outline)}
+      </label>
+      <label title="Box behind the text">
+        <input type="checkbox" .checked=${!!s.fill}
+          @change=${(e) => this._restyle({ fill: e.currentTarget.checked ? this._fillColor : null }, true)} />
+        <span>Background</span>
+        ${this._color('fill', this._fillColor, !s.fill)}
+      </label>
+    `
+  }
+
+  render() {
+    const s = this._style
+    const text = this._selected ? this._selected.kind === 'text' : this._mode === 'text'
+    return html`
+      <label title="What a drag on empty canvas draws (Text: click to type); Select only picks and edits">
+        <span>Draw</span>
+        <select @change=${(e) => AnnotationService.setMode(e.currentTarget.value)}>
+          ${[...ANNOTATION_KINDS, ['select', 'Nothing (select)']].map(([id, label]) => html`
+            <option value=${id} ?selected=${id === this._mode}>${label}</option>
+          `)}
+        </select>
+      </label>
+      ${text ? this._renderTextStyle(s) : this._renderShapeStyle(s)}
+      <button title="Delete the selected annotation (Delete)" ?disabled=${!this._selected}
+        @click=${() => this._selected && AnnotationService.remove(this._selected.id)}>Delete</button>
+      <button title="Draw all annotations into the active layer; they are no longer editable"
+        ?disabled=${!this._count}
+        @click=${() => this.dispatchEvent(new CustomEvent('annotations-flatten', { bubbles: true, composed: true }))}>Flatten</button>
+    `
+  }
+
+  static styles = css`
+    :host {
+      display: inline-flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 12px;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    }
+    label {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+    }
+    select { font: inherit; }
+    input[type="range"] { width: 96px; }
+    input[type="number"] { width: 4.5em; font: inherit; }
+    input[type="color"] {
+      width: 28px;
+      height: 22px;
+      padding: 0;
+      border: 1px solid rgba(255,255,255,0.18);
+      border-radius: 4px;
+      background: transparent;
+    }
+    input:disabled { opacity: 0.5; }
+    .v {
+      min-width: 3em;
+      text-align: right;
+      font-variant-numeric: tabular-nums;
+      color: #bbb;
+    }
+  `
+}
+
+customElements.define('annotation-options', AnnotationOptions)
@@ -0,0 +1,99 @@
+import { LitElement, css, html } from 'lit'
+import { BrushService } from './services/brush-service.js'
+
+/**
+ * <brush-options>
+ * Inline toolbar controls for the brush tool.
+ * - Size, hardness, opacity and color inputs bound to BrushService
+ * - Subscribes to BrushService so keyboard size changes stay in sync
+ */
+export class BrushOptions extends LitElement {
+  static properties = {
+    _settings: { state: true },
+  }
+
+  constructor() {
+    super()
+    this._settings = { ...BrushService.settings }
+    /** @type {null | (() => void)} */
+    this._unsub = null
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this._unsub = BrushService.subscribe((settings) => {
+      this._settings = settings
+    })
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    if (this._unsub) {
+      try { this._unsub() } catch {}
+      this._unsub = null
+    }
+  }
+
+  _onInput(key, event) {
+    const input = /** @type {HTMLInputElement} */ (event.currentTarget)
+    const value = key === 'color' ? input.value : Number(input.value)
+    BrushService.setSettings({ [key]: key === 'hardness' || key === 'opacity' ? value / 100 : value })
+  }
+
+  render() {
+    const s = this._settings
+    return html`
+      <label title="Brush size ([ and ])">
+        <span>Size</span>
+        <input type="range" min="1" max="500" .value=${String(s.size)} @input=${(e) => this._onInput('size', e)} />
+        <span class="v">${Math.round(s.size)}px</span>
+      </label>
+      <label title="Edge hardness">
+        <span>Hardness</span>
+        <input type="range" min="0" max="100" .value=${String(Math.round(s.hardness * 100))} @input=${(e) => this._onInput('hardness', e)} />
+        <span class="v">${Math.round(s.hardness * 100)}%</span>
+      </label>
+      <label title="Stroke opacity">
+        <span>Opacity</span>
+        <input type="range" min="1" max="100" .value=${String(Math.round(s.opacity * 100))} @input=${(e) => this._onInput('opacity', e)} />
+        <span class="v">${Math.round(s.opacity * 100)}%</span>
+      </label>
+      <label title="Brush color">
+        <span>Color</span>
+        <input type="color" .value=${s.color} @input=${(e) => this._onInput('color', e)} />
+      </label>
+    `
+  }
+
+  static styles = css`
+    :host {
+      display: inline-flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 12px;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    }
+    label {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+    }
+    input[type="range"] { width: 96px; }
+    input[type="color"] {
+      width: 28px;
+      height: 22px;
+      padding: 0;
+      border: 1px solid rgba(255,255,255,0.18);
+      border-radius: 4px;
+      background: transparent;
+    }
+    .v {
+      min-width: 3.5em;
+      text-align: right;
+      font-variant-numeric: tabular-nums;
+      color: #bbb;
+    }
+  `
+}
+
+customElements.define('brush-options', BrushOptions)
@@ -0,0 +1,182 @@
+import { LitElement, css, html } from 'lit'
+import { ColorSamplerService, toHex, toRgbString, toHslString } from './services/color-sampler-service.js'
+import { BrushService } from './services/brush-service.js'
+
+/**
+ * <color-panel>
+ * Collapsible side panel for eyedropper results.
+ * - Current sample as a swatch plus hex, RGB and HSL, each with a copy button
+ * - "Use for brush" sets the brush color
+ * - Recent-colors strip (kept across sessions); click a swatch to make it current
+ * - Subscribes to ColorSamplerService and re-renders on updates
+ */
+export class ColorPanel extends LitElement {
+  static properties = {
+    _current: { state: true },
+    _history: { state: true },
+    _copied: { state: true },
+    _collapsed: { state: true },
+  }
+
+  constructor() {
+    super()
+    this._current = ColorSamplerService.current
+    this._history = ColorSamplerService.getHistory()
+    /** @type {string|null} format label last copied, for feedback */
+    this._copied = null
+    this._collapsed = false
+    /** @type {null | (() => void)} */
+    this._unsub = null
+    this._copiedTimer = 0
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this._unsub = ColorSamplerService.subscribe(({ current, history }) => {
+      this._current = current
+      this._history = history
+    })
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    if (this._unsub) {
+      try { this._unsub() } catch {}
+      this._unsub = null
+    }
+    clearTimeout(this._copiedTimer)
+  }
+
+  async _copy(label, text) {
+    try {
+      await navigator.clipboard.writeText(text)
+      this._copied = label
+    } catch {
+      this._copied = null
+      this.dispatchEvent(new CustomEvent('color-copy-failed', { bubbles: true, composed: true }))
+      return
+    }
+    clearTimeout(this._copiedTimer)
+    this._copiedTimer = setTimeout(() => { this._copied = null }, 1500)
+  }
+
+  _renderValue(label, text) {
+    return html`
+      <li>
+        <span class="k">${label}</span>
+        <span class="v">${text}</span>
+        <button class="copy" title=${`Copy ${label}`} @click=${() => this._copy(label, text)}>
+          ${this._copied === label ? 'Copied' : 'Copy'}
+        </button>
+      </li>
+    `
+  }
+
+  render() {
+    const c = this._current
+    return html`
+      <div class="panel">
+        <div class="header" @click=${() => { this._collapsed = !this._collapsed }}>
+          <div class="title">Color</div>
+          <button class="collapse" aria-label=${this._collapsed ? 'Expand' : 'Collapse'}
+            aria-expanded=${this._collapsed ? 'false' : 'true'}>${this._collapsed ? '+' : '−'}</button>
+        </div>
+        ${this._collapsed ? '' : html`
+          ${c ? html`
+            <div class="current">
+              <div class="swatch large" style=${`--c: ${toRgbString(c)}`}></div>
+              <ul>
+                ${this._renderValue('Hex', toHex(c))}
+                ${this._renderValue('RGB', toRgbString(c))}
+                ${this._renderValue('HSL', toHslString(c))}
+              </ul>
+            </div>
+            <div class="actions">
+              <button @click=${() => BrushService.setSettings({ color: toHex(c).toLowerCase() })}
+                title="Set the brush color to this color (alpha ignored)">Use for brush</button>
+            </div>
+          ` : html`<div class="empty">Pick a color with the eyedropper (I)</div>`}
+          ${this._history.length ? html`
+            <div class="recent">
+              <div class="recent-header">
+                <span>Recent</span>
+                <button class="link" @click=${() => ColorSamplerService.clearHistory()}>Clear</button>
+              </div>
+              <div class="strip">
+                ${this._history.map((h) => html`
+                  <button class="swatch" style=${`--c: ${toRgbString(h)}`}
+                    title=${`${toHex(h)}${h.a === 255 ? '' : ` · alpha ${h.a}`}`}
+                    aria-label=${toHex(h)}
+                    @click=${() => ColorSamplerService.select(h)}></button>
+                `)}
+              </div>
+            </div>
+          ` : ''}
+        `}
+      </div>
+    `
+  }
+
+  static styles = css`
+    :host {
+      display: block;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+      color: #fff;
+      text-align: left;
+    }
+    .panel {
+      background: rgba(15, 15, 18, 0.92);
+      border: 1px solid rgba(255,255,255,0.1);
+      border-radius: 10px;
+      overflow: hidden;
+    }
+    .header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 8px 10px;
+      background: linear-gradient(180deg, rgba(255,255,255,0.06), rgba(255,255,255,0.02));
+      border-bottom: 1px solid rgba(255,255,255,0.08);
+      cursor: pointer;
+      user-select: none;
+    }
+    .title { font-weight: 600; }
+    button {
+      background: transparent;
+      color: #fff;
+      border: 1px solid rgba(255,255,255,0.18);
+      border-radius: 6px;
+      padding: 0 6px;
+      cursor: pointer;
+      font: inherit;
+    }
+    .current { display: flex; gap: 10px; padding: 8px 10px; align-items: flex-start; }
+    ul { list-style: none; margin: 0; padding: 0; display: grid; gap: 4px; flex: 1; min-width: 0; }
+    li { display: flex; align-items: center; gap: 6px; }
+    .k { color: #bbb; width: 2.5em; flex: none; }
+    .v { flex: 1; font-variant-numeric: tabular-nums; overflow-wrap: anywhere; }
+    .copy { flex: none; min-width: 4.5em; }
+    .actions { padding: 0 10px 8px; }
+    .actions button { padding: 2px 8px; }
+    /* Checkerboard behind the color shows transparency */
+    .swatch {
+      width: 18px;
+      height: 18px;
+      padding: 0;
+      border: 1px solid rgba(255,255,255,0.35);
+      border-radius: 4px;
+      background:
+        linear-gradient(var(--c), var(--c)),
+        repeating-conic-gradient(#777 0% 25%, #bbb 0% 50%) 0 0 / 8px 8px;
+    }
+    .swatch.large { width: 52px; height: 52px; flex: none; }
+    .recent { padding: 8px 10px; border-top: 1px dashed rgba(255,255,255,0.08); }
+    .recent-header { display: flex; justify-content: space-between; margin-bottom: 6px; color: #ddd; font-weight: 600; }
+    .link { border: none; color: #aab; padding: 0; font-weight: 400; }
+    .strip { display: flex; flex-wrap: wrap; gap: 4px; }
+    .empty { color: #888; font-style: italic; padding: 8px 10px; }
+  `
+}
+
+customElements.define('color-panel', ColorPanel)
@@ -0,0 +1,102 @@
+import { LitElement, css, html } from 'lit'
+
+/**
+ * <confirm-dialog>
+ * Modal yes/no question.
+ * - `heading`, `message` and `confirmLabel` set the text
+ * - Fires `confirm-accept` on the confirm button
+ * - Fires `confirm-cancel` when dismissed (button, backdrop or Escape)
+ */
+export class ConfirmDialog extends LitElement {
+  static properties = {
+    open: { type: Boolean },
+    heading: { type: String },
+    message: { type: String },
+    confirmLabel: { type: String },
+  }
+
+  constructor() {
+    super()
+    this.open = false
+    this.heading = ''
+    this.message = ''
+    this.confirmLabel = 'OK'
+  }
+
+  updated(changed) {
+    const dialog = /** @type {HTMLDialogElement|null} */ (this.renderRoot?.querySelector('dialog'))
+    if (!dialog) return
+    if (changed.has('open')) {
+      if (this.open && !dialog.open) {
+        dialog.showModal?.()
+        /** @type {HTMLButtonElement|null} */ (this.renderRoot.querySelector('button.primary'))?.focus()
+      } else if (!this.open && dialog.open) {
+        dialog.close()
+      }
+    }
+  }
+
+  _onAccept() {
+    this.dispatchEvent(new CustomEvent('confirm-accept', { bubbles: true, composed: true }))
+  }
+
+  _onCancel(e) {
+    // Native dialog 'cancel' (Escape) would close it behind our back
+    e?.preventDefault?.()
+    this.dispatchEvent(new CustomEvent('confirm-cancel', { bubbles: true, composed: true }))
+  }
+
+  _onBackdropClick(e) {
+    if (e.target === e.currentTarget) this._onCancel()
+  }
+
+  render() {
+    return html`
+      <dialog @cancel=${this._onCancel} @click=${this._onBackdropClick}>
+        <div class="body">
+          <h2>${this.heading}</h2>
+          <p>${this.message}</p>
+          <div class="actions">
+            <button type="button" @click=${this._onCancel}>Cancel</button>
+            <button type="button" class="primary" @click=${this._onAccept}>${this.confirmLabel}</button>
+          </div>
+        </div>
+      </dialog>
+    `
+  }
+
+  static styles = css`
+    dialog {
+      padding: 0;
+      border: 1px solid rgba(255,255,255,0.1);
+      border-radius: 10px;
+      background: rgba(15, 15, 18, 0.97);
+      color: #fff;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+      font: 13px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    }
+    dialog::backdrop { background: rgba(0,0,0,0.45); }
+    .body {
+      display: grid;
+      gap: 10px;
+      padding: 14px 16px;
+      max-width: min(420px, 90vw);
+      text-align: left;
+    }
+    h2 { margin: 0 0 4px; font-size: 15px; font-weight: 600; }
+    p { margin: 0; color: #ccc; }
+    .actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 6px; }
+    button {
+      border-radius: 6px;
+      border: 1px solid rgba(255,255,255,0.18);
+      padding: 0.4em 1em;
+      background: #1a1a1a;
+      color: #fff;
+      cursor: pointer;
+      font: inherit;
+    }
+    button.primary { border-color: #646cff; }
+  `
+}
+
+customElements.define('confirm-dialog', ConfirmDialog)
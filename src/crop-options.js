@@ -0,0 +1,81 @@
+import { LitElement, css, html } from 'lit'
+import { CropService, CROP_ASPECTS } from './services/crop-service.js'
+
+/**
+ * <crop-options>
+ * Inline toolbar controls for the crop tool.
+ * - Aspect preset select bound to CropService
+ * - Live size readout of the pending crop rectangle
+ * - Apply / Cancel buttons (fires `crop-apply` / `crop-cancel`)
+ */
+export class CropOptions extends LitElement {
+  static properties = {
+    _rect: { state: true },
+    _aspect: { state: true },
+  }
+
+  constructor() {
+    super()
+    this._rect = CropService.rect
+    this._aspect = CropService.aspect
+    /** @type {null | (() => void)} */
+    this._unsub = null
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this._unsub = CropService.subscribe((rect, aspect) => {
+      this._rect = rect
+      this._aspect = aspect
+    })
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    if (this._unsub) {
+      try { this._unsub() } catch {}
+      this._unsub = null
+    }
+  }
+
+  _fire(name) {
+    this.dispatchEvent(new CustomEvent(name, { bubbles: true, composed: true }))
+  }
+
+  render() {
+    const r = this._rect
+    return html`
+      <label title="Aspect ratio">
+        <span>Aspect</span>
+        <select @change=${(e) => CropService.setAspect(e.currentTarget.value)}>
+          ${CROP_ASPECTS.map(([key, label]) => html`<option value=${key} ?selected=${key === this._aspect}>${label}</option>`)}
+        </select>
+      </label>
+      <span class="v">${r ? `${Math.round(r.w)} × ${Math.round(r.h)}` : ''}</span>
+      <button title="Apply crop (Enter)" ?disabled=${!r} @click=${() => this._fire('crop-apply')}>Apply</button>
+      <button title="Cancel (Esc)" @click=${() => this._fire('crop-cancel')}>Cancel</button>
+    `
+  }
+
+  static styles = css`
+    :host {
+      display: inline-flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 12px;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    }
+    label {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+    }
+    .v {
+      min-width: 6em;
+      font-variant-numeric: tabular-nums;
+      color: #bbb;
+    }
+  `
+}
+
+customElements.define('crop-options', CropOptions)
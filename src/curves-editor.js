@@ -0,0 +1,138 @@
+import { LitElement, css, html, svg } from 'lit'
+import { curveTable } from './services/adjustments.js'
+
+// Pointer distance (curve units) that grabs an existing point instead of adding one
+const HIT_RADIUS = 10
+
+/**
+ * <curves-editor>
+ * Square tone-curve editor over 0..255 input/output.
+ * - `points` are [x, y] control points sorted by x; the end points only move vertically
+ * - Click to add a point, drag to move it, double-click an inner point to remove it
+ * - `color` tints the curve (e.g. per channel)
+ * - Fires `curve-input` with detail {points} while dragging and `curve-change`
+ *   with detail {points} when a drag ends or a point is removed
+ */
+export class CurvesEditor extends LitElement {
+  static properties = {
+    points: { attribute: false },
+    color: { type: String },
+  }
+
+  constructor() {
+    super()
+    /** @type {number[][]} */
+    this.points = [[0, 0], [255, 255]]
+    this.color = '#fff'
+    /** @type {number} index of the point being dragged, -1 when idle */
+    this._dragIndex = -1
+  }
+
+  /** Pointer position in curve units (y up), clamped to 0..255 */
+  _toCurve(e) {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const x = ((e.clientX - rect.left) / rect.width) * 255
+    const y = 255 - ((e.clientY - rect.top) / rect.height) * 255
+    const clamp = (v) => Math.max(0, Math.min(255, Math.round(v)))
+    return [clamp(x), clamp(y)]
+  }
+
+  _nearest([x, y]) {
+    let best = -1
+    let bestDist = HIT_RADIUS
+    this.points.forEach(([px, py], i) => {
+      const dist = Math.hypot(px - x, py - y)
+      if (dist <= bestDist) {
+        best = i
+        bestDist = dist
+      }
+    })
+    return best
+  }
+
+  _onPointerDown(e) {
+    if (e.button !== 0) return
+    const p = this._toCurve(e)
+    let index = this._nearest(p)
+    if (index < 0) {
+      if (this.points.some(([x]) => x === p[0])) return
+      index = this.points.findIndex(([x]) => x > p[0])
+      this._emit('curve-input', [...this.points.slice(0, index), p, ...this.points.slice(index)])
+    }
+    this._dragIndex = index
+    e.currentTarget.setPointerCapture(e.pointerId)
+  }
+
+  _onPointerMove(e) {
+    if (this._dragIndex < 0) return
+    const i = this._dragIndex
+    const last = this.points.length - 1
+    let [x, y] = this._toCurve(e)
+    // End points stay at the edges; inner points stay between their neighbours
+    if (i === 0) x = 0
+    else if (i === last) x = 255
+    else x = Math.max(this.points[i - 1][0] + 1, Math.min(this.points[i + 1][0] - 1, x))
+    const next = this.points.slice()
+    next[i] = [x, y]
+    this._emit('curve-input', next)
+  }
+
+  _onPointerUp(e) {
+    if (this._dragIndex < 0) return
+    this._dragIndex = -1
+    e.currentTarget.releasePointerCapture?.(e.pointerId)
+    this._emit('curve-change', this.points)
+  }
+
+  _onDoubleClick(e) {
+    const index = this._nearest(this._toCurve(e))
+    if (index <= 0 || index >= this.points.length - 1) return
+    this._emit('curve-change', this.points.filter((_, i) => i !== index))
+  }
+
+  _emit(type, points) {
+    this.points = points
+    this.dispatchEvent(new CustomEvent(type, { detail: { points }, bubbles: true, composed: true }))
+  }
+
+  render() {
+    const table = curveTable(this.points)
+    const path = Array.from(table, (y, x) => `${x ? 'L' : 'M'}${x} ${(255 - y).toFixed(2)}`).join(' ')
+    return html`
+      <svg viewBox="0 0 255 255" preserveAspectRatio="none"
+        @pointerdown=${this._onPointerDown}
+        @pointermove=${this._onPointerMove}
+        @pointerup=${this._onPointerUp}
+        @pointercancel=${this._onPointerUp}
+        @dblclick=${this._onDoubleClick}>
+        ${[64, 128, 191].map(v => svg`
+          <line class="grid" x1=${v} y1="0" x2=${v} y2="255"></line>
+          <line class="grid" x1="0" y1=${v} x2="255" y2=${v}></line>
+        `)}
+        <line class="diagonal" x1="0" y1="255" x2="255" y2="0"></line>
+        <path d=${path} style=${`stroke: ${this.color}`}></path>
+        ${this.points.map(([x, y]) => svg`<circle cx=${x} cy=${255 - y} r="4" style=${`stroke: ${this.color}`}></circle>`)}
+      </svg>
+    `
+  }
+
+  static styles = css`
+    :host { display: block; }
+    svg {
+      display: block;
+      width: 100%;
+      aspect-ratio: 1;
+      background: rgba(0,0,0,0.35);
+      border-radius: 4px;
+      touch-action: none;
+      cursor: crosshair;
+      overflow: visible;
+    }
+    .grid { stroke: rgba(255,255,255,0.08); stroke-width: 1; vector-effect: non-scaling-stroke; }
+    .diagonal { stroke: rgba(255,255,255,0.2); stroke-dasharray: 3 3; vector-effect: non-scaling-stroke; }
+    path { fill: none; stroke-width: 1.5; vector-effect: non-scaling-stroke; }
+    circle { fill: rgba(15, 15, 18, 0.9); stroke-width: 1.5; vector-effect: non-scaling-stroke; }
+  `
+}
+
+customElements.define('curves-editor', CurvesEditor)
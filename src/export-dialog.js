@@ -0,0 +1,200 @@
+import { LitElement, css, html } from 'lit'
+
+const FORMATS = [
+  { mime: 'image/png', label: 'PNG', ext: 'png' },
+  { mime: 'image/jpeg', label: 'JPEG', ext: 'jpg' },
+  { mime: 'image/webp', label: 'WebP', ext: 'webp' },
+]
+
+/**
+ * <export-dialog>
+ * Modal form for choosing export format, quality and output size.
+ * - Fires `export-confirm` with ExportOptions-compatible detail
+ * - Fires `export-cancel` when dismissed (button, backdrop or Escape)
+ */
+export class ExportDialog extends LitElement {
+  static properties = {
+    open: { type: Boolean },
+    // Full-resolution size of the image being exported
+    sourceWidth: { type: Number },
+    sourceHeight: { type: Number },
+    // Whether the working buffer is a downscaled preview
+    isDownscaled: { type: Boolean },
+    busy: { type: Boolean },
+    _format: { state: true },
+    _quality: { state: true },
+    _width: { state: true },
+    _height: { state: true },
+    _lockAspect: { state: true },
+    _fullResolution: { state: true },
+  }
+
+  constructor() {
+    super()
+    this.open = false
+    this.sourceWidth = 0
+    this.sourceHeight = 0
+    this.isDownscaled = false
+    this.busy = false
+    this._format = 'image/png'
+    this._quality = 92
+    this._width = 0
+    this._height = 0
+    this._lockAspect = true
+    this._fullResolution = true
+  }
+
+  willUpdate(changed) {
+    if (changed.has('open') && this.open) {
+      // Start from the full image size each time the dialog opens
+      this._width = this.sourceWidth
+      this._height = this.sourceHeight
+    }
+  }
+
+  updated(changed) {
+    const dialog = /** @type {HTMLDialogElement|null} */ (this.renderRoot?.querySelector('dialog'))
+    if (!dialog) return
+    if (changed.has('open')) {
+      if (this.open && !dialog.open) {
+        dialog.showModal?.()
+      } else if (!this.open && dialog.open) {
+        dialog.close()
+      }
+    }
+  }
+
+  _onWidth(e) {
+    const w = Math.max(1, Math.round(Number(e.currentTarget.value) || 1))
+    this._width = w
+    if (this._lockAspect && this.sourceWidth) {
+      this._height = Math.max(1, Math.round((w * this.sourceHeight) / this.sourceWidth))
+    }
+  }
+
+  _onHeight(e) {
+    const h = Math.max(1, Math.round(Number(e.currentTarget.value) || 1))
+    this._height = h
+    if (this._lockAspect && this.sourceHeight) {
+      this._width = Math.max(1, Math.round((h * this.sourceWidth) / this.sourceHeight))
+    }
+  }
+
+  _onSubmit(e) {
+    e.preventDefault()
+    const fmt = FORMATS.find(f => f.mime === this._format) || FORMATS[0]
+    this.dispatchEvent(new CustomEvent('export-confirm', {
+      detail: {
+        format: fmt.mime,
+        extension: fmt.ext,
+        quality: this._quality / 100,
+        width: this._width,
+        height: this._height,
+        fullResolution: this._fullResolution,
+      },
+      bubbles: true,
+      composed: true,
+    }))
+  }
+
+  _onCancel(e) {
+    // Native dialog 'cancel' (Escape) would close it behind our back
+    e?.preventDefault?.()
+    this.dispatchEvent(new CustomEvent('export-cancel', { bubbles: true, composed: true }))
+  }
+
+  _onBackdropClick(e) {
+    if (e.target === e.currentTarget) this._onCancel()
+  }
+
+  render() {
+    const lossy = this._format !== 'image/png'
+    return html`
+      <dialog @cancel=${this._onCancel} @click=${this._onBackdropClick}>
+        <form @submit=${this._onSubmit}>
+          <h2>Export image</h2>
+          <label>
+            <span>Format</span>
+            <select .value=${this._format} @change=${(e) => { this._format = e.currentTarget.value }}>
+              ${FORMATS.map(f => html`<option value=${f.mime} ?selected=${f.mime === this._format}>${f.label}</option>`)}
+            </select>
+          </label>
+          <label class=${lossy ? '' : 'disabled'}>
+            <span>Quality</span>
+            <input type="range" min="1" max="100" .value=${String(this._quality)} ?disabled=${!lossy}
+              @input=${(e) => { this._quality = Number(e.currentTarget.value) }} />
+            <span class="v">${lossy ? `${this._quality}%` : 'lossless'}</span>
+          </label>
+          <div class="size">
+            <label>
+              <span>Width</span>
+              <input type="number" min="1" .value=${String(this._width)} @change=${this._onWidth} />
+            </label>
+            <span class="x">×</span>
+            <label>
+              <span>Height</span>
+              <input type="number" min="1" .value=${String(this._height)} @change=${this._onHeight} />
+            </label>
+          </div>
+          <label class="check">
+            <input type="checkbox" .checked=${this._lockAspect} @change=${(e) => { this._lockAspect = e.currentTarget.checked }} />
+            <span>Keep aspect ratio</span>
+          </label>
+          ${this.isDownscaled ? html`
+            <label class="check" title="Re-render edits against the full-size original instead of the downscaled preview">
+              <input type="checkbox" .checked=${this._fullResolution} @change=${(e) => { this._fullResolution = e.currentTarget.checked }} />
+              <span>Full resolution (re-render edits on original)</span>
+            </label>
+          ` : ''}
+          <div class="actions">
+            <button type="button" @click=${this._onCancel} ?disabled=${this.busy}>Cancel</button>
+            <button type="submit" class="primary" ?disabled=${this.busy}>${this.busy ? 'Exporting…' : 'Export'}</button>
+          </div>
+        </form>
+      </dialog>
+    `
+  }
+
+  static styles = css`
+    dialog {
+      padding: 0;
+      border: 1px solid rgba(255,255,255,0.1);
+      border-radius: 10px;
+      background: rgba(15, 15, 18, 0.97);
+      color: #fff;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+      font: 13px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    }
+    dialog::backdrop { background: rgba(0,0,0,0.45); }
+    form {
+      display: grid;
+      gap: 10px;
+      padding: 14px 16px;
+      min-width: min(320px, 90vw);
+      text-align: left;
+    }
+    h2 { margin: 0 0 4px; font-size: 15px; font-weight: 600; }
+    label { display: flex; align-items: center; gap: 8px; }
+    label > span:first-child { min-width: 4.5em; color: #bbb; }
+    label.disabled { opacity: 0.5; }
+    label.check > span { min-width: 0; color: inherit; }
+    .size { display: flex; align-items: center; gap: 6px; }
+    .size input { width: 6em; }
+    .size .x { color: #888; }
+    .v { min-width: 4em; text-align: right; font-variant-numeric: tabular-nums; color: #bbb; }
+    .actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 6px; }
+    button {
+      border-radius: 6px;
+      border: 1px solid rgba(255,255,255,0.18);
+      padding: 0.4em 1em;
+      background: #1a1a1a;
+      color: #fff;
+      cursor: pointer;
+      font: inherit;
+    }
+    button.primary { border-color: #646cff; }
+    button:disabled { opacity: 0.6; cursor: default; }
+  `
+}
+
+customElements.define('export-dialog', ExportDialog)
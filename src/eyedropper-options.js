@@ -0,0 +1,64 @@
+import { LitElement, css, html } from 'lit'
+import { ColorSamplerService, SAMPLE_MODES } from './services/color-sampler-service.js'
+
+/**
+ * <eyedropper-options>
+ * Inline toolbar controls for the eyedropper tool.
+ * - Sample size: point, 3×3 or 5×5 average, bound to ColorSamplerService
+ */
+export class EyedropperOptions extends LitElement {
+  static properties = {
+    _mode: { state: true },
+  }
+
+  constructor() {
+    super()
+    this._mode = ColorSamplerService.mode
+    /** @type {null | (() => void)} */
+    this._unsub = null
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this._unsub = ColorSamplerService.subscribe(({ mode }) => {
+      this._mode = mode
+    })
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    if (this._unsub) {
+      try { this._unsub() } catch {}
+      this._unsub = null
+    }
+  }
+
+  render() {
+    return html`
+      <label title="Pixels averaged per sample">
+        <span>Sample</span>
+        <select @change=${(e) => ColorSamplerService.setMode(e.currentTarget.value)}>
+          ${SAMPLE_MODES.map(([id, label]) => html`<option value=${id} ?selected=${id === this._mode}>${label}</option>`)}
+        </select>
+      </label>
+    `
+  }
+
+  static styles = css`
+    :host {
+      display: inline-flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 12px;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    }
+    label {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+    }
+    select { font: inherit; }
+  `
+}
+
+customElements.define('eyedropper-options', EyedropperOptions)
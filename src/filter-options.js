@@ -0,0 +1,91 @@
+import { LitElement, css, html } from 'lit'
+import { FilterService } from './services/filter-service.js'
+import { FILTER_TYPES, FILTER_PARAMS } from './services/filters.js'
+
+/**
+ * <filter-options>
+ * Inline toolbar controls for the filter tool.
+ * - Filter picker and its params, bound to FilterService (previewed live)
+ * - `busy` disables the controls while a filter is being applied
+ * - Apply / Cancel buttons (fires `filter-apply` / `filter-cancel`)
+ */
+export class FilterOptions extends LitElement {
+  static properties = {
+    busy: { type: Boolean },
+    _type: { state: true },
+    _params: { state: true },
+  }
+
+  constructor() {
+    super()
+    this.busy = false
+    this._type = FilterService.type
+    this._params = { ...FilterService.params }
+    /** @type {null | (() => void)} */
+    this._unsub = null
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this._unsub = FilterService.subscribe(({ type, params }) => {
+      this._type = type
+      this._params = params
+    })
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    if (this._unsub) {
+      try { this._unsub() } catch {}
+      this._unsub = null
+    }
+  }
+
+  _fire(name) {
+    this.dispatchEvent(new CustomEvent(name, { bubbles: true, composed: true }))
+  }
+
+  render() {
+    return html`
+      <label>
+        <span>Filter</span>
+        <select ?disabled=${this.busy} @change=${(e) => FilterService.setType(e.currentTarget.value)}>
+          ${FILTER_TYPES.map(([type, label]) => html`<option value=${type} ?selected=${type === this._type}>${label}</option>`)}
+        </select>
+      </label>
+      ${FILTER_PARAMS[this._type].map(([name, label, min, max, step]) => html`
+        <label>
+          <span>${label}</span>
+          <input type="range" min=${min} max=${max} step=${step} .value=${String(this._params[name])}
+            ?disabled=${this.busy}
+            @input=${(e) => FilterService.setParams({ [name]: Number(e.currentTarget.value) })} />
+          <span class="v">${this._params[name]}</span>
+        </label>
+      `)}
+      <button title="Apply to the active layer (Enter)" ?disabled=${this.busy} @click=${() => this._fire('filter-apply')}>
+        ${this.busy ? 'Applying…' : 'Apply'}
+      </button>
+      <button title="Cancel (Esc)" ?disabled=${this.busy} @click=${() => this._fire('filter-cancel')}>Cancel</button>
+    `
+  }
+
+  static styles = css`
+    :host {
+      display: inline-flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 12px;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    }
+    label {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+    }
+    select { font: inherit; }
+    input[type="range"] { width: 120px; }
+    .v { min-width: 2.5em; font-variant-numeric: tabular-nums; }
+  `
+}
+
+customElements.define('filter-options', FilterOptions)
@@ -0,0 +1,286 @@
+import { LitElement, css, html } from 'lit'
+import { HistogramService, HISTOGRAM_SCOPES } from './services/histogram-service.js'
+import { HistoryService } from './services/history-service.js'
+import { LayerService } from './services/layer-service.js'
+import { SelectionService } from './services/selection-service.js'
+import { ViewportService } from './services/viewport-service.js'
+import { AdjustmentService } from './services/adjustment-service.js'
+
+const CHANNELS = [
+  ['r', 'R', 'rgb(255, 80, 80)'],
+  ['g', 'G', 'rgb(80, 220, 80)'],
+  ['b', 'B', 'rgb(90, 130, 255)'],
+  ['l', 'L', '#fff'],
+]
+
+const PLOT_WIDTH = 256
+const PLOT_HEIGHT = 100
+// Edits arrive in bursts (brush strokes, slider drags); recompute once they settle
+const REFRESH_DELAY_MS = 250
+
+/**
+ * <histogram-panel>
+ * Collapsible side panel with R, G, B and luminance histograms of the document.
+ * - Scope: whole image, visible area, or the selection within the visible area
+ * - Min, max, mean and clipped-pixel percentages per channel
+ * - Recomputes (in a worker, via HistogramService) when `bitmap` changes and
+ *   after edits, adjustment, layer or selection changes; the visible-area
+ *   scopes also when the host reports pan or zoom (viewChanged)
+ * - Computes nothing while collapsed
+ */
+export class HistogramPanel extends LitElement {
+  static properties = {
+    bitmap: { attribute: false },
+    _scope: { state: true },
+    _result: { state: true },
+    _busy: { state: true },
+    _hasSelection: { state: true },
+    _collapsed: { state: true },
+  }
+
+  constructor() {
+    super()
+    /** @type {ImageBitmap|null} working image; a new value triggers a recompute */
+    this.bitmap = null
+    this._scope = 'image'
+    /** @type {import('./services/histogram-service.js').HistogramResult|null} */
+    this._result = null
+    this._busy = false
+    this._hasSelection = SelectionService.hasSelection()
+    this._collapsed = false
+    /** @type {Array<() => void>} */
+    this._unsubs = []
+    this._refreshTimer = 0
+    // Increments per request so a slow result never overwrites a newer one
+    this._token = 0
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    const schedule = () => this._scheduleRefresh()
+    this._unsubs = [
+      HistoryService.subscribe(schedule),
+      LayerService.subscribe(schedule),
+      AdjustmentService.subscribe(schedule),
+      SelectionService.subscribe(() => {
+        this._hasSelection = SelectionService.hasSelection()
+        if (!this._hasSelection && this._scope === 'selection') this._scope = 'view'
+        this._scheduleRefresh()
+      }),
+    ]
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    this._unsubs.forEach((fn) => {
+      try { fn() } catch {}
+    })
+    this._unsubs = []
+    clearTimeout(this._refreshTimer)
+    this._token++
+  }
+
+  updated(changed) {
+    if (changed.has('bitmap') || changed.has('_scope') || (changed.has('_collapsed') && !this._collapsed)) {
+      this._refresh()
+    }
+    if (changed.has('_result') || (changed.has('_collapsed') && !this._collapsed)) this._drawPlot()
+  }
+
+  /** Called by the host after pan, zoom or resize. */
+  viewChanged() {
+    if (this._scope !== 'image') this._scheduleRefresh()
+  }
+
+  _scheduleRefresh() {
+    clearTimeout(this._refreshTimer)
+    this._refreshTimer = setTimeout(() => this._refresh(), REFRESH_DELAY_MS)
+  }
+
+  /** Region for the current scope in working px */
+  _scopeRect() {
+    if (this._scope === 'image') return { x: 0, y: 0, w: LayerService.width, h: LayerService.height }
+    const a = ViewportService.toImage({ x: 0, y: 0 })
+    const b = ViewportService.toImage({ x: ViewportService.vw, y: ViewportService.vh })
+    return { x: a.x, y: a.y, w: b.x - a.x, h: b.y - a.y }
+  }
+
+  async _refresh() {
+    clearTimeout(this._refreshTimer)
+    if (this._collapsed || !this.bitmap || !LayerService.width) return
+    const token = ++this._token
+    this._busy = true
+    try {
+      const result = await HistogramService.compute(this._scopeRect(), { masked: this._scope === 'selection' })
+      if (token === this._token) this._result = result
+    } catch (_) {
+      // Readback can fail mid-reset (e.g. a new image loading); the next change retries
+      if (token === this._token) this._result = null
+    } finally {
+      if (token === this._token) this._busy = false
+    }
+  }
+
+  _drawPlot() {
+    const canvas = /** @type {HTMLCanvasElement|null} */ (this.renderRoot?.querySelector('canvas'))
+    if (!canvas) return
+    const ctx = canvas.getContext('2d')
+    ctx.clearRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT)
+    const result = this._result
+    if (!result || !result.pixels) return
+
+    // Scale to the tallest bin, ignoring the clipped ends so a black or white
+    // background doesn't flatten everything else
+    let peak = 1
+    for (const [key] of CHANNELS) {
+      const bins = result.channels[key].bins
+      for (let v = 1; v < 255; v++) peak = Math.max(peak, bins[v])
+    }
+    const y = (count) => PLOT_HEIGHT - Math.min(1, count / peak) * PLOT_HEIGHT
+
+    ctx.save()
+    ctx.globalCompositeOperation = 'lighter'
+    for (const [key, , color] of CHANNELS.slice(0, 3)) {
+      const bins = result.channels[key].bins
+      ctx.fillStyle = color
+      ctx.globalAlpha = 0.6
+      ctx.beginPath()
+      ctx.moveTo(0, PLOT_HEIGHT)
+      for (let v = 0; v < 256; v++) ctx.lineTo(v + 0.5, y(bins[v]))
+      ctx.lineTo(PLOT_WIDTH, PLOT_HEIGHT)
+      ctx.closePath()
+      ctx.fill()
+    }
+    ctx.restore()
+
+    const lum = result.channels.l.bins
+    ctx.strokeStyle = 'rgba(255,255,255,0.85)'
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    for (let v = 0; v < 256; v++) {
+      if (v) ctx.lineTo(v + 0.5, y(lum[v]))
+      else ctx.moveTo(0.5, y(lum[v]))
+    }
+    ctx.stroke()
+  }
+
+  _renderStats() {
+    const result = this._result
+    if (!result) return html`<div class="empty">${this._busy ? 'Computing…' : 'Nothing to measure'}</div>`
+    if (!result.pixels) return html`<div class="empty">No opaque pixels in this region</div>`
+    const pct = (v) => v ? (v < 0.01 ? '<0.01' : v.toFixed(2)) : '0'
+    return html`
+      <table>
+        <thead>
+          <tr><th></th><th>Min</th><th>Max</th><th>Mean</th><th title="Pixels at 0">Clip ↓%</th><th title="Pixels at 255">Clip ↑%</th></tr>
+        </thead>
+        <tbody>
+          ${CHANNELS.map(([key, label, color]) => {
+            const s = result.channels[key]
+            return html`
+              <tr>
+                <th style=${`color: ${color}`}>${label}</th>
+                <td>${s.min}</td>
+                <td>${s.max}</td>
+                <td>${s.mean.toFixed(1)}</td>
+                <td>${pct(s.clippedLow)}</td>
+                <td>${pct(s.clippedHigh)}</td>
+              </tr>
+            `
+          })}
+        </tbody>
+      </table>
+      <div class="note">
+        ${result.pixels.toLocaleString()} px${result.sampleScale < 1 ? ` (sampled at ${Math.round(result.sampleScale * 100)}%)` : ''}
+      </div>
+    `
+  }
+
+  render() {
+    return html`
+      <div class="panel">
+        <div class="header" @click=${() => { this._collapsed = !this._collapsed }}>
+          <div class="title">Histogram${this._busy ? html` <span class="busy">…</span>` : ''}</div>
+          <button class="collapse" aria-label=${this._collapsed ? 'Expand' : 'Collapse'}
+            aria-expanded=${this._collapsed ? 'false' : 'true'}>${this._collapsed ? '+' : '−'}</button>
+        </div>
+        ${this._collapsed ? '' : html`
+          <div class="controls">
+            <select aria-label="Histogram region" .value=${this._scope}
+              @change=${(e) => { this._scope = e.currentTarget.value }}>
+              ${HISTOGRAM_SCOPES.map(([id, label]) => html`
+                <option value=${id} ?selected=${id === this._scope}
+                  ?disabled=${id === 'selection' && !this._hasSelection}>${label}</option>
+              `)}
+            </select>
+            <button @click=${() => this._refresh()} ?disabled=${this._busy}
+              title="Recompute now">Refresh</button>
+          </div>
+          <canvas width=${PLOT_WIDTH} height=${PLOT_HEIGHT} aria-label="Histogram plot"></canvas>
+          ${this._renderStats()}
+        `}
+      </div>
+    `
+  }
+
+  static styles = css`
+    :host {
+      display: block;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+      color: #fff;
+      text-align: left;
+    }
+    .panel {
+      background: rgba(15, 15, 18, 0.92);
+      border: 1px solid rgba(255,255,255,0.1);
+      border-radius: 10px;
+      overflow: hidden;
+    }
+    .header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 8px 10px;
+      background: linear-gradient(180deg, rgba(255,255,255,0.06), rgba(255,255,255,0.02));
+      border-bottom: 1px solid rgba(255,255,255,0.08);
+      cursor: pointer;
+      user-select: none;
+    }
+    .title { font-weight: 600; }
+    .busy { color: #888; font-weight: 400; }
+    button {
+      background: transparent;
+      color: #fff;
+      border: 1px solid rgba(255,255,255,0.18);
+      border-radius: 6px;
+      padding: 0 6px;
+      cursor: pointer;
+      font: inherit;
+    }
+    button:disabled { opacity: 0.6; cursor: default; }
+    .controls { display: flex; gap: 6px; padding: 8px 10px 6px; }
+    .controls select { flex: 1; font: inherit; }
+    canvas {
+      display: block;
+      width: calc(100% - 20px);
+      height: 80px;
+      margin: 0 10px;
+      background: rgba(0,0,0,0.35);
+      border-radius: 4px;
+    }
+    table {
+      width: calc(100% - 20px);
+      margin: 6px 10px 0;
+      border-collapse: collapse;
+      font-variant-numeric: tabular-nums;
+    }
+    th, td { padding: 1px 4px; text-align: right; }
+    thead th { color: #bbb; font-weight: 400; }
+    tbody th { text-align: left; }
+    .note { color: #888; padding: 4px 10px 8px; }
+    .empty { color: #888; font-style: italic; padding: 8px 10px; }
+  `
+}
+
+customElements.define('histogram-panel', HistogramPanel)
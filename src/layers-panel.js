@@ -0,0 +1,195 @@
+import { LitElement, css, html } from 'lit'
+import { LayerService } from './services/layer-service.js'
+import { BLEND_MODES } from './services/blend-modes.js'
+
+/**
+ * <layers-panel>
+ * Side panel listing document layers (top of the stack first).
+ * - Select, show/hide, rename (double-click), reorder, add and delete layers
+ * - Opacity and blend mode controls for the active layer
+ * - Each change is one undo step; an opacity drag is recorded on release
+ * - Subscribes to LayerService and re-renders on updates
+ */
+export class LayersPanel extends LitElement {
+  static properties = {
+    _layers: { state: true },
+    _activeId: { state: true },
+    _renamingId: { state: true },
+  }
+
+  constructor() {
+    super()
+    this._layers = LayerService.getLayers()
+    this._activeId = LayerService.getActive()?.id || null
+    this._renamingId = null
+    /** @type {null | (() => void)} */
+    this._unsub = null
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this._unsub = LayerService.subscribe((layers) => {
+      this._layers = layers
+      this._activeId = LayerService.getActive()?.id || null
+    })
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    if (this._unsub) {
+      try { this._unsub() } catch {}
+      this._unsub = null
+    }
+  }
+
+  _commitRename(layer, e) {
+    LayerService.updateLayer(layer.id, { name: e.currentTarget.value })
+    LayerService.commit('Rename layer')
+    this._renamingId = null
+  }
+
+  _onRenameKey(layer, e) {
+    if (e.key === 'Enter') this._commitRename(layer, e)
+    if (e.key === 'Escape') this._renamingId = null
+  }
+
+  _renderRow(layer, index, count) {
+    const active = layer.id === this._activeId
+    return html`
+      <li class=${active ? 'active' : ''} @click=${() => LayerService.setActive(layer.id)}>
+        <button
+          class="eye"
+          title=${layer.visible ? 'Hide layer' : 'Show layer'}
+          aria-pressed=${layer.visible ? 'true' : 'false'}
+          @click=${(e) => {
+            e.stopPropagation()
+            LayerService.updateLayer(layer.id, { visible: !layer.visible })
+            LayerService.commit(layer.visible ? 'Show layer' : 'Hide layer')
+          }}
+        >${layer.visible ? '●' : '○'}</button>
+        ${this._renamingId === layer.id ? html`
+          <input
+            class="rename"
+            .value=${layer.name}
+            @click=${(e) => e.stopPropagation()}
+            @blur=${(e) => this._commitRename(layer, e)}
+            @keydown=${(e) => this._onRenameKey(layer, e)}
+          />
+        ` : html`
+          <span class="name" @dblclick=${() => { this._renamingId = layer.id }} title="Double-click to rename">${layer.name}</span>
+        `}
+        ${layer.isBackground ? '' : html`
+          <span class="order">
+            <button title="Move up" ?disabled=${index === count - 1}
+              @click=${(e) => { e.stopPropagation(); LayerService.moveLayer(layer.id, 1) }}>▲</button>
+            <button title="Move down" ?disabled=${index <= 1}
+              @click=${(e) => { e.stopPropagation(); LayerService.moveLayer(layer.id, -1) }}>▼</button>
+          </span>
+        `}
+      </li>
+    `
+  }
+
+  render() {
+    const layers = this._layers
+    if (!layers.length) {
+      return html`<div class="panel"><div class="header"><div class="title">Layers</div></div><div class="empty">No image loaded</div></div>`
+    }
+    const active = layers.find(l => l.id === this._activeId) || null
+    return html`
+      <div class="panel">
+        <div class="header">
+          <div class="title">Layers</div>
+          <span class="tools">
+            <button title="New layer" @click=${() => LayerService.addLayer()}>＋</button>
+            <button title="Delete layer" ?disabled=${!active || active.isBackground}
+              @click=${() => active && LayerService.removeLayer(active.id)}>🗑</button>
+          </span>
+        </div>
+        ${active ? html`
+          <div class="props">
+            <label>
+              <span>Blend</span>
+              <select @change=${(e) => {
+                LayerService.updateLayer(active.id, { blendMode: e.currentTarget.value })
+                LayerService.commit('Change blend mode')
+              }}>
+                ${BLEND_MODES.map(([mode, label]) => html`<option value=${mode} ?selected=${mode === active.blendMode}>${label}</option>`)}
+              </select>
+            </label>
+            <label>
+              <span>Opacity</span>
+              <input type="range" min="0" max="100" .value=${String(Math.round(active.opacity * 100))}
+                @input=${(e) => LayerService.updateLayer(active.id, { opacity: Number(e.currentTarget.value) / 100 })}
+                @change=${() => LayerService.commit('Change layer opacity')} />
+              <span class="v">${Math.round(active.opacity * 100)}%</span>
+            </label>
+          </div>
+        ` : ''}
+        <ul>
+          ${layers.slice().reverse().map((layer, i) => this._renderRow(layer, layers.length - 1 - i, layers.length))}
+        </ul>
+      </div>
+    `
+  }
+
+  static styles = css`
+    :host {
+      display: block;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+      color: #fff;
+      text-align: left;
+    }
+    .panel {
+      background: rgba(15, 15, 18, 0.92);
+      border: 1px solid rgba(255,255,255,0.1);
+      border-radius: 10px;
+      overflow: hidden;
+    }
+    .header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 8px 10px;
+      background: linear-gradient(180deg, rgba(255,255,255,0.06), rgba(255,255,255,0.02));
+      border-bottom: 1px solid rgba(255,255,255,0.08);
+    }
+    .title { font-weight: 600; }
+    .tools { display: inline-flex; gap: 4px; }
+    button {
+      background: transparent;
+      color: #fff;
+      border: 1px solid rgba(255,255,255,0.18);
+      border-radius: 6px;
+      padding: 1px 6px;
+      cursor: pointer;
+      font-size: 12px;
+    }
+    button:disabled { opacity: 0.4; cursor: default; }
+    .props { display: grid; gap: 6px; padding: 8px 10px; border-bottom: 1px dashed rgba(255,255,255,0.08); }
+    .props label { display: flex; align-items: center; gap: 6px; }
+    .props label > span:first-child { min-width: 4em; color: #bbb; }
+    .props input[type="range"] { flex: 1; min-width: 0; }
+    .v { min-width: 3em; text-align: right; font-variant-numeric: tabular-nums; color: #bbb; }
+    ul { list-style: none; margin: 0; padding: 4px; display: grid; gap: 2px; }
+    li {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 4px 6px;
+      border-radius: 6px;
+      cursor: pointer;
+    }
+    li:hover { background: rgba(255,255,255,0.05); }
+    li.active { background: rgba(100,108,255,0.25); }
+    .eye { border: none; padding: 0 2px; width: 1.5em; }
+    .name { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .rename { flex: 1; min-width: 0; font: inherit; }
+    .order { display: inline-flex; gap: 2px; }
+    .order button { padding: 0 4px; font-size: 10px; }
+    .empty { color: #888; font-style: italic; padding: 8px 10px; }
+  `
+}
+
+customElements.define('layers-panel', LayersPanel)
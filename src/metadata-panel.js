@@ -0,0 +1,197 @@
+import { LitElement, css, html } from 'lit'
+import { FORMAT_NAMES } from './services/format-sniffer.js'
+
+/**
+ * <metadata-panel>
+ * Collapsible side panel showing file info and embedded metadata
+ * (camera, lens, exposure, dates, GPS, author, IPTC, XMP, ICC).
+ * - `metadata` is ImageService's ImageMetadata for the current image
+ * - Empty groups are hidden
+ * - A file whose declared type disagrees with its contents is flagged
+ */
+export class MetadataPanel extends LitElement {
+  static properties = {
+    metadata: { attribute: false },
+    _collapsed: { state: true },
+  }
+
+  constructor() {
+    super()
+    /** @type {import('./services/image-service.js').ImageMetadata|null} */
+    this.metadata = null
+    this._collapsed = false
+  }
+
+  _toggle() {
+    this._collapsed = !this._collapsed
+  }
+
+  /** @returns {[string, [string, any][]][]} [title, rows] groups; empty rows and groups dropped */
+  _groups() {
+    const m = this.metadata
+    const e = m.embedded || {}
+    const cam = e.camera || {}
+    const lens = e.lens || {}
+    const x = e.exposure || {}
+    const ts = e.timestamps || {}
+    const au = e.author || {}
+    const groups = [
+      ['File', [
+        ['Name', m.name],
+        ['Type', m.mime],
+        ['Declared type', m.mimeMismatch
+          ? `${m.declaredMime} (mismatch: contents are ${FORMAT_NAMES[m.detectedMime] || m.detectedMime})`
+          : null],
+        ['Dimensions', `${m.width} × ${m.height}`],
+        ['Source size', m.downscaledFrom ? `${m.downscaledFrom.width} × ${m.downscaledFrom.height} (downscaled on open)` : null],
+        ['Bytes', formatBytes(m.byteLength)],
+        ['Orientation', m.orientation && m.orientation !== 1 ? `EXIF ${m.orientation}` : null],
+      ]],
+      ['Camera', [
+        ['Make', cam.make],
+        ['Model', cam.model],
+        ['Serial', cam.serial],
+        ['Software', cam.software],
+      ]],
+      ['Lens', [
+        ['Make', lens.make],
+        ['Model', lens.model || (e.xmp && e.xmp.lens)],
+      ]],
+      ['Exposure', [
+        ['Shutter', x.exposureTime != null ? formatShutter(x.exposureTime) : null],
+        ['Aperture', x.fNumber != null ? `ƒ/${round(x.fNumber, 1)}` : null],
+        ['ISO', x.iso],
+        ['Focal length', x.focalLength != null
+          ? `${round(x.focalLength, 1)} mm${x.focalLength35mm ? ` (${x.focalLength35mm} mm eq.)` : ''}`
+          : null],
+        ['Bias', x.exposureBias ? `${x.exposureBias > 0 ? '+' : ''}${round(x.exposureBias, 2)} EV` : null],
+        ['Program', x.exposureProgram],
+        ['Metering', x.meteringMode],
+        ['Flash', x.flashFired == null ? null : x.flashFired ? 'Fired' : 'Off'],
+      ]],
+      ['Dates', [
+        ['Taken', formatDate(ts.original)],
+        ['Digitized', ts.digitized !== ts.original ? formatDate(ts.digitized) : null],
+        ['Modified', formatDate(ts.modified)],
+      ]],
+      ['Location', e.gps ? [
+        ['Latitude', round(e.gps.latitude, 6)],
+        ['Longitude', round(e.gps.longitude, 6)],
+        ['Altitude', e.gps.altitude != null ? `${round(e.gps.altitude, 1)} m` : null],
+      ] : []],
+      ['Author', [
+        ['Artist', au.artist],
+        ['Copyright', au.copyright],
+      ]],
+      ['IPTC', entries(e.iptc)],
+      ['XMP', entries(e.xmp, ['lens'])],
+      ['Text', entries(e.text)],
+      ['Color profile', e.icc && e.icc.present ? [['ICC', e.icc.description || 'Embedded']] : []],
+    ]
+    return groups
+      .map(([title, rows]) => [title, rows.filter(([, v]) => v != null && v !== '' && !(Array.isArray(v) && !v.length))])
+      .filter(([, rows]) => rows.length)
+  }
+
+  render() {
+    const m = this.metadata
+    return html`
+      <div class="panel">
+        <div class="header" @click=${this._toggle}>
+          <div class="title">Metadata</div>
+          <button class="collapse" aria-label=${this._collapsed ? 'Expand' : 'Collapse'}
+            aria-expanded=${this._collapsed ? 'false' : 'true'}>${this._collapsed ? '+' : '−'}</button>
+        </div>
+        ${this._collapsed ? '' : !m ? html`<div class="empty">No image loaded</div>` : html`
+          ${this._groups().map(([title, rows]) => html`
+            <div class="section">
+              <div class="section-title">${title}</div>
+              <ul>
+                ${rows.map(([k, v]) => html`<li><span class="k">${k}</span><span class="v">${Array.isArray(v) ? v.join(', ') : String(v)}</span></li>`)}
+              </ul>
+            </div>
+          `)}
+          ${m.embedded && m.embedded.blocks.length ? '' : html`<div class="empty">No embedded metadata</div>`}
+        `}
+      </div>
+    `
+  }
+
+  static styles = css`
+    :host {
+      display: block;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+      color: #fff;
+      text-align: left;
+    }
+    .panel {
+      background: rgba(15, 15, 18, 0.92);
+      border: 1px solid rgba(255,255,255,0.1);
+      border-radius: 10px;
+      overflow: hidden;
+    }
+    .header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 8px 10px;
+      background: linear-gradient(180deg, rgba(255,255,255,0.06), rgba(255,255,255,0.02));
+      border-bottom: 1px solid rgba(255,255,255,0.08);
+      cursor: pointer;
+      user-select: none;
+    }
+    .title { font-weight: 600; }
+    .collapse {
+      background: transparent;
+      color: #fff;
+      border: 1px solid rgba(255,255,255,0.18);
+      border-radius: 6px;
+      padding: 0 6px;
+      cursor: pointer;
+      font-size: 12px;
+    }
+    .section { padding: 8px 10px; }
+    .section + .section { border-top: 1px dashed rgba(255,255,255,0.08); }
+    .section-title { font-weight: 600; margin-bottom: 6px; color: #ddd; }
+    ul { list-style: none; margin: 0; padding: 0; display: grid; gap: 4px; }
+    li { display: flex; justify-content: space-between; gap: 8px; }
+    .k { color: #bbb; flex: none; }
+    .v { color: #fff; text-align: right; overflow-wrap: anywhere; font-variant-numeric: tabular-nums; }
+    .empty { color: #888; font-style: italic; padding: 8px 10px; }
+  `
+}
+
+function entries(obj, skip = []) {
+  if (!obj) return []
+  return Object.entries(obj).filter(([k]) => !skip.includes(k)).map(([k, v]) => [humanize(k), v])
+}
+
+// camelCase → "Camel case"
+function humanize(key) {
+  const s = key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()
+  return s.charAt(0).toUpperCase() + s.slice(1)
+}
+
+function round(v, digits) {
+  const f = 10 ** digits
+  return Math.round(v * f) / f
+}
+
+function formatShutter(seconds) {
+  if (seconds >= 1 || seconds <= 0) return `${round(seconds, 1)} s`
+  return `1/${Math.round(1 / seconds)} s`
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return null
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+function formatDate(iso) {
+  return iso ? iso.replace('T', ' ') : null
+}
+
+customElements.define('metadata-panel', MetadataPanel)
@@ -2,13 +2,109 @@ import { LitElement, css, html } from 'lit'
 import { ImageService } from './services/image-service.js'
 import { ViewportService } from './services/viewport-service.js'
 import { Telemetry } from './services/telemetry-service.js'
+import { BrushService } from './services/brush-service.js'
+import { HistoryService } from './services/history-service.js'
+import { LayerService } from './services/layer-service.js'
+import { SelectionService, renderSelectionMask } from './services/selection-service.js'
+import { CropService } from './services/crop-service.js'
+import { TransformService, straightenSize } from './services/transform-service.js'
+import { TileService } from './services/tile-service.js'
+import { ColorSamplerService } from './services/color-sampler-service.js'
+import { AdjustmentService } from './services/adjustment-service.js'
+import { FilterService } from './services/filter-service.js'
+import { AnnotationService } from './services/annotation-service.js'
+import {
+  drawAnnotation,
+  drawAnnotations,
+  annotationBounds,
+  textFont,
+  textPadding,
+  TEXT_LINE_HEIGHT,
+} from './services/annotations.js'
+import { RedactionService } from './services/redaction-service.js'
+import { redactPixels, redactionBlock, redactionRect, seededRandom } from './services/redactions.js'
+import { ProjectService } from './services/project-service.js'
+import { PROJECT_EXTENSION } from './services/project-format.js'
 import './telemetry-readout.js'
+import './brush-options.js'
+import './export-dialog.js'
+import './layers-panel.js'
+import './crop-options.js'
+import './straighten-options.js'
+import './metadata-panel.js'
+import './open-url-dialog.js'
+import './svg-size-dialog.js'
+import './confirm-dialog.js'
+import './eyedropper-options.js'
+import './color-panel.js'
+import './histogram-panel.js'
+import './adjustments-panel.js'
+import './filter-options.js'
+import './annotation-options.js'
+import './redaction-options.js'
 
 // Embedded bundled sample image as data URL (1x1 transparent PNG)
 // This keeps the sample within the bundle without needing an external file.
 const SAMPLE_IMAGE_URL =
   '/samples/apple.png'
 
+// Edit ops replayed by ImageService.exportImage against the full-resolution original
+ImageService.registerOpRenderer('brush', (ctx, op, scale) => {
+  const mask = op.selection
+    ? renderSelectionMask(op.selection, ctx.canvas.width, ctx.canvas.height, scale)
+    : null
+  BrushService.replayStroke(ctx, op.stroke, scale, mask)
+})
+ImageService.registerOpRenderer('filter', (ctx, op, scale) => {
+  const mask = op.selection
+    ? renderSelectionMask(op.selection, ctx.canvas.width, ctx.canvas.height, scale)
+    : null
+  FilterService.replay(ctx, op, scale, mask)
+})
+ImageService.registerOpRenderer('annotations', (ctx, op, scale) => {
+  ctx.save()
+  ctx.scale(scale, scale)
+  drawAnnotations(ctx, op.annotations)
+  ctx.restore()
+})
+
+/**
+ * Toolbar tools: id, label, shortcut key and the on-canvas hint while active.
+ * @type {{id:string,label:string,key:string,hint:string}[]}
+ */
+const TOOLS = [
+  { id: 'brush', label: 'Brush', key: 'B', hint: 'Brush — drag to paint · [ ] size · Esc to exit' },
+  { id: 'select-rect', label: 'Marquee', key: 'M', hint: 'Marquee — drag to select · Shift add · Alt subtract · Shift+Alt intersect' },
+  { id: 'select-ellipse', label: 'Ellipse', key: 'M', hint: 'Ellipse — drag to select · Shift add · Alt subtract · Shift+Alt intersect' },
+  { id: 'lasso', label: 'Lasso', key: 'L', hint: 'Lasso — drag a freehand outline · Shift add · Alt subtract · Shift+Alt intersect' },
+  { id: 'crop', label: 'Crop', key: 'C', hint: 'Crop — drag handles to resize · drag inside to move · Enter to apply · Esc to cancel' },
+  { id: 'straighten', label: 'Straighten', key: 'R', hint: 'Straighten — drag along a line that should be level · Enter to apply · Esc to cancel' },
+  { id: 'eyedropper', label: 'Eyedropper', key: 'I', hint: 'Eyedropper — click or drag to sample · Esc to exit' },
+  { id: 'filter', label: 'Filter', key: 'F', hint: 'Filter — previewing on the active layer · Enter to apply · Esc to cancel' },
+  { id: 'annotate', label: 'Annotate', key: 'A', hint: 'Annotate — drag to draw · drag a shape to move it · double-click text to edit · Del deletes · Esc to exit' },
+  { id: 'redact', label: 'Redact', key: 'X', hint: 'Redact — drag to cover an area · drag a region or its edges to adjust · Del deletes · Esc to exit' },
+]
+const SELECT_TOOLS = new Set(['select-rect', 'select-ellipse', 'lasso'])
+
+// Zoom (screen px per image px) from which the pixel grid is drawn
+const PIXEL_GRID_MIN_SCALE = 8
+
+// Settle time before recomputing the filter preview after a change
+const FILTER_PREVIEW_DELAY_MS = 120
+
+// Screen px within which the pointer picks an annotation or one of its handles
+const ANNOTATION_HIT_PX = 6
+
+// Screen px within which the pointer picks a redaction's edge or corner
+const REDACTION_HIT_PX = 6
+
+// Pointer cursor per crop handle
+const CROP_CURSORS = {
+  nw: 'nwse-resize', se: 'nwse-resize', ne: 'nesw-resize', sw: 'nesw-resize',
+  n: 'ns-resize', s: 'ns-resize', e: 'ew-resize', w: 'ew-resize',
+  move: 'move', new: 'crosshair',
+}
+
 /**
  * Canvas editor shell (placeholder) with sample picker wiring.
  *
@@ -18,17 +114,57 @@ const SAMPLE_IMAGE_URL =
 export class MyElement extends LitElement {
   static get properties() {
     return {
+      // Size guardrail overrides for this deployment (see ImageService.configure);
+      // unset ones keep the device-based defaults
+      maxDimension: { type: Number, attribute: 'max-dimension' },
+      maxMegapixels: { type: Number, attribute: 'max-megapixels' },
+      displayMaxDimension: { type: Number, attribute: 'display-max-dimension' },
       // Internal state flags
       _loading: { state: true },
       _error: { state: true },
       // Track if an image is loaded
       _hasImage: { state: true },
+      // Active tool: null (none) | one of TOOLS ids
+      _tool: { state: true },
+      // Undo/redo availability for toolbar buttons
+      _history: { state: true },
+      // Export dialog state
+      _exportOpen: { state: true },
+      _exporting: { state: true },
+      // Project file being written
+      _savingProject: { state: true },
+      // Geometry edit (crop, rotate, …) in progress
+      _transforming: { state: true },
+      // Filter being applied to the active layer
+      _filtering: { state: true },
+      // Text annotation editor shown over the canvas
+      _textEditing: { state: true },
+      // Pending straighten angle in degrees (clockwise)
+      _straightenAngle: { state: true },
+      // ImageService metadata of the current document (for the metadata panel)
+      _meta: { state: true },
+      // Open URL dialog and in-flight download progress ({loaded,total} bytes)
+      _openUrlOpen: { state: true },
+      _download: { state: true },
+      // Pixel grid at high zoom (G) and hover pixel inspector (P)
+      _pixelGrid: { state: true },
+      _inspector: { state: true },
+      // Intrinsic size of an SVG waiting for the user to pick a raster size
+      _svgPrompt: { state: true },
+      // Yes/no question shown in <confirm-dialog> ({heading,message,confirmLabel})
+      _confirmPrompt: { state: true },
     }
   }
 
   constructor() {
     super()
     this.docsHint = 'Choose an Image'
+    /** @type {number|undefined} */
+    this.maxDimension = undefined
+    /** @type {number|undefined} */
+    this.maxMegapixels = undefined
+    /** @type {number|undefined} */
+    this.displayMaxDimension = undefined
     this._loading = false
     this._error = ''
     this._hasImage = false
@@ -36,14 +172,19 @@ export class MyElement extends LitElement {
     this._bitmap = null
     /** @type {{percent:number,workingWidth:number,workingHeight:number}|null} */
     this._downscaleInfo = null
+    /** @type {import('./services/image-service.js').ImageMetadata|null} */
+    this._meta = null
     // Track whether viewport was initialized for current image
     this._vpInit = false
 
     // Rendering loop state
+    this._tilesActive = false // background drawn from TileService this frame
     this._dirtyImage = false
     this._dirtyViewport = false
     this._dirtyOverlay = false
     this._raf = 0
+    // View last reported to the histogram panel
+    this._lastViewKey = ''
 
     // Debug overlay toggle
     this._showDebugOverlay = false
@@ -52,6 +193,7 @@ export class MyElement extends LitElement {
     this._didMarkFirstPaint = false
 
     // Input / interaction state
+    this._dropActive = false // files dragged over the canvas
     this._spaceDown = false
     this._handActive = false // temporary hand while space held (no full tool system yet)
     this._panning = false
@@ -59,6 +201,67 @@ export class MyElement extends LitElement {
     this._lastX = 0
     this._lastY = 0
 
+    // Tool state
+    this._tool = null
+    this._painting = false
+    this._sampling = false // eyedropper pointer down
+    /** @type {{kind:'rect'|'ellipse'|'lasso',mode:string,start:{x:number,y:number},x:number,y:number,w:number,h:number,points:{x:number,y:number}[]}|null} selection being dragged */
+    this._selDraft = null
+    this._antsTimer = 0
+    /** @type {{x:number,y:number}|null} last pointer position over the canvas (CSS px) */
+    this._hoverPos = null
+    this._pixelGrid = true
+    this._inspector = false
+
+    this._exportOpen = false
+    this._exporting = false
+    this._savingProject = false
+    // Zoom and pan of a reopened project, applied on its first frame
+    /** @type {{scale:number,tx:number,ty:number}|null} */
+    this._savedView = null
+    this._openUrlOpen = false
+    /** @type {{loaded:number,total:number}|null} */
+    this._download = null
+    /** @type {AbortController|null} */
+    this._downloadAbort = null
+    /** @type {{width:number,height:number}|null} */
+    this._svgPrompt = null
+    /** @type {((size:{width:number,height:number}|null) => void)|null} */
+    this._svgPromptResolve = null
+    /** @type {{heading:string,message:string,confirmLabel:string}|null} */
+    this._confirmPrompt = null
+    /** @type {((ok:boolean) => void)|null} */
+    this._confirmResolve = null
+    this._transforming = false
+    this._filtering = false
+    this._textEditing = false
+    // Filter preview inputs last requested (see _scheduleFilterPreview); the
+    // source version bumps whenever layer pixels or the selection may have changed
+    this._filterPreviewKey = ''
+    this._filterSourceVersion = 0
+    this._filterPreviewTimer = 0
+    this._straightenAngle = 0
+    /** @type {{start:{x:number,y:number},end:{x:number,y:number}}|null} straighten guide line (CSS px) */
+    this._levelDraft = null
+
+    this._history = HistoryService.getStats()
+    /** @type {null | (() => void)} */
+    this._unsubHistory = null
+    /** @type {null | (() => void)} */
+    this._unsubLayers = null
+    /** @type {null | (() => void)} */
+    this._unsubSelection = null
+    /** @type {null | (() => void)} */
+    this._unsubCrop = null
+    /** @type {null | (() => void)} */
+    this._unsubAdjustments = null
+    /** @type {null | (() => void)} */
+    this._unsubFilter = null
+    /** @type {null | (() => void)} */
+    this._unsubAnnotations = null
+    /** @type {null | (() => void)} */
+    this._unsubRedactions = null
+
     // Toasts state
     /** @type {{id:number,message:string}[]} */
     this._toasts = []
@@ -73,17 +276,114 @@ export class MyElement extends LitElement {
         <button @click=${this._onChooseSample} part="button" ?disabled=${this._loading}>
           ${this._loading ? 'Loading…' : 'Choose sample'}
         </button>
-        <input id="fileInput" type="file" accept="image/png,image/jpeg,image/webp" @change=${this._onFileChosen} hidden />
+        <input id="fileInput" type="file" accept="image/png,image/jpeg,image/webp,image/avif,image/gif,image/bmp,image/svg+xml" @change=${this._onFileChosen} hidden />
         <button @click=${this._onUploadClick} part="button" ?disabled=${this._loading}>
           ${this._loading ? 'Loading…' : 'Upload image'}
         </button>
+        <input id="projectInput" type="file" accept=".json,application/json" @change=${this._onFileChosen} hidden />
+        <button @click=${this._onOpenProjectClick} part="button" ?disabled=${this._loading}
+          title="Resume a saved project">Open project</button>
+        ${this._download ? html`
+          <button @click=${this._cancelDownload} part="button" title="Cancel download (Esc)">Cancel download</button>
+        ` : html`
+          <button @click=${() => { this._openUrlOpen = true }} part="button" ?disabled=${this._loading}>Open URL…</button>
+        `}
+        ${TOOLS.map(t => html`
+          <button
+            class=${this._tool === t.id ? 'active' : ''}
+            @click=${() => this._setTool(this._tool === t.id ? null : t.id)}
+            part="button"
+            ?disabled=${!this._hasImage || this._filtering}
+            title=${`${t.label} (${t.key})`}
+          >${t.label}</button>
+        `)}
+        ${this._tool === 'brush' ? html`<brush-options></brush-options>` : ''}
+        ${this._tool === 'eyedropper' ? html`<eyedropper-options></eyedropper-options>` : ''}
+        ${this._tool === 'annotate' ? html`
+          <annotation-options @annotations-flatten=${this._flattenAnnotations}></annotation-options>
+        ` : ''}
+        ${this._tool === 'redact' ? html`<redaction-options></redaction-options>` : ''}
+        ${this._tool === 'filter' ? html`
+          <filter-options
+            .busy=${this._filtering}
+            @filter-apply=${this._applyFilter}
+            @filter-cancel=${() => this._setTool(null)}
+          ></filter-options>
+        ` : ''}
+        ${this._tool === 'straighten' ? html`
+          <straighten-options
+            .angle=${this._straightenAngle}
+            @straighten-input=${(e) => this._setStraightenAngle(e.detail.angle)}
+            @straighten-apply=${this._applyStraighten}
+            @straighten-cancel=${() => this._setTool(null)}
+          ></straighten-options>
+        ` : ''}
+        ${this._tool === 'crop' ? html`
+          <crop-options
+            @crop-apply=${this._applyCrop}
+            @crop-cancel=${() => this._setTool(null)}
+          ></crop-options>
+        ` : ''}
+        <span class="group" role="group" aria-label="Rotate and flip">
+          <button @click=${() => this._transform(() => TransformService.rotate90(-1))} part="button"
+            ?disabled=${!this._hasImage || this._transforming || this._filtering} title="Rotate 90° counter-clockwise">⟲</button>
+          <button @click=${() => this._transform(() => TransformService.rotate90(1))} part="button"
+            ?disabled=${!this._hasImage || this._transforming || this._filtering} title="Rotate 90° clockwise">⟳</button>
+          <button @click=${() => this._transform(() => TransformService.flip('horizontal'))} part="button"
+            ?disabled=${!this._hasImage || this._transforming || this._filtering} title="Flip horizontal">⇋</button>
+          <button @click=${() => this._transform(() => TransformService.flip('vertical'))} part="button"
+            ?disabled=${!this._hasImage || this._transforming || this._filtering} title="Flip vertical">⇅</button>
+        </span>
+        <span class="group" role="group" aria-label="Pixel view">
+          <button class=${this._pixelGrid ? 'active' : ''} @click=${this._togglePixelGrid} part="button"
+            ?disabled=${!this._hasImage} title=${`Pixel grid from ${PIXEL_GRID_MIN_SCALE * 100}% zoom (G)`}>Grid</button>
+          <button class=${this._inspector ? 'active' : ''} @click=${this._toggleInspector} part="button"
+            ?disabled=${!this._hasImage} title="Pixel inspector: coordinate and color under the pointer (P)">Inspect</button>
+        </span>
+        <button
+          @click=${this._undo}
+          part="button"
+          ?disabled=${!this._history.undoCount}
+          title=${this._history.nextUndo ? `Undo ${this._history.nextUndo} (Ctrl/Cmd+Z)` : 'Undo (Ctrl/Cmd+Z)'}
+        >Undo</button>
+        <button
+          @click=${this._redo}
+          part="button"
+          ?disabled=${!this._history.redoCount}
+          title=${this._history.nextRedo ? `Redo ${this._history.nextRedo} (Shift+Ctrl/Cmd+Z)` : 'Redo (Shift+Ctrl/Cmd+Z)'}
+        >Redo</button>
+        <button @click=${this._onSaveProject} part="button" ?disabled=${!this._hasImage || this._filtering || this._savingProject}
+          title="Save layers, adjustments, annotations and redactions to resume later (Ctrl/Cmd+S)">
+          ${this._savingProject ? 'Saving…' : 'Save project'}
+        </button>
+        <button @click=${this._onExportClick} part="button" ?disabled=${!this._hasImage || this._exporting}>
+          ${this._exporting ? 'Exporting…' : 'Export'}
+        </button>
       </div>
 
-      <div class="content">
-        <div class="canvas-stack" id="canvasStack">
-          <canvas id="baseCanvas" class="layer base" width="1" height="1"></canvas>
-          <canvas id="overlayCanvas" class="layer overlay" width="1" height="1"></canvas>
+      <div class="workspace">
+        <div class="content">
+          <div class="canvas-stack" id="canvasStack">
+            <canvas id="baseCanvas" class="layer base" width="1" height="1"></canvas>
+            <canvas id="overlayCanvas" class="layer overlay" width="1" height="1"></canvas>
+            ${this._textEditing ? html`
+              <div id="textEditor" class="text-editor" contenteditable="plaintext-only" spellcheck="false"
+                role="textbox" aria-multiline="true" aria-label="Annotation text"
+                @input=${(e) => AnnotationService.setText(e.currentTarget.innerText)}
+                @keydown=${this._onTextEditorKeyDown}
+                @blur=${this._onTextEditorBlur}></div>
+            ` : ''}
+          </div>
         </div>
+        ${this._hasImage ? html`
+          <aside class="sidebar">
+            <layers-panel></layers-panel>
+            <adjustments-panel></adjustments-panel>
+            <color-panel @color-copy-failed=${() => this._showToast('Could not copy to the clipboard.')}></color-panel>
+            <histogram-panel .bitmap=${this._bitmap}></histogram-panel>
+            <metadata-panel .metadata=${this._meta}></metadata-panel>
+          </aside>
+        ` : ''}
       </div>
 
       <div class="toasts" aria-live="polite" aria-atomic="true">
@@ -91,6 +391,39 @@ export class MyElement extends LitElement {
       </div>
 
       <telemetry-readout></telemetry-readout>
+
+      <export-dialog
+        .open=${this._exportOpen}
+        .busy=${this._exporting}
+        .sourceWidth=${ImageService.getMetadata()?.width || 0}
+        .sourceHeight=${ImageService.getMetadata()?.height || 0}
+        .isDownscaled=${!!ImageService.getMetadata()?.isDownscaled}
+        @export-confirm=${this._onExportConfirm}
+        @export-cancel=${() => { this._exportOpen = false }}
+      ></export-dialog>
+
+      <open-url-dialog
+        .open=${this._openUrlOpen}
+        @open-url-confirm=${(e) => { this._openUrlOpen = false; this._openUrl(e.detail.url) }}
+        @open-url-cancel=${() => { this._openUrlOpen = false }}
+      ></open-url-dialog>
+
+      <svg-size-dialog
+        .open=${!!this._svgPrompt}
+        .intrinsic=${this._svgPrompt || { width: 300, height: 150 }}
+        .maxDim=${ImageService.HARD_MAX_DIM}
+        @svg-size-confirm=${(e) => this._settleSvgPrompt(e.detail)}
+        @svg-size-cancel=${() => this._settleSvgPrompt(null)}
+      ></svg-size-dialog>
+
+      <confirm-dialog
+        .open=${!!this._confirmPrompt}
+        .heading=${this._confirmPrompt?.heading || ''}
+        .message=${this._confirmPrompt?.message || ''}
+        .confirmLabel=${this._confirmPrompt?.confirmLabel || 'OK'}
+        @confirm-accept=${() => this._settleConfirm(true)}
+        @confirm-cancel=${() => this._settleConfirm(false)}
+      ></confirm-dialog>
     `
   }
 
@@ -104,6 +437,40 @@ export class MyElement extends LitElement {
     }, timeoutMs)
   }
 
+  connectedCallback() {
+    super.connectedCallback()
+    this._unsubHistory = HistoryService.subscribe((stats) => {
+      this._history = stats
+      this._filterSourceVersion++
+    })
+    this._unsubLayers = LayerService.subscribe(() => {
+      this._filterSourceVersion++
+      this._invalidate({ image: true })
+    })
+    this._unsubSelection = SelectionService.subscribe(() => {
+      this._filterSourceVersion++
+      this._invalidate({ overlay: true })
+    })
+    this._unsubCrop = CropService.subscribe(() => {
+      this._invalidate({ overlay: true })
+    })
+    this._unsubAdjustments = AdjustmentService.subscribe(() => {
+      this._invalidate({ image: true })
+    })
+    this._unsubFilter = FilterService.subscribe(() => {
+      this._invalidate({ image: true })
+    })
+    this._unsubAnnotations = AnnotationService.subscribe(() => {
+      // The edit can end elsewhere (undo, new image, flatten)
+      if (this._textEditing && !AnnotationService.isEditingText()) this._textEditing = false
+      this._invalidate({ overlay: true })
+    })
+    this._unsubRedactions = RedactionService.subscribe(() => {
+      // Previewed on the base canvas, framed on the overlay
+      this._invalidate({ image: true, overlay: true })
+    })
+  }
+
   firstUpdated() {
     // Setup resize handling for DPR and container changes
     this._installResizeHandling()
@@ -119,12 +486,59 @@ export class MyElement extends LitElement {
     super.disconnectedCallback()
     this._teardownResizeHandling()
     this._teardownInputHandling()
+    if (this._unsubHistory) {
+      try { this._unsubHistory() } catch {}
+      this._unsubHistory = null
+    }
+    if (this._unsubLayers) {
+      try { this._unsubLayers() } catch {}
+      this._unsubLayers = null
+    }
+    if (this._unsubSelection) {
+      try { this._unsubSelection() } catch {}
+      this._unsubSelection = null
+    }
+    if (this._unsubCrop) {
+      try { this._unsubCrop() } catch {}
+      this._unsubCrop = null
+    }
+    if (this._unsubAdjustments) {
+      try { this._unsubAdjustments() } catch {}
+      this._unsubAdjustments = null
+    }
+    if (this._unsubFilter) {
+      try { this._unsubFilter() } catch {}
+      this._unsubFilter = null
+    }
+    if (this._unsubAnnotations) {
+      try { this._unsubAnnotations() } catch {}
+      this._unsubAnnotations = null
+    }
+    if (this._unsubRedactions) {
+      try { this._unsubRedactions() } catch {}
+      this._unsubRedactions = null
+    }
+    clearTimeout(this._filterPreviewTimer)
+    if (this._antsTimer) {
+      clearTimeout(this._antsTimer)
+      this._antsTimer = 0
+    }
     if (this._raf) {
       cancelAnimationFrame(this._raf)
       this._raf = 0
     }
   }
 
+  willUpdate(changed) {
+    if (changed.has('maxDimension') || changed.has('maxMegapixels') || changed.has('displayMaxDimension')) {
+      ImageService.configure({
+        hardMaxDim: this.maxDimension,
+        hardMaxPixels: this.maxMegapixels * 1e6,
+        displayMaxDim: this.displayMaxDimension,
+      })
+    }
+  }
+
   updated(changed) {
     if (changed.has('_hasImage') || changed.has('_bitmap')) {
       // Reset viewport init when bitmap changes
@@ -146,15 +560,8 @@ export class MyElement extends LitElement {
     try {
       // Load via ImageService from a bundled URL
       Telemetry.mark('imageLoadStart'); Telemetry.startTimer('imageLoad')
-      const { working } = await ImageService.loadFromUrl(SAMPLE_IMAGE_URL)
-      this._bitmap = working
-      this._hasImage = !!working
-      const meta = ImageService.getMetadata()
-      this._downscaleInfo = meta && meta.isDownscaled ? {
-        percent: Math.round((meta.downscaleFactor || 1) * 100),
-        workingWidth: meta.workingWidth,
-        workingHeight: meta.workingHeight,
-      } : null
+      await ImageService.loadFromUrl(SAMPLE_IMAGE_URL)
+      this._adoptLoadedImage()
     } catch (err) {
       const msg = (err && (err.isFriendly ? err.message : err.message)) || 'Failed to load sample.'
       this._showToast(`${msg} Try again or choose another image.`)
@@ -167,36 +574,348 @@ export class MyElement extends LitElement {
     }
   }
 
+  /**
+   * Start a fresh document from ImageService's newly loaded buffers:
+   * single background layer, no adjustments, annotations or redactions, empty history, re-fit viewport.
+   */
+  _adoptLoadedImage() {
+    const canvas = ImageService.getWorkingCanvas()
+    HistoryService.clear()
+    TileService.clear()
+    AdjustmentService.reset()
+    AnnotationService.reset()
+    RedactionService.reset()
+    if (canvas) {
+      LayerService.reset(canvas)
+      SelectionService.reset(canvas.width, canvas.height)
+    }
+    this._hasImage = !!canvas
+    this._bitmap = null
+    this._syncDocument()
+  }
+
+  /**
+   * Pick up a project ProjectService just opened (layers, adjustments,
+   * annotations and redactions are in place): empty history, no selection, and
+   * the saved view on the first frame.
+   * @param {{scale:number,tx:number,ty:number}} view
+   */
+  _adoptProject(view) {
+    const canvas = LayerService.getBackground().canvas
+    HistoryService.clear()
+    TileService.clear()
+    SelectionService.reset(canvas.width, canvas.height)
+    this._hasImage = true
+    this._bitmap = null
+    this._savedView = view
+    this._syncDocument()
+  }
+
+  /**
+   * Pick up the document buffers after they were swapped (load, crop, undo of
+   * a crop): background canvas, downscale badge and a viewport re-fit when the
+   * document size changed.
+   */
+  _syncDocument() {
+    const canvas = LayerService.getBackground()?.canvas || null
+    const prev = this._bitmap
+    const resized = !prev || !canvas || prev.width !== canvas.width || prev.height !== canvas.height
+    this._bitmap = canvas
+    if (resized) {
+      this._vpInit = false
+      if (this._tool === 'crop' && canvas) CropService.begin(canvas.width, canvas.height)
+    }
+    const meta = ImageService.getMetadata()
+    this._meta = meta
+    this._downscaleInfo = meta && meta.isDownscaled ? {
+      percent: Math.round((meta.downscaleFactor || 1) * 100),
+      workingWidth: meta.workingWidth,
+      workingHeight: meta.workingHeight,
+    } : null
+    this._invalidate({ image: true, viewport: true, overlay: true })
+  }
+
+  /**
+   * Run a TransformService edit, leave any geometry tool and pick up the new
+   * document buffers.
+   * @param {() => Promise<void>} edit
+   */
+  async _transform(edit) {
+    if (this._transforming || this._painting || this._filtering || !this._hasImage) return
+    this._transforming = true
+    try {
+      await edit()
+      if (this._tool === 'crop' || this._tool === 'straighten') this._setTool(null)
+      this._syncDocument()
+    } catch (err) {
+      const msg = (err && err.message) || 'Transform failed.'
+      this._showToast(err && err.isFriendly ? msg : `Transform failed. ${msg}`)
+    } finally {
+      this._transforming = false
+    }
+  }
+
+  _applyCrop() {
+    const rect = CropService.rect
+    if (rect) this._transform(() => TransformService.crop(rect))
+  }
+
+  _applyStraighten() {
+    const angle = this._straightenAngle
+    if (angle) this._transform(() => TransformService.straighten(angle))
+  }
+
+  async _applyFilter() {
+    const layer = LayerService.getActive()
+    if (this._filtering || this._painting || !layer) return
+    // Tools, transforms and undo wait for the result (see _setTool, _transform, _undo)
+    this._filtering = true
+    let applied = false
+    try {
+      await FilterService.apply(layer)
+      applied = true
+    } catch (err) {
+      const msg = (err && err.message) || ''
+      this._showToast(`Filter failed. ${msg}`.trim())
+    } finally {
+      this._filtering = false
+    }
+    if (applied) this._setTool(null)
+  }
+
+  _flattenAnnotations() {
+    const layer = LayerService.getActive()
+    if (!layer || this._painting || this._filtering) return
+    if (AnnotationService.flatten(layer)) this._invalidate({ image: true })
+  }
+
+  /**
+   * Show the text editor over a text annotation (existing id) or a new text
+   * box at p, with the caret at the end.
+   * @param {string|null} id
+   * @param {{x:number,y:number}} [p] - working px, for a new box
+   */
+  async _startTextEdit(id, p) {
+    if (id) AnnotationService.editText(id)
+    else AnnotationService.beginText(p)
+    const object = AnnotationService.getEditing()
+    if (!object) return
+    this._textEditing = true
+    await this.updateComplete
+    const editor = /** @type {HTMLElement|null} */ (this.renderRoot?.getElementById('textEditor'))
+    if (!editor) return
+    editor.textContent = object.text || ''
+    this._positionTextEditor()
+    editor.focus()
+    const range = document.createRange()
+    range.selectNodeContents(editor)
+    range.collapse(false)
+    const selection = window.getSelection()
+    selection?.removeAllRanges()
+    selection?.addRange(range)
+  }
+
+  _endTextEdit() {
+    if (AnnotationService.isEditingText()) AnnotationService.endTextEdit()
+    this._textEditing = false
+  }
+
+  _onTextEditorKeyDown(e) {
+    // Enter adds a line; Esc or Ctrl/Cmd+Enter finishes
+    if (e.key === 'Escape' || (e.key === 'Enter' && (e.metaKey || e.ctrlKey))) {
+      this._endTextEdit()
+      e.preventDefault()
+    }
+  }
+
+  _onTextEditorBlur(e) {
+    // Keep typing after adjusting the text style in the toolbar
+    const to = /** @type {HTMLElement|null} */ (e.relatedTarget)
+    if (to && to.localName === 'annotation-options') return
+    this._endTextEdit()
+  }
+
+  /** Place and style the text editor to match the annotation under it (CSS px). */
+  _positionTextEditor() {
+    const editor = /** @type {HTMLElement|null} */ (this.renderRoot?.getElementById('textEditor'))
+    const object = AnnotationService.getEditing()
+    if (!editor || !object) return
+    const { style } = object
+    const scale = ViewportService.scale
+    const pad = textPadding(style) * scale
+    const p = ViewportService.toScreen(object.points[0])
+    editor.style.left = `${p.x - pad}px`
+    editor.style.top = `${p.y - pad}px`
+    editor.style.padding = `${pad}px`
+    editor.style.font = textFont(style, scale)
+    editor.style.lineHeight = String(TEXT_LINE_HEIGHT)
+    editor.style.color = style.color
+    editor.style.background = style.fill || 'transparent'
+    editor.style.webkitTextStroke = style.outline ? `${Math.max(1, style.fontSize / 8) * scale}px ${style.outline}` : ''
+    editor.style.paintOrder = 'stroke fill'
+  }
+
+  /**
+   * Ask FilterService for a preview of the visible part of the active layer
+   * once settings, view and pixels settle. Cheap to call every frame: nothing
+   * happens unless an input changed since the last request.
+   */
+  _scheduleFilterPreview() {
+    const layer = LayerService.getActive()
+    const stack = /** @type {HTMLElement|null} */ (this.renderRoot?.getElementById('canvasStack'))
+    if (!layer || !stack || this._filtering) return
+    const tl = ViewportService.toImage({ x: 0, y: 0 })
+    const br = ViewportService.toImage({ x: stack.clientWidth, y: stack.clientHeight })
+    const rect = { x: Math.floor(tl.x), y: Math.floor(tl.y), w: Math.ceil(br.x - tl.x), h: Math.ceil(br.y - tl.y) }
+    const maxScale = ViewportService.scale * Math.max(1, window.devicePixelRatio || 1)
+    const key = JSON.stringify([FilterService.type, FilterService.params, layer.id, rect, maxScale, this._filterSourceVersion])
+    if (key === this._filterPreviewKey) return
+    this._filterPreviewKey = key
+    clearTimeout(this._filterPreviewTimer)
+    this._filterPreviewTimer = setTimeout(() => {
+      // A failed preview leaves the unfiltered view; Apply reports errors
+      FilterService.preview(layer, rect, maxScale).catch(() => {})
+    }, FILTER_PREVIEW_DELAY_MS)
+  }
+
+  _setStraightenAngle(angle) {
+    this._straightenAngle = Math.round(angle * 10) / 10
+    this._invalidate({ image: true, overlay: true })
+  }
+
+  async _undo() {
+    if (this._painting || this._transforming || this._filtering || AnnotationService.isDragging() || RedactionService.isDragging()) return
+    try {
+      if (await HistoryService.undo()) this._syncDocument()
+    } catch (err) {
+      this._showToast(`Undo failed. ${err && err.message ? err.message : ''}`.trim())
+    }
+  }
+
+  async _redo() {
+    if (this._painting || this._transforming || this._filtering || AnnotationService.isDragging() || RedactionService.isDragging()) return
+    try {
+      if (await HistoryService.redo()) this._syncDocument()
+    } catch (err) {
+      this._showToast(`Redo failed. ${err && err.message ? err.message : ''}`.trim())
+    }
+  }
+
+  _onExportClick() {
+    if (!this._hasImage || this._painting) return
+    this._exportOpen = true
+  }
+
+  async _onExportConfirm(event) {
+    const opts = event.detail || {}
+    this._exporting = true
+    try {
+      Telemetry.startTimer('export')
+      const blob = await ImageService.exportImage({
+        ...opts,
+        ops: HistoryService.getOps(),
+        layers: LayerService.getLayers(),
+        adjustments: AdjustmentService.getStack(),
+        redactions: RedactionService.getRegions(),
+        annotations: AnnotationService.getObjects(),
+      })
+      this._downloadBlob(blob, this._exportFileName(opts.extension || 'png'))
+      this._exportOpen = false
+    } catch (err) {
+      const msg = (err && err.message) || 'Export failed.'
+      this._showToast(err && err.isFriendly ? msg : `Export failed. ${msg}`)
+    } finally {
+      try { Telemetry.endTimer('export') } catch {}
+      this._exporting = false
+    }
+  }
+
+  async _onSaveProject() {
+    // A running filter is about to replace layer pixels
+    if (!this._hasImage || this._painting || this._filtering || this._savingProject) return
+    // Text being typed is saved as finished
+    this._endTextEdit()
+    this._savingProject = true
+    try {
+      const blob = await ProjectService.save()
+      this._downloadBlob(blob, this._exportFileName(PROJECT_EXTENSION.slice(1), ''))
+    } catch (err) {
+      const msg = (err && err.message) || 'Saving failed.'
+      this._showToast(err && err.isFriendly ? msg : `Saving the project failed. ${msg}`)
+    } finally {
+      this._savingProject = false
+    }
+  }
+
+  /**
+   * @param {string} ext
+   * @param {string} [suffix] - appended to the source file's name
+   */
+  _exportFileName(ext, suffix = '-edited') {
+    const name = ImageService.getMetadata()?.name || 'image'
+    const stem = name.replace(/\.[^.]+$/, '') || 'image'
+    return `${stem}${suffix}.${ext}`
+  }
+
+  _downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    a.remove()
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+  }
+
   _onUploadClick() {
     const input = /** @type {HTMLInputElement|null} */ (this.renderRoot?.getElementById('fileInput'))
     input?.click()
   }
 
+  _onOpenProjectClick() {
+    const input = /** @type {HTMLInputElement|null} */ (this.renderRoot?.getElementById('projectInput'))
+    input?.click()
+  }
+
   async _onFileChosen(event) {
     const input = /** @type {HTMLInputElement} */ (event.currentTarget)
     const file = input?.files && input.files[0]
     // Clear selection so choosing the same file again will trigger change
     if (input) input.value = ''
     if (!file) return
+    await this._openFile(file)
+  }
 
+  /**
+   * Load a user-provided file (picker, drop or paste) as the new document;
+   * project files resume their saved session.
+   * @param {File} file
+   */
+  async _openFile(file) {
+    if (this._loading) return
+    if (await ProjectService.isProjectFile(file)) {
+      await this._openProject(file)
+      return
+    }
     this._error = ''
     this._loading = true
     const prevBitmap = this._bitmap
     const prevHasImage = this._hasImage
     try {
       Telemetry.mark('imageLoadStart'); Telemetry.startTimer('imageLoad')
-      const { working } = await ImageService.loadFromFile(file)
-      this._bitmap = working
-      this._hasImage = !!working
-      const meta = ImageService.getMetadata()
-      this._downscaleInfo = meta && meta.isDownscaled ? {
-        percent: Math.round((meta.downscaleFactor || 1) * 100),
-        workingWidth: meta.workingWidth,
-        workingHeight: meta.workingHeight,
-      } : null
+      await ImageService.loadFromFile(file, {
+        resolveSvgSize: (size) => this._promptSvgSize(size),
+        resolveOversize: (size) => this._confirmOversize(size),
+      })
+      this._adoptLoadedImage()
     } catch (err) {
       const msg = (err && (err.isFriendly ? err.message : err.message)) || 'Failed to load image.'
-      this._showToast(`${msg} Try a PNG, JPEG, or WebP, or resize the image and try again.`)
+      // Cancelling the SVG size prompt is the user's own choice; no toast
+      if (!err || err.kind !== 'abort') {
+        this._showToast(`${msg} Try another image, or resize it and try again.`)
+      }
       // Preserve last stable state
       this._bitmap = prevBitmap
       this._hasImage = prevHasImage
@@ -206,6 +925,123 @@ export class MyElement extends LitElement {
     }
   }
 
+  /** @param {File} file - see ProjectService.open */
+  async _openProject(file) {
+    this._error = ''
+    this._loading = true
+    this._endTextEdit()
+    try {
+      this._adoptProject(await ProjectService.open(file))
+    } catch (err) {
+      const msg = (err && err.message) || 'Failed to open the project.'
+      this._showToast(err && err.isFriendly ? msg : `Could not open the project. ${msg}`)
+    } finally {
+      this._loading = false
+    }
+  }
+
+  /**
+   * Download and open an image URL, with byte progress on the overlay.
+   * @param {string} url
+   */
+  async _openUrl(url) {
+    if (this._loading) return
+    this._error = ''
+    this._loading = true
+    const controller = new AbortController()
+    this._downloadAbort = controller
+    this._download = { loaded: 0, total: 0 }
+    const prevBitmap = this._bitmap
+    const prevHasImage = this._hasImage
+    try {
+      Telemetry.mark('imageLoadStart'); Telemetry.startTimer('imageLoad')
+      await ImageService.loadFromUrl(url, {
+        signal: controller.signal,
+        resolveSvgSize: (size) => this._promptSvgSize(size),
+        resolveOversize: (size) => this._confirmOversize(size),
+        onProgress: (progress) => {
+          this._download = progress
+          this._invalidate({ overlay: true })
+        },
+      })
+      this._adoptLoadedImage()
+    } catch (err) {
+      // Cancelling is the user's own choice; no toast
+      if (!err || err.kind !== 'abort') {
+        this._showToast((err && err.message) || 'Failed to load image from URL.')
+      }
+      // Preserve last stable state
+      this._bitmap = prevBitmap
+      this._hasImage = prevHasImage
+    } finally {
+      try { Telemetry.endTimer('imageLoad') } catch {}
+      this._loading = false
+      this._download = null
+      this._downloadAbort = null
+      this._invalidate({ overlay: true })
+    }
+  }
+
+  /**
+   * Ask for the raster size of an SVG being opened.
+   * @param {{width:number,height:number}} intrinsic
+   * @returns {Promise<{width:number,height:number}|null>} null when cancelled
+   */
+  _promptSvgSize(intrinsic) {
+    return new Promise((resolve) => {
+      this._svgPromptResolve = resolve
+      this._svgPrompt = intrinsic
+    })
+  }
+
+  _settleSvgPrompt(size) {
+    const resolve = this._svgPromptResolve
+    this._svgPromptResolve = null
+    this._svgPrompt = null
+    if (resolve) resolve(size)
+  }
+
+  /**
+   * Ask whether to open an image that exceeds the hard limits as a downscaled copy.
+   * @param {{width:number,height:number,fitWidth:number,fitHeight:number}} size
+   * @returns {Promise<boolean>}
+   */
+  _confirmOversize(size) {
+    const mp = (w, h) => Math.round((w * h) / 1e5) / 10
+    return this._confirm({
+      heading: 'Image is too large',
+      message: `This image is ${size.width} × ${size.height} px (${mp(size.width, size.height)} MP), ` +
+        `more than this device can edit safely. Open a downscaled copy at ${size.fitWidth} × ${size.fitHeight} px ` +
+        `(${mp(size.fitWidth, size.fitHeight)} MP)? The file itself is not changed.`,
+      confirmLabel: 'Open downscaled',
+    })
+  }
+
+  /**
+   * Show <confirm-dialog> and resolve with the user's answer.
+   * @param {{heading:string,message:string,confirmLabel:string}} prompt
+   * @returns {Promise<boolean>}
+   */
+  _confirm(prompt) {
+    // A newer question replaces an unanswered one
+    this._settleConfirm(false)
+    return new Promise((resolve) => {
+      this._confirmResolve = resolve
+      this._confirmPrompt = prompt
+    })
+  }
+
+  _settleConfirm(ok) {
+    const resolve = this._confirmResolve
+    this._confirmResolve = null
+    this._confirmPrompt = null
+    if (resolve) resolve(ok)
+  }
+
+  _cancelDownload() {
+    if (this._downloadAbort) this._downloadAbort.abort()
+  }
+
   _installResizeHandling() {
     // Invalidate on window resize and DPR changes (e.g., browser zoom)
     this._onResize = () => this._invalidate({ viewport: true, overlay: true })
@@ -246,10 +1082,44 @@ export class MyElement extends LitElement {
   _installInputHandling() {
     // Keyboard: spacebar hand + zoom shortcuts
     this._onKeyDown = (e) => {
-      if (this._isTextInput(e.target)) return
+      if (this._isTextInput(this._eventTarget(e))) return
 
       // Zoom shortcuts
       const metaOrCtrl = !!(e.metaKey || e.ctrlKey)
+
+      // Undo / redo: Ctrl/Cmd+Z, Shift+Ctrl/Cmd+Z (Ctrl+Y also redoes)
+      if (metaOrCtrl && !e.altKey && (e.key === 'z' || e.key === 'Z' || e.code === 'KeyZ')) {
+        if (e.shiftKey) this._redo()
+        else this._undo()
+        e.preventDefault()
+        return
+      }
+      if (metaOrCtrl && !e.shiftKey && !e.altKey && (e.key === 'y' || e.code === 'KeyY')) {
+        this._redo()
+        e.preventDefault()
+        return
+      }
+      // Save project: Ctrl/Cmd+S (instead of the browser saving the page)
+      if (metaOrCtrl && !e.shiftKey && !e.altKey && (e.key === 's' || e.code === 'KeyS')) {
+        this._onSaveProject()
+        e.preventDefault()
+        return
+      }
+
+      // Selection: Ctrl/Cmd+A select all, Ctrl/Cmd+D deselect
+      if (metaOrCtrl && !e.shiftKey && !e.altKey && this._hasImage && !this._painting) {
+        if (e.key === 'a' || e.code === 'KeyA') {
+          SelectionService.selectAll()
+          e.preventDefault()
+          return
+        }
+        if (e.key === 'd' || e.code === 'KeyD') {
+          SelectionService.clear()
+          e.preventDefault()
+          return
+        }
+      }
+
       const stack = /** @type {HTMLElement|null} */ (this.renderRoot?.getElementById('canvasStack'))
       if (metaOrCtrl && stack) {
         const rect = stack.getBoundingClientRect()
@@ -276,6 +1146,139 @@ export class MyElement extends LitElement {
         return
       }
 
+      // Tool shortcuts
+      if (!metaOrCtrl && !e.altKey) {
+        if ((e.key === 'b' || e.key === 'B') && this._hasImage) {
+          this._setTool(this._tool === 'brush' ? null : 'brush')
+          e.preventDefault()
+          return
+        }
+        if ((e.key === 'm' || e.key === 'M') && this._hasImage) {
+          // Repeated M cycles between rectangle and ellipse marquee
+          this._setTool(this._tool === 'select-rect' ? 'select-ellipse' : 'select-rect')
+          e.preventDefault()
+          return
+        }
+        if ((e.key === 'l' || e.key === 'L') && this._hasImage) {
+          this._setTool(this._tool === 'lasso' ? null : 'lasso')
+          e.preventDefault()
+          return
+        }
+        if ((e.key === 'c' || e.key === 'C') && this._hasImage) {
+          this._setTool(this._tool === 'crop' ? null : 'crop')
+          e.preventDefault()
+          return
+        }
+        if ((e.key === 'r' || e.key === 'R') && this._hasImage) {
+          this._setTool(this._tool === 'straighten' ? null : 'straighten')
+          e.preventDefault()
+          return
+        }
+        if ((e.key === 'i' || e.key === 'I') && this._hasImage) {
+          this._setTool(this._tool === 'eyedropper' ? null : 'eyedropper')
+          e.preventDefault()
+          return
+        }
+        if ((e.key === 'f' || e.key === 'F') && this._hasImage) {
+          this._setTool(this._tool === 'filter' ? null : 'filter')
+          e.preventDefault()
+          return
+        }
+        if ((e.key === 'a' || e.key === 'A') && this._hasImage) {
+          this._setTool(this._tool === 'annotate' ? null : 'annotate')
+          e.preventDefault()
+          return
+        }
+        if ((e.key === 'x' || e.key === 'X') && this._hasImage) {
+          this._setTool(this._tool === 'redact' ? null : 'redact')
+          e.preventDefault()
+          return
+        }
+        if ((e.key === 'g' || e.key === 'G') && this._hasImage) {
+          this._togglePixelGrid()
+          e.preventDefault()
+          return
+        }
+        if ((e.key === 'p' || e.key === 'P') && this._hasImage) {
+          this._toggleInspector()
+          e.preventDefault()
+          return
+        }
+        if (e.key === 'Enter' && this._tool === 'crop') {
+          this._applyCrop()
+          e.preventDefault()
+          return
+        }
+        if (e.key === 'Enter' && this._tool === 'straighten') {
+          this._applyStraighten()
+          e.preventDefault()
+          return
+        }
+        if (e.key === 'Enter' && this._tool === 'filter') {
+          this._applyFilter()
+          e.preventDefault()
+          return
+        }
+        if (e.key === 'Enter' && this._tool === 'annotate' && AnnotationService.getSelected()?.kind === 'text') {
+          this._startTextEdit(AnnotationService.getSelected().id)
+          e.preventDefault()
+          return
+        }
+        if (e.key === 'Escape' && this._downloadAbort) {
+          this._cancelDownload()
+          e.preventDefault()
+          return
+        }
+        if (this._tool === 'annotate' && (e.key === 'Delete' || e.key === 'Backspace')) {
+          const selected = AnnotationService.getSelected()
+          if (selected && !AnnotationService.isDragging()) AnnotationService.remove(selected.id)
+          e.preventDefault()
+          return
+        }
+        if (e.key === 'Escape' && this._tool === 'annotate' && AnnotationService.isDragging()) {
+          AnnotationService.cancelDrag()
+          this._pointerId = null
+          e.preventDefault()
+          return
+        }
+        if (e.key === 'Escape' && this._tool === 'annotate' && AnnotationService.getSelected()) {
+          AnnotationService.select(null)
+          e.preventDefault()
+          return
+        }
+        if (this._tool === 'redact' && (e.key === 'Delete' || e.key === 'Backspace')) {
+          const selected = RedactionService.getSelected()
+          if (selected && !RedactionService.isDragging()) RedactionService.remove(selected.id)
+          e.preventDefault()
+          return
+        }
+        if (e.key === 'Escape' && this._tool === 'redact' && RedactionService.isDragging()) {
+          RedactionService.cancelDrag()
+          this._pointerId = null
+          e.preventDefault()
+          return
+        }
+        if (e.key === 'Escape' && this._tool === 'redact' && RedactionService.getSelected()) {
+          RedactionService.select(null)
+          e.preventDefault()
+          return
+        }
+        if (e.key === 'Escape' && this._tool) {
+          this._setTool(null)
+          e.preventDefault()
+          return
+        }
+        if (this._tool === 'brush' && (e.key === '[' || e.key === ']')) {
+          // Step ~10% so small and large brushes both adjust at a usable rate
+          const size = BrushService.settings.size
+          const step = Math.max(1, Math.round(size * 0.1))
+          BrushService.setSettings({ size: e.key === ']' ? size + step : size - step })
+          this._invalidate({ overlay: true })
+          e.preventDefault()
+          return
+        }
+      }
+
       // Temporary hand via Space
       if (e.code === 'Space' || e.key === ' ' || e.key === 'Spacebar') {
         if (!this._spaceDown) {
@@ -302,7 +1305,8 @@ export class MyElement extends LitElement {
 
     // Debug overlay toggle on backquote (`)
     this._onDebugToggle = (e) => {
-      if (this._isTextInput(e.target)) return
+      if (this._isTextInput(this._eventTarget(e))) return
+      if (e.metaKey || e.ctrlKey || e.altKey) return // Ctrl/Cmd+D is deselect
       if (e.key === '`' || e.code === 'Backquote' || e.key === 'd' || e.key === 'D') {
         this._showDebugOverlay = !this._showDebugOverlay
         this._invalidate({ overlay: true })
@@ -310,6 +1314,18 @@ export class MyElement extends LitElement {
     }
     window.addEventListener('keydown', this._onDebugToggle)
 
+    // Paste an image from the clipboard (Ctrl/Cmd+V)
+    this._onPaste = (e) => {
+      if (this._isTextInput(this._eventTarget(e))) return
+      const items = Array.from(e.clipboardData?.items || [])
+      const item = items.find(i => i.kind === 'file' && i.type.startsWith('image/'))
+      const file = item && item.getAsFile()
+      if (!file) return
+      e.preventDefault()
+      this._openFile(file)
+    }
+    window.addEventListener('paste', this._onPaste)
+
     // Pointer: pan on drag while hand is active
     const base = /** @type {HTMLCanvasElement|null} */ (this.renderRoot?.getElementById('baseCanvas'))
     const stack = /** @type {HTMLElement|null} */ (this.renderRoot?.getElementById('canvasStack'))
@@ -333,66 +1349,483 @@ export class MyElement extends LitElement {
     }
     stack.addEventListener('wheel', this._onWheel, { passive: false })
 
+    // Drag-and-drop files onto the canvas
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files')
+    this._onDragOver = (e) => {
+      if (!hasFiles(e)) return
+      e.preventDefault()
+      e.dataTransfer.dropEffect = this._loading ? 'none' : 'copy'
+      if (!this._dropActive) {
+        this._dropActive = true
+        this._invalidate({ overlay: true })
+      }
+    }
+    this._onDragLeave = (e) => {
+      // Moving between children of the stack also fires dragleave
+      if (e.relatedTarget && stack.contains(/** @type {Node} */ (e.relatedTarget))) return
+      this._dropActive = false
+      this._invalidate({ overlay: true })
+    }
+    this._onDrop = (e) => {
+      if (!hasFiles(e)) return
+      e.preventDefault()
+      this._dropActive = false
+      this._invalidate({ overlay: true })
+      const files = Array.from(e.dataTransfer.files || [])
+      const file = files.find(f => f.type.startsWith('image/')) || files[0]
+      if (file) this._openFile(file)
+    }
+    stack.addEventListener('dragenter', this._onDragOver)
+    stack.addEventListener('dragover', this._onDragOver)
+    stack.addEventListener('dragleave', this._onDragLeave)
+    stack.addEventListener('drop', this._onDrop)
+
     this._onPointerDown = (e) => {
-      if (!this._handActive) return
       if (e.button !== 0) return // left button only
-      this._panning = true
-      this._pointerId = e.pointerId
-      base.setPointerCapture?.(e.pointerId)
-      this._lastX = e.clientX
-      this._lastY = e.clientY
-      this._updateHandCursor(true) // grabbing
-      e.preventDefault()
+      if (this._handActive) {
+        this._panning = true
+        this._pointerId = e.pointerId
+        base.setPointerCapture?.(e.pointerId)
+        this._lastX = e.clientX
+        this._lastY = e.clientY
+        this._updateHandCursor(true) // grabbing
+        e.preventDefault()
+        return
+      }
+      if (this._tool === 'brush' && this._bitmap && this._pointerId === null) {
+        const target = LayerService.getActive()?.canvas
+        if (!target) return
+        this._pointerId = e.pointerId
+        this._painting = true
+        base.setPointerCapture?.(e.pointerId)
+        BrushService.beginStroke(target, this._toImagePoint(e, stack), e.pressure, e.pointerType, SelectionService.getMask())
+        this._invalidate({ image: true })
+        e.preventDefault()
+        return
+      }
+      if (SELECT_TOOLS.has(this._tool) && this._bitmap && this._pointerId === null) {
+        const p = this._toImagePoint(e, stack)
+        this._pointerId = e.pointerId
+        base.setPointerCapture?.(e.pointerId)
+        this._selDraft = {
+          kind: this._tool === 'lasso' ? 'lasso' : this._tool === 'select-ellipse' ? 'ellipse' : 'rect',
+          mode: this._selectionMode(e),
+          start: p,
+          x: p.x,
+          y: p.y,
+          w: 0,
+          h: 0,
+          points: [p],
+        }
+        this._invalidate({ overlay: true })
+        e.preventDefault()
+        return
+      }
+      if (this._tool === 'annotate' && this._bitmap && this._pointerId === null) {
+        if (AnnotationService.isEditingText()) {
+          // Clicking away finishes the text being typed
+          this._endTextEdit()
+          e.preventDefault()
+          return
+        }
+        const p = this._toImagePoint(e, stack)
+        const hit = AnnotationService.hitTest(p, ANNOTATION_HIT_PX / ViewportService.scale)
+        if (hit) AnnotationService.startDrag(hit.id, hit.handle, p)
+        else if (AnnotationService.mode === 'select') AnnotationService.select(null)
+        else if (AnnotationService.mode === 'text') this._startTextEdit(null, p)
+        else AnnotationService.begin(p)
+        if (AnnotationService.isDragging()) {
+          this._pointerId = e.pointerId
+          base.setPointerCapture?.(e.pointerId)
+        }
+        e.preventDefault()
+        return
+      }
+      if (this._tool === 'redact' && this._bitmap && this._pointerId === null) {
+        const p = this._toImagePoint(e, stack)
+        const hit = RedactionService.hitTest(p, REDACTION_HIT_PX / ViewportService.scale)
+        if (hit) RedactionService.startDrag(hit.id, hit.handle, p)
+        else {
+          RedactionService.select(null)
+          RedactionService.begin(p)
+        }
+        this._pointerId = e.pointerId
+        base.setPointerCapture?.(e.pointerId)
+        e.preventDefault()
+        return
+      }
+      if (this._tool === 'eyedropper' && this._bitmap && this._pointerId === null) {
+        this._pointerId = e.pointerId
+        this._sampling = true
+        base.setPointerCapture?.(e.pointerId)
+        ColorSamplerService.sample(this._toImagePoint(e, stack))
+        this._invalidate({ overlay: true })
+        e.preventDefault()
+        return
+      }
+      if (this._tool === 'straighten' && this._bitmap && this._pointerId === null) {
+        const rect = stack.getBoundingClientRect()
+        const p = { x: e.clientX - rect.left, y: e.clientY - rect.top }
+        this._pointerId = e.pointerId
+        base.setPointerCapture?.(e.pointerId)
+        this._levelDraft = { start: p, end: p }
+        e.preventDefault()
+        return
+      }
+      if (this._tool === 'crop' && this._bitmap && this._pointerId === null && !this._transforming) {
+        const rect = stack.getBoundingClientRect()
+        const sp = { x: e.clientX - rect.left, y: e.clientY - rect.top }
+        const handle = CropService.hitTest(sp, (p) => ViewportService.toScreen(p))
+        this._pointerId = e.pointerId
+        base.setPointerCapture?.(e.pointerId)
+        CropService.startDrag(handle, ViewportService.toImage(sp))
+        e.preventDefault()
+      }
     }
     this._onPointerMove = (e) => {
-      if (!this._panning || e.pointerId !== this._pointerId) return
-      const dx = e.clientX - this._lastX
-      const dy = e.clientY - this._lastY
-      this._lastX = e.clientX
-      this._lastY = e.clientY
-      if (dx || dy) {
-        ViewportService.panBy(dx, dy)
-        this._invalidate({ viewport: true })
+      this._trackHover(e, stack)
+      if (e.pointerId !== this._pointerId) return
+      if (this._panning) {
+        const dx = e.clientX - this._lastX
+        const dy = e.clientY - this._lastY
+        this._lastX = e.clientX
+        this._lastY = e.clientY
+        if (dx || dy) {
+          ViewportService.panBy(dx, dy)
+          this._invalidate({ viewport: true })
+        }
+        e.preventDefault()
+        return
+      }
+      if (this._painting) {
+        // Coalesced events keep fast strokes smooth on high-rate pens
+        const events = e.getCoalescedEvents?.() || []
+        for (const ce of (events.length ? events : [e])) {
+          BrushService.strokeTo(this._toImagePoint(ce, stack), ce.pressure, ce.pointerType)
+        }
+        this._invalidate({ image: true })
+        e.preventDefault()
+        return
+      }
+      if (this._selDraft) {
+        this._updateSelectionDraft(this._toImagePoint(e, stack))
+        this._invalidate({ overlay: true })
+        e.preventDefault()
+        return
+      }
+      if (this._sampling) {
+        ColorSamplerService.sample(this._toImagePoint(e, stack))
+        e.preventDefault()
+        return
+      }
+      if (AnnotationService.isDragging()) {
+        AnnotationService.dragTo(this._toImagePoint(e, stack), {
+          constrain: e.shiftKey,
+          minStep: 1.5 / ViewportService.scale,
+        })
+        e.preventDefault()
+        return
+      }
+      if (RedactionService.isDragging()) {
+        RedactionService.dragTo(this._toImagePoint(e, stack))
+        e.preventDefault()
+        return
+      }
+      if (CropService.isDragging()) {
+        CropService.dragTo(this._toImagePoint(e, stack))
+        e.preventDefault()
+        return
+      }
+      if (this._levelDraft) {
+        const rect = stack.getBoundingClientRect()
+        this._levelDraft.end = { x: e.clientX - rect.left, y: e.clientY - rect.top }
+        this._invalidate({ overlay: true })
+        e.preventDefault()
       }
-      e.preventDefault()
     }
     this._onPointerUp = (e) => {
       if (e.pointerId !== this._pointerId) return
-      this._panning = false
       this._pointerId = null
       base.releasePointerCapture?.(e.pointerId)
+      if (this._painting) {
+        this._painting = false
+        const layer = LayerService.getActive()
+        const rect = BrushService.getStrokeRect()
+        if (layer && rect) {
+          HistoryService.recordCanvasEdit('Brush stroke', layer.canvas, rect, () => {
+            const stroke = BrushService.endStroke()
+            if (!stroke) return null
+            // Selection snapshot lets export replay the same clipping at full resolution
+            const selection = SelectionService.hasSelection() ? SelectionService.getShapes() : null
+            return { type: 'brush', layerId: layer.id, stroke, selection }
+          })
+        } else {
+          BrushService.cancelStroke()
+        }
+        Telemetry.increment('brushStrokes', 1)
+        this._invalidate({ image: true })
+        e.preventDefault()
+        return
+      }
+      if (this._selDraft) {
+        const d = this._selDraft
+        this._selDraft = null
+        SelectionService.apply(d.kind === 'lasso'
+          ? { kind: 'lasso', mode: d.mode, points: d.points }
+          : { kind: d.kind, mode: d.mode, x: d.x, y: d.y, w: d.w, h: d.h })
+        this._invalidate({ overlay: true })
+        e.preventDefault()
+        return
+      }
+      if (this._sampling) {
+        // Dragging previews live; only the final sample goes to the recent colors
+        this._sampling = false
+        ColorSamplerService.commit()
+        this._invalidate({ overlay: true })
+        e.preventDefault()
+        return
+      }
+      if (CropService.isDragging()) {
+        CropService.endDrag()
+        e.preventDefault()
+        return
+      }
+      if (AnnotationService.isDragging()) {
+        // Clicks that barely move draw nothing
+        AnnotationService.endDrag(3 / ViewportService.scale)
+        e.preventDefault()
+        return
+      }
+      if (RedactionService.isDragging()) {
+        // Clicks that barely move cover nothing
+        RedactionService.endDrag(3 / ViewportService.scale)
+        e.preventDefault()
+        return
+      }
+      if (this._levelDraft) {
+        const { start, end } = this._levelDraft
+        this._levelDraft = null
+        // Rotate so the drawn line becomes level (or plumb, whichever is closer)
+        if (Math.hypot(end.x - start.x, end.y - start.y) >= 4) {
+          let a = (Math.atan2(end.y - start.y, end.x - start.x) * 180) / Math.PI
+          while (a > 45) a -= 90
+          while (a <= -45) a += 90
+          this._setStraightenAngle(Math.max(-45, Math.min(45, this._straightenAngle - a)))
+        }
+        this._invalidate({ overlay: true })
+        e.preventDefault()
+        return
+      }
+      this._panning = false
       // If space no longer held, exit hand
       if (!this._spaceDown) this._handActive = false
       this._updateHandCursor(false)
       e.preventDefault()
     }
-    base.addEventListener('pointerdown', this._onPointerDown)
-    window.addEventListener('pointermove', this._onPointerMove)
-    window.addEventListener('pointerup', this._onPointerUp)
+    this._onPointerLeave = () => {
+      this._hoverPos = null
+      if (this._tool || this._inspector) this._invalidate({ overlay: true })
+    }
+    // Double-click a text annotation to type into it
+    this._onDblClick = (e) => {
+      if (this._tool !== 'annotate' || !this._bitmap || this._handActive) return
+      const hit = AnnotationService.hitTest(this._toImagePoint(e, stack), ANNOTATION_HIT_PX / ViewportService.scale)
+      const object = hit && AnnotationService.getObjects().find(o => o.id === hit.id)
+      if (object && object.kind === 'text') {
+        this._startTextEdit(object.id)
+        e.preventDefault()
+      }
+    }
+    base.addEventListener('pointerdown', this._onPointerDown)
+    base.addEventListener('dblclick', this._onDblClick)
+    base.addEventListener('pointerleave', this._onPointerLeave)
+    window.addEventListener('pointermove', this._onPointerMove)
+    window.addEventListener('pointerup', this._onPointerUp)
+    window.addEventListener('pointercancel', this._onPointerUp)
+  }
+
+  _teardownInputHandling() {
+    window.removeEventListener('keydown', this._onKeyDown)
+    window.removeEventListener('keyup', this._onKeyUp)
+    window.removeEventListener('keydown', this._onDebugToggle)
+    window.removeEventListener('paste', this._onPaste)
+    const base = /** @type {HTMLCanvasElement|null} */ (this.renderRoot?.getElementById('baseCanvas'))
+    const stack = /** @type {HTMLElement|null} */ (this.renderRoot?.getElementById('canvasStack'))
+    if (base) {
+      base.removeEventListener('pointerdown', this._onPointerDown)
+      base.removeEventListener('dblclick', this._onDblClick)
+      base.removeEventListener('pointerleave', this._onPointerLeave)
+    }
+    if (stack) {
+      stack.removeEventListener('wheel', this._onWheel)
+      stack.removeEventListener('dragenter', this._onDragOver)
+      stack.removeEventListener('dragover', this._onDragOver)
+      stack.removeEventListener('dragleave', this._onDragLeave)
+      stack.removeEventListener('drop', this._onDrop)
+    }
+    window.removeEventListener('pointermove', this._onPointerMove)
+    window.removeEventListener('pointerup', this._onPointerUp)
+    window.removeEventListener('pointercancel', this._onPointerUp)
+    this._onKeyDown = null
+    this._onKeyUp = null
+    this._onPointerDown = null
+    this._onPointerMove = null
+    this._onPointerUp = null
+    this._onPointerLeave = null
+    this._onDblClick = null
+    this._onWheel = null
+    this._onPaste = null
+    this._onDragOver = null
+    this._onDragLeave = null
+    this._onDrop = null
+  }
+
+  /**
+   * Innermost event target; window listeners otherwise see the retargeted host.
+   * @param {Event} e
+   */
+  _eventTarget(e) {
+    const path = e.composedPath ? e.composedPath() : []
+    return path[0] || e.target
+  }
+
+  /**
+   * Pointer position converted to image coordinates of the working buffer.
+   * @param {PointerEvent} e
+   * @param {HTMLElement} stack
+   */
+  _toImagePoint(e, stack) {
+    const rect = stack.getBoundingClientRect()
+    return ViewportService.toImage({ x: e.clientX - rect.left, y: e.clientY - rect.top })
+  }
+
+  /**
+   * Selection combine mode from modifiers held at drag start (Photoshop-style).
+   * @param {PointerEvent} e
+   * @returns {'replace'|'add'|'subtract'|'intersect'}
+   */
+  _selectionMode(e) {
+    if (e.shiftKey && e.altKey) return 'intersect'
+    if (e.shiftKey) return 'add'
+    if (e.altKey) return 'subtract'
+    return 'replace'
+  }
+
+  _updateSelectionDraft(p) {
+    const d = this._selDraft
+    if (d.kind === 'lasso') {
+      // Skip points closer than ~2 screen px to keep the polygon light
+      const last = d.points[d.points.length - 1]
+      const minDist = 2 / ViewportService.scale
+      if (Math.hypot(p.x - last.x, p.y - last.y) >= minDist) d.points.push(p)
+      return
+    }
+    d.x = Math.min(d.start.x, p.x)
+    d.y = Math.min(d.start.y, p.y)
+    d.w = Math.abs(p.x - d.start.x)
+    d.h = Math.abs(p.y - d.start.y)
+  }
+
+  _trackHover(e, stack) {
+    if (!this._tool && !this._inspector) return
+    const rect = stack.getBoundingClientRect()
+    const x = e.clientX - rect.left
+    const y = e.clientY - rect.top
+    const inside = x >= 0 && y >= 0 && x <= rect.width && y <= rect.height
+    this._hoverPos = inside ? { x, y } : null
+    if (this._tool === 'crop' && !CropService.isDragging()) {
+      // Resize cursor for the handle under the pointer
+      const handle = inside && !this._handActive
+        ? CropService.hitTest(this._hoverPos, (p) => ViewportService.toScreen(p))
+        : null
+      stack.style.cursor = handle ? CROP_CURSORS[handle] : ''
+    }
+    if (this._tool === 'annotate' && !AnnotationService.isDragging()) {
+      const hit = inside && !this._handActive
+        ? AnnotationService.hitTest(ViewportService.toImage(this._hoverPos), ANNOTATION_HIT_PX / ViewportService.scale)
+        : null
+      stack.style.cursor = hit ? 'move' : ''
+    }
+    if (this._tool === 'redact' && !RedactionService.isDragging()) {
+      const hit = inside && !this._handActive
+        ? RedactionService.hitTest(ViewportService.toImage(this._hoverPos), REDACTION_HIT_PX / ViewportService.scale)
+        : null
+      stack.style.cursor = hit ? CROP_CURSORS[hit.handle] : ''
+    }
+    this._invalidate({ overlay: true })
+  }
+
+  /**
+   * Switch the active tool (null for none). Cancels any in-progress stroke or drag.
+   * @param {null|string} tool - one of TOOLS ids
+   */
+  _setTool(tool) {
+    // Editing tools would change the layer under a filter being applied
+    if (this._filtering) return
+    if (this._painting) {
+      BrushService.cancelStroke()
+      this._painting = false
+      this._pointerId = null
+    }
+    if (this._selDraft) {
+      this._selDraft = null
+      this._pointerId = null
+    }
+    if (CropService.isActive() && tool !== 'crop') {
+      if (CropService.isDragging()) this._pointerId = null
+      CropService.end()
+    }
+    if (this._levelDraft) {
+      this._levelDraft = null
+      this._pointerId = null
+    }
+    if (this._sampling) {
+      this._sampling = false
+      this._pointerId = null
+    }
+    if (tool !== 'annotate') {
+      this._endTextEdit()
+      if (AnnotationService.isDragging()) {
+        AnnotationService.cancelDrag()
+        this._pointerId = null
+      }
+      AnnotationService.select(null)
+    }
+    if (tool !== 'redact') {
+      if (RedactionService.isDragging()) {
+        RedactionService.cancelDrag()
+        this._pointerId = null
+      }
+      RedactionService.select(null)
+    }
+    if (tool !== 'straighten') this._straightenAngle = 0
+    if (tool !== 'filter') {
+      clearTimeout(this._filterPreviewTimer)
+      this._filterPreviewKey = ''
+      FilterService.clearPreview()
+    }
+    if (tool === 'crop' && this._tool !== 'crop' && this._bitmap) {
+      CropService.begin(this._bitmap.width, this._bitmap.height)
+    }
+    this._tool = tool
+    this._updateToolCursor()
+    this._invalidate({ image: true, overlay: true })
   }
 
-  _teardownInputHandling() {
-    window.removeEventListener('keydown', this._onKeyDown)
-    window.removeEventListener('keyup', this._onKeyUp)
-    window.removeEventListener('keydown', this._onDebugToggle)
-    const base = /** @type {HTMLCanvasElement|null} */ (this.renderRoot?.getElementById('baseCanvas'))
+  _updateToolCursor() {
     const stack = /** @type {HTMLElement|null} */ (this.renderRoot?.getElementById('canvasStack'))
-    if (base) {
-      base.removeEventListener('pointerdown', this._onPointerDown)
-    }
-    if (stack) {
-      stack.removeEventListener('wheel', this._onWheel)
-    }
-    window.removeEventListener('pointermove', this._onPointerMove)
-    window.removeEventListener('pointerup', this._onPointerUp)
-    this._onKeyDown = null
-    this._onKeyUp = null
-    this._onPointerDown = null
-    this._onPointerMove = null
-    this._onPointerUp = null
-    this._onWheel = null
+    if (!stack) return
+    stack.classList.toggle('brush', this._tool === 'brush')
+    stack.classList.toggle('select', SELECT_TOOLS.has(this._tool))
+    stack.classList.toggle('crop', this._tool === 'crop' || this._tool === 'straighten' || this._tool === 'eyedropper' || this._tool === 'annotate' || this._tool === 'redact')
+    if (this._tool !== 'crop') stack.style.cursor = ''
   }
 
+  /**
+   * Whether a key event target takes typing, so shortcuts stay out of the way:
+   * form fields and contenteditable elements such as the text annotation editor.
+   * @param {EventTarget|null} target
+   */
   _isTextInput(target) {
     if (!target) return false
     const el = /** @type {HTMLElement} */ (target)
@@ -407,6 +1840,8 @@ export class MyElement extends LitElement {
     if (!stack) return
     // Toggle classes for cursor styling
     if (this._handActive) {
+      // Drop any crop handle cursor so the hand cursor shows
+      stack.style.cursor = ''
       stack.classList.add('hand')
       if (grabbing || this._panning) {
         stack.classList.add('grabbing')
@@ -445,8 +1880,9 @@ export class MyElement extends LitElement {
     // If nothing is dirty, do nothing (idle)
     if (!needImage && !needViewport && !needOverlay) return
 
-    // Perform the actual draw
-    this._draw()
+    // Perform the actual draw (overlay-only frames skip recompositing layers)
+    this._draw(needImage || needViewport)
+    if (needViewport) this._reportViewChange()
 
     // Mark firstPaint once after first frame is drawn
     if (!this._didMarkFirstPaint) {
@@ -460,7 +1896,17 @@ export class MyElement extends LitElement {
     }
   }
 
-  _draw() {
+  // Lets the histogram's visible-area scope follow pan and zoom
+  _reportViewChange() {
+    const vp = ViewportService
+    const key = `${vp.scale},${vp.tx},${vp.ty},${vp.vw},${vp.vh}`
+    if (key === this._lastViewKey) return
+    this._lastViewKey = key
+    const panel = /** @type {import('./histogram-panel.js').HistogramPanel|null} */ (this.renderRoot?.querySelector('histogram-panel'))
+    panel?.viewChanged()
+  }
+
+  _draw(redrawBase = true) {
     const base = /** @type {HTMLCanvasElement|null} */ (this.renderRoot?.getElementById('baseCanvas'))
     const overlay = /** @type {HTMLCanvasElement|null} */ (this.renderRoot?.getElementById('overlayCanvas'))
     const stack = /** @type {HTMLElement|null} */ (this.renderRoot?.getElementById('canvasStack'))
@@ -481,6 +1927,8 @@ export class MyElement extends LitElement {
     const dpr = Math.max(1, window.devicePixelRatio || 1)
     const bw = Math.max(1, Math.round(vw * dpr))
     const bh = Math.max(1, Math.round(vh * dpr))
+    // Resizing a canvas clears it, so the base must be redrawn
+    if (base.width !== bw || base.height !== bh) redrawBase = true
     if (base.width !== bw) base.width = bw
     if (base.height !== bh) base.height = bh
     if (overlay.width !== bw) overlay.width = bw
@@ -490,51 +1938,337 @@ export class MyElement extends LitElement {
     const octx = overlay.getContext('2d')
     if (!bctx || !octx) return
 
-    // Clear both layers at device-pixel resolution
-    bctx.setTransform(1, 0, 0, 1, 0, 0)
-    bctx.clearRect(0, 0, base.width, base.height)
+    // Clear layers at device-pixel resolution
+    if (redrawBase || !this._bitmap) {
+      bctx.setTransform(1, 0, 0, 1, 0, 0)
+      bctx.clearRect(0, 0, base.width, base.height)
+    }
     octx.setTransform(1, 0, 0, 1, 0, 0)
     octx.clearRect(0, 0, overlay.width, overlay.height)
 
     if (!this._bitmap) {
       // Draw empty state overlay when no image is loaded
-      this._drawEmptyOverlay(octx, vw, vh, dpr)
+      if (this._dropActive) {
+        octx.setTransform(dpr, 0, 0, dpr, 0, 0)
+        this._drawDropZone(octx, vw, vh)
+      } else {
+        this._drawEmptyOverlay(octx, vw, vh, dpr)
+      }
+      if (this._download) this._drawDownloadProgress(octx, vw, vh)
       return
     }
 
     // Initialize/update viewport for this image (in CSS pixels)
+    const prevTransform = ViewportService.getTransform().join(',')
     ViewportService.setViewportSize(vw, vh)
     ViewportService.setContentSize(this._bitmap.width, this._bitmap.height)
     if (!this._vpInit) {
       ViewportService.fitContain()
+      // A reopened project resumes its saved zoom and pan
+      if (this._savedView) ViewportService.setView(this._savedView)
+      this._savedView = null
       this._vpInit = true
     } else {
       ViewportService.clampPan()
     }
+    if (ViewportService.getTransform().join(',') !== prevTransform && !redrawBase) {
+      bctx.setTransform(1, 0, 0, 1, 0, 0)
+      bctx.clearRect(0, 0, base.width, base.height)
+      redrawBase = true
+    }
+
+    if (redrawBase) {
+      // Apply combined DPR + viewport transform to base context
+      const [a, , , d, e, f] = ViewportService.getTransform()
+      bctx.setTransform(a * dpr, 0, 0, d * dpr, e * dpr, f * dpr)
+      bctx.imageSmoothingEnabled = false
+      if (this._tool === 'straighten' && this._straightenAngle) {
+        // Live straighten preview: rotate the composite about the image center
+        const cx = this._bitmap.width / 2
+        const cy = this._bitmap.height / 2
+        bctx.translate(cx, cy)
+        bctx.rotate((this._straightenAngle * Math.PI) / 180)
+        bctx.translate(-cx, -cy)
+        bctx.imageSmoothingEnabled = true
+      }
+
+      // Composite layers; the in-progress brush stroke previews right above the
+      // active layer, inheriting its opacity and blend mode (committed on stroke end)
+      const strokeCanvas = BrushService.getStrokeCanvas()
+      const activeId = strokeCanvas ? LayerService.getActive()?.id : null
+      const tiled = this._useTiles()
+      const filterPreview = this._tool === 'filter' ? FilterService.getPreview() : null
+      LayerService.composite(bctx, (ctx, layer) => {
+        if (layer.id !== activeId) return
+        ctx.globalAlpha *= BrushService.getStrokeOpacity()
+        ctx.drawImage(strokeCanvas, 0, 0)
+      }, filterPreview ? (ctx, layer) => {
+        if (layer.id !== filterPreview.layerId) return false
+        this._drawFilterPreview(ctx, layer, filterPreview)
+        return true
+      } : tiled ? (ctx, layer) => {
+        if (!layer.isBackground) return false
+        // Zoomed past the preview's resolution: draw real pixels from the original
+        const tl = ViewportService.toImage({ x: 0, y: 0 })
+        const br = ViewportService.toImage({ x: vw, y: vh })
+        const done = TileService.draw(ctx, {
+          source: ImageService.getOriginal(),
+          fallback: layer.canvas,
+          downscaleFactor: ImageService.getMetadata().downscaleFactor,
+          devicePxPerWorkingPx: ViewportService.scale * dpr,
+          visible: { x: tl.x, y: tl.y, w: br.x - tl.x, h: br.y - tl.y },
+          edited: this._backgroundEdits(),
+        })
+        if (!done) this._invalidate({ image: true })
+        return true
+      } : undefined)
+      this._tilesActive = tiled
+
+      // Adjustments preview on the on-screen pixels; layer buffers stay untouched
+      if (AdjustmentService.isActive()) this._drawAdjustments(bctx, dpr)
+      // Redactions cover the adjusted pixels, as on export
+      if (RedactionService.hasRegions()) this._drawRedactions(bctx)
+    }
 
-    // Apply combined DPR + viewport transform to base context
-    const [a, , , d, e, f] = ViewportService.getTransform()
-    bctx.setTransform(a * dpr, 0, 0, d * dpr, e * dpr, f * dpr)
-    bctx.imageSmoothingEnabled = false
-    bctx.drawImage(this._bitmap, 0, 0)
+    if (this._tool === 'filter') this._scheduleFilterPreview()
 
     // Reset transform for overlay; overlay will draw in CSS pixels scaled by DPR
     octx.setTransform(dpr, 0, 0, dpr, 0, 0)
 
-    // Overlay hints when image is present (no selection system yet): show brush hint
+    // Annotations above all layers (rasterized only on export or flatten)
+    if (AnnotationService.hasObjects()) this._drawAnnotations(octx)
+    if (this._textEditing) this._positionTextEditor()
+    if (this._tool === 'redact' && RedactionService.hasRegions()) this._drawRedactionFrames(octx)
+
+    // Pixel boundaries at high zoom (not while the straighten preview is rotated)
+    if (this._pixelGrid && !(this._tool === 'straighten' && this._straightenAngle)) {
+      this._drawPixelGrid(octx, vw, vh, dpr)
+    }
+
+    // Selection marching ants and in-progress selection drag
+    if (SelectionService.hasSelection()) this._drawSelection(octx)
+    if (this._selDraft) this._drawSelectionDraft(octx)
+
+    // Crop frame while the crop tool is active
+    if (this._tool === 'crop' && CropService.rect) this._drawCropOverlay(octx, vw, vh)
+    if (this._tool === 'straighten') this._drawStraightenOverlay(octx, vw, vh)
+
+    // Overlay hints when image is present: show tool hint
     this._drawOnImageHint(octx, vw, vh)
 
-    // If working image is downscaled, show a small badge to inform the user
-    if (this._downscaleInfo) {
+    // Brush footprint follows the pointer
+    if (this._tool === 'brush' && this._hoverPos && !this._handActive) {
+      this._drawBrushCursor(octx)
+    }
+    if (this._tool === 'eyedropper' && this._hoverPos && !this._handActive) {
+      this._drawSampleCursor(octx)
+    }
+
+    // If working image is downscaled and edits keep the view on the preview,
+    // show a small badge to inform the user
+    if (this._downscaleInfo && !this._tilesActive) {
       this._drawDownscaleBadge(octx, vw, vh)
     }
 
+    if (this._inspector && this._hoverPos && !this._handActive && !this._panning) {
+      this._drawPixelInspector(octx, vw, vh)
+    }
+
+    if (this._dropActive) this._drawDropZone(octx, vw, vh)
+    if (this._download) this._drawDownloadProgress(octx, vw, vh)
+
     // Debug overlay (toggleable)
     if (this._showDebugOverlay) {
       this._drawDebugOverlay(octx, vw, vh, dpr, base)
     }
   }
 
+  /**
+   * Annotations through the viewport transform (rotated with the straighten
+   * preview), plus the selected one's frame and handles while annotating.
+   * @param {CanvasRenderingContext2D} ctx - overlay in CSS px space
+   */
+  _drawAnnotations(ctx) {
+    ctx.save()
+    const [a, b, c, d, e, f] = ViewportService.getTransform()
+    ctx.transform(a, b, c, d, e, f)
+    if (this._tool === 'straighten' && this._straightenAngle) {
+      const cx = this._bitmap.width / 2
+      const cy = this._bitmap.height / 2
+      ctx.translate(cx, cy)
+      ctx.rotate((this._straightenAngle * Math.PI) / 180)
+      ctx.translate(-cx, -cy)
+    }
+    // The text being typed shows in the editor instead
+    const editing = AnnotationService.getEditing()
+    drawAnnotations(ctx, editing ? AnnotationService.getObjects().filter(o => o !== editing) : AnnotationService.getObjects())
+    const draft = AnnotationService.getDraft()
+    if (draft) drawAnnotation(ctx, draft)
+    ctx.restore()
+
+    const selected = this._tool === 'annotate' && !editing ? AnnotationService.getSelected() : null
+    if (!selected) return
+    const bounds = annotationBounds(selected)
+    const tl = ViewportService.toScreen({ x: bounds.x, y: bounds.y })
+    const br = ViewportService.toScreen({ x: bounds.x + bounds.w, y: bounds.y + bounds.h })
+    ctx.save()
+    ctx.lineWidth = 1
+    ctx.setLineDash([4, 3])
+    ctx.strokeStyle = 'rgba(255,255,255,0.9)'
+    ctx.strokeRect(Math.round(tl.x) - 3.5, Math.round(tl.y) - 3.5, Math.round(br.x - tl.x) + 7, Math.round(br.y - tl.y) + 7)
+    ctx.setLineDash([])
+    const size = 8
+    ctx.fillStyle = '#fff'
+    ctx.strokeStyle = 'rgba(0,0,0,0.7)'
+    for (const handle of AnnotationService.getHandles(selected)) {
+      const p = ViewportService.toScreen(handle)
+      const px = Math.round(p.x - size / 2) + 0.5
+      const py = Math.round(p.y - size / 2) + 0.5
+      ctx.fillRect(px, py, size, size)
+      ctx.strokeRect(px, py, size, size)
+    }
+    ctx.restore()
+  }
+
+  /**
+   * Apply the adjustment stack to the base canvas where the image is drawn
+   * (device px). The rotated straighten preview is adjusted as a whole.
+   */
+  _drawAdjustments(ctx, dpr) {
+    const { width, height } = ctx.canvas
+    let x0 = 0
+    let y0 = 0
+    let x1 = width
+    let y1 = height
+    if (!(this._tool === 'straighten' && this._straightenAngle)) {
+      const tl = ViewportService.toScreen({ x: 0, y: 0 })
+      const br = ViewportService.toScreen({ x: this._bitmap.width, y: this._bitmap.height })
+      x0 = Math.max(0, Math.floor(tl.x * dpr))
+      y0 = Math.max(0, Math.floor(tl.y * dpr))
+      x1 = Math.min(width, Math.ceil(br.x * dpr))
+      y1 = Math.min(height, Math.ceil(br.y * dpr))
+    }
+    if (x1 <= x0 || y1 <= y0) return
+    const pixels = ctx.getImageData(x0, y0, x1 - x0, y1 - y0)
+    AdjustmentService.applyTo(pixels)
+    ctx.putImageData(pixels, x0, y0)
+  }
+
+  /**
+   * Redact the base canvas where the regions are drawn (device px), as export
+   * will. Noise is seeded per region so the preview holds still; under the
+   * rotated straighten preview a region covers its whole device-px bounds.
+   * @param {CanvasRenderingContext2D} ctx - base, in image space
+   */
+  _drawRedactions(ctx) {
+    const m = ctx.getTransform()
+    const devicePxPerWorkingPx = Math.hypot(m.a, m.b)
+    const regions = RedactionService.getRegions()
+    const draft = RedactionService.getDraft()
+    if (draft) regions.push(draft)
+    ctx.save()
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    for (const region of regions) {
+      const { x, y, w, h } = region
+      const corners = [{ x, y }, { x: x + w, y }, { x, y: y + h }, { x: x + w, y: y + h }].map(p => m.transformPoint(p))
+      const xs = corners.map(p => p.x)
+      const ys = corners.map(p => p.y)
+      const x0 = Math.min(...xs)
+      const y0 = Math.min(...ys)
+      const bounds = { x: x0, y: y0, w: Math.max(...xs) - x0, h: Math.max(...ys) - y0 }
+      const rect = redactionRect(bounds, 1, ctx.canvas.width, ctx.canvas.height)
+      if (!rect) continue
+      const pixels = ctx.getImageData(rect.x, rect.y, rect.w, rect.h)
+      redactPixels(pixels, region, redactionBlock(region) * devicePxPerWorkingPx, seededRandom(region.id))
+      ctx.putImageData(pixels, rect.x, rect.y)
+    }
+    ctx.restore()
+  }
+
+  /**
+   * Outline every redaction while the redact tool is active (pixelated ones
+   * can look like the image), with edge and corner handles on the selected one.
+   * @param {CanvasRenderingContext2D} ctx - overlay in CSS px space
+   */
+  _drawRedactionFrames(ctx) {
+    const selected = RedactionService.getSelected()
+    const draft = RedactionService.getDraft()
+    const regions = RedactionService.getRegions()
+    if (draft) regions.push(draft)
+    ctx.save()
+    ctx.lineWidth = 1
+    for (const region of regions) {
+      const tl = ViewportService.toScreen({ x: region.x, y: region.y })
+      const br = ViewportService.toScreen({ x: region.x + region.w, y: region.y + region.h })
+      ctx.setLineDash(region === selected ? [] : [4, 3])
+      ctx.strokeStyle = 'rgba(0,0,0,0.7)'
+      ctx.strokeRect(Math.round(tl.x) - 0.5, Math.round(tl.y) - 0.5, Math.round(br.x - tl.x) + 1, Math.round(br.y - tl.y) + 1)
+      ctx.strokeStyle = 'rgba(255,255,255,0.9)'
+      ctx.strokeRect(Math.round(tl.x) - 1.5, Math.round(tl.y) - 1.5, Math.round(br.x - tl.x) + 3, Math.round(br.y - tl.y) + 3)
+    }
+    ctx.setLineDash([])
+    if (selected && !RedactionService.isDragging()) {
+      const tl = ViewportService.toScreen({ x: selected.x, y: selected.y })
+      const br = ViewportService.toScreen({ x: selected.x + selected.w, y: selected.y + selected.h })
+      const size = 8
+      ctx.fillStyle = '#fff'
+      ctx.strokeStyle = 'rgba(0,0,0,0.7)'
+      for (const hx of [tl.x, (tl.x + br.x) / 2, br.x]) {
+        for (const hy of [tl.y, (tl.y + br.y) / 2, br.y]) {
+          if (hx !== tl.x && hx !== br.x && hy !== tl.y && hy !== br.y) continue
+          const px = Math.round(hx - size / 2) + 0.5
+          const py = Math.round(hy - size / 2) + 0.5
+          ctx.fillRect(px, py, size, size)
+          ctx.strokeRect(px, py, size, size)
+        }
+      }
+    }
+    ctx.restore()
+  }
+
+  /**
+   * Draw a layer with the filter preview in place of the pixels it covers
+   * (the preview may be computed below working resolution).
+   */
+  _drawFilterPreview(ctx, layer, preview) {
+    const { x, y, w, h } = preview.rect
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(0, 0, layer.canvas.width, layer.canvas.height)
+    ctx.rect(x, y, w, h)
+    ctx.clip('evenodd')
+    ctx.drawImage(layer.canvas, 0, 0)
+    ctx.restore()
+    ctx.save()
+    ctx.imageSmoothingEnabled = preview.canvas.width < w
+    ctx.drawImage(preview.canvas, x, y, w, h)
+    ctx.restore()
+  }
+
+  /**
+   * Whether the background can be drawn from the original's tile pyramid: the
+   * working buffer is downscaled. Straighten and filter previews use the plain
+   * buffer.
+   */
+  _useTiles() {
+    const meta = ImageService.getMetadata()
+    if (!meta || !meta.isDownscaled || !ImageService.getOriginal()) return false
+    if (this._tool === 'straighten' && this._straightenAngle) return false
+    if (this._tool === 'filter' && FilterService.getPreview()) return false
+    return true
+  }
+
+  /**
+   * Working px rects of the background that applied edits changed; tiles from
+   * the unedited original show the preview there.
+   * @returns {{x:number,y:number,w:number,h:number}[]}
+   */
+  _backgroundEdits() {
+    const bgId = LayerService.getBackground()?.id
+    const all = { x: 0, y: 0, w: Infinity, h: Infinity }
+    return HistoryService.getOps().filter(op => (op.layerId || bgId) === bgId).map(op => op.rect || all)
+  }
+
   // Debug overlay: zoom, pan, DPR, canvas sizes
   _drawDebugOverlay(ctx, vw, vh, dpr, baseCanvas) {
     // Context for overlay is set to DPR scale by caller; reset to CSS px space
@@ -554,6 +2288,8 @@ export class MyElement extends LitElement {
       `DPR: ${dpr}`,
       `Viewport: ${cssSize}`,
       `Canvas: ${pxSize}`,
+      `History: ${this._history.undoCount} undo / ${this._history.redoCount} redo · ${(this._history.bytes / (1024 * 1024)).toFixed(1)} MB`,
+      this._tilesStatsLine(),
     ]
 
     const base = Math.max(10, Math.min(14, Math.round(Math.min(vw, vh) * 0.025)))
@@ -594,6 +2330,13 @@ export class MyElement extends LitElement {
     ctx.restore()
   }
 
+  _tilesStatsLine() {
+    if (!this._tilesActive) return 'Tiles: off'
+    const { level, tiles, bytes } = TileService.getStats()
+    const lvl = level < 0 ? 'preview' : `level ${level}`
+    return `Tiles: ${lvl} · ${tiles} cached · ${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  }
+
   // --- Overlay drawing helpers ---------------------------------------------
   /**
    * Draws the empty-state overlay message in CSS pixel space using DPR scale.
@@ -607,7 +2350,7 @@ export class MyElement extends LitElement {
     ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
 
     const title = 'Choose an image to get started'
-    const sub = 'Click “Upload image” or “Choose sample” to get started.'
+    const sub = 'Click “Upload image” or “Choose sample”, drop a file here, or paste an image.'
 
     // Choose font sizes relative to viewport but within sensible bounds
     const base = Math.max(12, Math.min(24, Math.round(Math.min(vw, vh) * 0.04)))
@@ -633,13 +2376,14 @@ export class MyElement extends LitElement {
   }
 
   /**
-   * Draws on-image hint when there is no active selection/tools yet.
+   * Draws on-image hint for the active tool (or how to pick one).
    * @param {CanvasRenderingContext2D} ctx
    * @param {number} vw
    * @param {number} vh
    */
   _drawOnImageHint(ctx, vw, vh) {
-    const hint = 'Press B for Brush — coming next'
+    const tool = TOOLS.find(t => t.id === this._tool)
+    const hint = tool ? tool.hint : 'Press B for Brush · M Marquee · L Lasso · C Crop · R Straighten'
     const base = Math.max(11, Math.min(18, Math.round(Math.min(vw, vh) * 0.03)))
 
     ctx.textAlign = 'center'
@@ -657,6 +2401,438 @@ export class MyElement extends LitElement {
     ctx.strokeRect(0.5, 0.5, vw - 1, vh - 1)
   }
 
+  /**
+   * Draws the brush footprint at the hover position (CSS px space).
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  _drawBrushCursor(ctx) {
+    const { x, y } = this._hoverPos
+    const r = Math.max(1, (BrushService.settings.size / 2) * ViewportService.scale)
+    ctx.save()
+    ctx.lineWidth = 1
+    // Two-tone ring stays visible on light and dark pixels
+    ctx.strokeStyle = 'rgba(0,0,0,0.7)'
+    ctx.beginPath()
+    ctx.arc(x, y, r + 0.5, 0, Math.PI * 2)
+    ctx.stroke()
+    ctx.strokeStyle = 'rgba(255,255,255,0.9)'
+    ctx.beginPath()
+    ctx.arc(x, y, Math.max(0.5, r - 0.5), 0, Math.PI * 2)
+    ctx.stroke()
+    ctx.restore()
+  }
+
+  /**
+   * Eyedropper footprint: the sampled square in image px, and while sampling a
+   * ring filled with the current color.
+   * @param {CanvasRenderingContext2D} ctx - overlay in CSS px space
+   */
+  _drawSampleCursor(ctx) {
+    const p = ViewportService.toImage(this._hoverPos)
+    const radius = ColorSamplerService.getRadius()
+    const tl = ViewportService.toScreen({ x: Math.floor(p.x) - radius, y: Math.floor(p.y) - radius })
+    const size = (radius * 2 + 1) * ViewportService.scale
+    ctx.save()
+    ctx.lineWidth = 1
+    // Only worth outlining once the square is bigger than a few screen px
+    if (size >= 4) {
+      ctx.strokeStyle = 'rgba(0,0,0,0.7)'
+      ctx.strokeRect(Math.round(tl.x) - 0.5, Math.round(tl.y) - 0.5, Math.round(size) + 1, Math.round(size) + 1)
+      ctx.strokeStyle = 'rgba(255,255,255,0.9)'
+      ctx.strokeRect(Math.round(tl.x) + 0.5, Math.round(tl.y) + 0.5, Math.round(size) - 1, Math.round(size) - 1)
+    }
+    const c = ColorSamplerService.current
+    if (this._sampling && c) {
+      const { x, y } = this._hoverPos
+      ctx.lineWidth = 8
+      ctx.strokeStyle = `rgba(${c.r},${c.g},${c.b},${c.a / 255})`
+      ctx.beginPath()
+      ctx.arc(x, y, 26, 0, Math.PI * 2)
+      ctx.stroke()
+      ctx.lineWidth = 1
+      ctx.strokeStyle = 'rgba(255,255,255,0.8)'
+      ctx.beginPath()
+      ctx.arc(x, y, 30.5, 0, Math.PI * 2)
+      ctx.stroke()
+    }
+    ctx.restore()
+  }
+
+  _togglePixelGrid() {
+    this._pixelGrid = !this._pixelGrid
+    this._invalidate({ overlay: true })
+  }
+
+  _toggleInspector() {
+    this._inspector = !this._inspector
+    this._invalidate({ overlay: true })
+  }
+
+  /**
+   * Image pixel boundaries once zoomed to PIXEL_GRID_MIN_SCALE or more: the
+   * original's pixels while tiles show them, otherwise the preview's.
+   * @param {CanvasRenderingContext2D} ctx - overlay in CSS px space
+   */
+  _drawPixelGrid(ctx, vw, vh, dpr) {
+    const { tx, ty } = ViewportService
+    const original = this._tilesActive ? ImageService.getOriginal() : null
+    // Working px per grid cell, then screen px per grid cell
+    const df = original ? ImageService.getMetadata().downscaleFactor : 1
+    const scale = ViewportService.scale * df
+    if (scale < PIXEL_GRID_MIN_SCALE) return
+    const cols = original ? original.width : this._bitmap.width
+    const rows = original ? original.height : this._bitmap.height
+    const tl = ViewportService.toImage({ x: 0, y: 0 })
+    const br = ViewportService.toImage({ x: vw, y: vh })
+    const x0 = Math.max(0, Math.ceil(tl.x / df))
+    const x1 = Math.min(cols, Math.floor(br.x / df))
+    const y0 = Math.max(0, Math.ceil(tl.y / df))
+    const y1 = Math.min(rows, Math.floor(br.y / df))
+    // Visible image extent in device px
+    const left = Math.max(0, tx) * dpr
+    const right = Math.min(vw, tx + cols * scale) * dpr
+    const top = Math.max(0, ty) * dpr
+    const bottom = Math.min(vh, ty + rows * scale) * dpr
+
+    ctx.save()
+    // Device px, so lines stay one hardware pixel wide at any DPR
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.beginPath()
+    for (let x = x0; x <= x1; x++) {
+      const sx = Math.round((tx + x * scale) * dpr) + 0.5
+      ctx.moveTo(sx, top)
+      ctx.lineTo(sx, bottom)
+    }
+    for (let y = y0; y <= y1; y++) {
+      const sy = Math.round((ty + y * scale) * dpr) + 0.5
+      ctx.moveTo(left, sy)
+      ctx.lineTo(right, sy)
+    }
+    // Fade in just past the threshold; mid grey reads on light and dark pixels
+    ctx.strokeStyle = `rgba(128,128,128,${Math.min(0.55, 0.2 + (scale - PIXEL_GRID_MIN_SCALE) / 48)})`
+    ctx.lineWidth = 1
+    ctx.stroke()
+    ctx.restore()
+  }
+
+  /**
+   * Readout next to the pointer: image coordinate and the composited RGBA/hex
+   * of the pixel under it. While tiles show the original, that is the
+   * original's pixel at its own coordinate; otherwise the preview's.
+   * @param {CanvasRenderingContext2D} ctx - overlay in CSS px space
+   */
+  _drawPixelInspector(ctx, vw, vh) {
+    const p = ViewportService.toImage(this._hoverPos)
+    const ix = Math.floor(p.x)
+    const iy = Math.floor(p.y)
+    if (ix < 0 || iy < 0 || ix >= this._bitmap.width || iy >= this._bitmap.height) return
+    const df = ImageService.getMetadata()?.downscaleFactor || 1
+    const original = this._tilesActive ? ImageService.getOriginal() : null
+    // Background edits are drawn from the preview even while tiled
+    const edited = original && this._backgroundEdits().some(r => p.x >= r.x && p.y >= r.y && p.x < r.x + r.w && p.y < r.y + r.h)
+    let lines
+    let pixel
+    if (original && !edited) {
+      const ox = Math.min(original.width - 1, Math.floor(p.x / df))
+      const oy = Math.min(original.height - 1, Math.floor(p.y / df))
+      // Layers above the background only exist at preview resolution
+      pixel = LayerService.readComposite(ix, iy, 1, 1, (rctx, layer) => {
+        if (!layer.isBackground) return false
+        rctx.setTransform(1, 0, 0, 1, 0, 0)
+        rctx.drawImage(original, ox, oy, 1, 1, 0, 0, 1, 1)
+        return true
+      })
+      lines = [`X ${ox}  Y ${oy}`]
+    } else {
+      pixel = LayerService.readComposite(ix, iy)
+      lines = [`X ${ix}  Y ${iy}`]
+      if (df < 1) {
+        // Coordinates and values of the downscaled preview
+        lines.unshift('Preview pixel')
+        lines.push(`Original ≈ ${Math.floor(ix / df)}, ${Math.floor(iy / df)}`)
+      }
+    }
+    AdjustmentService.applyTo(pixel)
+    const [r, g, b, a] = pixel.data
+    const hex = `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('').toUpperCase()}`
+    lines.push(`R ${r}  G ${g}  B ${b}  A ${a}`, hex)
+
+    ctx.save()
+    const base = 12
+    ctx.font = `500 ${base}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'top'
+    const padding = 6
+    const lh = Math.round(base * 1.4)
+    const swatch = lh * 2
+    const w = Math.ceil(Math.max(...lines.map(l => ctx.measureText(l).width))) + swatch + padding * 3
+    const h = lines.length * lh + padding * 2
+    // Keep the panel on screen: flip to the other side of the pointer near edges
+    let x = this._hoverPos.x + 16
+    let y = this._hoverPos.y + 16
+    if (x + w > vw - 4) x = this._hoverPos.x - 16 - w
+    if (y + h > vh - 4) y = this._hoverPos.y - 16 - h
+
+    ctx.fillStyle = 'rgba(0,0,0,0.75)'
+    ctx.fillRect(x, y, w, h)
+    ctx.fillStyle = `rgba(${r},${g},${b},${a / 255})`
+    ctx.fillRect(x + padding, y + padding, swatch, swatch)
+    ctx.strokeStyle = 'rgba(255,255,255,0.6)'
+    ctx.lineWidth = 1
+    ctx.strokeRect(x + padding + 0.5, y + padding + 0.5, swatch - 1, swatch - 1)
+    ctx.fillStyle = 'rgba(255,255,255,0.95)'
+    lines.forEach((line, i) => {
+      ctx.fillText(line, x + swatch + padding * 2, y + padding + i * lh + Math.round((lh - base) / 2))
+    })
+    ctx.restore()
+  }
+
+  /**
+   * Marching ants around the current selection; reschedules itself to animate.
+   * @param {CanvasRenderingContext2D} ctx - overlay in CSS px space
+   */
+  _drawSelection(ctx) {
+    const outline = SelectionService.getOutline()
+    const phase = (performance.now() / 60) % 8
+    ctx.save()
+    ctx.beginPath()
+    for (const poly of outline) {
+      if (poly.length < 2) continue
+      poly.forEach((p, i) => {
+        const s = ViewportService.toScreen(p)
+        // Half-pixel offset keeps 1px lines crisp
+        const x = Math.round(s.x) + 0.5
+        const y = Math.round(s.y) + 0.5
+        if (i === 0) ctx.moveTo(x, y)
+        else ctx.lineTo(x, y)
+      })
+      ctx.closePath()
+    }
+    ctx.lineWidth = 1
+    ctx.strokeStyle = '#fff'
+    ctx.stroke()
+    ctx.setLineDash([4, 4])
+    ctx.lineDashOffset = -phase
+    ctx.strokeStyle = '#000'
+    ctx.stroke()
+    ctx.restore()
+
+    if (!this._antsTimer) {
+      this._antsTimer = setTimeout(() => {
+        this._antsTimer = 0
+        if (SelectionService.hasSelection()) this._invalidate({ overlay: true })
+      }, 100)
+    }
+  }
+
+  /**
+   * Dashed preview of the selection shape being dragged.
+   * @param {CanvasRenderingContext2D} ctx - overlay in CSS px space
+   */
+  _drawSelectionDraft(ctx) {
+    const d = this._selDraft
+    const [a, , , , e, f] = ViewportService.getTransform()
+    ctx.save()
+    ctx.beginPath()
+    if (d.kind === 'lasso') {
+      d.points.forEach((p, i) => {
+        const s = ViewportService.toScreen(p)
+        if (i === 0) ctx.moveTo(s.x, s.y)
+        else ctx.lineTo(s.x, s.y)
+      })
+    } else if (d.kind === 'ellipse') {
+      const cx = (d.x + d.w / 2) * a + e
+      const cy = (d.y + d.h / 2) * a + f
+      ctx.ellipse(cx, cy, (d.w / 2) * a, (d.h / 2) * a, 0, 0, Math.PI * 2)
+    } else {
+      ctx.rect(d.x * a + e, d.y * a + f, d.w * a, d.h * a)
+    }
+    ctx.lineWidth = 1
+    ctx.strokeStyle = '#fff'
+    ctx.stroke()
+    ctx.setLineDash([4, 4])
+    ctx.strokeStyle = '#000'
+    ctx.stroke()
+    ctx.restore()
+  }
+
+  /**
+   * Crop frame: dimmed surroundings, rule-of-thirds guides and resize handles.
+   * @param {CanvasRenderingContext2D} ctx - overlay in CSS px space
+   * @param {number} vw
+   * @param {number} vh
+   */
+  _drawCropOverlay(ctx, vw, vh) {
+    const r = CropService.rect
+    const a = ViewportService.toScreen({ x: r.x, y: r.y })
+    const b = ViewportService.toScreen({ x: r.x + r.w, y: r.y + r.h })
+    const x = Math.round(a.x)
+    const y = Math.round(a.y)
+    const w = Math.max(1, Math.round(b.x) - x)
+    const h = Math.max(1, Math.round(b.y) - y)
+    ctx.save()
+
+    // Dim everything outside the crop rect
+    ctx.fillStyle = 'rgba(0,0,0,0.55)'
+    ctx.beginPath()
+    ctx.rect(0, 0, vw, vh)
+    ctx.rect(x, y, w, h)
+    ctx.fill('evenodd')
+
+    // Rule-of-thirds guides
+    ctx.lineWidth = 1
+    ctx.strokeStyle = 'rgba(255,255,255,0.45)'
+    ctx.beginPath()
+    for (let i = 1; i < 3; i++) {
+      const gx = Math.round(x + (w * i) / 3) + 0.5
+      const gy = Math.round(y + (h * i) / 3) + 0.5
+      ctx.moveTo(gx, y)
+      ctx.lineTo(gx, y + h)
+      ctx.moveTo(x, gy)
+      ctx.lineTo(x + w, gy)
+    }
+    ctx.stroke()
+
+    ctx.strokeStyle = '#fff'
+    ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1)
+
+    // Corner and edge handles
+    const size = 8
+    ctx.fillStyle = '#fff'
+    ctx.strokeStyle = 'rgba(0,0,0,0.7)'
+    const handles = [
+      [x, y], [x + w / 2, y], [x + w, y], [x + w, y + h / 2],
+      [x + w, y + h], [x + w / 2, y + h], [x, y + h], [x, y + h / 2],
+    ]
+    for (const [hx, hy] of handles) {
+      const px = Math.round(hx - size / 2) + 0.5
+      const py = Math.round(hy - size / 2) + 0.5
+      ctx.fillRect(px, py, size, size)
+      ctx.strokeRect(px, py, size, size)
+    }
+    ctx.restore()
+  }
+
+  /**
+   * Straighten guides: auto-crop frame for the pending angle, a level grid and
+   * the guide line being dragged.
+   * @param {CanvasRenderingContext2D} ctx - overlay in CSS px space
+   * @param {number} vw
+   * @param {number} vh
+   */
+  _drawStraightenOverlay(ctx, vw, vh) {
+    const bw = this._bitmap.width
+    const bh = this._bitmap.height
+    const size = straightenSize(bw, bh, this._straightenAngle)
+    const a = ViewportService.toScreen({ x: (bw - size.w) / 2, y: (bh - size.h) / 2 })
+    const b = ViewportService.toScreen({ x: (bw + size.w) / 2, y: (bh + size.h) / 2 })
+    const x = Math.round(a.x)
+    const y = Math.round(a.y)
+    const w = Math.max(1, Math.round(b.x) - x)
+    const h = Math.max(1, Math.round(b.y) - y)
+    ctx.save()
+
+    // Dim what the auto-crop will cut away
+    ctx.fillStyle = 'rgba(0,0,0,0.55)'
+    ctx.beginPath()
+    ctx.rect(0, 0, vw, vh)
+    ctx.rect(x, y, w, h)
+    ctx.fill('evenodd')
+
+    // Level grid inside the frame
+    const step = Math.max(24, Math.round(Math.min(w, h) / 8))
+    ctx.lineWidth = 1
+    ctx.strokeStyle = 'rgba(255,255,255,0.3)'
+    ctx.beginPath()
+    for (let gx = x + step; gx < x + w; gx += step) {
+      ctx.moveTo(Math.round(gx) + 0.5, y)
+      ctx.lineTo(Math.round(gx) + 0.5, y + h)
+    }
+    for (let gy = y + step; gy < y + h; gy += step) {
+      ctx.moveTo(x, Math.round(gy) + 0.5)
+      ctx.lineTo(x + w, Math.round(gy) + 0.5)
+    }
+    ctx.stroke()
+    ctx.strokeStyle = '#fff'
+    ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1)
+
+    const d = this._levelDraft
+    if (d) {
+      ctx.lineWidth = 2
+      ctx.strokeStyle = 'rgba(0,0,0,0.7)'
+      ctx.beginPath()
+      ctx.moveTo(d.start.x, d.start.y)
+      ctx.lineTo(d.end.x, d.end.y)
+      ctx.stroke()
+      ctx.lineWidth = 1
+      ctx.strokeStyle = '#ffd60a'
+      ctx.stroke()
+    }
+    ctx.restore()
+  }
+
+  /**
+   * Drop target highlight while files are dragged over the canvas.
+   * @param {CanvasRenderingContext2D} ctx - overlay in CSS px space
+   * @param {number} vw
+   * @param {number} vh
+   */
+  _drawDropZone(ctx, vw, vh) {
+    ctx.save()
+    ctx.fillStyle = 'rgba(100,108,255,0.18)'
+    ctx.fillRect(0, 0, vw, vh)
+    ctx.setLineDash([8, 6])
+    ctx.lineWidth = 2
+    ctx.strokeStyle = '#646cff'
+    ctx.strokeRect(6, 6, vw - 12, vh - 12)
+    const base = Math.max(12, Math.min(24, Math.round(Math.min(vw, vh) * 0.04)))
+    ctx.font = `600 ${base}px system-ui, -apple-system, Segoe UI, Roboto, sans-serif`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillStyle = 'rgba(255,255,255,0.95)'
+    this._drawTextWithShadow(ctx, this._loading ? 'Loading…' : 'Drop image to open', vw / 2, vh / 2)
+    ctx.restore()
+  }
+
+  /**
+   * Progress bar for an in-flight URL download; indeterminate without a
+   * Content-Length.
+   * @param {CanvasRenderingContext2D} ctx - overlay in CSS px space
+   * @param {number} vw
+   * @param {number} vh
+   */
+  _drawDownloadProgress(ctx, vw, vh) {
+    const { loaded, total } = this._download
+    const mb = (n) => (n / (1024 * 1024)).toFixed(1)
+    const text = total
+      ? `Downloading… ${Math.round((loaded / total) * 100)}% · ${mb(loaded)} of ${mb(total)} MB · Esc to cancel`
+      : `Downloading… ${mb(loaded)} MB · Esc to cancel`
+    const w = Math.min(360, vw - 40)
+    const h = 6
+    const x = Math.round((vw - w) / 2)
+    const y = Math.round(vh * 0.75)
+    ctx.save()
+    ctx.fillStyle = 'rgba(255,255,255,0.15)'
+    ctx.fillRect(x, y, w, h)
+    ctx.fillStyle = '#646cff'
+    if (total) {
+      ctx.fillRect(x, y, Math.round(w * Math.min(1, loaded / total)), h)
+    } else {
+      // Sliding segment keeps unknown-length downloads visibly alive
+      const seg = w * 0.25
+      const t = (performance.now() / 1200) % 1
+      ctx.fillRect(x + (w - seg) * t, y, seg, h)
+      this._invalidate({ overlay: true })
+    }
+    const base = Math.max(11, Math.min(14, Math.round(Math.min(vw, vh) * 0.025)))
+    ctx.font = `500 ${base}px system-ui, -apple-system, Segoe UI, Roboto, sans-serif`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'bottom'
+    ctx.fillStyle = 'rgba(255,255,255,0.9)'
+    this._drawTextWithShadow(ctx, text, vw / 2, y - 6)
+    ctx.restore()
+  }
+
   _drawTextWithShadow(ctx, text, x, y) {
     ctx.save()
     ctx.shadowColor = 'rgba(0,0,0,0.6)'
@@ -721,7 +2897,21 @@ export class MyElement extends LitElement {
         padding: 2em;
       }
 
+      .workspace {
+        display: flex;
+        gap: 1rem;
+        align-items: stretch;
+      }
+      .sidebar {
+        flex: 0 0 240px;
+        display: flex;
+        flex-direction: column;
+        gap: 0.75rem;
+      }
+
       .content {
+        flex: 1;
+        min-width: 0;
         min-height: 280px;
         border: 1px dashed #555;
         border-radius: 8px;
@@ -749,6 +2939,17 @@ export class MyElement extends LitElement {
       .canvas-stack .overlay {
         pointer-events: none; /* overlay shouldn't capture interactions yet */
       }
+      /* In-place text annotation editor; font, color and position follow the annotation */
+      .canvas-stack .text-editor {
+        position: absolute;
+        min-width: 0.5em;
+        white-space: pre;
+        outline: 1px dashed rgba(255,255,255,0.85);
+        outline-offset: 0;
+        cursor: text;
+        user-select: text;
+        text-align: left;
+      }
       /* Hand tool cursors */
       .canvas-stack.hand {
         cursor: grab;
@@ -756,6 +2957,31 @@ export class MyElement extends LitElement {
       .canvas-stack.hand.grabbing {
         cursor: grabbing;
       }
+      /* Brush tool: footprint is drawn on the overlay */
+      .canvas-stack.brush:not(.hand),
+      .canvas-stack.select:not(.hand),
+      .canvas-stack.crop:not(.hand) {
+        cursor: crosshair;
+      }
+
+      .toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        justify-content: center;
+        gap: 8px;
+        margin-bottom: 1rem;
+      }
+      .toolbar button.active {
+        border-color: #646cff;
+      }
+      .toolbar .group {
+        display: inline-flex;
+        gap: 2px;
+      }
+      .toolbar .group button {
+        padding: 0.6em 0.7em;
+      }
 
       /* Toasts */
       .toasts {
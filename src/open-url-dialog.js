@@ -0,0 +1,129 @@
+import { LitElement, css, html } from 'lit'
+
+/**
+ * <open-url-dialog>
+ * Modal form asking for an image URL to open.
+ * - Fires `open-url-confirm` with detail {url} (absolute http/https URL)
+ * - Fires `open-url-cancel` when dismissed (button, backdrop or Escape)
+ */
+export class OpenUrlDialog extends LitElement {
+  static properties = {
+    open: { type: Boolean },
+    _url: { state: true },
+    _invalid: { state: true },
+  }
+
+  constructor() {
+    super()
+    this.open = false
+    this._url = ''
+    this._invalid = false
+  }
+
+  willUpdate(changed) {
+    if (changed.has('open') && this.open) this._invalid = false
+  }
+
+  updated(changed) {
+    const dialog = /** @type {HTMLDialogElement|null} */ (this.renderRoot?.querySelector('dialog'))
+    if (!dialog) return
+    if (changed.has('open')) {
+      if (this.open && !dialog.open) {
+        dialog.showModal?.()
+        this.renderRoot.querySelector('input')?.select()
+      } else if (!this.open && dialog.open) {
+        dialog.close()
+      }
+    }
+  }
+
+  _onSubmit(e) {
+    e.preventDefault()
+    let url
+    try {
+      url = new URL(this._url.trim(), location.href)
+    } catch {
+      url = null
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+      this._invalid = true
+      return
+    }
+    this.dispatchEvent(new CustomEvent('open-url-confirm', {
+      detail: { url: url.href },
+      bubbles: true,
+      composed: true,
+    }))
+  }
+
+  _onCancel(e) {
+    // Native dialog 'cancel' (Escape) would close it behind our back
+    e?.preventDefault?.()
+    this.dispatchEvent(new CustomEvent('open-url-cancel', { bubbles: true, composed: true }))
+  }
+
+  _onBackdropClick(e) {
+    if (e.target === e.currentTarget) this._onCancel()
+  }
+
+  render() {
+    return html`
+      <dialog @cancel=${this._onCancel} @click=${this._onBackdropClick}>
+        <form @submit=${this._onSubmit}>
+          <h2>Open image from URL</h2>
+          <input
+            type="url"
+            placeholder="https://example.com/photo.jpg"
+            .value=${this._url}
+            @input=${(e) => { this._url = e.currentTarget.value; this._invalid = false }}
+          />
+          <div class="hint ${this._invalid ? 'error' : ''}">
+            ${this._invalid ? 'Enter a valid http(s) URL.' : 'The server must allow cross-origin (CORS) requests.'}
+          </div>
+          <div class="actions">
+            <button type="button" @click=${this._onCancel}>Cancel</button>
+            <button type="submit" class="primary" ?disabled=${!this._url.trim()}>Open</button>
+          </div>
+        </form>
+      </dialog>
+    `
+  }
+
+  static styles = css`
+    dialog {
+      padding: 0;
+      border: 1px solid rgba(255,255,255,0.1);
+      border-radius: 10px;
+      background: rgba(15, 15, 18, 0.97);
+      color: #fff;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+      font: 13px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    }
+    dialog::backdrop { background: rgba(0,0,0,0.45); }
+    form {
+      display: grid;
+      gap: 10px;
+      padding: 14px 16px;
+      min-width: min(420px, 90vw);
+      text-align: left;
+    }
+    h2 { margin: 0 0 4px; font-size: 15px; font-weight: 600; }
+    input { font: inherit; padding: 0.4em 0.5em; }
+    .hint { color: #888; font-size: 12px; }
+    .hint.error { color: #ff6b6b; }
+    .actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 6px; }
+    button {
+      border-radius: 6px;
+      border: 1px solid rgba(255,255,255,0.18);
+      padding: 0.4em 1em;
+      background: #1a1a1a;
+      color: #fff;
+      cursor: pointer;
+      font: inherit;
+    }
+    button.primary { border-color: #646cff; }
+    button:disabled { opacity: 0.6; cursor: default; }
+  `
+}
+
+customElements.define('open-url-dialog', OpenUrlDialog)
@@ -0,0 +1,98 @@
+import { LitElement, css, html } from 'lit'
+import { RedactionService } from './services/redaction-service.js'
+import { REDACTION_MODES } from './services/redactions.js'
+
+/**
+ * <redaction-options>
+ * Inline toolbar controls for the redact tool.
+ * - Mode (solid fill, pixelate, blur) and fill color bound to RedactionService;
+ *   changes apply to the selected region (one undo step each) and to new ones
+ * - Delete for the selected region
+ */
+export class RedactionOptions extends LitElement {
+  static properties = {
+    _mode: { state: true },
+    _color: { state: true },
+    _selected: { state: true },
+  }
+
+  constructor() {
+    super()
+    this._mode = RedactionService.mode
+    this._color = RedactionService.color
+    /** @type {import('./services/redactions.js').Redaction|null} */
+    this._selected = RedactionService.getSelected()
+    /** @type {null | (() => void)} */
+    this._unsub = null
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this._unsub = RedactionService.subscribe(({ mode, color, selected }) => {
+      this._mode = mode
+      this._color = color
+      this._selected = selected
+    })
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback()
+    if (this._unsub) {
+      try { this._unsub() } catch {}
+      this._unsub = null
+    }
+  }
+
+  render() {
+    return html`
+      <label title="How new and selected regions hide what they cover">
+        <span>Redact</span>
+        <select @change=${(e) => RedactionService.setMode(e.currentTarget.value)}>
+          ${REDACTION_MODES.map(([mode, label]) => html`
+            <option value=${mode} ?selected=${mode === this._mode}>${label}</option>
+          `)}
+        </select>
+      </label>
+      <label title="Fill color of solid regions">
+        <span>Color</span>
+        <input type="color" .value=${this._color} ?disabled=${this._mode !== 'solid'}
+          @input=${(e) => RedactionService.setColor(e.currentTarget.value)}
+          @change=${(e) => {
+            RedactionService.setColor(e.currentTarget.value)
+            RedactionService.commit('Change redaction')
+          }} />
+      </label>
+      <button title="Delete the selected region (Delete)" ?disabled=${!this._selected}
+        @click=${() => this._selected && RedactionService.remove(this._selected.id)}>Delete</button>
+      <span class="note">Burned into exported pixels; metadata is removed</span>
+    `
+  }
+
+  static styles = css`
+    :host {
+      display: inline-flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 12px;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    }
+    label {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+    }
+    select { font: inherit; }
+    input[type="color"] {
+      width: 28px;
+      height: 22px;
+      padding: 0;
+      border: 1px solid rgba(255,255,255,0.18);
+      border-radius: 4px;
+      background: transparent;
+    }
+    input:disabled { opacity: 0.5; }
+    .note { color: #bbb; }
+  `
+}
+
+customElements.define('redaction-options', RedactionOptions)
@@ -0,0 +1,199 @@
+/**
+ * AdjustmentService: non-destructive color adjustment stack
+ *
+ * Responsibilities:
+ * - Keep an ordered list of adjustments (applied first → last) over the
+ *   composited layers; layer pixels and the original are never changed
+ * - Add, remove, reorder, enable/disable and re-parameterize adjustments
+ * - Apply the stack to RGBA readbacks (live preview, sampling, histograms)
+ * - Record changes in HistoryService: structural edits immediately, parameter
+ *   drags once on commit() so a slider drag is one undo step
+ */
+
+import { HistoryService } from './history-service.js'
+import { ADJUSTMENT_TYPES, compileAdjustments, defaultParams, sanitizeParams } from './adjustments.js'
+
+const TYPE_LABELS = new Map(ADJUSTMENT_TYPES)
+
+class AdjustmentServiceImpl {
+  constructor() {
+    /** @type {import('./adjustments.js').Adjustment[]} */
+    this._stack = []
+    // Stack as of the last history entry; parameter edits are diffed against it
+    /** @type {import('./adjustments.js').Adjustment[]} */
+    this._committed = []
+    this._nextId = 1
+    // Compiled stack, rebuilt lazily after changes; null when it changes nothing
+    /** @type {((data: Uint8ClampedArray) => void)|null|undefined} */
+    this._program = undefined
+
+    /** @type {Set<Function>} */
+    this._listeners = new Set()
+  }
+
+  /** Drop all adjustments without recording history (e.g. when a new image is loaded). */
+  reset() {
+    this.restore([])
+  }
+
+  /**
+   * Replace the stack without recording history (e.g. when a project is opened).
+   * @param {import('./adjustments.js').Adjustment[]} stack
+   */
+  restore(stack) {
+    // Saved ids stay valid; new ones are numbered after them
+    this._nextId = Math.max(this._nextId, ...stack.map(a => idNumber(a.id) + 1))
+    this._set(stack)
+    this._committed = this._stack
+  }
+
+  // --- Queries ----------------------------------------------------------------
+
+  /** @returns {import('./adjustments.js').Adjustment[]} first applied first */
+  getStack() {
+    return this._stack.map(cloneAdjustment)
+  }
+
+  /** Whether the stack currently changes any pixel */
+  isActive() {
+    return !!this._getProgram()
+  }
+
+  /** @param {string} type */
+  getLabel(type) {
+    return TYPE_LABELS.get(type) || type
+  }
+
+  // --- Mutations --------------------------------------------------------------
+
+  /**
+   * Append an adjustment with neutral params.
+   * @param {string} type - one of ADJUSTMENT_TYPES
+   * @returns {string|null} id of the new adjustment
+   */
+  add(type) {
+    if (!TYPE_LABELS.has(type)) return null
+    const adjustment = { id: `adj-${this._nextId++}`, type, enabled: true, params: defaultParams(type) }
+    this._set([...this._stack, adjustment])
+    this.commit(`Add ${this.getLabel(type).toLowerCase()}`)
+    return adjustment.id
+  }
+
+  /** @param {string} id */
+  remove(id) {
+    const adjustment = this._find(id)
+    if (!adjustment) return
+    this._set(this._stack.filter(a => a !== adjustment))
+    this.commit(`Remove ${this.getLabel(adjustment.type).toLowerCase()}`)
+  }
+
+  /**
+   * Move an adjustment later (+1) or earlier (-1) in the stack.
+   * @param {string} id
+   * @param {number} delta
+   */
+  move(id, delta) {
+    const adjustment = this._find(id)
+    if (!adjustment || !delta) return
+    const from = this._stack.indexOf(adjustment)
+    const to = Math.max(0, Math.min(this._stack.length - 1, from + delta))
+    if (to === from) return
+    const rest = this._stack.filter(a => a !== adjustment)
+    rest.splice(to, 0, adjustment)
+    this._set(rest)
+    this.commit('Reorder adjustments')
+  }
+
+  /**
+   * @param {string} id
+   * @param {boolean} enabled
+   */
+  setEnabled(id, enabled) {
+    const adjustment = this._find(id)
+    if (!adjustment || adjustment.enabled === !!enabled) return
+    this._replace(id, { ...adjustment, enabled: !!enabled })
+    this.commit(`${enabled ? 'Show' : 'Hide'} ${this.getLabel(adjustment.type).toLowerCase()}`)
+  }
+
+  /**
+   * Change params live (merged into the current ones and clamped). Not recorded
+   * until commit().
+   * @param {string} id
+   * @param {Object} params
+   */
+  update(id, params) {
+    const adjustment = this._find(id)
+    if (!adjustment) return
+    this._replace(id, { ...adjustment, params: sanitizeParams(adjustment.type, { ...adjustment.params, ...params }) })
+  }
+
+  /**
+   * Record the changes since the last commit as one undo step (no-op when
+   * nothing changed).
+   * @param {string} [label]
+   */
+  commit(label = 'Adjust colors') {
+    HistoryService.recordStateChange(label, this._committed, this._stack, (stack) => {
+      this._set(stack)
+      this._committed = stack
+    })
+    this._committed = this._stack
+  }
+
+  /**
+   * Apply the stack to RGBA pixels in place.
+   * @param {ImageData} imageData
+   * @returns {boolean} false when the stack changes nothing (pixels untouched)
+   */
+  applyTo(imageData) {
+    const program = this._getProgram()
+    if (!program) return false
+    program(imageData.data)
+    return true
+  }
+
+  /** Subscribe to changes (listener: (stack)=>void). Returns unsubscribe. */
+  subscribe(listener) {
+    this._listeners.add(listener)
+    return () => this._listeners.delete(listener)
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  _find(id) {
+    return this._stack.find(a => a.id === id) || null
+  }
+
+  _replace(id, adjustment) {
+    this._set(this._stack.map(a => a.id === id ? adjustment : a))
+  }
+
+  _set(stack) {
+    this._stack = stack
+    this._program = undefined
+    this._notify()
+  }
+
+  _getProgram() {
+    if (this._program === undefined) this._program = compileAdjustments(this._stack)
+    return this._program
+  }
+
+  _notify() {
+    if (!this._listeners.size) return
+    const stack = this.getStack()
+    this._listeners.forEach((fn) => {
+      try { fn(stack) } catch {}
+    })
+  }
+}
+
+function idNumber(id) {
+  return Number(String(id).split('-').pop()) || 0
+}
+
+function cloneAdjustment(adjustment) {
+  return { ...adjustment, params: JSON.parse(JSON.stringify(adjustment.params)) }
+}
+
+export const AdjustmentService = new AdjustmentServiceImpl()
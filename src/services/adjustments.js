@@ -0,0 +1,298 @@
+/**
+ * Color adjustment math shared by AdjustmentService (live preview, readback)
+ * and ImageService (export). Pure functions over RGBA bytes, no DOM.
+ *
+ * Per-channel adjustments (brightness/contrast, exposure, white balance,
+ * curves) are folded into one lookup table per channel; saturation/vibrance
+ * mixes channels, so it runs per pixel between tables.
+ */
+
+/**
+ * @typedef {Object} Adjustment
+ * @property {string} id
+ * @property {string} type - one of ADJUSTMENT_TYPES
+ * @property {boolean} enabled
+ * @property {Object} params - numeric params (see ADJUSTMENT_PARAMS); curves: {points}
+ */
+
+/**
+ * @typedef {Object} CurvePoints - control points [x, y] in 0..255, sorted by x
+ * @property {number[][]} rgb - applied to all channels after the channel curves
+ * @property {number[][]} r
+ * @property {number[][]} g
+ * @property {number[][]} b
+ */
+
+/** Adjustment types offered in the UI: [type, label] */
+export const ADJUSTMENT_TYPES = [
+  ['brightnessContrast', 'Brightness / contrast'],
+  ['exposure', 'Exposure'],
+  ['whiteBalance', 'White balance'],
+  ['saturation', 'Saturation / vibrance'],
+  ['curves', 'Curves'],
+]
+
+/** Numeric params per type: [name, label, min, max, step]; all default to 0 */
+export const ADJUSTMENT_PARAMS = {
+  brightnessContrast: [
+    ['brightness', 'Brightness', -100, 100, 1],
+    ['contrast', 'Contrast', -100, 100, 1],
+  ],
+  exposure: [['exposure', 'Exposure (EV)', -4, 4, 0.05]],
+  whiteBalance: [
+    ['temperature', 'Temperature', -100, 100, 1],
+    ['tint', 'Tint', -100, 100, 1],
+  ],
+  saturation: [
+    ['saturation', 'Saturation', -100, 100, 1],
+    ['vibrance', 'Vibrance', -100, 100, 1],
+  ],
+  curves: [],
+}
+
+export const CURVE_CHANNELS = ['rgb', 'r', 'g', 'b']
+
+/**
+ * Neutral params for a type.
+ * @param {string} type
+ * @returns {Object}
+ */
+export function defaultParams(type) {
+  if (type === 'curves') {
+    const points = {}
+    for (const channel of CURVE_CHANNELS) points[channel] = [[0, 0], [255, 255]]
+    return { points }
+  }
+  const params = {}
+  for (const [name] of ADJUSTMENT_PARAMS[type] || []) params[name] = 0
+  return params
+}
+
+/**
+ * Clamp params to their ranges; unknown or invalid values fall back to the defaults.
+ * Curve points are rounded, sorted, de-duplicated by x and always span 0..255.
+ * @param {string} type
+ * @param {Object} params
+ * @returns {Object}
+ */
+export function sanitizeParams(type, params = {}) {
+  const out = defaultParams(type)
+  if (type === 'curves') {
+    for (const channel of CURVE_CHANNELS) {
+      const points = params.points && params.points[channel]
+      if (Array.isArray(points)) out.points[channel] = sanitizeCurve(points)
+    }
+    return out
+  }
+  for (const [name, , min, max] of ADJUSTMENT_PARAMS[type] || []) {
+    const v = Number(params[name])
+    if (Number.isFinite(v)) out[name] = Math.max(min, Math.min(max, v))
+  }
+  return out
+}
+
+/**
+ * Whether an adjustment leaves pixels unchanged (disabled or neutral params).
+ * @param {Adjustment} adjustment
+ */
+export function isIdentity(adjustment) {
+  if (!adjustment.enabled) return true
+  const { type, params } = adjustment
+  if (type === 'curves') {
+    return CURVE_CHANNELS.every(channel => params.points[channel].every(([x, y]) => x === y))
+  }
+  return (ADJUSTMENT_PARAMS[type] || []).every(([name]) => !params[name])
+}
+
+/**
+ * Compile a stack (applied in order) into a function that adjusts RGBA bytes
+ * in place. Returns null when the stack changes nothing.
+ * @param {Adjustment[]} stack
+ * @returns {((data: Uint8ClampedArray) => void)|null}
+ */
+export function compileAdjustments(stack) {
+  const active = stack.filter(a => !isIdentity(a))
+  if (!active.length) return null
+
+  /** @type {Array<{luts:Uint8ClampedArray[]}|{saturation:number,vibrance:number}>} */
+  const steps = []
+  // Tables accumulate at float precision until a per-pixel step flushes them
+  let tables = null
+  const flush = () => {
+    if (tables) steps.push({ luts: tables.map(t => Uint8ClampedArray.from(t)) })
+    tables = null
+  }
+
+  for (const { type, params } of active) {
+    if (type === 'saturation') {
+      flush()
+      steps.push({ saturation: params.saturation / 100, vibrance: params.vibrance / 100 })
+      continue
+    }
+    const fns = channelFunctions(type, params)
+    if (!tables) tables = [0, 1, 2].map(() => Float32Array.from({ length: 256 }, (_, v) => v))
+    tables.forEach((table, c) => {
+      for (let v = 0; v < 256; v++) table[v] = clamp255(fns[c](table[v]))
+    })
+  }
+  flush()
+
+  return (data) => {
+    for (const step of steps) {
+      if ('luts' in step) applyLuts(data, step.luts)
+      else applySaturation(data, step.saturation, step.vibrance)
+    }
+  }
+}
+
+/**
+ * Tone curve through control points (monotone cubic, so it never overshoots
+ * between points) sampled at 0..255.
+ * @param {number[][]} points - [x, y] pairs sorted by x
+ * @returns {Float32Array}
+ */
+export function curveTable(points) {
+  const n = points.length
+  const xs = points.map(p => p[0])
+  const ys = points.map(p => p[1])
+  const table = new Float32Array(256)
+  if (n < 2) return table.fill(n ? ys[0] : 0)
+
+  // Fritsch–Carlson tangents
+  const d = []
+  for (let i = 0; i < n - 1; i++) d.push((ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]))
+  const m = [d[0]]
+  for (let i = 1; i < n - 1; i++) m.push(d[i - 1] * d[i] <= 0 ? 0 : (d[i - 1] + d[i]) / 2)
+  m.push(d[n - 2])
+  for (let i = 0; i < n - 1; i++) {
+    if (!d[i]) {
+      m[i] = 0
+      m[i + 1] = 0
+      continue
+    }
+    const a = m[i] / d[i]
+    const b = m[i + 1] / d[i]
+    const s = a * a + b * b
+    if (s > 9) {
+      const t = 3 / Math.sqrt(s)
+      m[i] = t * a * d[i]
+      m[i + 1] = t * b * d[i]
+    }
+  }
+
+  let k = 0
+  for (let v = 0; v < 256; v++) {
+    if (v <= xs[0]) {
+      table[v] = ys[0]
+      continue
+    }
+    if (v >= xs[n - 1]) {
+      table[v] = ys[n - 1]
+      continue
+    }
+    while (v > xs[k + 1]) k++
+    const h = xs[k + 1] - xs[k]
+    const t = (v - xs[k]) / h
+    const t2 = t * t
+    const t3 = t2 * t
+    table[v] = clamp255(
+      (2 * t3 - 3 * t2 + 1) * ys[k] + (t3 - 2 * t2 + t) * h * m[k] +
+      (-2 * t3 + 3 * t2) * ys[k + 1] + (t3 - t2) * h * m[k + 1]
+    )
+  }
+  return table
+}
+
+// Internal -----------------------------------------------------------------
+
+function sanitizeCurve(points) {
+  const byX = new Map()
+  for (const p of points) {
+    if (!Array.isArray(p) || !Number.isFinite(p[0]) || !Number.isFinite(p[1])) continue
+    const x = Math.round(clamp255(p[0]))
+    byX.set(x, Math.round(clamp255(p[1])))
+  }
+  if (!byX.has(0)) byX.set(0, 0)
+  if (!byX.has(255)) byX.set(255, 255)
+  return [...byX].sort((a, b) => a[0] - b[0])
+}
+
+/** @returns {Array<(v:number) => number>} one function per channel (R, G, B) */
+function channelFunctions(type, params) {
+  switch (type) {
+    case 'brightnessContrast': {
+      // Brightness shifts by up to half the range; contrast pivots around mid-grey
+      const offset = params.brightness * 1.28
+      const c = params.contrast * 2.55
+      const factor = (259 * (c + 255)) / (255 * (259 - c))
+      const fn = v => factor * (v + offset - 128) + 128
+      return [fn, fn, fn]
+    }
+    case 'exposure': {
+      const gain = Math.pow(2, params.exposure)
+      const fn = v => fromLinear(toLinear(v) * gain)
+      return [fn, fn, fn]
+    }
+    case 'whiteBalance': {
+      // Channel gains in linear light: temperature trades blue for red,
+      // positive tint trades green for magenta
+      const t = params.temperature / 100
+      const k = params.tint / 100
+      return [1 + 0.2 * t, 1 - 0.2 * k, 1 - 0.2 * t].map(gain => v => fromLinear(toLinear(v) * gain))
+    }
+    case 'curves': {
+      const master = curveTable(params.points.rgb)
+      return ['r', 'g', 'b'].map((channel) => {
+        const table = curveTable(params.points[channel])
+        return v => lookup(master, lookup(table, v))
+      })
+    }
+    default:
+      return [v => v, v => v, v => v]
+  }
+}
+
+function applyLuts(data, [lr, lg, lb]) {
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = lr[data[i]]
+    data[i + 1] = lg[data[i + 1]]
+    data[i + 2] = lb[data[i + 2]]
+  }
+}
+
+// Scale each pixel's distance from its luminance; vibrance boosts muted
+// colors more than already saturated ones
+function applySaturation(data, saturation, vibrance) {
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i]
+    const g = data[i + 1]
+    const b = data[i + 2]
+    const l = 0.2126 * r + 0.7152 * g + 0.0722 * b
+    const chroma = (Math.max(r, g, b) - Math.min(r, g, b)) / 255
+    const f = (1 + saturation) * (1 + vibrance * (1 - chroma))
+    data[i] = l + (r - l) * f
+    data[i + 1] = l + (g - l) * f
+    data[i + 2] = l + (b - l) * f
+  }
+}
+
+// Linear interpolation into a 256-entry table at a fractional index
+function lookup(table, v) {
+  const i = Math.min(254, Math.floor(v))
+  const t = v - i
+  return table[i] + (table[i + 1] - table[i]) * t
+}
+
+function toLinear(v) {
+  const s = v / 255
+  return s <= 0.04045 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4)
+}
+
+function fromLinear(l) {
+  const s = l <= 0.0031308 ? l * 12.92 : 1.055 * Math.pow(l, 1 / 2.4) - 0.055
+  return s * 255
+}
+
+function clamp255(v) {
+  return v < 0 ? 0 : v > 255 ? 255 : v
+}
@@ -0,0 +1,470 @@
+/**
+ * AnnotationService: editable vector markup over the document
+ *
+ * Responsibilities:
+ * - Keep rectangles, ellipses, lines, arrows, pen paths and text boxes in
+ *   working-buffer coordinates, drawn above all layers; layer pixels are not
+ *   changed (ImageService rasterizes them on export) until flattened
+ * - Track the drawing mode, the style for new objects and the selected object
+ * - Draw new objects and move, reshape, restyle or delete existing ones
+ * - Track the text box being typed into (new or existing)
+ * - Hit test objects and the selected object's handles
+ * - Flatten all objects into a layer's pixels
+ * - Record each finished change in HistoryService as one undo step
+ */
+
+import { HistoryService } from './history-service.js'
+import {
+  ANNOTATION_KINDS,
+  DEFAULT_ANNOTATION_STYLE,
+  annotationBounds,
+  constrainPoint,
+  drawAnnotations,
+  hitTestAnnotation,
+  isAnnotationKind,
+  moveAnnotation,
+  sanitizeStyle,
+} from './annotations.js'
+
+const KIND_LABELS = new Map(ANNOTATION_KINDS)
+
+class AnnotationServiceImpl {
+  constructor() {
+    /** @type {import('./annotations.js').Annotation[]} bottom first */
+    this._objects = []
+    // Objects as of the last history entry; edits are diffed against it
+    /** @type {import('./annotations.js').Annotation[]} */
+    this._committed = []
+    this._nextId = 1
+    /** @type {string|null} */
+    this._selectedId = null
+    /** 'select' (pick and edit only) or the kind that a drag on empty canvas draws */
+    this.mode = 'rect'
+    /** Style for new objects; follows the selected object */
+    this.style = { ...DEFAULT_ANNOTATION_STYLE }
+    /** @type {import('./annotations.js').Annotation|null} object being drawn */
+    this._draft = null
+    /** @type {{id:string,handle:number|null,start:{x:number,y:number},origin:import('./annotations.js').Annotation}|null} */
+    this._drag = null
+    // Text box being typed into: an existing object (id) or a new one (draft)
+    /** @type {{id:string|null,draft:import('./annotations.js').Annotation|null}|null} */
+    this._editing = null
+
+    /** @type {Set<Function>} */
+    this._listeners = new Set()
+  }
+
+  /** Drop all annotations without recording history (e.g. when a new image is loaded). */
+  reset() {
+    this.restore([])
+  }
+
+  /**
+   * Replace all annotations without recording history (restoring state around
+   * a geometry change, opening a project).
+   * @param {import('./annotations.js').Annotation[]} objects
+   */
+  restore(objects) {
+    // Saved ids stay valid; new ones are numbered after them
+    this._nextId = Math.max(this._nextId, ...objects.map(o => idNumber(o.id) + 1))
+    this._draft = null
+    this._drag = null
+    this._editing = null
+    this._objects = objects
+    this._committed = objects
+    if (!this._find(this._selectedId)) this._selectedId = null
+    this._notify()
+  }
+
+  // --- Queries ----------------------------------------------------------------
+
+  /** @returns {import('./annotations.js').Annotation[]} bottom first; objects are never mutated */
+  getObjects() {
+    return this._objects.slice()
+  }
+
+  hasObjects() {
+    return this._objects.length > 0 || !!this._draft
+  }
+
+  /** @returns {import('./annotations.js').Annotation|null} */
+  getSelected() {
+    return this._find(this._selectedId)
+  }
+
+  /** @returns {import('./annotations.js').Annotation|null} object being drawn */
+  getDraft() {
+    return this._draft
+  }
+
+  /** Whether a draw or edit drag is in progress */
+  isDragging() {
+    return !!(this._draft || this._drag)
+  }
+
+  /** Whether a text box is being typed into */
+  isEditingText() {
+    return !!this._editing
+  }
+
+  /** @returns {import('./annotations.js').Annotation|null} text object being typed into */
+  getEditing() {
+    const editing = this._editing
+    if (!editing) return null
+    return editing.draft || this._find(editing.id)
+  }
+
+  /** @param {string} kind */
+  getLabel(kind) {
+    return KIND_LABELS.get(kind) || kind
+  }
+
+  /**
+   * Editable points of an object (ends and corners); pen paths only move.
+   * @param {import('./annotations.js').Annotation} object
+   * @returns {{x:number,y:number}[]}
+   */
+  getHandles(object) {
+    return object.kind === 'pen' || object.kind === 'text' ? [] : object.points
+  }
+
+  /**
+   * Topmost object under p; the selected object's handles take precedence.
+   * @param {{x:number,y:number}} p - working px
+   * @param {number} tolerance - working px
+   * @returns {{id:string,handle:number|null}|null} handle: index into points
+   */
+  hitTest(p, tolerance) {
+    const selected = this.getSelected()
+    if (selected) {
+      const handle = this.getHandles(selected).findIndex(h => Math.hypot(h.x - p.x, h.y - p.y) <= tolerance)
+      if (handle >= 0) return { id: selected.id, handle }
+    }
+    for (let i = this._objects.length - 1; i >= 0; i--) {
+      const object = this._objects[i]
+      if (hitTestAnnotation(object, p, tolerance)) return { id: object.id, handle: null }
+    }
+    return null
+  }
+
+  // --- Settings ---------------------------------------------------------------
+
+  /** @param {string} mode - 'select' or an annotation kind */
+  setMode(mode) {
+    if (mode !== 'select' && !isAnnotationKind(mode)) return
+    this.mode = mode
+    this._notify()
+  }
+
+  /**
+   * Change the style for new objects and, live, of the selected object. The
+   * selected object's change is recorded on commit().
+   * @param {Partial<import('./annotations.js').AnnotationStyle>} style
+   */
+  setStyle(style) {
+    this.style = sanitizeStyle({ ...this.style, ...style })
+    const draft = this._editing && this._editing.draft
+    if (draft) draft.style = { ...this.style }
+    const selected = this.getSelected()
+    if (selected) this._replace({ ...selected, style: { ...this.style } })
+    else this._notify()
+  }
+
+  /** @param {string|null} id */
+  select(id) {
+    const object = this._find(id)
+    if ((object ? object.id : null) === this._selectedId) return
+    this._selectedId = object ? object.id : null
+    if (object) this.style = { ...object.style }
+    this._notify()
+  }
+
+  // --- Editing ----------------------------------------------------------------
+
+  /**
+   * Start drawing an object of the current mode's kind at p (text: see beginText).
+   * @param {{x:number,y:number}} p - working px
+   */
+  begin(p) {
+    if (!isAnnotationKind(this.mode) || this.mode === 'text') return
+    this._draft = {
+      id: '',
+      kind: this.mode,
+      points: this.mode === 'pen' ? [p] : [p, p],
+      style: { ...this.style },
+    }
+    this._notify()
+  }
+
+  /**
+   * Start moving an object (handle null) or dragging one of its handles; selects it.
+   * @param {string} id
+   * @param {number|null} handle - index into the object's points
+   * @param {{x:number,y:number}} p - working px
+   */
+  startDrag(id, handle, p) {
+    const object = this._find(id)
+    if (!object) return
+    this.select(id)
+    this._drag = { id, handle, start: p, origin: object }
+  }
+
+  /**
+   * Continue the drawing or editing drag.
+   * @param {{x:number,y:number}} p - working px
+   * @param {{constrain?:boolean, minStep?:number}} [options]
+   *   constrain: squares, circles and 45° lines (Shift);
+   *   minStep: closest spacing of pen points in working px
+   */
+  dragTo(p, options = {}) {
+    const { constrain = false, minStep = 0 } = options
+    // The draft is not shared with history yet, so it is updated in place
+    const draft = this._draft
+    if (draft) {
+      if (draft.kind === 'pen') {
+        const last = draft.points[draft.points.length - 1]
+        if (Math.hypot(p.x - last.x, p.y - last.y) < minStep) return
+        draft.points.push(p)
+      } else {
+        draft.points[1] = constrain ? constrainPoint(draft.kind, draft.points[0], p) : p
+      }
+      this._notify()
+      return
+    }
+    const drag = this._drag
+    if (!drag) return
+    const { origin, handle } = drag
+    if (handle === null) {
+      this._replace(moveAnnotation(origin, p.x - drag.start.x, p.y - drag.start.y))
+      return
+    }
+    const points = origin.points.slice()
+    const other = points[1 - handle]
+    points[handle] = constrain && other ? constrainPoint(origin.kind, other, p) : p
+    this._replace({ ...origin, points })
+  }
+
+  /**
+   * Finish the drag: a drawn object is added (unless smaller than minSize) and
+   * selected; an edit is recorded.
+   * @param {number} [minSize] - working px an object must span to be kept
+   */
+  endDrag(minSize = 0) {
+    const draft = this._draft
+    if (draft) {
+      this._draft = null
+      const [a, b = a] = draft.points
+      const tiny = draft.kind !== 'pen' && Math.hypot(b.x - a.x, b.y - a.y) < minSize
+      if (tiny) {
+        this._notify()
+        return
+      }
+      const object = { ...draft, id: `ann-${this._nextId++}` }
+      this._objects = [...this._objects, object]
+      this._selectedId = object.id
+      this.commit(`Draw ${this.getLabel(draft.kind).toLowerCase()}`)
+      this._notify()
+      return
+    }
+    const drag = this._drag
+    if (!drag) return
+    this._drag = null
+    this.commit(drag.handle === null ? 'Move annotation' : 'Reshape annotation')
+  }
+
+  /** Abandon the drag: drop the object being drawn or put the edited one back. */
+  cancelDrag() {
+    const drag = this._drag
+    this._draft = null
+    this._drag = null
+    if (drag && this._find(drag.id)) this._replace(drag.origin)
+    else this._notify()
+  }
+
+  /**
+   * Start typing a new text box with its top-left corner at p. It is added
+   * when finished with some text (endTextEdit).
+   * @param {{x:number,y:number}} p - working px
+   */
+  beginText(p) {
+    this.endTextEdit()
+    this.select(null)
+    this._editing = {
+      id: null,
+      draft: { id: '', kind: 'text', points: [p], text: '', style: { ...this.style } },
+    }
+    this._notify()
+  }
+
+  /**
+   * Start typing into an existing text box; selects it.
+   * @param {string} id
+   */
+  editText(id) {
+    const object = this._find(id)
+    if (!object || object.kind !== 'text') return
+    this.endTextEdit()
+    this.select(id)
+    this._editing = { id, draft: null }
+    this._notify()
+  }
+
+  /**
+   * Replace the text being typed (live; recorded by endTextEdit).
+   * @param {string} text
+   */
+  setText(text) {
+    const editing = this._editing
+    if (!editing) return
+    if (editing.draft) {
+      editing.draft.text = text
+      this._notify()
+      return
+    }
+    const object = this._find(editing.id)
+    if (object) this._replace({ ...object, text })
+  }
+
+  /**
+   * Finish typing: a new box with text is added and selected, an emptied one
+   * is deleted, and a changed one is recorded.
+   */
+  endTextEdit() {
+    const editing = this._editing
+    if (!editing) return
+    this._editing = null
+    if (editing.draft) {
+      const text = trimText(editing.draft.text)
+      if (text) {
+        const object = { ...editing.draft, id: `ann-${this._nextId++}`, text }
+        this._objects = [...this._objects, object]
+        this._selectedId = object.id
+        this.commit('Add text')
+      }
+      this._notify()
+      return
+    }
+    const object = this._find(editing.id)
+    if (!object) {
+      this._notify()
+      return
+    }
+    const text = trimText(object.text)
+    if (!text) {
+      this.remove(object.id)
+      return
+    }
+    if (text !== object.text) this._replace({ ...object, text })
+    this.commit('Edit text')
+    this._notify()
+  }
+
+  /**
+   * Draw every annotation into a layer's pixels and remove them, as one undo
+   * step. The edit op lets export replay them at full resolution.
+   * @param {{id:string, canvas:HTMLCanvasElement}} layer
+   * @returns {boolean} false when there was nothing to flatten
+   */
+  flatten(layer) {
+    this.cancelDrag()
+    this.endTextEdit()
+    const objects = this._objects
+    if (!objects.length || !layer) return false
+    const { canvas } = layer
+    let x0 = canvas.width
+    let y0 = canvas.height
+    let x1 = 0
+    let y1 = 0
+    for (const object of objects) {
+      const b = annotationBounds(object)
+      // Antialiasing reaches a pixel past the geometry
+      x0 = Math.min(x0, Math.floor(b.x) - 1)
+      y0 = Math.min(y0, Math.floor(b.y) - 1)
+      x1 = Math.max(x1, Math.ceil(b.x + b.w) + 1)
+      y1 = Math.max(y1, Math.ceil(b.y + b.h) + 1)
+    }
+    x0 = Math.max(0, x0)
+    y0 = Math.max(0, y0)
+    x1 = Math.min(canvas.width, x1)
+    y1 = Math.min(canvas.height, y1)
+    // One undo step restores both the layer pixels and the objects
+    const entry = x1 > x0 && y1 > y0
+      ? HistoryService.recordCanvasEdit('Flatten annotations', canvas, { x: x0, y: y0, w: x1 - x0, h: y1 - y0 }, () => {
+        drawAnnotations(canvas.getContext('2d'), objects)
+        return { type: 'annotations', layerId: layer.id, annotations: objects }
+      }, { undo: () => this.restore(objects), redo: () => this.restore([]) })
+      : null
+
+    this._objects = []
+    this._selectedId = null
+    if (entry) {
+      this._committed = this._objects
+    } else {
+      // Nothing drawn landed on the layer, but the objects are still removed
+      this.commit('Flatten annotations')
+    }
+    this._notify()
+    return true
+  }
+
+  /** @param {string} id */
+  remove(id) {
+    const object = this._find(id)
+    if (!object) return
+    this._objects = this._objects.filter(o => o !== object)
+    if (this._selectedId === id) this._selectedId = null
+    this.commit(`Delete ${this.getLabel(object.kind).toLowerCase()}`)
+    this._notify()
+  }
+
+  /**
+   * Record the changes since the last commit as one undo step (no-op when
+   * nothing changed).
+   * @param {string} [label]
+   */
+  commit(label = 'Edit annotation') {
+    HistoryService.recordStateChange(label, this._committed, this._objects, (objects) => {
+      this._objects = objects
+      this._committed = objects
+      if (!this._find(this._selectedId)) this._selectedId = null
+      this._notify()
+    })
+    this._committed = this._objects
+  }
+
+  /** Subscribe to changes (listener: ({mode, style, selected, count})=>void). Returns unsubscribe. */
+  subscribe(listener) {
+    this._listeners.add(listener)
+    return () => this._listeners.delete(listener)
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  _find(id) {
+    return (id && this._objects.find(o => o.id === id)) || null
+  }
+
+  _replace(object) {
+    this._objects = this._objects.map(o => o.id === object.id ? object : o)
+    this._notify()
+  }
+
+  _notify() {
+    if (!this._listeners.size) return
+    const state = { mode: this.mode, style: { ...this.style }, selected: this.getSelected(), count: this._objects.length }
+    this._listeners.forEach((fn) => {
+      try { fn(state) } catch {}
+    })
+  }
+}
+
+function idNumber(id) {
+  return Number(String(id).split('-').pop()) || 0
+}
+
+// Trailing blank lines and spaces are dropped; leading ones may be deliberate
+function trimText(text) {
+  return (text || '').replace(/\s+$/, '')
+}
+
+export const AnnotationService = new AnnotationServiceImpl()
@@ -0,0 +1,462 @@
+/**
+ * Annotation geometry and drawing shared by the overlay, AnnotationService and
+ * export. Pure functions over plain objects; text is measured on a private
+ * 2D context.
+ *
+ * Points, stroke widths and font sizes are in working-buffer px, so drawing
+ * through any transform (viewport on screen, output size on export) gives the
+ * same picture.
+ */
+
+/** Object kinds offered in the UI: [kind, label] */
+export const ANNOTATION_KINDS = [
+  ['rect', 'Rectangle'],
+  ['ellipse', 'Ellipse'],
+  ['line', 'Line'],
+  ['arrow', 'Arrow'],
+  ['pen', 'Pen'],
+  ['text', 'Text'],
+]
+
+/** Text font choices: [CSS font-family, label] */
+export const FONT_FAMILIES = [
+  ['system-ui, -apple-system, Segoe UI, Roboto, sans-serif', 'Sans'],
+  ['Georgia, "Times New Roman", serif', 'Serif'],
+  ['ui-monospace, Menlo, Consolas, monospace', 'Mono'],
+  ['"Comic Sans MS", "Comic Neue", cursive', 'Handwriting'],
+  ['Impact, "Arial Black", sans-serif', 'Impact'],
+]
+
+/** Text weights: [CSS font-weight, label] */
+export const FONT_WEIGHTS = [
+  [300, 'Light'],
+  [400, 'Regular'],
+  [600, 'Semibold'],
+  [700, 'Bold'],
+  [900, 'Black'],
+]
+
+/** Stroke width range in working px */
+export const MIN_ANNOTATION_WIDTH = 1
+export const MAX_ANNOTATION_WIDTH = 64
+
+/** Font size range in working px */
+export const MIN_FONT_SIZE = 6
+export const MAX_FONT_SIZE = 400
+
+/** Text line height as a multiple of the font size */
+export const TEXT_LINE_HEIGHT = 1.25
+
+/**
+ * @typedef {Object} AnnotationStyle
+ * @property {string} color - stroke color (#rrggbb)
+ * @property {number} width - stroke width in working px
+ * @property {string|null} fill - fill color of rectangles and ellipses, background
+ *   box of text; null for none
+ * @property {string|null} outline - text outline color; null for none
+ * @property {string} fontFamily - one of FONT_FAMILIES
+ * @property {number} fontSize - working px
+ * @property {number} fontWeight - one of FONT_WEIGHTS
+ */
+
+/**
+ * @typedef {Object} Annotation
+ * @property {string} id
+ * @property {string} kind - one of ANNOTATION_KINDS
+ * @property {{x:number,y:number}[]} points - opposite corners (rect, ellipse),
+ *   start and end (line, arrow; the head is at the end), the pen path or the
+ *   top-left corner of the text (inside the box padding)
+ * @property {string} [text] - text content, lines separated by \n
+ * @property {AnnotationStyle} style
+ */
+
+/** @type {AnnotationStyle} */
+export const DEFAULT_ANNOTATION_STYLE = {
+  color: '#ff3b30',
+  width: 4,
+  fill: null,
+  outline: null,
+  fontFamily: FONT_FAMILIES[0][0],
+  fontSize: 32,
+  fontWeight: 700,
+}
+
+const KINDS = new Set(ANNOTATION_KINDS.map(([kind]) => kind))
+const FILLABLE = new Set(['rect', 'ellipse'])
+const HEX_COLOR = /^#[0-9a-f]{6}$/i
+const FAMILIES = new Set(FONT_FAMILIES.map(([family]) => family))
+const WEIGHTS = new Set(FONT_WEIGHTS.map(([weight]) => weight))
+
+/** @param {string} kind */
+export function isAnnotationKind(kind) {
+  return KINDS.has(kind)
+}
+
+/** @param {string} kind */
+export function isFillable(kind) {
+  return FILLABLE.has(kind)
+}
+
+/**
+ * Valid style from partial or untrusted input; invalid fields fall back to the defaults.
+ * @param {Partial<AnnotationStyle>} [style]
+ * @returns {AnnotationStyle}
+ */
+export function sanitizeStyle(style = {}) {
+  const width = Number(style.width)
+  const fontSize = Number(style.fontSize)
+  const fontWeight = Number(style.fontWeight)
+  return {
+    color: HEX_COLOR.test(style.color) ? style.color.toLowerCase() : DEFAULT_ANNOTATION_STYLE.color,
+    width: Number.isFinite(width)
+      ? Math.max(MIN_ANNOTATION_WIDTH, Math.min(MAX_ANNOTATION_WIDTH, width))
+      : DEFAULT_ANNOTATION_STYLE.width,
+    fill: HEX_COLOR.test(style.fill) ? style.fill.toLowerCase() : null,
+    outline: HEX_COLOR.test(style.outline) ? style.outline.toLowerCase() : null,
+    fontFamily: FAMILIES.has(style.fontFamily) ? style.fontFamily : DEFAULT_ANNOTATION_STYLE.fontFamily,
+    fontSize: Number.isFinite(fontSize)
+      ? Math.max(MIN_FONT_SIZE, Math.min(MAX_FONT_SIZE, fontSize))
+      : DEFAULT_ANNOTATION_STYLE.fontSize,
+    fontWeight: WEIGHTS.has(fontWeight) ? fontWeight : DEFAULT_ANNOTATION_STYLE.fontWeight,
+  }
+}
+
+/**
+ * CSS font shorthand for a text style (also used by the on-canvas editor).
+ * @param {AnnotationStyle} style
+ * @param {number} [scale] - px per working px
+ */
+export function textFont(style, scale = 1) {
+  return `${style.fontWeight} ${style.fontSize * scale}px ${style.fontFamily}`
+}
+
+/**
+ * Space between text and the edge of its box, in working px.
+ * @param {AnnotationStyle} style
+ */
+export function textPadding(style) {
+  return style.fontSize * 0.25
+}
+
+/**
+ * Lines and size of a text annotation, without the box padding (working px).
+ * Cached per object; annotations are replaced, never mutated, once added.
+ * @param {Annotation} annotation
+ * @returns {{lines:string[], lineHeight:number, width:number, height:number}}
+ */
+export function textLayout(annotation) {
+  let layout = layoutCache.get(annotation)
+  if (layout && layout.text === annotation.text && layout.style === annotation.style) return layout
+  const { style } = annotation
+  const lines = (annotation.text || '').split('\n')
+  const ctx = measureContext()
+  ctx.font = textFont(style)
+  const lineHeight = style.fontSize * TEXT_LINE_HEIGHT
+  // An empty box keeps room for the caret
+  let width = style.fontSize * 0.5
+  for (const line of lines) width = Math.max(width, ctx.measureText(line).width)
+  layout = { text: annotation.text, style, lines, lineHeight, width, height: lines.length * lineHeight }
+  layoutCache.set(annotation, layout)
+  return layout
+}
+
+/**
+ * Draw annotations in order (later ones on top) in the context's current
+ * transform, which must map working px.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Annotation[]} annotations
+ */
+export function drawAnnotations(ctx, annotations) {
+  for (const annotation of annotations) drawAnnotation(ctx, annotation)
+}
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Annotation} annotation
+ */
+export function drawAnnotation(ctx, annotation) {
+  const { kind, points, style } = annotation
+  if (!points.length) return
+  ctx.save()
+  ctx.strokeStyle = style.color
+  ctx.lineWidth = style.width
+  ctx.lineCap = 'round'
+  ctx.lineJoin = kind === 'rect' ? 'miter' : 'round'
+  ctx.beginPath()
+  if (kind === 'text') {
+    drawText(ctx, annotation)
+  } else if (kind === 'rect' || kind === 'ellipse') {
+    const b = boxOf(points)
+    if (kind === 'rect') ctx.rect(b.x, b.y, b.w, b.h)
+    else ctx.ellipse(b.x + b.w / 2, b.y + b.h / 2, b.w / 2, b.h / 2, 0, 0, Math.PI * 2)
+    if (style.fill) {
+      ctx.fillStyle = style.fill
+      ctx.fill()
+    }
+    ctx.stroke()
+  } else if (kind === 'arrow') {
+    const [a, b] = points
+    const head = arrowHead(a, b, style.width)
+    if (head) {
+      ctx.moveTo(a.x, a.y)
+      ctx.lineTo(head.base.x, head.base.y)
+      ctx.stroke()
+      ctx.fillStyle = style.color
+      ctx.beginPath()
+      ctx.moveTo(b.x, b.y)
+      ctx.lineTo(head.left.x, head.left.y)
+      ctx.lineTo(head.right.x, head.right.y)
+      ctx.closePath()
+      ctx.fill()
+    }
+  } else {
+    // Line, pen path; a single point (a click with the pen) draws a dot
+    ctx.moveTo(points[0].x, points[0].y)
+    for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y)
+    if (points.length === 1) ctx.lineTo(points[0].x, points[0].y)
+    ctx.stroke()
+  }
+  ctx.restore()
+}
+
+/**
+ * Whether p touches the annotation's stroke (or its fill) within tolerance.
+ * @param {Annotation} annotation
+ * @param {{x:number,y:number}} p - working px
+ * @param {number} tolerance - working px beyond the stroke edge
+ */
+export function hitTestAnnotation(annotation, p, tolerance) {
+  const { kind, points, style } = annotation
+  const reach = style.width / 2 + tolerance
+  if (kind === 'text') {
+    const b = annotationBounds(annotation)
+    return p.x >= b.x - tolerance && p.x <= b.x + b.w + tolerance && p.y >= b.y - tolerance && p.y <= b.y + b.h + tolerance
+  }
+  if (kind === 'rect') {
+    const b = boxOf(points)
+    const inOuter = p.x >= b.x - reach && p.x <= b.x + b.w + reach && p.y >= b.y - reach && p.y <= b.y + b.h + reach
+    if (!inOuter) return false
+    if (style.fill && p.x >= b.x && p.x <= b.x + b.w && p.y >= b.y && p.y <= b.y + b.h) return true
+    return !(p.x > b.x + reach && p.x < b.x + b.w - reach && p.y > b.y + reach && p.y < b.y + b.h - reach)
+  }
+  if (kind === 'ellipse') {
+    const b = boxOf(points)
+    const rx = b.w / 2
+    const ry = b.h / 2
+    const dx = p.x - (b.x + rx)
+    const dy = p.y - (b.y + ry)
+    if (!rx || !ry) return distanceToSegment(p, points[0], points[1]) <= reach
+    // Normalized radius: 1 on the outline. The radial gap approximates the distance.
+    const k = Math.hypot(dx / rx, dy / ry)
+    if (style.fill && k <= 1) return true
+    const dist = Math.hypot(dx, dy)
+    return k === 0 ? Math.min(rx, ry) <= reach : Math.abs(dist - dist / k) <= reach
+  }
+  if (kind === 'arrow') {
+    if (distanceToSegment(p, points[0], points[1]) <= reach) return true
+    const head = arrowHead(points[0], points[1], style.width)
+    return !!head && inTriangle(p, points[1], head.left, head.right)
+  }
+  for (let i = 0; i < points.length; i++) {
+    if (distanceToSegment(p, points[i], points[i + 1] || points[i]) <= reach) return true
+  }
+  return false
+}
+
+/**
+ * Bounds including the stroke (and arrowhead), in working px.
+ * @param {Annotation} annotation
+ * @returns {{x:number,y:number,w:number,h:number}}
+ */
+export function annotationBounds(annotation) {
+  const { kind, points, style } = annotation
+  if (kind === 'text') return textBox(annotation)
+  const b = boxOf(points)
+  let pad = style.width / 2
+  if (kind === 'arrow') {
+    const head = arrowHead(points[0], points[1], style.width)
+    if (head) pad = Math.max(pad, head.half)
+  }
+  return { x: b.x - pad, y: b.y - pad, w: b.w + pad * 2, h: b.h + pad * 2 }
+}
+
+/**
+ * Copy moved by (dx, dy).
+ * @param {Annotation} annotation
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {Annotation}
+ */
+export function moveAnnotation(annotation, dx, dy) {
+  return { ...annotation, points: annotation.points.map(p => ({ x: p.x + dx, y: p.y + dy })) }
+}
+
+/**
+ * End point for a drag from `from` to `to` with Shift held: squares and circles
+ * for boxes, 45° steps for lines and arrows.
+ * @param {string} kind
+ * @param {{x:number,y:number}} from
+ * @param {{x:number,y:number}} to
+ * @returns {{x:number,y:number}}
+ */
+export function constrainPoint(kind, from, to) {
+  const dx = to.x - from.x
+  const dy = to.y - from.y
+  if (kind === 'rect' || kind === 'ellipse') {
+    const size = Math.max(Math.abs(dx), Math.abs(dy))
+    return { x: from.x + Math.sign(dx || 1) * size, y: from.y + Math.sign(dy || 1) * size }
+  }
+  if (kind === 'line' || kind === 'arrow') {
+    const step = Math.PI / 4
+    const angle = Math.round(Math.atan2(dy, dx) / step) * step
+    const len = Math.hypot(dx, dy)
+    return { x: from.x + Math.cos(angle) * len, y: from.y + Math.sin(angle) * len }
+  }
+  return to
+}
+
+/**
+ * Carry annotations through a document geometry change (crop, rotate, flip,
+ * straighten). Rectangles and ellipses stay axis-aligned: their center follows
+ * `map` and their sides keep their length, swapping for quarter turns. Text
+ * stays upright, centered on where its box's center went.
+ * @param {Annotation[]} annotations
+ * @param {(p:{x:number,y:number}) => {x:number,y:number}} map - old to new working px
+ * @param {number} scale - new working px per old working px
+ * @returns {Annotation[]}
+ */
+export function transformAnnotations(annotations, map, scale) {
+  return annotations.map((annotation) => {
+    const style = { ...annotation.style, width: annotation.style.width * scale }
+    if (annotation.kind === 'text') {
+      const [anchor] = annotation.points
+      const layout = textLayout(annotation)
+      const mc = map({ x: anchor.x + layout.width / 2, y: anchor.y + layout.height / 2 })
+      return {
+        ...annotation,
+        style: { ...style, fontSize: annotation.style.fontSize * scale },
+        points: [{ x: mc.x - (layout.width / 2) * scale, y: mc.y - (layout.height / 2) * scale }],
+      }
+    }
+    if (!isFillable(annotation.kind)) return { ...annotation, style, points: annotation.points.map(map) }
+    const b = boxOf(annotation.points)
+    const c = { x: b.x + b.w / 2, y: b.y + b.h / 2 }
+    const mc = map(c)
+    const mx = map({ x: c.x + 1, y: c.y })
+    const quarterTurn = Math.abs(mx.y - mc.y) > Math.abs(mx.x - mc.x)
+    const hw = ((quarterTurn ? b.h : b.w) / 2) * scale
+    const hh = ((quarterTurn ? b.w : b.h) / 2) * scale
+    return {
+      ...annotation,
+      style,
+      points: [{ x: mc.x - hw, y: mc.y - hh }, { x: mc.x + hw, y: mc.y + hh }],
+    }
+  })
+}
+
+// Internal -----------------------------------------------------------------
+
+/** @type {WeakMap<Annotation, Object>} */
+const layoutCache = new WeakMap()
+/** @type {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D|null} */
+let measureCtx = null
+
+function measureContext() {
+  if (!measureCtx) {
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(1, 1)
+      : document.createElement('canvas')
+    measureCtx = canvas.getContext('2d')
+  }
+  return measureCtx
+}
+
+function outlineWidth(style) {
+  return Math.max(1, style.fontSize / 8)
+}
+
+// Text box including padding and outline
+function textBox(annotation) {
+  const [anchor] = annotation.points
+  const { style } = annotation
+  const layout = textLayout(annotation)
+  const pad = Math.max(textPadding(style), style.outline ? outlineWidth(style) / 2 : 0)
+  return { x: anchor.x - pad, y: anchor.y - pad, w: layout.width + pad * 2, h: layout.height + pad * 2 }
+}
+
+// Lines are vertically centered in their line boxes, like the CSS editor
+function drawText(ctx, annotation) {
+  const [anchor] = annotation.points
+  const { style } = annotation
+  const layout = textLayout(annotation)
+  if (style.fill) {
+    const pad = textPadding(style)
+    ctx.fillStyle = style.fill
+    ctx.fillRect(anchor.x - pad, anchor.y - pad, layout.width + pad * 2, layout.height + pad * 2)
+  }
+  ctx.font = textFont(style)
+  ctx.textBaseline = 'middle'
+  ctx.textAlign = 'left'
+  ctx.lineJoin = 'round'
+  ctx.lineWidth = outlineWidth(style)
+  layout.lines.forEach((line, i) => {
+    const y = anchor.y + layout.lineHeight * (i + 0.5)
+    if (style.outline) {
+      ctx.strokeStyle = style.outline
+      ctx.strokeText(line, anchor.x, y)
+    }
+    ctx.fillStyle = style.color
+    ctx.fillText(line, anchor.x, y)
+  })
+}
+
+function boxOf(points) {
+  let x0 = Infinity
+  let y0 = Infinity
+  let x1 = -Infinity
+  let y1 = -Infinity
+  for (const p of points) {
+    x0 = Math.min(x0, p.x)
+    y0 = Math.min(y0, p.y)
+    x1 = Math.max(x1, p.x)
+    y1 = Math.max(y1, p.y)
+  }
+  return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 }
+}
+
+/**
+ * Arrowhead triangle at b for a shaft from a: tip b, base corners left/right.
+ * Grows with the stroke width and never outgrows the shaft.
+ * @returns {{base:{x:number,y:number},left:{x:number,y:number},right:{x:number,y:number},half:number}|null}
+ */
+function arrowHead(a, b, width) {
+  const len = Math.hypot(b.x - a.x, b.y - a.y)
+  if (!len) return null
+  const size = Math.min(len, width * 3 + 8)
+  const half = size * 0.55
+  const ux = (b.x - a.x) / len
+  const uy = (b.y - a.y) / len
+  const base = { x: b.x - ux * size, y: b.y - uy * size }
+  return {
+    base,
+    left: { x: base.x - uy * half, y: base.y + ux * half },
+    right: { x: base.x + uy * half, y: base.y - ux * half },
+    half,
+  }
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const len2 = dx * dx + dy * dy
+  const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy))
+}
+
+function inTriangle(p, a, b, c) {
+  const cross = (o, u, v) => (u.x - o.x) * (v.y - o.y) - (u.y - o.y) * (v.x - o.x)
+  const d1 = cross(p, a, b)
+  const d2 = cross(p, b, c)
+  const d3 = cross(p, c, a)
+  return !((d1 < 0 || d2 < 0 || d3 < 0) && (d1 > 0 || d2 > 0 || d3 > 0))
+}
@@ -0,0 +1,29 @@
+/**
+ * Layer blend modes shared by LayerService, the layers panel and the project
+ * format. Pure data, no DOM.
+ */
+
+/** Blend modes offered in the UI, mapped to canvas composite operations */
+export const BLEND_MODES = [
+  ['source-over', 'Normal'],
+  ['multiply', 'Multiply'],
+  ['screen', 'Screen'],
+  ['overlay', 'Overlay'],
+  ['darken', 'Darken'],
+  ['lighten', 'Lighten'],
+  ['color-dodge', 'Color dodge'],
+  ['color-burn', 'Color burn'],
+  ['hard-light', 'Hard light'],
+  ['soft-light', 'Soft light'],
+  ['difference', 'Difference'],
+  ['exclusion', 'Exclusion'],
+  ['hue', 'Hue'],
+  ['saturation', 'Saturation'],
+  ['color', 'Color'],
+  ['luminosity', 'Luminosity'],
+]
+
+/** @param {string} mode */
+export function isBlendMode(mode) {
+  return BLEND_MODES.some(([m]) => m === mode)
+}
@@ -0,0 +1,358 @@
+/**
+ * BrushService: pressure-aware raster brush
+ *
+ * Responsibilities:
+ * - Hold brush settings (size, hardness, opacity, color)
+ * - Stamp soft round dabs along a pointer path into a stroke buffer
+ * - Composite the finished stroke into a target canvas at brush opacity
+ * - Optionally confine strokes to a selection mask
+ * - Replay recorded strokes at any scale (used for full-resolution export)
+ *
+ * Strokes are painted at full strength into a separate stroke buffer and only
+ * composited with the brush opacity on commit, so overlapping dabs within one
+ * stroke do not build up beyond the chosen opacity.
+ */
+
+/**
+ * @typedef {Object} BrushSettings
+ * @property {number} size - diameter in image pixels at full pressure
+ * @property {number} hardness - 0..1, fraction of the radius that is fully opaque
+ * @property {number} opacity - 0..1, stroke opacity applied on commit
+ * @property {string} color - CSS color string
+ */
+
+/**
+ * @typedef {{x:number,y:number,p:number}} StrokePoint
+ */
+
+/**
+ * @typedef {Object} BrushStroke
+ * @property {BrushSettings} settings - settings snapshot for the stroke
+ * @property {StrokePoint[]} points - path in image coordinates with pressure
+ * @property {{x:number,y:number,w:number,h:number}} rect - painted bounds in image pixels
+ */
+
+import { applyMask } from './selection-service.js'
+
+const MIN_SIZE = 1
+const MAX_SIZE = 500
+// Dab sprite resolution; dabs are scaled from this when stamped
+const SPRITE_SIZE = 128
+
+class BrushServiceImpl {
+  constructor() {
+    /** @type {BrushSettings} */
+    this.settings = {
+      size: 24,
+      hardness: 0.8,
+      opacity: 1,
+      color: '#ff3b30',
+    }
+
+    /** @type {HTMLCanvasElement|null} */
+    this._strokeCanvas = null
+    /** @type {{target:HTMLCanvasElement,mask:CanvasImageSource|null,settings:BrushSettings,points:StrokePoint[],last:StrokePoint,residual:number,bounds:{minX:number,minY:number,maxX:number,maxY:number}}|null} */
+    this._stroke = null
+
+    // Cached dab sprite keyed by color + hardness
+    this._sprite = null
+    this._spriteKey = ''
+
+    /** @type {Set<Function>} */
+    this._listeners = new Set()
+  }
+
+  // --- Settings ---------------------------------------------------------------
+
+  /**
+   * Update one or more settings. Values are clamped to valid ranges.
+   * @param {Partial<BrushSettings>} partial
+   */
+  setSettings(partial = {}) {
+    const next = { ...this.settings, ...partial }
+    next.size = clamp(Number(next.size) || MIN_SIZE, MIN_SIZE, MAX_SIZE)
+    next.hardness = clamp(Number(next.hardness), 0, 1)
+    next.opacity = clamp(Number(next.opacity), 0, 1)
+    next.color = String(next.color || '#000000')
+    this.settings = next
+    this._notify()
+  }
+
+  /** Subscribe to settings changes (listener: (settings)=>void). Returns unsubscribe. */
+  subscribe(listener) {
+    this._listeners.add(listener)
+    return () => this._listeners.delete(listener)
+  }
+
+  // --- Stroke lifecycle -------------------------------------------------------
+
+  /** @returns {boolean} */
+  isStroking() {
+    return !!this._stroke
+  }
+
+  /**
+   * Stroke buffer for live preview; composite over the target at getStrokeOpacity().
+   * @returns {HTMLCanvasElement|null}
+   */
+  getStrokeCanvas() {
+    return this._stroke ? this._strokeCanvas : null
+  }
+
+  /**
+   * Bounds painted so far by the active stroke, in target pixels.
+   * @returns {{x:number,y:number,w:number,h:number}|null}
+   */
+  getStrokeRect() {
+    const s = this._stroke
+    return s ? boundsToRect(s.bounds, s.target.width, s.target.height) : null
+  }
+
+  /** @returns {number} */
+  getStrokeOpacity() {
+    return this._stroke ? this._stroke.settings.opacity : 1
+  }
+
+  /**
+   * Start a stroke on the target canvas at an image-space point.
+   * @param {HTMLCanvasElement} target
+   * @param {{x:number,y:number}} point
+   * @param {number} pressure - 0..1
+   * @param {string} pointerType - PointerEvent.pointerType; only pens vary the pressure
+   * @param {CanvasImageSource|null} [mask] - target-sized mask; paint only lands where it is opaque
+   */
+  beginStroke(target, point, pressure, pointerType, mask = null) {
+    if (!target) throw new Error('No brush target')
+    const settings = { ...this.settings }
+    const canvas = this._ensureStrokeCanvas(target.width, target.height)
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+
+    const first = { x: point.x, y: point.y, p: normPressure(pressure, pointerType) }
+    this._stroke = {
+      target,
+      mask,
+      settings,
+      points: [first],
+      last: first,
+      residual: dabSpacing(settings, first.p),
+      bounds: { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity },
+    }
+    this._stampDab(ctx, settings, first, this._stroke.bounds)
+    if (mask) applyMask(ctx, mask, dabRect(settings, first))
+  }
+
+  /**
+   * Extend the active stroke to a new image-space point.
+   * @param {{x:number,y:number}} point
+   * @param {number} pressure - 0..1
+   * @param {string} pointerType
+   */
+  strokeTo(point, pressure, pointerType) {
+    const s = this._stroke
+    if (!s) return
+    const next = { x: point.x, y: point.y, p: normPressure(pressure, pointerType) }
+    const ctx = this._strokeCanvas.getContext('2d')
+    s.residual = this._stampSegment(ctx, s.settings, s.last, next, s.residual, s.bounds)
+    if (s.mask) applyMask(ctx, s.mask, segmentRect(s.settings, s.last, next))
+    s.points.push(next)
+    s.last = next
+  }
+
+  /**
+   * Finish the active stroke and composite it into the target canvas.
+   * Returns the recorded stroke, or null when nothing was painted.
+   * @returns {BrushStroke|null}
+   */
+  endStroke() {
+    const s = this._stroke
+    if (!s) return null
+    this._stroke = null
+    const rect = boundsToRect(s.bounds, s.target.width, s.target.height)
+    if (!rect) return null
+
+    const tctx = s.target.getContext('2d')
+    tctx.save()
+    tctx.setTransform(1, 0, 0, 1, 0, 0)
+    tctx.globalAlpha = s.settings.opacity
+    tctx.drawImage(this._strokeCanvas, rect.x, rect.y, rect.w, rect.h, rect.x, rect.y, rect.w, rect.h)
+    tctx.restore()
+
+    return { settings: s.settings, points: s.points, rect }
+  }
+
+  /** Abort the active stroke without touching the target. */
+  cancelStroke() {
+    this._stroke = null
+  }
+
+  /**
+   * Re-render a recorded stroke into ctx, scaling image coordinates and size by `scale`.
+   * Used to replay working-buffer strokes against a full-resolution original.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {BrushStroke} stroke
+   * @param {number} [scale=1]
+   * @param {CanvasImageSource|null} [mask] - ctx-sized selection mask the stroke was confined to
+   */
+  replayStroke(ctx, stroke, scale = 1, mask = null) {
+    const { points } = stroke
+    if (!points || !points.length) return
+    const settings = { ...stroke.settings, size: stroke.settings.size * scale }
+    const w = ctx.canvas.width
+    const h = ctx.canvas.height
+    const buffer = document.createElement('canvas')
+    buffer.width = w
+    buffer.height = h
+    const bctx = buffer.getContext('2d')
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity }
+    const scaled = points.map(pt => ({ x: pt.x * scale, y: pt.y * scale, p: pt.p }))
+    this._stampDab(bctx, settings, scaled[0], bounds)
+    let residual = dabSpacing(settings, scaled[0].p)
+    for (let i = 1; i < scaled.length; i++) {
+      residual = this._stampSegment(bctx, settings, scaled[i - 1], scaled[i], residual, bounds)
+    }
+    if (mask) applyMask(bctx, mask)
+    ctx.save()
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.globalAlpha = settings.opacity
+    ctx.drawImage(buffer, 0, 0)
+    ctx.restore()
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  _ensureStrokeCanvas(w, h) {
+    let c = this._strokeCanvas
+    if (!c) {
+      c = document.createElement('canvas')
+      this._strokeCanvas = c
+    }
+    if (c.width !== w) c.width = w
+    if (c.height !== h) c.height = h
+    return c
+  }
+
+  /**
+   * Stamp dabs from a to b at spacing proportional to radius.
+   * Returns leftover distance so spacing stays even across segments.
+   */
+  _stampSegment(ctx, settings, a, b, residual, bounds) {
+    const dx = b.x - a.x
+    const dy = b.y - a.y
+    const dist = Math.hypot(dx, dy)
+    if (dist === 0) return residual
+    let t = residual
+    while (t <= dist) {
+      const k = t / dist
+      const p = a.p + (b.p - a.p) * k
+      this._stampDab(ctx, settings, { x: a.x + dx * k, y: a.y + dy * k, p }, bounds)
+      t += dabSpacing(settings, p)
+    }
+    return t - dist
+  }
+
+  _stampDab(ctx, settings, pt, bounds) {
+    const r = dabRadius(settings, pt.p)
+    const sprite = this._getSprite(settings)
+    ctx.drawImage(sprite, pt.x - r, pt.y - r, r * 2, r * 2)
+    if (pt.x - r < bounds.minX) bounds.minX = pt.x - r
+    if (pt.y - r < bounds.minY) bounds.minY = pt.y - r
+    if (pt.x + r > bounds.maxX) bounds.maxX = pt.x + r
+    if (pt.y + r > bounds.maxY) bounds.maxY = pt.y + r
+  }
+
+  _getSprite(settings) {
+    const key = `${settings.color}|${settings.hardness}`
+    if (this._sprite && this._spriteKey === key) return this._sprite
+    const c = this._sprite || document.createElement('canvas')
+    c.width = SPRITE_SIZE
+    c.height = SPRITE_SIZE
+    const ctx = c.getContext('2d')
+    ctx.clearRect(0, 0, SPRITE_SIZE, SPRITE_SIZE)
+    const r = SPRITE_SIZE / 2
+    const inner = Math.min(0.999, settings.hardness) * r
+    const g = ctx.createRadialGradient(r, r, inner, r, r, r)
+    g.addColorStop(0, settings.color)
+    g.addColorStop(1, withAlpha(ctx, settings.color, 0))
+    ctx.fillStyle = g
+    ctx.beginPath()
+    ctx.arc(r, r, r, 0, Math.PI * 2)
+    ctx.fill()
+    this._sprite = c
+    this._spriteKey = key
+    return c
+  }
+
+  _notify() {
+    if (!this._listeners.size) return
+    const snap = { ...this.settings }
+    this._listeners.forEach((fn) => {
+      try { fn(snap) } catch {}
+    })
+  }
+}
+
+function clamp(v, lo, hi) {
+  if (!Number.isFinite(v)) return lo
+  return Math.max(lo, Math.min(hi, v))
+}
+
+// A pressed mouse button or touch reports 0.5, and pens without pressure
+// report 0; both paint at full pressure
+function normPressure(p, pointerType) {
+  if (pointerType !== 'pen' || !Number.isFinite(p) || p <= 0) return 1
+  return Math.min(1, p)
+}
+
+function dabRadius(settings, p) {
+  return Math.max(0.5, (settings.size / 2) * p)
+}
+
+// Dabs every quarter radius keep soft strokes smooth without overdraw
+function dabSpacing(settings, p) {
+  return Math.max(0.5, dabRadius(settings, p) * 0.25)
+}
+
+// Bounds of a dab / segment with a pixel of slack, for masking just what was stamped
+function dabRect(settings, pt) {
+  const r = dabRadius(settings, pt.p) + 1
+  return { x: pt.x - r, y: pt.y - r, w: r * 2, h: r * 2 }
+}
+
+function segmentRect(settings, a, b) {
+  const r = Math.max(dabRadius(settings, a.p), dabRadius(settings, b.p)) + 1
+  const x = Math.min(a.x, b.x) - r
+  const y = Math.min(a.y, b.y) - r
+  return { x, y, w: Math.abs(a.x - b.x) + r * 2, h: Math.abs(a.y - b.y) + r * 2 }
+}
+
+function boundsToRect(b, w, h) {
+  if (!isFinite(b.minX)) return null
+  const x = Math.max(0, Math.floor(b.minX))
+  const y = Math.max(0, Math.floor(b.minY))
+  const right = Math.min(w, Math.ceil(b.maxX))
+  const bottom = Math.min(h, Math.ceil(b.maxY))
+  if (right <= x || bottom <= y) return null
+  return { x, y, w: right - x, h: bottom - y }
+}
+
+// Resolve any CSS color to rgba() with the given alpha via the canvas parser
+function withAlpha(ctx, color, alpha) {
+  ctx.fillStyle = '#000'
+  ctx.fillStyle = color
+  const hex = ctx.fillStyle
+  if (typeof hex === 'string' && hex[0] === '#' && hex.length === 7) {
+    const r = parseInt(hex.slice(1, 3), 16)
+    const g = parseInt(hex.slice(3, 5), 16)
+    const b = parseInt(hex.slice(5, 7), 16)
+    return `rgba(${r},${g},${b},${alpha})`
+  }
+  // Already rgba(...) form
+  return String(hex).replace(/rgba?\(([^)]+)\)/, (_, parts) => {
+    const [r, g, b] = parts.split(',').map(s => s.trim())
+    return `rgba(${r},${g},${b},${alpha})`
+  })
+}
+
+export const BrushService = new BrushServiceImpl()
@@ -0,0 +1,206 @@
+/**
+ * ColorSamplerService: eyedropper sampling and recent colors
+ *
+ * Responsibilities:
+ * - Sample the composited document (with color adjustments) at an image
+ *   coordinate, either a single pixel or an alpha-weighted 3×3 / 5×5 average
+ * - Hold the current sample and a recent-colors history (most recent first)
+ * - Persist the history in localStorage when available
+ * - Format colors as hex, RGB and HSL
+ */
+
+import { LayerService } from './layer-service.js'
+import { AdjustmentService } from './adjustment-service.js'
+
+/**
+ * @typedef {{r:number,g:number,b:number,a:number}} Color - 0..255 per channel
+ */
+
+/** Sample modes offered in the UI: [id, label, radius in px] */
+export const SAMPLE_MODES = [
+  ['point', 'Point', 0],
+  ['3x3', '3×3 average', 1],
+  ['5x5', '5×5 average', 2],
+]
+
+const MAX_HISTORY = 16
+const STORAGE_KEY = 'lit-demo.recent-colors'
+
+class ColorSamplerServiceImpl {
+  constructor() {
+    /** @type {string} one of SAMPLE_MODES ids */
+    this.mode = 'point'
+    /** @type {Color|null} */
+    this.current = null
+    /** @type {Color[]} */
+    this._history = loadHistory()
+
+    /** @type {Set<Function>} */
+    this._listeners = new Set()
+  }
+
+  /** @param {string} mode - one of SAMPLE_MODES ids */
+  setMode(mode) {
+    if (!SAMPLE_MODES.some(([id]) => id === mode) || mode === this.mode) return
+    this.mode = mode
+    this._notify()
+  }
+
+  /** Half-size of the sampled square in image px for the current mode */
+  getRadius() {
+    return SAMPLE_MODES.find(([id]) => id === this.mode)[2]
+  }
+
+  /**
+   * Sample at an image point and make it the current color (not yet in the
+   * history; see commit). The square is clipped to the document.
+   * @param {{x:number,y:number}} p - working-buffer px
+   * @returns {Color|null} null when the point is outside the document
+   */
+  sample(p) {
+    const cx = Math.floor(p.x)
+    const cy = Math.floor(p.y)
+    if (cx < 0 || cy < 0 || cx >= LayerService.width || cy >= LayerService.height) return null
+    const radius = this.getRadius()
+    const x0 = Math.max(0, cx - radius)
+    const y0 = Math.max(0, cy - radius)
+    const x1 = Math.min(LayerService.width, cx + radius + 1)
+    const y1 = Math.min(LayerService.height, cy + radius + 1)
+    const pixels = LayerService.readComposite(x0, y0, x1 - x0, y1 - y0)
+    AdjustmentService.applyTo(pixels)
+    const { data } = pixels
+
+    // Weight by alpha so transparent pixels don't pull the average toward black
+    let r = 0
+    let g = 0
+    let b = 0
+    let a = 0
+    for (let i = 0; i < data.length; i += 4) {
+      r += data[i] * data[i + 3]
+      g += data[i + 1] * data[i + 3]
+      b += data[i + 2] * data[i + 3]
+      a += data[i + 3]
+    }
+    const n = data.length / 4
+    this.current = a
+      ? { r: Math.round(r / a), g: Math.round(g / a), b: Math.round(b / a), a: Math.round(a / n) }
+      : { r: 0, g: 0, b: 0, a: 0 }
+    this._notify()
+    return this.current
+  }
+
+  /** Add the current color to the front of the recent colors. */
+  commit() {
+    if (!this.current) return
+    const hex = toHex(this.current)
+    this._history = [
+      this.current,
+      ...this._history.filter(c => toHex(c) !== hex || c.a !== this.current.a),
+    ].slice(0, MAX_HISTORY)
+    saveHistory(this._history)
+    this._notify()
+  }
+
+  /**
+   * Make a color (e.g. from the recent strip) current.
+   * @param {Color} color
+   */
+  select(color) {
+    this.current = { ...color }
+    this._notify()
+  }
+
+  /** @returns {Color[]} most recent first */
+  getHistory() {
+    return this._history.slice()
+  }
+
+  clearHistory() {
+    this._history = []
+    saveHistory(this._history)
+    this._notify()
+  }
+
+  /** Subscribe to changes (listener: ({mode,current,history})=>void). Returns unsubscribe. */
+  subscribe(listener) {
+    this._listeners.add(listener)
+    return () => this._listeners.delete(listener)
+  }
+
+  _notify() {
+    if (!this._listeners.size) return
+    const state = { mode: this.mode, current: this.current, history: this.getHistory() }
+    this._listeners.forEach((fn) => {
+      try { fn(state) } catch {}
+    })
+  }
+}
+
+/** @param {Color} c @returns {string} '#RRGGBB' */
+export function toHex(c) {
+  return `#${[c.r, c.g, c.b].map(v => v.toString(16).padStart(2, '0')).join('').toUpperCase()}`
+}
+
+/** @param {Color} c @returns {string} CSS rgb()/rgba() */
+export function toRgbString(c) {
+  return c.a === 255 ? `rgb(${c.r}, ${c.g}, ${c.b})` : `rgba(${c.r}, ${c.g}, ${c.b}, ${round(c.a / 255, 3)})`
+}
+
+/** @param {Color} c @returns {string} CSS hsl()/hsla() */
+export function toHslString(c) {
+  const { h, s, l } = rgbToHsl(c)
+  const hsl = `${h}, ${s}%, ${l}%`
+  return c.a === 255 ? `hsl(${hsl})` : `hsla(${hsl}, ${round(c.a / 255, 3)})`
+}
+
+/**
+ * @param {Color} c
+ * @returns {{h:number,s:number,l:number}} h in degrees, s and l in percent (rounded)
+ */
+export function rgbToHsl({ r, g, b }) {
+  r /= 255
+  g /= 255
+  b /= 255
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const l = (max + min) / 2
+  const d = max - min
+  let h = 0
+  let s = 0
+  if (d) {
+    s = d / (1 - Math.abs(2 * l - 1))
+    if (max === r) h = ((g - b) / d) % 6
+    else if (max === g) h = (b - r) / d + 2
+    else h = (r - g) / d + 4
+    h = (h * 60 + 360) % 360
+  }
+  return { h: Math.round(h) % 360, s: Math.round(s * 100), l: Math.round(l * 100) }
+}
+
+function round(v, digits) {
+  const f = 10 ** digits
+  return Math.round(v * f) / f
+}
+
+function loadHistory() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    const valid = (v) => Number.isInteger(v) && v >= 0 && v <= 255
+    return Array.isArray(list)
+      ? list.filter(c => c && valid(c.r) && valid(c.g) && valid(c.b) && valid(c.a)).slice(0, MAX_HISTORY)
+      : []
+  } catch {
+    // Storage disabled or corrupt; start empty
+    return []
+  }
+}
+
+function saveHistory(history) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(history))
+  } catch {
+    // Storage disabled or full; history stays in memory
+  }
+}
+
+export const ColorSamplerService = new ColorSamplerServiceImpl()
@@ -0,0 +1,260 @@
+/**
+ * CropService: interactive crop rectangle geometry
+ *
+ * Responsibilities:
+ * - Hold the pending crop rectangle in image (working-buffer) coordinates
+ * - Aspect presets (free, 1:1, 4:3, 16:9, original) applied as width / height
+ * - Hit-test handles in screen space and resize/move with the aspect constraint
+ * - Keep the rectangle inside the image bounds
+ *
+ * Committing the crop is TransformService's job; this service only edits geometry.
+ */
+
+/**
+ * @typedef {{x:number,y:number,w:number,h:number}} Rect
+ * @typedef {'nw'|'n'|'ne'|'e'|'se'|'s'|'sw'|'w'|'move'|'new'} CropHandle
+ */
+
+/** Aspect presets offered in the UI */
+export const CROP_ASPECTS = [
+  ['free', 'Free'],
+  ['1:1', '1:1'],
+  ['4:3', '4:3'],
+  ['16:9', '16:9'],
+  ['original', 'Original'],
+]
+
+const MIN_SIZE = 1
+
+class CropServiceImpl {
+  constructor() {
+    /** @type {Rect|null} */
+    this.rect = null
+    this.aspect = 'free'
+    // Image bounds the rect is confined to
+    this._bw = 0
+    this._bh = 0
+    /** @type {{handle:CropHandle,start:{x:number,y:number},rect:Rect}|null} */
+    this._drag = null
+
+    /** @type {Set<Function>} */
+    this._listeners = new Set()
+  }
+
+  /**
+   * Start cropping an image of the given size; the rect covers the whole image
+   * (shrunk to the current aspect if one is set).
+   * @param {number} width
+   * @param {number} height
+   */
+  begin(width, height) {
+    this._bw = width
+    this._bh = height
+    this._drag = null
+    this.rect = { x: 0, y: 0, w: width, h: height }
+    this._fitAspect()
+    this._notify()
+  }
+
+  /** Stop cropping without changes. */
+  end() {
+    this.rect = null
+    this._drag = null
+    this._notify()
+  }
+
+  isActive() {
+    return !!this.rect
+  }
+
+  /**
+   * Width / height ratio for the current preset, or null for free.
+   * @returns {number|null}
+   */
+  getRatio() {
+    switch (this.aspect) {
+      case '1:1': return 1
+      case '4:3': return 4 / 3
+      case '16:9': return 16 / 9
+      case 'original': return this._bw && this._bh ? this._bw / this._bh : null
+      default: return null
+    }
+  }
+
+  /**
+   * Switch aspect preset and re-fit the rect around its center.
+   * @param {string} aspect - one of CROP_ASPECTS keys
+   */
+  setAspect(aspect) {
+    if (!CROP_ASPECTS.some(([key]) => key === aspect)) return
+    this.aspect = aspect
+    if (this.rect) this._fitAspect()
+    this._notify()
+  }
+
+  /**
+   * Which handle (if any) is under a screen point.
+   * @param {{x:number,y:number}} sp - screen point (CSS px)
+   * @param {(p:{x:number,y:number})=>{x:number,y:number}} toScreen
+   * @param {number} [tolerance=8] - CSS px
+   * @returns {CropHandle}
+   */
+  hitTest(sp, toScreen, tolerance = 8) {
+    const r = this.rect
+    if (!r) return 'new'
+    const a = toScreen({ x: r.x, y: r.y })
+    const b = toScreen({ x: r.x + r.w, y: r.y + r.h })
+    const near = (v, t) => Math.abs(v - t) <= tolerance
+    const inX = sp.x >= a.x - tolerance && sp.x <= b.x + tolerance
+    const inY = sp.y >= a.y - tolerance && sp.y <= b.y + tolerance
+    const left = near(sp.x, a.x)
+    const right = near(sp.x, b.x)
+    const top = near(sp.y, a.y)
+    const bottom = near(sp.y, b.y)
+    if (top && left) return 'nw'
+    if (top && right) return 'ne'
+    if (bottom && left) return 'sw'
+    if (bottom && right) return 'se'
+    if (top && inX) return 'n'
+    if (bottom && inX) return 's'
+    if (left && inY) return 'w'
+    if (right && inY) return 'e'
+    if (sp.x > a.x && sp.x < b.x && sp.y > a.y && sp.y < b.y) return 'move'
+    return 'new'
+  }
+
+  /**
+   * @param {CropHandle} handle
+   * @param {{x:number,y:number}} p - image point
+   */
+  startDrag(handle, p) {
+    if (!this.rect) return
+    this._drag = { handle, start: clampPoint(p, this._bw, this._bh), rect: { ...this.rect } }
+  }
+
+  /** @param {{x:number,y:number}} p - image point */
+  dragTo(p) {
+    const d = this._drag
+    if (!d) return
+    const q = clampPoint(p, this._bw, this._bh)
+    const r = d.rect
+    switch (d.handle) {
+      case 'move': {
+        const x = Math.max(0, Math.min(this._bw - r.w, r.x + (q.x - d.start.x)))
+        const y = Math.max(0, Math.min(this._bh - r.h, r.y + (q.y - d.start.y)))
+        this.rect = { x, y, w: r.w, h: r.h }
+        break
+      }
+      case 'new':
+        this.rect = this._fromAnchor(d.start, q)
+        break
+      case 'nw': this.rect = this._fromAnchor({ x: r.x + r.w, y: r.y + r.h }, q); break
+      case 'ne': this.rect = this._fromAnchor({ x: r.x, y: r.y + r.h }, q); break
+      case 'sw': this.rect = this._fromAnchor({ x: r.x + r.w, y: r.y }, q); break
+      case 'se': this.rect = this._fromAnchor({ x: r.x, y: r.y }, q); break
+      case 'n': this.rect = this._fromEdge(r, 'y', r.y + r.h, q.y); break
+      case 's': this.rect = this._fromEdge(r, 'y', r.y, q.y); break
+      case 'w': this.rect = this._fromEdge(r, 'x', r.x + r.w, q.x); break
+      case 'e': this.rect = this._fromEdge(r, 'x', r.x, q.x); break
+    }
+    this._notify()
+  }
+
+  endDrag() {
+    this._drag = null
+  }
+
+  isDragging() {
+    return !!this._drag
+  }
+
+  /** Subscribe to changes (listener: (rect, aspect)=>void). Returns unsubscribe. */
+  subscribe(listener) {
+    this._listeners.add(listener)
+    return () => this._listeners.delete(listener)
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  /**
+   * Rect spanning from a fixed corner to a moving point, honoring the aspect
+   * ratio and the image bounds on the side the point lies.
+   */
+  _fromAnchor(anchor, p) {
+    const dirX = p.x >= anchor.x ? 1 : -1
+    const dirY = p.y >= anchor.y ? 1 : -1
+    let w = Math.max(MIN_SIZE, Math.abs(p.x - anchor.x))
+    let h = Math.max(MIN_SIZE, Math.abs(p.y - anchor.y))
+    const ratio = this.getRatio()
+    const maxW = dirX > 0 ? this._bw - anchor.x : anchor.x
+    const maxH = dirY > 0 ? this._bh - anchor.y : anchor.y
+    if (ratio) {
+      if (w / h > ratio) w = h * ratio
+      else h = w / ratio
+      if (w > maxW) { w = maxW; h = w / ratio }
+      if (h > maxH) { h = maxH; w = h * ratio }
+    } else {
+      w = Math.min(w, maxW)
+      h = Math.min(h, maxH)
+    }
+    return {
+      x: dirX > 0 ? anchor.x : anchor.x - w,
+      y: dirY > 0 ? anchor.y : anchor.y - h,
+      w,
+      h,
+    }
+  }
+
+  /**
+   * Rect resized along one axis from a fixed edge; with a ratio the other axis
+   * follows, centered on the original rect.
+   */
+  _fromEdge(r, axis, fixed, moving) {
+    const size = Math.max(MIN_SIZE, Math.abs(moving - fixed))
+    const ratio = this.getRatio()
+    if (axis === 'x') {
+      let w = size
+      let h = ratio ? w / ratio : r.h
+      if (ratio && h > this._bh) { h = this._bh; w = h * ratio }
+      const x = moving >= fixed ? fixed : fixed - w
+      const y = clampRange(r.y + r.h / 2 - h / 2, 0, this._bh - h)
+      return { x, y, w, h }
+    }
+    let h = size
+    let w = ratio ? h * ratio : r.w
+    if (ratio && w > this._bw) { w = this._bw; h = w / ratio }
+    const y = moving >= fixed ? fixed : fixed - h
+    const x = clampRange(r.x + r.w / 2 - w / 2, 0, this._bw - w)
+    return { x, y, w, h }
+  }
+
+  /** Shrink the rect around its center to match the aspect ratio. */
+  _fitAspect() {
+    const ratio = this.getRatio()
+    const r = this.rect
+    if (!ratio || !r) return
+    let w = r.w
+    let h = r.h
+    if (w / h > ratio) w = h * ratio
+    else h = w / ratio
+    this.rect = { x: r.x + (r.w - w) / 2, y: r.y + (r.h - h) / 2, w, h }
+  }
+
+  _notify() {
+    if (!this._listeners.size) return
+    const rect = this.rect ? { ...this.rect } : null
+    this._listeners.forEach((fn) => {
+      try { fn(rect, this.aspect) } catch {}
+    })
+  }
+}
+
+function clampPoint(p, w, h) {
+  return { x: clampRange(p.x, 0, w), y: clampRange(p.y, 0, h) }
+}
+
+function clampRange(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v))
+}
+
+export const CropService = new CropServiceImpl()
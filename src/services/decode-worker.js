@@ -0,0 +1,96 @@
+/**
+ * Decode worker: off-main-thread counterpart of ImageService's load path
+ *
+ * Responsibilities:
+ * - Parse embedded metadata (EXIF orientation etc.) from the raw bytes
+ * - Decode with createImageBitmap and enforce the hard size limits
+ * - Normalize orientation and build the (possibly downscaled) working buffer
+ *   on OffscreenCanvas, transferring both ImageBitmaps back
+ *
+ * Request:  {id, blob, target, limits:{displayMaxDim, hardMaxDim, hardMaxPixels}}
+ *           target {width, height} decodes straight to that upright size
+ *           (downscale on open) instead of checking the hard limits. The
+ *           check after decoding only catches headers ImageService could
+ *           not size up front.
+ * Response: {id, original, working, embedded, orientation, ms}
+ *        or {id, error, kind, width?, height?} — kind 'too-large' (with the
+ *           upright size) is final; anything else makes ImageService retry
+ *           on the main thread
+ */
+
+import { readMetadata } from './metadata-parser.js'
+import { orientedSize, applyOrientation } from './orientation.js'
+
+self.onmessage = async (event) => {
+  const { id, blob, target, limits } = event.data
+  const start = performance.now()
+  try {
+    const result = await decode(blob, target, limits)
+    const ms = performance.now() - start
+    self.postMessage({ id, ...result, ms }, [result.original, result.working])
+  } catch (err) {
+    self.postMessage({
+      id,
+      error: String(err && err.message || err),
+      kind: err && err.kind || 'decode',
+      ...(err && err.size),
+    })
+  }
+}
+
+async function decode(blob, target, limits) {
+  let embedded = null
+  let orientation = 1
+  try {
+    embedded = readMetadata(await blob.arrayBuffer())
+    orientation = embedded.orientation || 1
+  } catch {
+    // Non-fatal, same as the main-thread path
+  }
+
+  let decoded
+  if (target) {
+    // Target is upright; the decoder works before orientation
+    const size = orientedSize(target.width, target.height, orientation)
+    decoded = await createImageBitmap(blob, { resizeWidth: size.width, resizeHeight: size.height, resizeQuality: 'high' })
+  } else {
+    decoded = await createImageBitmap(blob)
+  }
+  const { width, height } = orientedSize(decoded.width, decoded.height, orientation)
+  if (!target && (width > limits.hardMaxDim || height > limits.hardMaxDim || width * height > limits.hardMaxPixels)) {
+    decoded.close()
+    const err = new Error('Image is too large to open')
+    err.kind = 'too-large'
+    err.size = { width, height }
+    throw err
+  }
+
+  let original = decoded
+  if (orientation !== 1) {
+    const canvas = new OffscreenCanvas(width, height)
+    const ctx = canvas.getContext('2d')
+    applyOrientation(ctx, orientation, decoded.width, decoded.height)
+    ctx.drawImage(decoded, 0, 0)
+    decoded.close()
+    original = canvas.transferToImageBitmap()
+  }
+
+  return { original, working: makeWorking(original, limits.displayMaxDim), embedded, orientation }
+}
+
+// Mirrors ImageService._makeWorkingFromOriginal
+function makeWorking(src, displayMaxDim) {
+  const w = src.width
+  const h = src.height
+  const longSide = Math.max(w, h)
+  const scale = longSide > displayMaxDim ? displayMaxDim / longSide : 1
+  const dw = Math.max(1, Math.round(w * scale))
+  const dh = Math.max(1, Math.round(h * scale))
+
+  const canvas = new OffscreenCanvas(dw, dh)
+  const ctx = canvas.getContext('2d')
+  ctx.imageSmoothingEnabled = true
+  if ('imageSmoothingQuality' in ctx) ctx.imageSmoothingQuality = 'high'
+  ctx.drawImage(src, 0, 0, w, h, 0, 0, dw, dh)
+  return canvas.transferToImageBitmap()
+}
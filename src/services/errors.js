@@ -0,0 +1,21 @@
+/**
+ * Errors the UI shows as they are. Services throw these for failures the user
+ * can act on; anything else is reported as a generic failure.
+ */
+
+/**
+ * @param {string} message - shown to the user
+ * @param {string} [kind] - lets callers tell failures apart (e.g. 'abort')
+ * @returns {Error & {isFriendly:true, kind?:string}}
+ */
+export function friendlyError(message, kind) {
+  const err = new Error(message)
+  err.isFriendly = true
+  if (kind) err.kind = kind
+  return err
+}
+
+/** Message of any thrown value, for embedding in a friendly error */
+export function errorMessage(err) {
+  return (err && (err.message || String(err))) || 'Unknown error'
+}
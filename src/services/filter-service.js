@@ -0,0 +1,314 @@
+/**
+ * FilterService: destructive image filters on layer pixels
+ *
+ * Responsibilities:
+ * - Hold the current filter and its params (filter tool settings)
+ * - Live preview of the visible part of a layer, at most at screen resolution
+ * - Apply to a whole layer, confined to the selection, as one undoable edit
+ *   with a replayable op (see replay) for full-resolution export; an apply is
+ *   abandoned when the document changes before its result is ready
+ * - Filter in TILE_SIZE tiles with enough overlap that results match a
+ *   whole-image run; tiles run in a worker, falling back to the main thread
+ *   when workers are unavailable or fail
+ * - Record worker time in Telemetry
+ */
+
+import { HistoryService } from './history-service.js'
+import { SelectionService } from './selection-service.js'
+import { Telemetry } from './telemetry-service.js'
+import { WorkerClient } from './worker-client.js'
+import { FILTER_TYPES, defaultFilterParams, filterReach, runFilter, sanitizeFilterParams } from './filters.js'
+
+const TILE_SIZE = 1024
+// Preview pixels per request; larger visible areas are previewed downsampled
+const PREVIEW_MAX_PIXELS = 1.5 * 1e6
+
+const TYPE_LABELS = new Map(FILTER_TYPES)
+
+/**
+ * @typedef {Object} FilterPreview
+ * @property {string} layerId
+ * @property {{x:number,y:number,w:number,h:number}} rect - working px covered
+ * @property {HTMLCanvasElement} canvas - filtered pixels (may be smaller than rect)
+ */
+
+/**
+ * @typedef {Object} FilterOp - replayable description of an applied filter
+ * @property {'filter'} type
+ * @property {string} layerId
+ * @property {string} filter - one of FILTER_TYPES
+ * @property {Object} params
+ * @property {Object[]|null} selection - selection shapes the filter was confined to
+ */
+
+class FilterServiceImpl {
+  constructor() {
+    this.type = FILTER_TYPES[0][0]
+    this.params = defaultFilterParams(this.type)
+    /** @type {FilterPreview|null} */
+    this._preview = null
+    // Increments per preview request so a slow result never replaces a newer one
+    this._previewToken = 0
+
+    this._worker = new WorkerClient(() => new Worker(new URL('./filter-worker.js', import.meta.url), { type: 'module' }))
+
+    /** @type {Set<Function>} */
+    this._listeners = new Set()
+  }
+
+  /** @param {string} type - one of FILTER_TYPES; params reset to its defaults */
+  setType(type) {
+    if (!TYPE_LABELS.has(type) || type === this.type) return
+    this.type = type
+    this.params = defaultFilterParams(type)
+    this._notify()
+  }
+
+  /** @param {Object} partial - merged into the current params and clamped */
+  setParams(partial = {}) {
+    this.params = sanitizeFilterParams(this.type, { ...this.params, ...partial })
+    this._notify()
+  }
+
+  /** @param {string} type */
+  getLabel(type = this.type) {
+    return TYPE_LABELS.get(type) || type
+  }
+
+  // --- Preview ----------------------------------------------------------------
+
+  /** @returns {FilterPreview|null} */
+  getPreview() {
+    return this._preview
+  }
+
+  /**
+   * Filter part of a layer with the current settings for the live preview.
+   * Resolves once ready (listeners are notified); stale requests are dropped.
+   * @param {import('./layer-service.js').Layer} layer
+   * @param {{x:number,y:number,w:number,h:number}} rect - working px to preview
+   * @param {number} maxScale - preview px per working px worth computing (screen resolution)
+   */
+  async preview(layer, rect, maxScale) {
+    const token = ++this._previewToken
+    const x = Math.max(0, Math.floor(rect.x))
+    const y = Math.max(0, Math.floor(rect.y))
+    const w = Math.min(layer.canvas.width, Math.ceil(rect.x + rect.w)) - x
+    const h = Math.min(layer.canvas.height, Math.ceil(rect.y + rect.h)) - y
+    if (w <= 0 || h <= 0) return
+    const scale = Math.min(1, maxScale, Math.sqrt(PREVIEW_MAX_PIXELS / (w * h)))
+    const { type, params } = this
+
+    // Extend by the filter's reach so the preview edges see real neighbours
+    const reach = Math.ceil(filterReach(type, params))
+    const px = Math.max(0, x - reach)
+    const py = Math.max(0, y - reach)
+    const pw = Math.min(layer.canvas.width, x + w + reach) - px
+    const ph = Math.min(layer.canvas.height, y + h + reach) - py
+    const draw = (source) => {
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.max(1, Math.round(pw * scale))
+      canvas.height = Math.max(1, Math.round(ph * scale))
+      const ctx = canvas.getContext('2d')
+      ctx.imageSmoothingQuality = 'high'
+      ctx.drawImage(source, px, py, pw, ph, 0, 0, canvas.width, canvas.height)
+      return canvas
+    }
+    const maskCanvas = SelectionService.getMask()
+    const canvas = await this._render(draw(layer.canvas), type, params, {
+      scale,
+      mask: maskCanvas ? draw(maskCanvas) : null,
+    })
+    if (token !== this._previewToken) return
+    this._preview = { layerId: layer.id, rect: { x: px, y: py, w: pw, h: ph }, canvas }
+    this._notify()
+  }
+
+  /** Drop the preview (and any preview still being computed). */
+  clearPreview() {
+    this._previewToken++
+    if (!this._preview) return
+    this._preview = null
+    this._notify()
+  }
+
+  // --- Apply ------------------------------------------------------------------
+
+  /**
+   * Filter a whole layer with the current settings, confined to the selection,
+   * and record it in HistoryService. Throws, leaving the layer untouched, when
+   * history changed or the layer's buffer was replaced while filtering: the
+   * result would overwrite those edits.
+   * @param {import('./layer-service.js').Layer} layer
+   * @returns {Promise<boolean>} false when no pixel changed
+   */
+  async apply(layer) {
+    const { type, params } = this
+    const selection = SelectionService.hasSelection() ? SelectionService.getShapes() : null
+    const canvas = layer.canvas
+    let changed = false
+    const unsubscribe = HistoryService.subscribe(() => { changed = true })
+    let filtered
+    try {
+      filtered = await this._render(canvas, type, params, { mask: SelectionService.getMask() })
+    } finally {
+      unsubscribe()
+    }
+    if (changed || layer.canvas !== canvas) {
+      throw new Error('The image changed while the filter was running. Apply it again.')
+    }
+    const { width, height } = layer.canvas
+    const entry = HistoryService.recordCanvasEdit(this.getLabel(type), layer.canvas, { x: 0, y: 0, w: width, h: height }, () => {
+      copyInto(layer.canvas.getContext('2d'), filtered)
+      /** @type {FilterOp} */
+      const op = { type: 'filter', layerId: layer.id, filter: type, params: { ...params }, selection }
+      return op
+    })
+    this.clearPreview()
+    return !!entry
+  }
+
+  /**
+   * Re-run a recorded filter on ctx's canvas at `scale` (full-resolution export).
+   * Runs on the main thread because op replay is synchronous.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {FilterOp} op
+   * @param {number} [scale] - ctx px per working px
+   * @param {HTMLCanvasElement|null} [mask] - ctx-sized selection mask the filter was confined to
+   */
+  replay(ctx, op, scale = 1, mask = null) {
+    const params = sanitizeFilterParams(op.filter, op.params)
+    const { width, height } = ctx.canvas
+    const maskCtx = mask ? mask.getContext('2d') : null
+    const out = document.createElement('canvas')
+    out.width = width
+    out.height = height
+    const octx = out.getContext('2d')
+    for (const tile of tiles(width, height, filterReach(op.filter, params, scale))) {
+      const { pixels, maskBytes } = readTile(ctx, maskCtx, tile)
+      const result = runFilter(pixels, op.filter, params, { scale, mask: maskBytes })
+      writeTile(octx, result, tile)
+    }
+    copyInto(ctx, out)
+  }
+
+  /** Subscribe to changes (listener: ({type,params,preview})=>void). Returns unsubscribe. */
+  subscribe(listener) {
+    this._listeners.add(listener)
+    return () => this._listeners.delete(listener)
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  /**
+   * Filter a canvas tile by tile into a new canvas of the same size.
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async _render(sourceCanvas, type, params, { scale = 1, mask = null } = {}) {
+    const source = snapshot(sourceCanvas)
+    const sctx = source.getContext('2d', { willReadFrequently: true })
+    const maskCtx = mask ? snapshot(mask).getContext('2d', { willReadFrequently: true }) : null
+    const out = document.createElement('canvas')
+    out.width = source.width
+    out.height = source.height
+    const octx = out.getContext('2d')
+    for (const tile of tiles(source.width, source.height, filterReach(type, params, scale))) {
+      let result = this._worker.isAvailable() ? await this._filterInWorker(readTile(sctx, maskCtx, tile), type, params, scale) : null
+      if (!result) {
+        // The worker took ownership of the tile buffers, so read them again
+        const { pixels, maskBytes } = readTile(sctx, maskCtx, tile)
+        result = runFilter(pixels, type, params, { scale, mask: maskBytes })
+      }
+      writeTile(octx, result, tile)
+    }
+    return out
+  }
+
+  /** @returns {Promise<Uint8ClampedArray|null>} null to fall back */
+  async _filterInWorker({ pixels, maskBytes }, type, params, scale) {
+    const transfer = [pixels.data.buffer]
+    if (maskBytes) transfer.push(maskBytes.buffer)
+    const result = await this._worker.request({
+      pixels: pixels.data.buffer,
+      width: pixels.width,
+      height: pixels.height,
+      type,
+      params,
+      scale,
+      mask: maskBytes ? maskBytes.buffer : null,
+    }, transfer)
+    if (!result || result.error) {
+      Telemetry.increment('filterWorkerFallback')
+      return null
+    }
+    Telemetry.recordTiming('filterWorker', result.ms)
+    return new Uint8ClampedArray(result.pixels)
+  }
+
+  _notify() {
+    if (!this._listeners.size) return
+    const state = { type: this.type, params: { ...this.params }, preview: this._preview }
+    this._listeners.forEach((fn) => {
+      try { fn(state) } catch {}
+    })
+  }
+}
+
+/**
+ * Tiles covering width × height; each is read with `reach` px of context
+ * (clamped to the image) and only its core is written back.
+ */
+function* tiles(width, height, reach) {
+  const pad = Math.ceil(reach)
+  for (let y = 0; y < height; y += TILE_SIZE) {
+    for (let x = 0; x < width; x += TILE_SIZE) {
+      const w = Math.min(TILE_SIZE, width - x)
+      const h = Math.min(TILE_SIZE, height - y)
+      const rx = Math.max(0, x - pad)
+      const ry = Math.max(0, y - pad)
+      yield {
+        x, y, w, h,
+        read: { x: rx, y: ry, w: Math.min(width, x + w + pad) - rx, h: Math.min(height, y + h + pad) - ry },
+      }
+    }
+  }
+}
+
+function readTile(sctx, maskCtx, tile) {
+  const { x, y, w, h } = tile.read
+  const image = sctx.getImageData(x, y, w, h)
+  const pixels = { data: image.data, width: w, height: h }
+  let maskBytes = null
+  if (maskCtx) {
+    const alpha = maskCtx.getImageData(x, y, w, h).data
+    maskBytes = new Uint8Array(w * h)
+    for (let i = 0; i < maskBytes.length; i++) maskBytes[i] = alpha[i * 4 + 3]
+  }
+  return { pixels, maskBytes }
+}
+
+// Write the core of a filtered tile (which covers tile.read) into ctx
+function writeTile(ctx, result, tile) {
+  const image = new ImageData(result, tile.read.w, tile.read.h)
+  ctx.putImageData(image, tile.read.x, tile.read.y, tile.x - tile.read.x, tile.y - tile.read.y, tile.w, tile.h)
+}
+
+// Copy taken before an async render so edits made meanwhile can't mix into the result
+function snapshot(source) {
+  const canvas = document.createElement('canvas')
+  canvas.width = source.width
+  canvas.height = source.height
+  canvas.getContext('2d').drawImage(source, 0, 0)
+  return canvas
+}
+
+function copyInto(ctx, source) {
+  ctx.save()
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+  ctx.globalAlpha = 1
+  ctx.globalCompositeOperation = 'copy'
+  ctx.drawImage(source, 0, 0)
+  ctx.restore()
+}
+
+export const FilterService = new FilterServiceImpl()
@@ -0,0 +1,24 @@
+/**
+ * Filter worker: runs filters off the main thread for FilterService.
+ *
+ * Request:  {id, pixels: ArrayBuffer (RGBA), width, height, type, params, scale, mask: ArrayBuffer|null}
+ * Response: {id, pixels: ArrayBuffer (RGBA), ms} or {id, error}
+ */
+
+import { runFilter } from './filters.js'
+
+self.onmessage = (event) => {
+  const { id, pixels, width, height, type, params, scale, mask } = event.data
+  const start = performance.now()
+  try {
+    const out = runFilter(
+      { data: new Uint8ClampedArray(pixels), width, height },
+      type,
+      params,
+      { scale, mask: mask ? new Uint8Array(mask) : null },
+    )
+    self.postMessage({ id, pixels: out.buffer, ms: performance.now() - start }, [out.buffer])
+  } catch (err) {
+    self.postMessage({ id, error: String(err && err.message || err) })
+  }
+}
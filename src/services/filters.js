@@ -0,0 +1,305 @@
+/**
+ * Filter math shared by FilterService (preview, apply) and the export replay.
+ * Pure, deterministic functions over RGBA bytes, no DOM.
+ *
+ * Spatial params (radii) are in working-buffer px; `scale` converts them when
+ * filtering at another resolution (downsampled preview, full-resolution replay).
+ * Neighbourhood filters clamp at the edges of the region they are given.
+ */
+
+/** Filters offered in the UI: [type, label] */
+export const FILTER_TYPES = [
+  ['gaussianBlur', 'Gaussian blur'],
+  ['unsharpMask', 'Unsharp mask'],
+  ['medianDenoise', 'Median denoise'],
+  ['grayscale', 'Grayscale'],
+  ['sepia', 'Sepia'],
+  ['invert', 'Invert'],
+  ['posterize', 'Posterize'],
+  ['threshold', 'Threshold'],
+]
+
+/** Params per type: [name, label, min, max, step, default] */
+export const FILTER_PARAMS = {
+  gaussianBlur: [['radius', 'Radius (px)', 0.5, 50, 0.5, 2]],
+  unsharpMask: [
+    ['amount', 'Amount (%)', 0, 500, 1, 100],
+    ['radius', 'Radius (px)', 0.5, 20, 0.5, 1.5],
+    ['threshold', 'Threshold', 0, 255, 1, 0],
+  ],
+  medianDenoise: [['radius', 'Radius (px)', 1, 5, 1, 1]],
+  grayscale: [],
+  sepia: [['intensity', 'Intensity (%)', 0, 100, 1, 100]],
+  invert: [],
+  posterize: [['levels', 'Levels', 2, 32, 1, 4]],
+  threshold: [['level', 'Level', 0, 255, 1, 128]],
+}
+
+/**
+ * Border (px at `scale`) a filter reads around each pixel; regions filtered
+ * piecewise with this much context match a whole-image run exactly.
+ * @param {string} type
+ * @param {Object} params
+ * @param {number} [scale]
+ */
+export function filterReach(type, params, scale = 1) {
+  if (type === 'gaussianBlur' || type === 'unsharpMask') {
+    const sigma = params.radius * scale
+    return sigma > 0 ? boxRadii(sigma).reduce((sum, r) => sum + r, 0) : 0
+  }
+  if (type === 'medianDenoise') return medianRadius(params, scale)
+  return 0
+}
+
+/**
+ * @param {string} type
+ * @returns {Object}
+ */
+export function defaultFilterParams(type) {
+  const params = {}
+  for (const [name, , , , , value] of FILTER_PARAMS[type] || []) params[name] = value
+  return params
+}
+
+/**
+ * Clamp params to their ranges; invalid values fall back to the defaults.
+ * @param {string} type
+ * @param {Object} params
+ * @returns {Object}
+ */
+export function sanitizeFilterParams(type, params = {}) {
+  const out = defaultFilterParams(type)
+  for (const [name, , min, max] of FILTER_PARAMS[type] || []) {
+    const v = Number(params[name])
+    if (Number.isFinite(v)) out[name] = Math.max(min, Math.min(max, v))
+  }
+  return out
+}
+
+/**
+ * Filter RGBA pixels into a new buffer.
+ * @param {{data:Uint8ClampedArray,width:number,height:number}} src
+ * @param {string} type - one of FILTER_TYPES
+ * @param {Object} params - see FILTER_PARAMS (sanitized)
+ * @param {{scale?:number, mask?:Uint8Array|null}} [options]
+ *   scale: px per working px for spatial params;
+ *   mask: one byte per pixel blending filtered (255) with source (0) pixels
+ * @returns {Uint8ClampedArray}
+ */
+export function runFilter(src, type, params, options = {}) {
+  const { scale = 1, mask = null } = options
+  const { data, width, height } = src
+  let out
+  switch (type) {
+    case 'gaussianBlur':
+      out = gaussianBlur(data, width, height, params.radius * scale)
+      break
+    case 'unsharpMask':
+      out = unsharpMask(data, width, height, params.radius * scale, params.amount / 100, params.threshold)
+      break
+    case 'medianDenoise':
+      out = median(data, width, height, medianRadius(params, scale))
+      break
+    default:
+      out = perPixel(data, type, params)
+  }
+  if (mask) blendMasked(out, data, mask)
+  return out
+}
+
+// Internal -----------------------------------------------------------------
+
+function medianRadius(params, scale) {
+  return Math.max(1, Math.round(params.radius * scale))
+}
+
+function perPixel(data, type, params) {
+  const out = new Uint8ClampedArray(data)
+  const n = out.length
+  if (type === 'invert') {
+    for (let i = 0; i < n; i += 4) {
+      out[i] = 255 - out[i]
+      out[i + 1] = 255 - out[i + 1]
+      out[i + 2] = 255 - out[i + 2]
+    }
+  } else if (type === 'grayscale' || type === 'threshold') {
+    const cut = params.level
+    for (let i = 0; i < n; i += 4) {
+      let l = Math.round(0.2126 * out[i] + 0.7152 * out[i + 1] + 0.0722 * out[i + 2])
+      if (type === 'threshold') l = l >= cut ? 255 : 0
+      out[i] = l
+      out[i + 1] = l
+      out[i + 2] = l
+    }
+  } else if (type === 'sepia') {
+    const k = params.intensity / 100
+    for (let i = 0; i < n; i += 4) {
+      const r = out[i]
+      const g = out[i + 1]
+      const b = out[i + 2]
+      out[i] = r + (0.393 * r + 0.769 * g + 0.189 * b - r) * k
+      out[i + 1] = g + (0.349 * r + 0.686 * g + 0.168 * b - g) * k
+      out[i + 2] = b + (0.272 * r + 0.534 * g + 0.131 * b - b) * k
+    }
+  } else if (type === 'posterize') {
+    const steps = params.levels - 1
+    const lut = new Uint8ClampedArray(256)
+    for (let v = 0; v < 256; v++) lut[v] = Math.round(Math.round((v / 255) * steps) * (255 / steps))
+    for (let i = 0; i < n; i += 4) {
+      out[i] = lut[out[i]]
+      out[i + 1] = lut[out[i + 1]]
+      out[i + 2] = lut[out[i + 2]]
+    }
+  }
+  return out
+}
+
+/**
+ * Gaussian approximated by three box blurs (Kovesi), so cost does not grow
+ * with the radius. Colors are blurred premultiplied to avoid dark fringes
+ * at transparent edges.
+ */
+function gaussianBlur(data, width, height, sigma) {
+  if (!(sigma > 0)) return new Uint8ClampedArray(data)
+  const n = width * height
+  const buf = new Float32Array(n * 4)
+  for (let i = 0; i < n * 4; i += 4) {
+    const a = data[i + 3] / 255
+    buf[i] = data[i] * a
+    buf[i + 1] = data[i + 1] * a
+    buf[i + 2] = data[i + 2] * a
+    buf[i + 3] = data[i + 3]
+  }
+  const tmp = new Float32Array(n * 4)
+  for (const radius of boxRadii(sigma)) {
+    if (!radius) continue
+    boxPass(buf, tmp, width, height, radius, 4, width * 4)
+    boxPass(tmp, buf, height, width, radius, width * 4, 4)
+  }
+  const out = new Uint8ClampedArray(n * 4)
+  for (let i = 0; i < n * 4; i += 4) {
+    const a = buf[i + 3]
+    const k = a > 0 ? 255 / a : 0
+    out[i] = Math.round(buf[i] * k)
+    out[i + 1] = Math.round(buf[i + 1] * k)
+    out[i + 2] = Math.round(buf[i + 2] * k)
+    out[i + 3] = Math.round(a)
+  }
+  return out
+}
+
+// Box radii of three passes whose combined variance matches sigma
+function boxRadii(sigma) {
+  const passes = 3
+  const ideal = Math.sqrt((12 * sigma * sigma) / passes + 1)
+  let lower = Math.floor(ideal)
+  if (lower % 2 === 0) lower--
+  const upper = lower + 2
+  const m = Math.round((12 * sigma * sigma - passes * lower * lower - 4 * passes * lower - 3 * passes) / (-4 * lower - 4))
+  const radii = Array.from({ length: passes }, (_, i) => ((i < m ? lower : upper) - 1) / 2)
+  // Below sigma ~0.8 every pass rounds to 0; keep one so the smallest radius still blurs
+  if (!radii[passes - 1]) radii[passes - 1] = 1
+  return radii
+}
+
+/**
+ * One running-sum box pass along lines. `step` moves along a line, `stride`
+ * between lines (so the same code blurs rows and columns). Edges clamp.
+ */
+function boxPass(src, dst, length, lines, radius, step, stride) {
+  const size = radius * 2 + 1
+  for (let line = 0; line < lines; line++) {
+    const start = line * stride
+    const last = start + (length - 1) * step
+    for (let c = 0; c < 4; c++) {
+      let sum = 0
+      for (let k = -radius; k <= radius; k++) {
+        sum += src[start + Math.min(length - 1, Math.max(0, k)) * step + c]
+      }
+      for (let x = 0, i = start + c; x < length; x++, i += step) {
+        dst[i] = sum / size
+        const add = x + radius + 1
+        const drop = x - radius
+        sum += src[(add < length ? start + add * step : last) + c]
+        sum -= src[(drop > 0 ? start + drop * step : start) + c]
+      }
+    }
+  }
+}
+
+// Add back `amount` of the detail (source minus blur) where it exceeds threshold
+function unsharpMask(data, width, height, sigma, amount, threshold) {
+  const blurred = gaussianBlur(data, width, height, sigma)
+  const out = new Uint8ClampedArray(data)
+  for (let i = 0; i < out.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const diff = data[i + c] - blurred[i + c]
+      if (Math.abs(diff) >= threshold) out[i + c] = data[i + c] + diff * amount
+    }
+  }
+  return out
+}
+
+/**
+ * Square-window median per channel with a sliding histogram (Huang), so each
+ * step only adds and drops one column of the window.
+ */
+function median(data, width, height, radius) {
+  const out = new Uint8ClampedArray(data.length)
+  const hist = new Uint32Array(256)
+  const half = ((radius * 2 + 1) ** 2) >> 1
+  const at = (x, y, c) => {
+    const cx = Math.min(width - 1, Math.max(0, x))
+    const cy = Math.min(height - 1, Math.max(0, y))
+    return data[(cy * width + cx) * 4 + c]
+  }
+  for (let c = 0; c < 4; c++) {
+    for (let y = 0; y < height; y++) {
+      hist.fill(0)
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) hist[at(dx, y + dy, c)]++
+      }
+      // med: current median; below: window values < med
+      let med = 0
+      let below = 0
+      for (let x = 0; x < width; x++) {
+        if (x) {
+          for (let dy = -radius; dy <= radius; dy++) {
+            const drop = at(x - radius - 1, y + dy, c)
+            const add = at(x + radius, y + dy, c)
+            hist[drop]--
+            if (drop < med) below--
+            hist[add]++
+            if (add < med) below++
+          }
+        }
+        while (below > half) {
+          med--
+          below -= hist[med]
+        }
+        while (below + hist[med] <= half) {
+          below += hist[med]
+          med++
+        }
+        out[(y * width + x) * 4 + c] = med
+      }
+    }
+  }
+  return out
+}
+
+function blendMasked(out, src, mask) {
+  for (let p = 0, i = 0; p < mask.length; p++, i += 4) {
+    const m = mask[p]
+    if (m === 255) continue
+    if (m === 0) {
+      out[i] = src[i]
+      out[i + 1] = src[i + 1]
+      out[i + 2] = src[i + 2]
+      out[i + 3] = src[i + 3]
+      continue
+    }
+    const t = m / 255
+    for (let c = 0; c < 4; c++) out[i + c] = src[i + c] + (out[i + c] - src[i + c]) * t
+  }
+}
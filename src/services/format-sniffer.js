@@ -0,0 +1,259 @@
+/**
+ * Format sniffer: detect the real image container from its leading bytes
+ *
+ * Responsibilities:
+ * - Recognize JPEG, PNG, GIF, WebP, BMP, AVIF and SVG by signature
+ * - Recognize common formats we cannot open (TIFF, HEIC, PSD) so errors can
+ *   name them instead of reporting an unknown file
+ * - Normalize declared mime aliases (image/jpg, image/x-ms-bmp, …) and decide
+ *   which type to trust when the declared and detected ones disagree
+ * - Resolve an SVG's intrinsic size from its root width/height/viewBox
+ * - Read raster pixel sizes from container headers, so oversize images can be
+ *   caught before anything is decoded
+ *
+ * Pure functions (no DOM). SNIFF_BYTES of the head is enough for sniffing.
+ */
+
+/** Bytes to read from the start of a file before calling sniffFormat */
+export const SNIFF_BYTES = 1024
+
+/** Display names for detected formats, including the ones we cannot open */
+export const FORMAT_NAMES = {
+  'image/jpeg': 'JPEG',
+  'image/png': 'PNG',
+  'image/gif': 'GIF',
+  'image/webp': 'WebP',
+  'image/bmp': 'BMP',
+  'image/avif': 'AVIF',
+  'image/svg+xml': 'SVG',
+  'image/tiff': 'TIFF',
+  'image/heic': 'HEIC',
+  'image/vnd.adobe.photoshop': 'Photoshop (PSD)',
+}
+
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png',
+  'image/x-ms-bmp': 'image/bmp',
+  'image/x-bmp': 'image/bmp',
+}
+
+const AVIF_BRANDS = new Set(['avif', 'avis'])
+const HEIC_BRANDS = new Set(['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'])
+
+/**
+ * Detect the container from the first bytes of a file.
+ * @param {ArrayBuffer|Uint8Array} input - at least the first SNIFF_BYTES when available
+ * @returns {string|null} mime type, or null when unrecognized
+ */
+export function sniffFormat(input) {
+  const b = input instanceof Uint8Array ? input : new Uint8Array(input)
+  const starts = (sig, at = 0) => b.length >= at + sig.length && sig.every((v, i) => b[at + i] === v)
+  const ascii = (at, len) => String.fromCharCode(...b.subarray(at, at + len))
+
+  if (starts([0xff, 0xd8, 0xff])) return 'image/jpeg'
+  if (starts([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png'
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif'
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') return 'image/webp'
+  // 'BM' plus a DIB header size we know (core, info, v4, v5) to avoid false hits on text
+  if (ascii(0, 2) === 'BM' && b.length >= 18 && [12, 40, 52, 56, 108, 124].includes(b[14] | (b[15] << 8))) {
+    return 'image/bmp'
+  }
+  if (ascii(4, 4) === 'ftyp') return sniffIsoBrand(b, ascii)
+  if (starts([0x49, 0x49, 0x2a, 0x00]) || starts([0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff'
+  if (ascii(0, 4) === '8BPS') return 'image/vnd.adobe.photoshop'
+  if (looksLikeSvg(b)) return 'image/svg+xml'
+  return null
+}
+
+/**
+ * Canonical form of a declared mime type ('' when absent).
+ * @param {string} [mime]
+ */
+export function normalizeMime(mime) {
+  const m = (mime || '').split(';')[0].trim().toLowerCase()
+  return MIME_ALIASES[m] || m
+}
+
+/**
+ * Type to decode as, and whether the declared type was wrong. The sniffed type
+ * wins; generic declared types like application/octet-stream claim no format,
+ * so they never count as a mismatch.
+ * @param {string} declaredMime - normalized (see normalizeMime)
+ * @param {string|null} detectedMime - from sniffFormat
+ * @returns {{mime:string, mimeMismatch:boolean}}
+ */
+export function resolveMime(declaredMime, detectedMime) {
+  return {
+    mime: detectedMime || declaredMime,
+    mimeMismatch: !!detectedMime && declaredMime.startsWith('image/') && declaredMime !== detectedMime,
+  }
+}
+
+/**
+ * Intrinsic size of an SVG from its root attributes: width/height (px or
+ * unitless), the viewBox for a missing side or both, else the CSS default
+ * replaced-element size (300×150).
+ * @param {{width?:string|null, height?:string|null, viewBox?:string|null}} attrs
+ * @returns {{width:number,height:number}}
+ */
+export function svgIntrinsicSize(attrs) {
+  const length = (value) => {
+    const m = /^\s*([\d.]+)\s*(px)?\s*$/.exec(value || '')
+    const v = m ? parseFloat(m[1]) : NaN
+    return v > 0 ? v : null
+  }
+  const box = (attrs.viewBox || '').trim().split(/[\s,]+/).map(Number)
+  const vbW = box.length === 4 && box[2] > 0 ? box[2] : null
+  const vbH = box.length === 4 && box[3] > 0 ? box[3] : null
+  let width = length(attrs.width)
+  let height = length(attrs.height)
+  if (width && !height && vbW && vbH) height = width * vbH / vbW
+  if (height && !width && vbW && vbH) width = height * vbW / vbH
+  width = width || vbW || 300
+  height = height || vbH || 150
+  return { width: Math.max(1, Math.round(width)), height: Math.max(1, Math.round(height)) }
+}
+
+/**
+ * Stored pixel size (before EXIF orientation) from the container header,
+ * without decoding: JPEG frame header, PNG IHDR, GIF screen, BMP DIB header,
+ * WebP VP8/VP8L/VP8X, AVIF ispe (swapped by irot quarter turns).
+ * @param {ArrayBuffer|Uint8Array} input - the whole file; a JPEG's frame
+ *   header follows its metadata segments, which can be large
+ * @returns {{width:number,height:number}|null} null when unrecognized or truncated
+ */
+export function readImageSize(input) {
+  const b = input instanceof Uint8Array ? input : new Uint8Array(input)
+  const view = new DataView(b.buffer, b.byteOffset, b.byteLength)
+  try {
+    switch (sniffFormat(b.subarray(0, SNIFF_BYTES))) {
+      case 'image/jpeg': return jpegSize(b, view)
+      case 'image/png': return pixelSize(view.getUint32(16), view.getUint32(20))
+      case 'image/gif': return pixelSize(view.getUint16(6, true), view.getUint16(8, true))
+      case 'image/bmp':
+        // Core headers have 16-bit sizes; the others may store rows top-down as a negative height
+        return view.getUint32(14, true) === 12
+          ? pixelSize(view.getUint16(18, true), view.getUint16(20, true))
+          : pixelSize(view.getInt32(18, true), Math.abs(view.getInt32(22, true)))
+      case 'image/webp': return webpSize(b, view)
+      case 'image/avif': return avifSize(b, view)
+      default: return null
+    }
+  } catch (err) {
+    // Header cut short
+    if (err instanceof RangeError) return null
+    throw err
+  }
+}
+
+function pixelSize(width, height) {
+  return width > 0 && height > 0 ? { width, height } : null
+}
+
+// Walk marker segments up to the first frame header (SOF0..SOF15 except DHT, JPG, DAC)
+function jpegSize(b, view) {
+  let at = 2
+  while (at + 4 <= b.length) {
+    if (b[at] !== 0xff) return null
+    const marker = b[at + 1]
+    if (marker === 0xff) {
+      at++
+    } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      at += 2
+    } else if (marker === 0xda || marker === 0xd9) {
+      return null
+    } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return pixelSize(view.getUint16(at + 7), view.getUint16(at + 5))
+    } else {
+      at += 2 + view.getUint16(at + 2)
+    }
+  }
+  return null
+}
+
+// The first chunk after the RIFF header carries the size
+function webpSize(b, view) {
+  const type = String.fromCharCode(...b.subarray(12, 16))
+  if (type === 'VP8X') {
+    const u24 = (at) => b[at] | (b[at + 1] << 8) | (b[at + 2] << 16)
+    return pixelSize(u24(24) + 1, u24(27) + 1)
+  }
+  if (type === 'VP8L') {
+    if (b[20] !== 0x2f) return null
+    const bits = view.getUint32(21, true)
+    return pixelSize((bits & 0x3fff) + 1, ((bits >>> 14) & 0x3fff) + 1)
+  }
+  if (type === 'VP8 ') {
+    // Key frame start code, then 14-bit sizes (the top bits are upscaling hints)
+    if (b[23] !== 0x9d || b[24] !== 0x01 || b[25] !== 0x2a) return null
+    return pixelSize(view.getUint16(26, true) & 0x3fff, view.getUint16(28, true) & 0x3fff)
+  }
+  return null
+}
+
+// Item properties in meta/iprp/ipco: the largest ispe (thumbnails and grid tiles
+// are smaller than the image) and any irot
+function avifSize(b, view) {
+  const meta = findBox(b, view, 0, b.length, 'meta')
+  // meta is a full box: version and flags precede its children
+  const iprp = meta && findBox(b, view, meta.start + 4, meta.end, 'iprp')
+  const ipco = iprp && findBox(b, view, iprp.start, iprp.end, 'ipco')
+  if (!ipco) return null
+  let size = null
+  let quarterTurn = false
+  for (const box of boxes(b, view, ipco.start, ipco.end)) {
+    if (box.type === 'ispe') {
+      const width = view.getUint32(box.start + 4)
+      const height = view.getUint32(box.start + 8)
+      if (!size || width * height > size.width * size.height) size = { width, height }
+    } else if (box.type === 'irot') {
+      quarterTurn = (b[box.start] & 3) % 2 === 1
+    }
+  }
+  if (!size) return null
+  return quarterTurn ? pixelSize(size.height, size.width) : pixelSize(size.width, size.height)
+}
+
+function findBox(b, view, start, end, type) {
+  for (const box of boxes(b, view, start, end)) if (box.type === type) return box
+  return null
+}
+
+// ISO-BMFF boxes between start and end: type and payload range
+function* boxes(b, view, start, end) {
+  let at = start
+  while (at + 8 <= end) {
+    let size = view.getUint32(at)
+    let header = 8
+    if (size === 1) {
+      size = Number(view.getBigUint64(at + 8))
+      header = 16
+    } else if (size === 0) {
+      size = end - at
+    }
+    if (size < header || at + size > end) return
+    yield { type: String.fromCharCode(...b.subarray(at + 4, at + 8)), start: at + header, end: at + size }
+    at += size
+  }
+}
+
+// ISO-BMFF: major brand at 8, compatible brands from 16 to the end of the ftyp box
+function sniffIsoBrand(b, ascii) {
+  const size = ((b[0] << 24) | (b[1] << 16) | (b[2] << 8) | b[3]) >>> 0
+  const end = Math.min(b.length, size >= 16 ? size : 16)
+  const brands = [ascii(8, 4)]
+  for (let at = 16; at + 4 <= end; at += 4) brands.push(ascii(at, 4))
+  if (brands.some((brand) => AVIF_BRANDS.has(brand))) return 'image/avif'
+  if (brands.some((brand) => HEIC_BRANDS.has(brand))) return 'image/heic'
+  return null
+}
+
+// Text that opens (after a BOM, XML declaration, comments or doctype) with an <svg> root
+function looksLikeSvg(b) {
+  let text = new TextDecoder('utf-8', { fatal: false }).decode(b)
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1)
+  text = text.replace(/^\s*(<\?xml[^>]*\?>\s*)?((<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)\s*)*/i, '')
+  return /^<svg[\s>]/i.test(text)
+}
@@ -0,0 +1,107 @@
+/**
+ * HistogramService: per-channel histograms and statistics of the document
+ *
+ * Responsibilities:
+ * - Read the composited layers with color adjustments over a region (whole
+ *   image, visible area or selection), sampled down to a bounded pixel count
+ * - Bin R, G, B and luminance in a worker, falling back to the main thread
+ *   when workers are unavailable or fail
+ * - Record worker time in Telemetry
+ */
+
+import { LayerService } from './layer-service.js'
+import { AdjustmentService } from './adjustment-service.js'
+import { SelectionService } from './selection-service.js'
+import { Telemetry } from './telemetry-service.js'
+import { WorkerClient } from './worker-client.js'
+import { computeHistogram } from './histogram-stats.js'
+
+// Larger regions are sampled (nearest neighbour, so values stay exact)
+const MAX_SAMPLE_PIXELS = 4 * 1e6
+
+/** Regions offered in the UI */
+export const HISTOGRAM_SCOPES = [
+  ['image', 'Whole image'],
+  ['view', 'Visible area'],
+  ['selection', 'Selection'],
+]
+
+/**
+ * @typedef {import('./histogram-stats.js').HistogramStats & {sampleScale:number}} HistogramResult
+ *   sampleScale is sampled px per image px (1 = every pixel counted)
+ */
+
+class HistogramServiceImpl {
+  constructor() {
+    this._worker = new WorkerClient(() => new Worker(new URL('./histogram-worker.js', import.meta.url), { type: 'module' }))
+  }
+
+  /**
+   * Compute over a region of the document.
+   * @param {{x:number,y:number,w:number,h:number}} rect - working px; clipped to the document
+   * @param {{masked?:boolean}} [options] - masked: count only selected pixels
+   * @returns {Promise<HistogramResult|null>} null when the region is empty
+   */
+  async compute(rect, options = {}) {
+    const x = Math.max(0, Math.floor(rect.x))
+    const y = Math.max(0, Math.floor(rect.y))
+    const w = Math.min(LayerService.width, Math.ceil(rect.x + rect.w)) - x
+    const h = Math.min(LayerService.height, Math.ceil(rect.y + rect.h)) - y
+    if (w <= 0 || h <= 0) return null
+
+    const scale = Math.min(1, Math.sqrt(MAX_SAMPLE_PIXELS / (w * h)))
+    const sw = Math.max(1, Math.round(w * scale))
+    const sh = Math.max(1, Math.round(h * scale))
+    const maskCanvas = options.masked ? SelectionService.getMask() : null
+    const read = () => {
+      const pixels = this._read(sw, sh, x, y, scale, (ctx) => LayerService.composite(ctx), true)
+      let mask = null
+      if (maskCanvas) {
+        const alpha = this._read(sw, sh, x, y, scale, (ctx) => ctx.drawImage(maskCanvas, 0, 0))
+        mask = new Uint8Array(sw * sh)
+        for (let i = 0; i < mask.length; i++) mask[i] = alpha[i * 4 + 3]
+      }
+      return { pixels, mask }
+    }
+
+    // The worker takes ownership of the buffers, so the fallback reads again
+    let stats = this._worker.isAvailable() ? await this._computeInWorker(read()) : null
+    if (!stats) {
+      const { pixels, mask } = read()
+      stats = computeHistogram(pixels, mask)
+    }
+    return { ...stats, sampleScale: scale }
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  _read(sw, sh, x, y, scale, draw, adjust = false) {
+    const canvas = document.createElement('canvas')
+    canvas.width = sw
+    canvas.height = sh
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+    ctx.imageSmoothingEnabled = false
+    ctx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale)
+    draw(ctx)
+    const imageData = ctx.getImageData(0, 0, sw, sh)
+    if (adjust) AdjustmentService.applyTo(imageData)
+    return imageData.data
+  }
+
+  /**
+   * @returns {Promise<import('./histogram-stats.js').HistogramStats|null>} null to fall back
+   */
+  async _computeInWorker({ pixels, mask }) {
+    const transfer = [pixels.buffer]
+    if (mask) transfer.push(mask.buffer)
+    const result = await this._worker.request({ pixels: pixels.buffer, mask: mask ? mask.buffer : null }, transfer)
+    if (!result || result.error) {
+      Telemetry.increment('histogramWorkerFallback')
+      return null
+    }
+    Telemetry.recordTiming('histogramWorker', result.ms)
+    return result.stats
+  }
+}
+
+export const HistogramService = new HistogramServiceImpl()
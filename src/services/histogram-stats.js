@@ -0,0 +1,69 @@
+/**
+ * Histogram math shared by HistogramService and its worker
+ * (pure functions over RGBA bytes, no DOM).
+ */
+
+/**
+ * @typedef {Object} ChannelStats
+ * @property {Uint32Array} bins - 256 counts
+ * @property {number} min - lowest value present (0 when no pixels)
+ * @property {number} max - highest value present (0 when no pixels)
+ * @property {number} mean
+ * @property {number} clippedLow - % of counted pixels at 0
+ * @property {number} clippedHigh - % of counted pixels at 255
+ */
+
+/**
+ * @typedef {Object} HistogramStats
+ * @property {{r:ChannelStats,g:ChannelStats,b:ChannelStats,l:ChannelStats}} channels
+ * @property {number} pixels - pixels counted (transparent and unmasked pixels are skipped)
+ */
+
+/**
+ * Bin R, G, B and Rec. 709 luminance.
+ * @param {Uint8ClampedArray|Uint8Array} rgba
+ * @param {Uint8Array|null} [mask] - one byte per pixel; pixels under 128 are skipped
+ * @returns {HistogramStats}
+ */
+export function computeHistogram(rgba, mask = null) {
+  const r = new Uint32Array(256)
+  const g = new Uint32Array(256)
+  const b = new Uint32Array(256)
+  const l = new Uint32Array(256)
+  let pixels = 0
+  for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+    if (rgba[i + 3] === 0 || (mask && mask[p] < 128)) continue
+    const R = rgba[i]
+    const G = rgba[i + 1]
+    const B = rgba[i + 2]
+    r[R]++
+    g[G]++
+    b[B]++
+    l[Math.round(0.2126 * R + 0.7152 * G + 0.0722 * B)]++
+    pixels++
+  }
+  return {
+    channels: { r: channelStats(r, pixels), g: channelStats(g, pixels), b: channelStats(b, pixels), l: channelStats(l, pixels) },
+    pixels,
+  }
+}
+
+function channelStats(bins, pixels) {
+  let min = 0
+  let max = 0
+  let sum = 0
+  if (pixels) {
+    while (!bins[min]) min++
+    max = 255
+    while (!bins[max]) max--
+    for (let v = min; v <= max; v++) sum += v * bins[v]
+  }
+  return {
+    bins,
+    min,
+    max,
+    mean: pixels ? sum / pixels : 0,
+    clippedLow: pixels ? (bins[0] / pixels) * 100 : 0,
+    clippedHigh: pixels ? (bins[255] / pixels) * 100 : 0,
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Histogram worker: bins pixels off the main thread for HistogramService.
+ *
+ * Request:  {id, pixels: ArrayBuffer (RGBA), mask: ArrayBuffer|null}
+ * Response: {id, stats, ms} or {id, error}
+ */
+
+import { computeHistogram } from './histogram-stats.js'
+
+self.onmessage = (event) => {
+  const { id, pixels, mask } = event.data
+  const start = performance.now()
+  try {
+    const stats = computeHistogram(new Uint8ClampedArray(pixels), mask ? new Uint8Array(mask) : null)
+    const ms = performance.now() - start
+    const c = stats.channels
+    self.postMessage({ id, stats, ms }, [c.r.bins.buffer, c.g.bins.buffer, c.b.bins.buffer, c.l.bins.buffer])
+  } catch (err) {
+    self.postMessage({ id, error: String(err && err.message || err) })
+  }
+}
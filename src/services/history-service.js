@@ -0,0 +1,283 @@
+/**
+ * HistoryService: bounded undo/redo for working-buffer edits
+ *
+ * Responsibilities:
+ * - Keep undo and redo stacks of edit entries
+ * - Record canvas edits as tile-level diffs (only changed tiles are stored)
+ *   and state changes as before/after snapshots
+ * - Track approximate memory use and evict the oldest entries past the budget
+ * - Expose the replayable ops of applied edits (used for full-resolution export)
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - human readable name, e.g. 'Brush stroke'
+ * @property {number} bytes - approximate memory retained by the entry
+ * @property {() => (void|Promise<void>)} undo
+ * @property {() => (void|Promise<void>)} redo
+ * @property {Object} [op] - replayable description of the edit ({type, ...}); canvas
+ *   edits add `rect`, the bounds of the pixels they changed
+ * @property {boolean} [barrier] - edit rebuilt the source image (crop, rotate, …);
+ *   ops recorded before it are baked in and no longer replayed
+ */
+
+/**
+ * @typedef {{x:number,y:number,w:number,h:number}} Rect
+ */
+
+const TILE_SIZE = 128
+
+class HistoryServiceImpl {
+  constructor() {
+    /** @type {HistoryEntry[]} */
+    this._undo = []
+    /** @type {HistoryEntry[]} */
+    this._redo = []
+    this._bytes = 0
+    // Ops of entries evicted from the undo stack; still part of the image
+    /** @type {Object[]} */
+    this._evictedOps = []
+
+    // Bounds (tunable)
+    this.maxEntries = 100
+    this.maxBytes = 256 * 1024 * 1024 // 256 MB of retained pixel data
+
+    /** @type {Set<Function>} */
+    this._listeners = new Set()
+  }
+
+  // --- Recording --------------------------------------------------------------
+
+  /**
+   * Push a ready-made entry. Clears the redo stack and enforces bounds.
+   * @param {HistoryEntry} entry
+   */
+  push(entry) {
+    this._dropAll(this._redo)
+    this._undo.push(entry)
+    this._bytes += entry.bytes || 0
+    this._enforceLimits()
+    this._notify()
+  }
+
+  /**
+   * Record a change between two snapshots of a service's state (adjustment
+   * stack, annotations, redactions, selection); `set` restores either one.
+   * Snapshots are kept as they are, so services replace their state rather
+   * than mutating it. No-op when both are the same object.
+   * @template T
+   * @param {string} label
+   * @param {T} prev
+   * @param {T} next
+   * @param {(state: T) => void} set
+   */
+  recordStateChange(label, prev, next, set) {
+    if (prev === next) return
+    this.push({ label, bytes: 0, undo: () => set(prev), redo: () => set(next) })
+  }
+
+  /**
+   * Run `mutate` against `canvas` and record the pixels it changed inside `rect`
+   * as tile diffs. `mutate` may return an op object describing the edit; it
+   * gets a `rect` bounding the changed tiles. Returns the recorded entry, or
+   * null when no pixel changed.
+   * @param {string} label
+   * @param {HTMLCanvasElement} canvas
+   * @param {Rect} rect - region that mutate may touch, in canvas pixels
+   * @param {() => (Object|null|void)} mutate
+   * @param {{undo?:() => void, redo?:() => void}} [hooks] - run after the pixels are
+   *   restored, for state that changed along with them
+   * @returns {HistoryEntry|null}
+   */
+  recordCanvasEdit(label, canvas, rect, mutate, hooks = {}) {
+    const ctx = canvas.getContext('2d')
+    const tiles = this._tilesFor(rect, canvas.width, canvas.height)
+    const before = tiles.map(t => ctx.getImageData(t.x, t.y, t.w, t.h))
+    const op = mutate() || undefined
+
+    // Keep only tiles whose pixels actually changed
+    const diffs = []
+    let bytes = 0
+    tiles.forEach((t, i) => {
+      const after = ctx.getImageData(t.x, t.y, t.w, t.h)
+      if (sameBytes(before[i].data, after.data)) return
+      diffs.push({ x: t.x, y: t.y, before: before[i], after })
+      bytes += before[i].data.byteLength + after.data.byteLength
+    })
+    if (!diffs.length) return null
+    if (op) op.rect = boundsOf(diffs.map(d => ({ x: d.x, y: d.y, w: d.before.width, h: d.before.height })))
+
+    const entry = {
+      label,
+      bytes,
+      op,
+      undo: () => {
+        diffs.forEach(d => ctx.putImageData(d.before, d.x, d.y))
+        hooks.undo?.()
+      },
+      redo: () => {
+        diffs.forEach(d => ctx.putImageData(d.after, d.x, d.y))
+        hooks.redo?.()
+      },
+    }
+    this.push(entry)
+    return entry
+  }
+
+  // --- Undo / redo ------------------------------------------------------------
+
+  canUndo() {
+    return this._undo.length > 0
+  }
+
+  canRedo() {
+    return this._redo.length > 0
+  }
+
+  /**
+   * Undo the most recent entry. Returns it, or null if there was nothing to undo.
+   * @returns {Promise<HistoryEntry|null>}
+   */
+  async undo() {
+    const entry = this._undo.pop()
+    if (!entry) return null
+    try {
+      await entry.undo()
+    } catch (err) {
+      // Keep stacks consistent: a failed undo leaves the entry applied
+      this._undo.push(entry)
+      throw err
+    }
+    this._redo.push(entry)
+    this._notify()
+    return entry
+  }
+
+  /**
+   * Re-apply the most recently undone entry.
+   * @returns {Promise<HistoryEntry|null>}
+   */
+  async redo() {
+    const entry = this._redo.pop()
+    if (!entry) return null
+    try {
+      await entry.redo()
+    } catch (err) {
+      this._redo.push(entry)
+      throw err
+    }
+    this._undo.push(entry)
+    this._notify()
+    return entry
+  }
+
+  /** Drop all history (e.g. when a new image is loaded). */
+  clear() {
+    this._dropAll(this._undo)
+    this._dropAll(this._redo)
+    this._bytes = 0
+    this._evictedOps = []
+    this._notify()
+  }
+
+  // --- Queries ----------------------------------------------------------------
+
+  /**
+   * Ops of currently applied entries (including evicted ones) since the most
+   * recent barrier, oldest first.
+   * @returns {Object[]}
+   */
+  getOps() {
+    let start = 0
+    for (let i = this._undo.length - 1; i >= 0; i--) {
+      if (this._undo[i].barrier) {
+        start = i
+        break
+      }
+    }
+    const applied = this._undo.slice(start).filter(e => e.op).map(e => e.op)
+    const barrierApplied = start > 0 || (this._undo[0] && this._undo[0].barrier)
+    return barrierApplied ? applied : [...this._evictedOps, ...applied]
+  }
+
+  /** Get a snapshot of stack sizes and memory use */
+  getStats() {
+    return {
+      undoCount: this._undo.length,
+      redoCount: this._redo.length,
+      bytes: this._bytes,
+      maxBytes: this.maxBytes,
+      nextUndo: this._undo.length ? this._undo[this._undo.length - 1].label : null,
+      nextRedo: this._redo.length ? this._redo[this._redo.length - 1].label : null,
+    }
+  }
+
+  /** Subscribe to changes (listener: (stats)=>void). Returns unsubscribe. */
+  subscribe(listener) {
+    this._listeners.add(listener)
+    return () => this._listeners.delete(listener)
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  _tilesFor(rect, cw, ch) {
+    const x0 = Math.max(0, Math.floor(rect.x / TILE_SIZE) * TILE_SIZE)
+    const y0 = Math.max(0, Math.floor(rect.y / TILE_SIZE) * TILE_SIZE)
+    const x1 = Math.min(cw, Math.ceil(rect.x + rect.w))
+    const y1 = Math.min(ch, Math.ceil(rect.y + rect.h))
+    const tiles = []
+    for (let y = y0; y < y1; y += TILE_SIZE) {
+      for (let x = x0; x < x1; x += TILE_SIZE) {
+        tiles.push({ x, y, w: Math.min(TILE_SIZE, cw - x), h: Math.min(TILE_SIZE, ch - y) })
+      }
+    }
+    return tiles
+  }
+
+  _enforceLimits() {
+    // Always keep the newest entry, even if it alone exceeds the budget
+    while (this._undo.length > 1 && (this._undo.length > this.maxEntries || this._bytes > this.maxBytes)) {
+      const dropped = this._undo.shift()
+      this._bytes -= dropped.bytes || 0
+      // Evicted edits can no longer be undone but still need replaying on export
+      if (dropped.barrier) this._evictedOps = []
+      if (dropped.op) this._evictedOps.push(dropped.op)
+    }
+  }
+
+  _dropAll(stack) {
+    stack.forEach(e => { this._bytes -= e.bytes || 0 })
+    stack.length = 0
+    if (this._bytes < 0) this._bytes = 0
+  }
+
+  _notify() {
+    if (!this._listeners.size) return
+    const stats = this.getStats()
+    this._listeners.forEach((fn) => {
+      try { fn(stats) } catch {}
+    })
+  }
+}
+
+function sameBytes(a, b) {
+  if (a.length !== b.length) return false
+  // Compare as 32-bit words (one per pixel) for speed
+  const wa = new Uint32Array(a.buffer, a.byteOffset, a.length >> 2)
+  const wb = new Uint32Array(b.buffer, b.byteOffset, b.length >> 2)
+  for (let i = 0; i < wa.length; i++) {
+    if (wa[i] !== wb[i]) return false
+  }
+  return true
+}
+
+/** @param {Rect[]} rects */
+function boundsOf(rects) {
+  const x0 = Math.min(...rects.map(r => r.x))
+  const y0 = Math.min(...rects.map(r => r.y))
+  const x1 = Math.max(...rects.map(r => r.x + r.w))
+  const y1 = Math.max(...rects.map(r => r.y + r.h))
+  return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 }
+}
+
+export const HistoryService = new HistoryServiceImpl()
@@ -2,28 +2,122 @@
  * ImageService: load + normalize orientation
  *
  * Responsibilities:
- * - Load images from File or URL (PNG/JPEG/WebP)
- * - Parse EXIF orientation (JPEG) and render an upright ImageBitmap
+ * - Load images from File or URL (PNG/JPEG/WebP/AVIF/GIF/BMP), streaming URL downloads with progress/abort
+ * - Rasterize SVG at a caller-chosen size (GIF opens its first frame)
+ * - Detect the real format from header bytes; blob.type is only a fallback
+ * - Size guardrails configurable per deployment, defaulting by navigator.deviceMemory;
+ *   oversize images can be opened as a downscaled copy when the caller agrees
+ * - Read embedded EXIF/IPTC/XMP/ICC metadata and render an upright ImageBitmap
+ * - Decode, orient and downscale in a worker (OffscreenCanvas), falling back to
+ *   the main thread when workers or OffscreenCanvas are unavailable or fail
  * - Maintain original (upright) and a working clone buffers
+ * - Keep the loaded file's bytes, and start documents from saved project pixels
+ * - Provide a mutable working canvas for edit tools
+ * - Export to PNG/JPEG/WebP, re-rendering edits at full resolution when downscaled
+ *   and baking in the color adjustment stack, redactions and vector annotations;
+ *   exported files carry no EXIF/GPS, XMP or IPTC metadata
+ * - Orientation transforms reusable for user rotate/flip
+ * - Replace the original after document-wide edits (crop, rotate, …) with snapshot/restore for undo
  * - Provide getters and resetWorking()
  * - Surface friendly errors
  */
 
+import { readMetadata, stripMetadata } from './metadata-parser.js'
+import { orientedSize, applyOrientation } from './orientation.js'
+import { Telemetry } from './telemetry-service.js'
+import { WorkerClient } from './worker-client.js'
+import { sniffFormat, normalizeMime, readImageSize, resolveMime, svgIntrinsicSize, FORMAT_NAMES, SNIFF_BYTES } from './format-sniffer.js'
+import { compileAdjustments } from './adjustments.js'
+import { drawAnnotations } from './annotations.js'
+import { redactImage } from './redactions.js'
+import { friendlyError, errorMessage } from './errors.js'
+
+const SVG_TYPE = 'image/svg+xml'
+
 const SUPPORTED_TYPES = new Set([
   'image/jpeg',
   'image/png',
   'image/webp',
+  'image/avif',
+  'image/gif',
+  'image/bmp',
+  SVG_TYPE,
 ])
 
+const EXPORT_TYPES = new Map([
+  ['image/png', 'PNG'],
+  ['image/jpeg', 'JPEG'],
+  ['image/webp', 'WebP'],
+])
+
+// Rows per getImageData pass when baking adjustments; bounds readback memory
+const ADJUST_STRIP_ROWS = 512
+
+/**
+ * @typedef {Object} ImageLimits
+ * @property {number} displayMaxDim - soft cap for the working buffer's long side (larger images are previewed downscaled)
+ * @property {number} hardMaxDim - hard per-side cap for the original
+ * @property {number} hardMaxPixels - hard total pixel cap for the original
+ */
+
+/**
+ * @typedef {Object} LoadOptions
+ * @property {(intrinsic:{width:number,height:number}) => Promise<{width:number,height:number}|null>} [resolveSvgSize]
+ *   asked for the raster size of SVG input (resolve null to cancel); the intrinsic size is used when omitted
+ * @property {(size:{width:number,height:number,fitWidth:number,fitHeight:number}) => Promise<boolean>} [resolveOversize]
+ *   asked whether to open a copy downscaled to fit (fitWidth × fitHeight) when the image exceeds
+ *   the hard limits; without it (or on false) the load fails
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} [format] - 'image/png' (default) | 'image/jpeg' | 'image/webp'
+ * @property {number} [quality] - 0..1 for JPEG/WebP (default 0.92)
+ * @property {number} [width] - output width in px; derived from height/aspect if omitted
+ * @property {number} [height] - output height in px; derived from width/aspect if omitted
+ * @property {boolean} [fullResolution] - when downscaled, replay edits on the original (default true)
+ * @property {Object[]} [ops] - applied edit ops (see HistoryService.getOps) to replay
+ * @property {ExportLayer[]} [layers] - layer stack to composite (default: the working buffer alone)
+ * @property {import('./adjustments.js').Adjustment[]} [adjustments] - color adjustments applied
+ *   to the composite, in order (see AdjustmentService.getStack)
+ * @property {import('./redactions.js').Redaction[]} [redactions] - regions in working px burned
+ *   into the adjusted composite at full resolution (see RedactionService.getRegions)
+ * @property {import('./annotations.js').Annotation[]} [annotations] - vector markup in working px,
+ *   drawn over the adjusted result at output resolution (see AnnotationService.getObjects)
+ */
+
+/**
+ * @typedef {Object} ExportLayer
+ * @property {string} id
+ * @property {CanvasImageSource} canvas - pixels in working-buffer space
+ * @property {boolean} visible
+ * @property {number} opacity - 0..1
+ * @property {string} blendMode - canvas globalCompositeOperation
+ * @property {boolean} isBackground - the layer derived from the original image
+ */
+
+/**
+ * Replays one edit op into a full-resolution context.
+ * @callback OpRenderer
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} op
+ * @param {number} scale - original pixels per working pixel
+ */
+
 /**
  * @typedef {Object} ImageMetadata
  * @property {string} sourceType - 'file' | 'url'
  * @property {string} [name] - file name if source is file
- * @property {string} mime - mime type
+ * @property {string} mime - mime type used to decode (detected, else declared)
+ * @property {string} declaredMime - type claimed by the file or server ('' when none)
+ * @property {string|null} detectedMime - type sniffed from the header bytes; null when unrecognized
+ * @property {boolean} mimeMismatch - declared image type disagrees with the detected one
+ * @property {{width:number,height:number}|null} downscaledFrom - file size when opened as a downscaled copy
  * @property {number} width - displayed/oriented width
  * @property {number} height - displayed/oriented height
- * @property {number} orientation - EXIF orientation (1..8), 1 for non-JPEG
+ * @property {number} orientation - EXIF orientation (1..8) from JPEG APP1, PNG eXIf or WebP EXIF; 1 when absent
  * @property {number} byteLength - size of the blob in bytes
+ * @property {import('./metadata-parser.js').EmbeddedMetadata|null} embedded - camera/EXIF/IPTC/XMP/ICC details
  */
 
 class ImageServiceImpl {
@@ -32,45 +126,133 @@ class ImageServiceImpl {
     this._original = null
     /** @type {ImageBitmap|null} */
     this._working = null
+    // Mutable copy of _working, created lazily when an edit tool first paints
+    /** @type {HTMLCanvasElement|null} */
+    this._workingCanvas = null
+    // Full-resolution base pixels of non-background layers, set when a geometry
+    // edit bakes their earlier strokes while the working buffer is downscaled
+    /** @type {Map<string, HTMLCanvasElement>} */
+    this._layerOriginals = new Map()
     /** @type {ImageMetadata|null} */
     this._meta = null
+    // File the document was opened from, as loaded (saved in projects)
+    /** @type {Blob|null} */
+    this._source = null
+    /** @type {Map<string, OpRenderer>} */
+    this._opRenderers = new Map()
+    // Decodes on OffscreenCanvas, so it needs one
+    this._decodeWorker = new WorkerClient(() => typeof OffscreenCanvas === 'undefined'
+      ? null
+      : new Worker(new URL('./decode-worker.js', import.meta.url), { type: 'module' }))
 
-    // Large image guardrails (tunable)
+    // Large image guardrails (see configure)
     this.DISPLAY_MAX_DIM = 6000 // soft cap for display/working buffer
-    this.HARD_MAX_DIM = 12000 // hard per-side cap; above this we reject
+    this.HARD_MAX_DIM = 12000 // hard per-side cap; above this we reject or downscale on open
     this.HARD_MAX_PIXELS = 100 * 1e6 // 100 megapixels hard cap
+    this.configure()
+  }
+
+  /**
+   * Set the size guardrails for this deployment. Omitted or invalid fields use
+   * the defaults for this device (see defaultLimits).
+   * @param {Partial<ImageLimits>} [overrides]
+   */
+  configure(overrides = {}) {
+    const defaults = defaultLimits()
+    const pick = (v, fallback) => (Number.isFinite(v) && v > 0 ? Math.round(v) : fallback)
+    this.HARD_MAX_DIM = pick(overrides.hardMaxDim, defaults.hardMaxDim)
+    this.HARD_MAX_PIXELS = pick(overrides.hardMaxPixels, defaults.hardMaxPixels)
+    // The preview is never larger than an allowed original
+    this.DISPLAY_MAX_DIM = Math.min(pick(overrides.displayMaxDim, defaults.displayMaxDim), this.HARD_MAX_DIM)
+  }
+
+  /** @returns {ImageLimits} */
+  getLimits() {
+    return {
+      displayMaxDim: this.DISPLAY_MAX_DIM,
+      hardMaxDim: this.HARD_MAX_DIM,
+      hardMaxPixels: this.HARD_MAX_PIXELS,
+    }
+  }
+
+  /**
+   * Largest size with the same aspect ratio that fits the hard limits.
+   * @param {number} width
+   * @param {number} height
+   * @returns {{width:number,height:number}}
+   */
+  fitWithinLimits(width, height) {
+    const scale = Math.min(
+      1,
+      this.HARD_MAX_DIM / Math.max(width, height),
+      Math.sqrt(this.HARD_MAX_PIXELS / (width * height))
+    )
+    return {
+      width: Math.max(1, Math.floor(width * scale)),
+      height: Math.max(1, Math.floor(height * scale)),
+    }
   }
 
   /**
    * Load from a File
    * @param {File} file
+   * @param {LoadOptions} [options]
    */
-  async loadFromFile(file) {
+  async loadFromFile(file, options = {}) {
     if (!(file instanceof Blob)) {
-      throw this._friendlyError('Provided input is not a File/Blob.')
+      throw friendlyError('Provided input is not a File/Blob.')
     }
     return await this._loadFromBlob(file, {
       sourceType: 'file',
       name: file.name || undefined,
-    })
+    }, options)
   }
 
   /**
-   * Load from URL (same-origin or CORS-enabled)
+   * Load from URL (same-origin or CORS-enabled).
+   * Errors carry `kind`: 'abort' | 'cors' | 'network' | 'http' | 'content-type'
+   * (decode errors from the downloaded bytes are passed through unchanged).
    * @param {string} url
+   * @param {LoadOptions & {signal?:AbortSignal,onProgress?:(p:{loaded:number,total:number})=>void}} [options]
+   *   total is 0 when the server sends no Content-Length
    */
-  async loadFromUrl(url) {
+  async loadFromUrl(url, options = {}) {
+    const { signal, onProgress } = options
+    let res
     try {
-      const res = await fetch(url, { mode: 'cors' })
-      if (!res.ok) throw new Error(`HTTP ${res.status}`)
-      const blob = await res.blob()
-      return await this._loadFromBlob(blob, { sourceType: 'url' })
+      res = await fetch(url, { mode: 'cors', signal })
     } catch (err) {
-      throw this._friendlyError(
-        `Failed to load image from URL. ${this._asMessage(err)} ` +
-          'Ensure the URL is correct and CORS is enabled.'
+      if (this._isAbort(err)) throw friendlyError('Download cancelled.', 'abort')
+      // fetch rejects with a bare TypeError for both CORS refusals and network failures
+      if (await this._isReachable(url, signal)) {
+        throw friendlyError(
+          'The server does not allow this image to be loaded by other sites (CORS). ' +
+            'Download the image and open the file instead.',
+          'cors'
+        )
+      }
+      if (signal?.aborted) throw friendlyError('Download cancelled.', 'abort')
+      throw friendlyError('Could not download the image. Check the URL and your connection.', 'network')
+    }
+    if (!res.ok) {
+      throw friendlyError(
+        `The server responded with HTTP ${res.status}${res.statusText ? ` (${res.statusText})` : ''}.`,
+        'http'
       )
     }
+    const type = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase()
+    if (type && !type.startsWith('image/') && type !== 'application/octet-stream') {
+      throw friendlyError(`The URL did not return an image (content type: ${type}).`, 'content-type')
+    }
+
+    let blob
+    try {
+      blob = await this._readResponse(res, type, onProgress)
+    } catch (err) {
+      if (this._isAbort(err)) throw friendlyError('Download cancelled.', 'abort')
+      throw friendlyError(`Download failed. ${errorMessage(err)}`, 'network')
+    }
+    return await this._loadFromBlob(blob, { sourceType: 'url', name: this._nameFromUrl(url) }, options)
   }
 
   /**
@@ -81,10 +263,28 @@ class ImageServiceImpl {
   }
 
   /**
-   * @returns {ImageBitmap|null}
+   * Current working pixels: the mutable canvas once edits began, else the bitmap.
+   * @returns {ImageBitmap|HTMLCanvasElement|null}
    */
   getWorking() {
-    return this._working
+    return this._workingCanvas || this._working
+  }
+
+  /**
+   * Mutable canvas copy of the working buffer for edit tools to paint into.
+   * Created from the working bitmap on first call; null when no image is loaded.
+   * @returns {HTMLCanvasElement|null}
+   */
+  getWorkingCanvas() {
+    if (this._workingCanvas) return this._workingCanvas
+    if (!this._working) return null
+    const canvas = document.createElement('canvas')
+    canvas.width = this._working.width
+    canvas.height = this._working.height
+    const ctx = canvas.getContext('2d')
+    ctx.drawImage(this._working, 0, 0)
+    this._workingCanvas = canvas
+    return canvas
   }
 
   /**
@@ -94,6 +294,40 @@ class ImageServiceImpl {
     return this._meta
   }
 
+  /**
+   * Bytes of the file the document was opened from (before any edit).
+   * @returns {Blob|null}
+   */
+  getSource() {
+    return this._source
+  }
+
+  /**
+   * Start a document from a saved project: `image` holds the upright
+   * full-resolution pixels that become the original; sizes in `metadata` are
+   * recomputed for them and this device's limits.
+   * @param {Blob} image - encoded background pixels
+   * @param {{source:Blob|null, metadata:ImageMetadata}} saved
+   * @returns {Promise<HTMLCanvasElement>} the new mutable working canvas
+   */
+  async loadProjectImage(image, { source, metadata }) {
+    const decoded = await this._decode(image, {})
+    this._original = decoded.original
+    this._working = decoded.working
+    this._workingCanvas = null
+    this._layerOriginals = new Map()
+    this._source = source
+    const { width, height } = this._original
+    this._meta = {
+      ...metadata,
+      width,
+      height,
+      ...this._workingSizeMeta(width, height),
+      limits: this.getLimits(),
+    }
+    return this.getWorkingCanvas()
+  }
+
   /**
    * Reset working buffer to a fresh clone of original
    */
@@ -101,102 +335,391 @@ class ImageServiceImpl {
     if (!this._original) return
     // Re-create a working buffer respecting downscale rules
     this._working = await this._makeWorkingFromOriginal()
+    this._workingCanvas = null
   }
 
-  // Internal -----------------------------------------------------------------
+  /**
+   * Capture buffers and metadata so a document-wide edit can be undone.
+   * @returns {{original:ImageBitmap|null,working:ImageBitmap|null,workingCanvas:HTMLCanvasElement|null,layerOriginals:Map<string, HTMLCanvasElement>,meta:ImageMetadata|null}}
+   */
+  snapshot() {
+    return {
+      original: this._original,
+      working: this._working,
+      workingCanvas: this._workingCanvas,
+      layerOriginals: this._layerOriginals,
+      meta: this._meta,
+    }
+  }
+
+  /**
+   * Restore a state captured by snapshot().
+   * @param {ReturnType<ImageServiceImpl['snapshot']>} snap
+   */
+  restore(snap) {
+    this._original = snap.original
+    this._working = snap.working
+    this._workingCanvas = snap.workingCanvas
+    this._layerOriginals = snap.layerOriginals
+    this._meta = snap.meta
+  }
 
-  async _loadFromBlob(blob, baseMeta) {
-    if (!SUPPORTED_TYPES.has(blob.type)) {
-      throw this._friendlyError(
-        'Unsupported image format. Please use PNG, JPEG, or WebP.'
+  /**
+   * Replace the original with new upright pixels (after crop, rotate, …),
+   * rebuild the working buffer and update size metadata.
+   * Returns the new mutable working canvas.
+   * @param {CanvasImageSource} source
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async replaceOriginal(source) {
+    if (!this._meta) throw friendlyError('There is no image to edit.')
+    const w = source.width
+    const h = source.height
+    if (this._exceedsLimits(w, h)) {
+      throw friendlyError(
+        `Result is too large (max ${this.HARD_MAX_DIM}px per side or ~${Math.round(this.HARD_MAX_PIXELS/1e6)}MP).`
       )
     }
+    const original = await this._cloneBitmap(source)
+    const working = await this._makeWorkingFromOriginal(original)
+    this._original = original
+    this._working = working
+    this._workingCanvas = null
+    this._layerOriginals = new Map()
+    this._meta = {
+      ...this._meta,
+      width: w,
+      height: h,
+      ...this._workingSizeMeta(w, h),
+    }
+    return this.getWorkingCanvas()
+  }
 
-    // Read bytes to inspect EXIF orientation for JPEG
-    let orientation = 1
-    let byteLength = blob.size
-    try {
-      if (blob.type === 'image/jpeg' || (await this._isJpeg(blob))) {
-        const buf = await blob.arrayBuffer()
-        orientation = this._readExifOrientation(new DataView(buf)) || 1
-      }
-    } catch (e) {
-      // Non-fatal: if EXIF parsing fails, continue with orientation 1
-      orientation = 1
+  /**
+   * Draw a source with one of the eight EXIF orientation transforms applied
+   * (also used for user rotate/flip: 2 flip H, 4 flip V, 6 rotate CW, 8 rotate CCW).
+   * @param {CanvasImageSource & {width:number,height:number}} source
+   * @param {number} orientation - EXIF orientation 1..8
+   * @returns {HTMLCanvasElement}
+   */
+  orientCanvas(source, orientation) {
+    const sw = source.width
+    const sh = source.height
+
+    const { width: dw, height: dh } = orientedSize(sw, sh, orientation)
+    const canvas = document.createElement('canvas')
+    canvas.width = dw
+    canvas.height = dh
+    const ctx = canvas.getContext('2d')
+    applyOrientation(ctx, orientation, sw, sh)
+
+    // Draw source into context with possible transformed axes
+    ctx.drawImage(source, 0, 0)
+    return canvas
+  }
+
+  /**
+   * Set full-resolution base pixels for non-background layers (replaces any
+   * previous set). Only meaningful while the working buffer is downscaled.
+   * @param {Map<string, HTMLCanvasElement>} layerOriginals
+   */
+  setLayerOriginals(layerOriginals) {
+    this._layerOriginals = layerOriginals
+  }
+
+  /**
+   * Full-resolution pixels of one layer: its working canvas when the document
+   * is not downscaled, otherwise its base pixels with the layer's ops replayed.
+   * @param {ExportLayer} layer
+   * @param {Object[]} ops - applied ops (see HistoryService.getOps)
+   * @param {string} bgId - background layer id
+   * @returns {CanvasImageSource}
+   */
+  renderLayerFullResolution(layer, ops, bgId) {
+    if (!this._meta || !this._meta.isDownscaled) return layer.canvas
+    return this._renderLayerFullResolution(layer, ops, bgId)
+  }
+
+  /**
+   * Register how an edit op type is re-rendered at full resolution on export.
+   * @param {string} type
+   * @param {OpRenderer} renderer
+   */
+  registerOpRenderer(type, renderer) {
+    this._opRenderers.set(type, renderer)
+  }
+
+  /**
+   * Encode the current image. When the working buffer is a downscaled preview,
+   * edits are replayed against the original so nothing is lost to the preview.
+   * @param {ExportOptions} [options]
+   * @returns {Promise<Blob>}
+   */
+  async exportImage(options = {}) {
+    if (!this._original || !this._meta) {
+      throw friendlyError('There is no image to export.')
     }
+    const format = EXPORT_TYPES.has(options.format) ? options.format : 'image/png'
+    const quality = Number.isFinite(options.quality)
+      ? Math.max(0, Math.min(1, options.quality))
+      : 0.92
 
-    // Decode to ImageBitmap
-    let decoded = null
-    try {
-      decoded = await this._decodeToBitmap(blob)
-    } catch (err) {
-      throw this._friendlyError(
-        `Could not decode image. ${this._asMessage(err)} ` +
-          'The file may be corrupted or unsupported.'
-      )
+    const layers = options.layers || [{
+      id: 'background',
+      canvas: this.getWorking(),
+      visible: true,
+      opacity: 1,
+      blendMode: 'source-over',
+      isBackground: true,
+    }]
+    const replay = options.fullResolution !== false && this._meta.isDownscaled
+    let source = replay
+      ? this._renderFullResolution(layers, options.ops || [])
+      : this._compositeLayers(layers)
+    const adjust = compileAdjustments(options.adjustments || [])
+    if (adjust) source = this._bakeAdjustments(source, adjust)
+    const redactions = options.redactions || []
+    if (redactions.length) source = this._bakeRedactions(source, redactions)
+    const { width, height } = this._resolveExportSize(source, options)
+
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+    if (format === 'image/jpeg') {
+      // JPEG has no alpha; flatten onto white rather than black
+      ctx.fillStyle = '#fff'
+      ctx.fillRect(0, 0, width, height)
+    }
+    ctx.imageSmoothingEnabled = true
+    if ('imageSmoothingQuality' in ctx) ctx.imageSmoothingQuality = 'high'
+    ctx.drawImage(source, 0, 0, width, height)
+    const annotations = options.annotations || []
+    if (annotations.length) {
+      // Rasterized at output size so strokes stay sharp at any export scale
+      const working = this.getWorking()
+      ctx.setTransform(width / working.width, 0, 0, height / working.height, 0, 0)
+      drawAnnotations(ctx, annotations)
     }
 
-    // Before normalization, compute post-orientation dimensions for guardrails
-    const sw = decoded.width
-    const sh = decoded.height
-    const isRotated = orientation >= 5 && orientation <= 8
-    const expectedW = isRotated ? sh : sw
-    const expectedH = isRotated ? sw : sh
-
-    // Hard limits: reject excessively large sources to avoid memory crashes
-    const preOw = expectedW
-    const preOh = expectedH
-    const prePixels = preOw * preOh
-    if (preOw > this.HARD_MAX_DIM || preOh > this.HARD_MAX_DIM || prePixels > this.HARD_MAX_PIXELS) {
-      throw this._friendlyError(
-        `Image is too large to open (max ${this.HARD_MAX_DIM}px per side or ~${Math.round(this.HARD_MAX_PIXELS/1e6)}MP). ` +
-        'Please resize the image in an external editor and try again.'
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, format, quality))
+    if (!blob) {
+      throw friendlyError('Export failed. The image may be too large for this browser.')
+    }
+    if (blob.type !== format) {
+      // Browsers silently fall back to PNG for encoders they lack
+      throw friendlyError(
+        `This browser cannot encode ${EXPORT_TYPES.get(format)}. Please choose another format.`
       )
     }
+    // Encoders don't copy the source's metadata, but some add their own; drop all of it
+    return new Blob([stripMetadata(await blob.arrayBuffer())], { type: format })
+  }
 
-    // Normalize orientation: draw to canvas with transforms and create upright bitmap
-    const upright = await this._normalizeOrientation(decoded, orientation)
+  // Internal -----------------------------------------------------------------
+
+  /**
+   * Rebuild every layer at original size (background from the original, others
+   * from their baked base pixels or blank) and replay each layer's edit ops
+   * scaled up from working space.
+   * Ops without a layerId belong to the background.
+   * @param {ExportLayer[]} layers
+   * @param {Object[]} ops
+   * @returns {HTMLCanvasElement}
+   */
+  _renderFullResolution(layers, ops) {
+    const src = this._original
+    const out = document.createElement('canvas')
+    out.width = src.width
+    out.height = src.height
+    const octx = out.getContext('2d')
+    const bgId = (layers.find(l => l.isBackground) || {}).id
 
-    // Prepare original and working buffers
-    this._original = upright
+    for (const layer of layers) {
+      if (!layer.visible || layer.opacity <= 0) continue
+      this._drawLayer(octx, layer, this._renderLayerFullResolution(layer, ops, bgId))
+    }
+    return out
+  }
 
-    // Hard limits: double-check after normalization (paranoia)
-    const ow = upright.width
-    const oh = upright.height
-    const opixels = ow * oh
-    if (ow > this.HARD_MAX_DIM || oh > this.HARD_MAX_DIM || opixels > this.HARD_MAX_PIXELS) {
-      // Cleanup decoded/upright bitmaps to free memory hint (GC will handle)
-      this._original = null
-      this._working = null
-      throw this._friendlyError(
-        `Image is too large to open (max ${this.HARD_MAX_DIM}px per side or ~${Math.round(this.HARD_MAX_PIXELS/1e6)}MP). ` +
-        'Please resize the image in an external editor and try again.'
+  _renderLayerFullResolution(layer, ops, bgId) {
+    const src = this._original
+    const scale = 1 / (this._meta.downscaleFactor || 1)
+    const canvas = document.createElement('canvas')
+    canvas.width = src.width
+    canvas.height = src.height
+    const ctx = canvas.getContext('2d')
+    const base = layer.isBackground ? src : this._layerOriginals.get(layer.id)
+    if (base) ctx.drawImage(base, 0, 0)
+    for (const op of ops) {
+      if ((op.layerId || bgId) !== layer.id) continue
+      const renderer = this._opRenderers.get(op.type)
+      if (!renderer) {
+        throw friendlyError(`Cannot re-render "${op.type}" edits at full resolution.`)
+      }
+      renderer(ctx, op, scale)
+    }
+    return canvas
+  }
+
+  /**
+   * Copy of source with the compiled adjustments applied, a strip at a time.
+   * @param {CanvasImageSource & {width:number,height:number}} source
+   * @param {(data: Uint8ClampedArray) => void} adjust
+   * @returns {HTMLCanvasElement}
+   */
+  _bakeAdjustments(source, adjust) {
+    const out = document.createElement('canvas')
+    out.width = source.width
+    out.height = source.height
+    const ctx = out.getContext('2d', { willReadFrequently: true })
+    ctx.drawImage(source, 0, 0)
+    for (let y = 0; y < out.height; y += ADJUST_STRIP_ROWS) {
+      const strip = ctx.getImageData(0, y, out.width, Math.min(ADJUST_STRIP_ROWS, out.height - y))
+      adjust(strip.data)
+      ctx.putImageData(strip, 0, y)
+    }
+    return out
+  }
+
+  /**
+   * Copy of source with each region replaced by its redaction, computed at
+   * the source's resolution so no original pixel survives under it.
+   * @param {CanvasImageSource & {width:number,height:number}} source
+   * @param {import('./redactions.js').Redaction[]} redactions
+   * @returns {HTMLCanvasElement}
+   */
+  _bakeRedactions(source, redactions) {
+    const out = document.createElement('canvas')
+    out.width = source.width
+    out.height = source.height
+    const ctx = out.getContext('2d', { willReadFrequently: true })
+    ctx.drawImage(source, 0, 0)
+    const image = ctx.getImageData(0, 0, out.width, out.height)
+    redactImage(image, redactions, out.width / this.getWorking().width)
+    ctx.putImageData(image, 0, 0)
+    return out
+  }
+
+  _workingSizeMeta(width, height) {
+    return {
+      workingWidth: this._working?.width || width,
+      workingHeight: this._working?.height || height,
+      isDownscaled: !!(this._working && (this._working.width !== width || this._working.height !== height)),
+      downscaleFactor: this._working ? (this._working.width / width) : 1,
+    }
+  }
+
+  /**
+   * Composite working-space layers; a lone opaque background is returned as-is.
+   * @param {ExportLayer[]} layers
+   * @returns {CanvasImageSource}
+   */
+  _compositeLayers(layers) {
+    const visible = layers.filter(l => l.visible && l.opacity > 0)
+    if (visible.length === 1 && visible[0].isBackground && visible[0].opacity === 1) {
+      return visible[0].canvas
+    }
+    const base = this.getWorking()
+    const out = document.createElement('canvas')
+    out.width = base.width
+    out.height = base.height
+    const ctx = out.getContext('2d')
+    visible.forEach(layer => this._drawLayer(ctx, layer, layer.canvas))
+    return out
+  }
+
+  _drawLayer(ctx, layer, source) {
+    ctx.save()
+    ctx.globalAlpha = layer.opacity
+    ctx.globalCompositeOperation = layer.blendMode || 'source-over'
+    ctx.drawImage(source, 0, 0)
+    ctx.restore()
+  }
+
+  _resolveExportSize(source, options) {
+    const sw = source.width
+    const sh = source.height
+    let w = Math.round(Number(options.width) || 0)
+    let h = Math.round(Number(options.height) || 0)
+    if (w > 0 && !(h > 0)) h = Math.round((w * sh) / sw)
+    if (h > 0 && !(w > 0)) w = Math.round((h * sw) / sh)
+    if (!(w > 0) || !(h > 0)) {
+      w = sw
+      h = sh
+    }
+    w = Math.max(1, w)
+    h = Math.max(1, h)
+    if (this._exceedsLimits(w, h)) {
+      throw friendlyError(
+        `Export size is too large (max ${this.HARD_MAX_DIM}px per side or ~${Math.round(this.HARD_MAX_PIXELS/1e6)}MP).`
       )
     }
+    return { width: w, height: h }
+  }
 
-    // Create working buffer, possibly downscaled for display performance
-    this._working = await this._makeWorkingFromOriginal()
+  async _loadFromBlob(blob, baseMeta, options = {}) {
+    const declaredMime = normalizeMime(blob.type)
+    const detectedMime = await this._sniffBlob(blob)
+    const { mime, mimeMismatch } = resolveMime(declaredMime, detectedMime)
+    if (!SUPPORTED_TYPES.has(mime)) {
+      const name = detectedMime && FORMAT_NAMES[detectedMime]
+      throw friendlyError(
+        `${name ? `${name} images are not supported.` : 'Unsupported image format.'} ` +
+          'Please use PNG, JPEG, WebP, AVIF, GIF, BMP, or SVG.'
+      )
+    }
+    // Shown in the metadata panel (see ImageMetadata.mimeMismatch)
+    if (mimeMismatch) Telemetry.increment('mimeMismatch')
+    // Decode paths below branch on blob.type
+    if (blob.type !== mime) blob = new Blob([blob], { type: mime })
+
+    // Oversize images go straight to a resized decode: a full-size decode just
+    // to learn the size is what runs out of memory
+    const size = blob.type === SVG_TYPE ? null : await this._readUprightSize(blob)
+    let downscaledFrom = null
+    let target = null
+    if (size && this._exceedsLimits(size.width, size.height)) {
+      target = await this._confirmDownscale(size, options)
+      downscaledFrom = size
+    }
+    let decoded
+    try {
+      decoded = await this._decode(blob, options, target)
+    } catch (err) {
+      // Headers we could not read: the decoder reports the size instead. SVG
+      // picks its own size up front.
+      if (target || err.kind !== 'too-large' || !err.size || !options.resolveOversize) throw err
+      target = await this._confirmDownscale(err.size, options)
+      decoded = await this._decode(blob, options, target)
+      downscaledFrom = err.size
+    }
+    const { embedded, orientation } = decoded
+    const byteLength = blob.size
+    this._original = decoded.original
+    this._working = decoded.working
+    this._workingCanvas = null
+    this._layerOriginals = new Map()
+    this._source = blob
 
-    const width = ow
-    const height = oh
+    const width = this._original.width
+    const height = this._original.height
 
     this._meta = {
       ...baseMeta,
-      mime: blob.type || 'application/octet-stream',
+      mime,
+      declaredMime,
+      detectedMime,
+      mimeMismatch,
+      downscaledFrom,
       width,
       height,
       orientation,
       byteLength,
+      embedded,
       // Extended metadata for guardrails
-      workingWidth: this._working?.width || width,
-      workingHeight: this._working?.height || height,
-      isDownscaled: !!(this._working && (this._working.width !== width || this._working.height !== height)),
-      downscaleFactor: this._working ? (this._working.width / width) : 1,
-      limits: {
-        displayMaxDim: this.DISPLAY_MAX_DIM,
-        hardMaxDim: this.HARD_MAX_DIM,
-        hardMaxPixels: this.HARD_MAX_PIXELS,
-      },
+      ...this._workingSizeMeta(width, height),
+      limits: this.getLimits(),
     }
 
     return {
@@ -206,11 +729,198 @@ class ImageServiceImpl {
     }
   }
 
-  async _decodeToBitmap(blob) {
+  /**
+   * Upright pixel size from the container header and EXIF orientation.
+   * @param {Blob} blob
+   * @returns {Promise<{width:number,height:number}|null>} null when the header is not understood
+   */
+  async _readUprightSize(blob) {
+    let buffer
+    try {
+      buffer = await blob.arrayBuffer()
+    } catch (_) {
+      return null
+    }
+    const size = readImageSize(buffer)
+    if (!size) return null
+    let orientation = 1
+    try {
+      orientation = readMetadata(buffer).orientation || 1
+    } catch (_) {
+      // Decoding reads the orientation the same way, so it is missing there too
+    }
+    return orientedSize(size.width, size.height, orientation)
+  }
+
+  /**
+   * Ask whether to open an oversize image as a downscaled copy.
+   * @param {{width:number,height:number}} size - upright size
+   * @param {LoadOptions} options
+   * @returns {Promise<{width:number,height:number}>} the size to decode at
+   */
+  async _confirmDownscale(size, options) {
+    if (!options.resolveOversize) throw this._tooLargeError(size)
+    const fit = this.fitWithinLimits(size.width, size.height)
+    const accepted = await options.resolveOversize({ ...size, fitWidth: fit.width, fitHeight: fit.height })
+    if (!accepted) throw friendlyError('Opening the image was cancelled.', 'abort')
+    return fit
+  }
+
+  /** @returns {Promise<string|null>} mime sniffed from the first bytes */
+  async _sniffBlob(blob) {
+    try {
+      return sniffFormat(await blob.slice(0, SNIFF_BYTES).arrayBuffer())
+    } catch (_) {
+      return null
+    }
+  }
+
+  /**
+   * Decode to upright original + working buffers, in the worker when possible.
+   * @param {Blob} blob
+   * @param {LoadOptions} options
+   * @param {{width:number,height:number}|null} [target] - upright size to decode at
+   *   (downscale on open); hard limits are checked when omitted
+   */
+  async _decode(blob, options, target = null) {
+    // SVG needs a DOM image to rasterize, so it never goes to the worker
+    if (blob.type === SVG_TYPE) return await this._rasterizeSvg(blob, options.resolveSvgSize)
+    const decoded = await this._decodeInWorker(blob, target)
+    if (decoded) return decoded
+    Telemetry.startTimer('decodeMainThread')
+    try {
+      return await this._decodeOnMainThread(blob, target)
+    } finally {
+      Telemetry.endTimer('decodeMainThread')
+    }
+  }
+
+  /**
+   * Decode, orient and downscale in a worker.
+   * @param {Blob} blob
+   * @param {{width:number,height:number}|null} target
+   * @returns {Promise<{original:ImageBitmap,working:ImageBitmap,embedded:Object|null,orientation:number}|null>}
+   *   null when the worker is unavailable or failed, so the caller falls back
+   */
+  async _decodeInWorker(blob, target) {
+    const result = await this._decodeWorker.request({ blob, target, limits: this.getLimits() })
+    if (result && result.kind === 'too-large') {
+      throw this._tooLargeError({ width: result.width, height: result.height })
+    }
+    if (!result || result.error) {
+      Telemetry.increment('decodeWorkerFallback')
+      return null
+    }
+    Telemetry.recordTiming('decodeWorker', result.ms)
+    return result
+  }
+
+  /** Current path on DOM canvases; also produces the friendly decode errors. */
+  async _decodeOnMainThread(blob, target) {
+    // Read embedded metadata, including EXIF orientation from any supported container
+    let orientation = 1
+    let embedded = null
+    try {
+      embedded = readMetadata(await blob.arrayBuffer())
+      orientation = embedded.orientation || 1
+    } catch (e) {
+      // Non-fatal: if metadata can't be read, continue with orientation 1
+      orientation = 1
+    }
+
+    // Decode to ImageBitmap (straight to the target size when downscaling on open)
+    let decoded = null
+    try {
+      decoded = await this._decodeToBitmap(blob, target && orientedSize(target.width, target.height, orientation))
+    } catch (err) {
+      throw friendlyError(
+        `Could not decode image. ${errorMessage(err)} ` +
+          'The file may be corrupted or unsupported.'
+      )
+    }
+
+    // Before normalization, compute post-orientation dimensions for guardrails
+    const expected = orientedSize(decoded.width, decoded.height, orientation)
+
+    // Hard limits: headers we could size were checked before decoding; this
+    // catches the rest
+    if (!target && this._exceedsLimits(expected.width, expected.height)) {
+      throw this._tooLargeError(expected)
+    }
+
+    // Normalize orientation: draw to canvas with transforms and create upright bitmap
+    const upright = await this._normalizeOrientation(decoded, orientation)
+
+    // Hard limits: double-check after normalization (paranoia)
+    if (this._exceedsLimits(upright.width, upright.height)) {
+      throw this._tooLargeError()
+    }
+
+    // Create working buffer, possibly downscaled for display performance.
+    // The open document is untouched until _loadFromBlob adopts both buffers.
+    const working = await this._makeWorkingFromOriginal(upright)
+    return { original: upright, working, embedded, orientation }
+  }
+
+  /**
+   * Rasterize an SVG at the size returned by resolveSize.
+   * @param {Blob} blob
+   * @param {LoadOptions['resolveSvgSize']} [resolveSize]
+   */
+  async _rasterizeSvg(blob, resolveSize) {
+    const doc = new DOMParser().parseFromString(await blob.text(), SVG_TYPE)
+    const root = doc.documentElement
+    if (!root || root.localName !== 'svg' || doc.getElementsByTagName('parsererror').length) {
+      throw friendlyError('Could not read the SVG file. It may be malformed.')
+    }
+
+    const intrinsic = svgIntrinsicSize({
+      width: root.getAttribute('width'),
+      height: root.getAttribute('height'),
+      viewBox: root.getAttribute('viewBox'),
+    })
+    const size = resolveSize ? await resolveSize(intrinsic) : intrinsic
+    if (!size) throw friendlyError('Opening the SVG was cancelled.', 'abort')
+    const width = Math.max(1, Math.round(size.width))
+    const height = Math.max(1, Math.round(size.height))
+    if (this._exceedsLimits(width, height)) {
+      throw this._tooLargeError()
+    }
+
+    // Render at the target size rather than scaling a small raster up
+    if (!root.hasAttribute('viewBox')) root.setAttribute('viewBox', `0 0 ${intrinsic.width} ${intrinsic.height}`)
+    root.setAttribute('width', String(width))
+    root.setAttribute('height', String(height))
+    const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(doc)], { type: SVG_TYPE }))
+    let img
+    try {
+      img = await this._loadHtmlImage(url)
+    } catch (err) {
+      throw friendlyError(`Could not render the SVG. ${errorMessage(err)}`)
+    } finally {
+      URL.revokeObjectURL(url)
+    }
+
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    canvas.getContext('2d').drawImage(img, 0, 0, width, height)
+    const original = await this._canvasToBitmap(canvas)
+    const working = await this._makeWorkingFromOriginal(original)
+    return { original, working, embedded: null, orientation: 1 }
+  }
+
+  /**
+   * @param {Blob} blob
+   * @param {{width:number,height:number}|null} [size] - decoded (pre-orientation) size to resample to
+   */
+  async _decodeToBitmap(blob, size = null) {
     if ('createImageBitmap' in window) {
       try {
         // Do not rely on imageOrientation: 'from-image' because we normalize manually
-        return await createImageBitmap(blob)
+        return size
+          ? await createImageBitmap(blob, { resizeWidth: size.width, resizeHeight: size.height, resizeQuality: 'high' })
+          : await createImageBitmap(blob)
       } catch (_) {
         // Fallback below
       }
@@ -219,7 +929,7 @@ class ImageServiceImpl {
     const url = URL.createObjectURL(blob)
     try {
       const img = await this._loadHtmlImage(url)
-      const bmp = await this._imageToBitmap(img)
+      const bmp = await this._imageToBitmap(img, size)
       return bmp
     } finally {
       URL.revokeObjectURL(url)
@@ -236,15 +946,18 @@ class ImageServiceImpl {
     })
   }
 
-  async _imageToBitmap(img) {
+  async _imageToBitmap(img, size = null) {
     if ('createImageBitmap' in window) {
-      return await createImageBitmap(img)
+      return size
+        ? await createImageBitmap(img, { resizeWidth: size.width, resizeHeight: size.height, resizeQuality: 'high' })
+        : await createImageBitmap(img)
     }
     const canvas = document.createElement('canvas')
-    canvas.width = img.naturalWidth
-    canvas.height = img.naturalHeight
+    canvas.width = size ? size.width : img.naturalWidth
+    canvas.height = size ? size.height : img.naturalHeight
     const ctx = canvas.getContext('2d')
-    ctx.drawImage(img, 0, 0)
+    if ('imageSmoothingQuality' in ctx) ctx.imageSmoothingQuality = 'high'
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
     return await this._canvasToBitmap(canvas)
   }
 
@@ -252,6 +965,13 @@ class ImageServiceImpl {
     if ('transferToImageBitmap' in canvas) {
       return canvas.transferToImageBitmap()
     }
+    if ('createImageBitmap' in window) {
+      try {
+        return await createImageBitmap(canvas)
+      } catch (_) {
+        // Fallback below
+      }
+    }
     // Fallback via blob
     const blob = await new Promise((resolve) => canvas.toBlob(resolve))
     if (!blob) throw new Error('Canvas toBlob failed')
@@ -260,10 +980,10 @@ class ImageServiceImpl {
 
   /**
    * Create the working buffer from the original, applying display downscale if needed.
+   * @param {ImageBitmap|null} [src] - a newly decoded original; defaults to the current one
    * @returns {Promise<ImageBitmap>}
    */
-  async _makeWorkingFromOriginal() {
-    const src = this._original
+  async _makeWorkingFromOriginal(src = this._original) {
     if (!src) throw new Error('No original image')
     const w = src.width
     const h = src.height
@@ -299,168 +1019,93 @@ class ImageServiceImpl {
 
   async _normalizeOrientation(bitmap, orientation) {
     if (orientation === 1) return bitmap // already upright
+    return await this._canvasToBitmap(this.orientCanvas(bitmap, orientation))
+  }
 
-    const sw = bitmap.width
-    const sh = bitmap.height
-
-    // Determine canvas size after rotation/mirroring
-    const isRotated = orientation >= 5 && orientation <= 8
-    const dw = isRotated ? sh : sw
-    const dh = isRotated ? sw : sh
-
-    const canvas = document.createElement('canvas')
-    canvas.width = dw
-    canvas.height = dh
-    const ctx = canvas.getContext('2d')
-
-    // Apply transforms per EXIF orientation mapping
-    // Reference: https://magnushoff.com/articles/jpeg-orientation/
-    switch (orientation) {
-      case 2: // Mirror horizontally
-        ctx.translate(dw, 0)
-        ctx.scale(-1, 1)
-        break
-      case 3: // Rotate 180
-        ctx.translate(dw, dh)
-        ctx.rotate(Math.PI)
-        break
-      case 4: // Mirror vertically
-        ctx.translate(0, dh)
-        ctx.scale(1, -1)
-        break
-      case 5: // Mirror horizontally and rotate 90 CW
-        ctx.rotate(0.5 * Math.PI)
-        ctx.scale(1, -1)
-        ctx.translate(0, -sh)
-        break
-      case 6: // Rotate 90 CW
-        ctx.rotate(0.5 * Math.PI)
-        ctx.translate(0, -sh)
-        break
-      case 7: // Mirror horizontally and rotate 90 CCW
-        ctx.rotate(-0.5 * Math.PI)
-        ctx.scale(1, -1)
-        ctx.translate(-sw, 0)
-        break
-      case 8: // Rotate 90 CCW
-        ctx.rotate(-0.5 * Math.PI)
-        ctx.translate(-sw, 0)
-        break
-      default:
-        // Unknown, draw as is
-        break
+  /**
+   * Read a fetch response body into a Blob, reporting byte progress.
+   * @param {Response} res
+   * @param {string} type - mime type for the blob
+   * @param {(p:{loaded:number,total:number})=>void} [onProgress]
+   */
+  async _readResponse(res, type, onProgress) {
+    const total = Number(res.headers.get('content-length')) || 0
+    if (!res.body || !onProgress) return await res.blob()
+    const reader = res.body.getReader()
+    const chunks = []
+    let loaded = 0
+    onProgress({ loaded, total })
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (done) break
+      chunks.push(value)
+      loaded += value.byteLength
+      onProgress({ loaded, total })
     }
-
-    // Draw source into context with possible transformed axes
-    ctx.drawImage(bitmap, 0, 0)
-
-    return await this._canvasToBitmap(canvas)
+    // Same type res.blob() would report
+    return new Blob(chunks, { type: type || 'application/octet-stream' })
   }
 
-  async _isJpeg(blob) {
-    // Quick check: first two bytes 0xFFD8
-    const slice = blob.slice(0, 2)
-    const buf = await slice.arrayBuffer()
-    const view = new DataView(buf)
-    return view.getUint16(0) === 0xffd8
-  }
-
-  /**
-   * Parse EXIF orientation (1..8) from JPEG bytes.
-   * Returns null if not found.
-   * Inspired by exif-parser logic; minimal implementation to avoid deps.
-   * @param {DataView} view
-   * @returns {number|null}
-   */
-  _readExifOrientation(view) {
-    // JPEG structure: SOI (FFD8) ... APP1 (FFE1) with 'Exif\0\0' then TIFF header
-    if (view.getUint16(0) !== 0xffd8) return null
-    let offset = 2
-    const length = view.byteLength
-    while (offset + 4 <= length) {
-      const marker = view.getUint16(offset)
-      offset += 2
-      if (marker === 0xffda /* SOS */ || marker === 0xffd9 /* EOI */) break
-      if ((marker & 0xff00) !== 0xff00) break // invalid
-      const size = view.getUint16(offset)
-      if (size < 2) break
-      const segmentStart = offset + 2
-      if (marker === 0xffe1 /* APP1 */) {
-        // Check for Exif header
-        if (segmentStart + 6 <= length) {
-          const exifStr =
-            String.fromCharCode(
-              view.getUint8(segmentStart + 0),
-              view.getUint8(segmentStart + 1),
-              view.getUint8(segmentStart + 2),
-              view.getUint8(segmentStart + 3)
-            ) +
-            String.fromCharCode(
-              view.getUint8(segmentStart + 4),
-              view.getUint8(segmentStart + 5)
-            )
-          if (exifStr === 'Exif\u0000\u0000' || exifStr === 'Exif\x00\x00') {
-            const tiff = segmentStart + 6
-            const orient = this._readTiffOrientation(view, tiff)
-            if (orient) return orient
-          }
-        }
-      }
-      offset += size
+  _nameFromUrl(url) {
+    try {
+      const path = new URL(url, location.href).pathname
+      return decodeURIComponent(path.split('/').pop() || '') || undefined
+    } catch {
+      return undefined
     }
-    return null
   }
 
-  _readTiffOrientation(view, tiffOffset) {
-    const length = view.byteLength
-    if (tiffOffset + 8 > length) return null
+  _isAbort(err) {
+    return !!err && err.name === 'AbortError'
+  }
 
-    // Endianness
-    const endian = String.fromCharCode(
-      view.getUint8(tiffOffset),
-      view.getUint8(tiffOffset + 1)
-    )
-    const little = endian === 'II'
-    if (!little && endian !== 'MM') return null
-
-    const magic = view.getUint16(tiffOffset + 2, little)
-    if (magic !== 0x2a) return null
-
-    const ifdOffset = view.getUint32(tiffOffset + 4, little)
-    let dirOffset = tiffOffset + ifdOffset
-    if (dirOffset + 2 > length) return null
-
-    const entries = view.getUint16(dirOffset, little)
-    dirOffset += 2
-
-    for (let i = 0; i < entries; i++) {
-      const entryOffset = dirOffset + i * 12
-      if (entryOffset + 12 > length) break
-      const tag = view.getUint16(entryOffset, little)
-      if (tag === 0x0112) {
-        // Orientation
-        const type = view.getUint16(entryOffset + 2, little)
-        const count = view.getUint32(entryOffset + 4, little)
-        if (type !== 3 || count !== 1) return null // expect SHORT,1
-        const valueOffset = entryOffset + 8
-        const value = view.getUint16(valueOffset, little)
-        if (value >= 1 && value <= 8) return value
-        return null
-      }
+  /**
+   * Whether the host answers at all: a no-cors request succeeds (with an
+   * unreadable response) when only the CORS check failed.
+   * @param {string} url
+   * @param {AbortSignal} [signal]
+   */
+  async _isReachable(url, signal) {
+    try {
+      await fetch(url, { mode: 'no-cors', signal })
+      return true
+    } catch {
+      return false
     }
+  }
 
-    return null
+  _exceedsLimits(width, height) {
+    return width > this.HARD_MAX_DIM || height > this.HARD_MAX_DIM || width * height > this.HARD_MAX_PIXELS
   }
 
-  _friendlyError(message) {
-    const err = new Error(message)
-    err.isFriendly = true
+  /**
+   * @param {{width:number,height:number}} [size] - the image's upright size, when known;
+   *   lets _loadFromBlob offer a downscaled copy
+   */
+  _tooLargeError(size) {
+    const err = friendlyError(
+      `Image is too large to open (${size ? `${size.width} × ${size.height} px; ` : ''}` +
+        `max ${this.HARD_MAX_DIM}px per side or ~${Math.round(this.HARD_MAX_PIXELS/1e6)}MP). ` +
+        'Open a downscaled copy or resize the image in an external editor and try again.',
+      'too-large'
+    )
+    if (size) err.size = size
     return err
   }
+}
 
-  _asMessage(err) {
-    return (err && (err.message || String(err))) || 'Unknown error'
-  }
+/**
+ * Guardrail defaults for this device. navigator.deviceMemory (GB, rounded and
+ * capped at 8; Chromium only) scales them; without it the desktop defaults apply.
+ * @returns {ImageLimits}
+ */
+function defaultLimits() {
+  const memory = typeof navigator !== 'undefined' ? Number(navigator.deviceMemory) : NaN
+  if (!(memory > 0)) return { displayMaxDim: 6000, hardMaxDim: 12000, hardMaxPixels: 100 * 1e6 }
+  if (memory <= 1) return { displayMaxDim: 3000, hardMaxDim: 8000, hardMaxPixels: 24 * 1e6 }
+  if (memory <= 2) return { displayMaxDim: 4096, hardMaxDim: 10000, hardMaxPixels: 50 * 1e6 }
+  if (memory <= 4) return { displayMaxDim: 6000, hardMaxDim: 12000, hardMaxPixels: 100 * 1e6 }
+  return { displayMaxDim: 8192, hardMaxDim: 16384, hardMaxPixels: 200 * 1e6 }
 }
 
 export const ImageService = new ImageServiceImpl()
@@ -0,0 +1,365 @@
+/**
+ * LayerService: raster layer document model
+ *
+ * Responsibilities:
+ * - Keep an ordered stack of raster layers (bottom → top) in working-buffer space,
+ *   started from a loaded image or from a saved project's layers
+ * - Back the bottom "Background" layer with ImageService's working canvas
+ * - Layer visibility, opacity, blend mode, naming and ordering
+ * - Composite visible layers into a 2D context (caller sets the transform)
+ * - Read back composited pixels of a small region (pixel inspector, sampling)
+ * - Swap layer buffers after document-wide geometry changes (crop, rotate)
+ * - Record changes in HistoryService: structural edits (add/remove/reorder)
+ *   immediately, display properties once on commit() so a slider drag is one
+ *   undo step
+ */
+
+import { HistoryService } from './history-service.js'
+import { isBlendMode } from './blend-modes.js'
+
+/**
+ * @typedef {Object} Layer
+ * @property {string} id
+ * @property {string} name
+ * @property {HTMLCanvasElement} canvas - pixels at working-buffer size
+ * @property {boolean} visible
+ * @property {number} opacity - 0..1
+ * @property {GlobalCompositeOperation} blendMode
+ * @property {boolean} isBackground - backed by ImageService's working canvas
+ */
+
+class LayerServiceImpl {
+  constructor() {
+    /** @type {Layer[]} bottom → top */
+    this._layers = []
+    /** @type {string|null} */
+    this._activeId = null
+    this._nextId = 1
+    // Display properties of layers changed since the last commit(), as they were before
+    /** @type {Map<Layer, LayerProps>} */
+    this._pending = new Map()
+    this.width = 0
+    this.height = 0
+    // Small readback canvas for readComposite
+    /** @type {HTMLCanvasElement|null} */
+    this._readCanvas = null
+
+    /** @type {Set<Function>} */
+    this._listeners = new Set()
+  }
+
+  /**
+   * Start a new document with a single background layer.
+   * @param {HTMLCanvasElement} backgroundCanvas - ImageService working canvas
+   */
+  reset(backgroundCanvas) {
+    this._nextId = 1
+    this._pending.clear()
+    this.width = backgroundCanvas.width
+    this.height = backgroundCanvas.height
+    const bg = this._makeLayer('Background', backgroundCanvas)
+    bg.isBackground = true
+    this._layers = [bg]
+    this._activeId = bg.id
+    this._notify()
+  }
+
+  /**
+   * Start a document from saved layers (opening a project). The first layer is
+   * the background; properties are applied as in updateLayer.
+   * @param {{name:string,canvas:HTMLCanvasElement,visible:boolean,opacity:number,blendMode:string}[]} layers - bottom → top
+   * @param {number} [activeIndex]
+   */
+  load(layers, activeIndex = layers.length - 1) {
+    this._nextId = 1
+    this._pending.clear()
+    this.width = layers[0].canvas.width
+    this.height = layers[0].canvas.height
+    this._layers = layers.map((saved, i) => {
+      const layer = this._makeLayer(saved.name, saved.canvas)
+      layer.isBackground = i === 0
+      applyProps(layer, saved)
+      return layer
+    })
+    this._activeId = (this._layers[activeIndex] || this._layers[this._layers.length - 1]).id
+    this._notify()
+  }
+
+  // --- Queries ----------------------------------------------------------------
+
+  /** @returns {Layer[]} bottom → top */
+  getLayers() {
+    return this._layers.slice()
+  }
+
+  /** @returns {Layer|null} */
+  getLayer(id) {
+    return this._layers.find(l => l.id === id) || null
+  }
+
+  /** @returns {Layer|null} */
+  getActive() {
+    return this.getLayer(this._activeId) || this._layers[this._layers.length - 1] || null
+  }
+
+  /** @returns {Layer|null} */
+  getBackground() {
+    return this._layers.find(l => l.isBackground) || null
+  }
+
+  // --- Mutations --------------------------------------------------------------
+
+  setActive(id) {
+    if (!this.getLayer(id) || id === this._activeId) return
+    this._activeId = id
+    this._notify()
+  }
+
+  /**
+   * Add an empty transparent layer above the active layer.
+   * @param {string} [name]
+   * @returns {Layer|null}
+   */
+  addLayer(name) {
+    if (!this._layers.length) return null
+    const canvas = document.createElement('canvas')
+    canvas.width = this.width
+    canvas.height = this.height
+    const layer = this._makeLayer(name || `Layer ${this._nextId - 1}`, canvas)
+    const active = this.getActive()
+    const index = active ? this._layers.indexOf(active) + 1 : this._layers.length
+    const prevActive = this._activeId
+
+    const apply = () => {
+      this._layers.splice(index, 0, layer)
+      this._activeId = layer.id
+      this._notify()
+    }
+    apply()
+    HistoryService.push({
+      label: 'Add layer',
+      bytes: 0,
+      undo: () => {
+        this._layers = this._layers.filter(l => l !== layer)
+        this._activeId = prevActive
+        this._notify()
+      },
+      redo: apply,
+    })
+    return layer
+  }
+
+  /**
+   * Remove a layer. The background layer cannot be removed.
+   * @param {string} id
+   */
+  removeLayer(id) {
+    const layer = this.getLayer(id)
+    if (!layer || layer.isBackground) return
+    const index = this._layers.indexOf(layer)
+    const prevActive = this._activeId
+
+    const apply = () => {
+      this._layers = this._layers.filter(l => l !== layer)
+      if (this._activeId === layer.id) {
+        const below = this._layers[Math.max(0, index - 1)]
+        this._activeId = below ? below.id : null
+      }
+      this._notify()
+    }
+    apply()
+    HistoryService.push({
+      label: 'Delete layer',
+      // The removed canvas is kept alive for undo
+      bytes: layer.canvas.width * layer.canvas.height * 4,
+      undo: () => {
+        this._layers.splice(index, 0, layer)
+        this._activeId = prevActive
+        this._notify()
+      },
+      redo: apply,
+    })
+  }
+
+  /**
+   * Move a layer up (+1) or down (-1) in the stack. The background stays at the bottom.
+   * @param {string} id
+   * @param {number} delta
+   */
+  moveLayer(id, delta) {
+    const layer = this.getLayer(id)
+    if (!layer || layer.isBackground || !delta) return
+    const from = this._layers.indexOf(layer)
+    const to = Math.max(1, Math.min(this._layers.length - 1, from + delta))
+    if (to === from) return
+
+    const place = (index) => {
+      const rest = this._layers.filter(l => l !== layer)
+      rest.splice(index, 0, layer)
+      this._layers = rest
+      this._notify()
+    }
+    place(to)
+    HistoryService.push({
+      label: 'Reorder layer',
+      bytes: 0,
+      undo: () => place(from),
+      redo: () => place(to),
+    })
+  }
+
+  /**
+   * Update display properties of a layer live. Not recorded until commit().
+   * @param {string} id
+   * @param {{name?:string,visible?:boolean,opacity?:number,blendMode?:string}} props
+   */
+  updateLayer(id, props = {}) {
+    const layer = this.getLayer(id)
+    if (!layer) return
+    if (!this._pending.has(layer)) this._pending.set(layer, layerProps(layer))
+    applyProps(layer, props)
+    this._notify()
+  }
+
+  /**
+   * Record the display property changes since the last commit as one undo
+   * step (no-op when nothing changed).
+   * @param {string} [label]
+   */
+  commit(label = 'Change layer') {
+    const changes = []
+    for (const [layer, before] of this._pending) {
+      const after = layerProps(layer)
+      if (PROP_KEYS.some(key => before[key] !== after[key])) changes.push({ layer, before, after })
+    }
+    this._pending.clear()
+    if (!changes.length) return
+    const set = (key) => {
+      for (const change of changes) Object.assign(change.layer, change[key])
+      this._notify()
+    }
+    HistoryService.push({ label, bytes: 0, undo: () => set('before'), redo: () => set('after') })
+  }
+
+  /**
+   * Current pixel buffer of every layer, keyed by id.
+   * @returns {Map<string, HTMLCanvasElement>}
+   */
+  getCanvases() {
+    return new Map(this._layers.map(l => [l.id, l.canvas]))
+  }
+
+  /**
+   * Swap layer buffers after a geometry change and update the document size.
+   * Layers without an entry keep their canvas.
+   * @param {Map<string, HTMLCanvasElement>} canvases
+   * @param {number} width
+   * @param {number} height
+   */
+  setCanvases(canvases, width, height) {
+    this.width = width
+    this.height = height
+    for (const layer of this._layers) {
+      const canvas = canvases.get(layer.id)
+      if (canvas) layer.canvas = canvas
+    }
+    this._notify()
+  }
+
+  // --- Rendering --------------------------------------------------------------
+
+  /**
+   * Composite visible layers into ctx using its current transform.
+   * `afterLayer` is called right after each layer is drawn (used for live previews).
+   * `drawLayer` may draw a layer's pixels itself (e.g. from a higher-resolution
+   * source) and return true to skip the default canvas draw.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {(ctx:CanvasRenderingContext2D, layer:Layer)=>void} [afterLayer]
+   * @param {(ctx:CanvasRenderingContext2D, layer:Layer)=>boolean} [drawLayer]
+   */
+  composite(ctx, afterLayer, drawLayer) {
+    for (const layer of this._layers) {
+      if (!layer.visible || layer.opacity <= 0) continue
+      ctx.save()
+      ctx.globalAlpha = layer.opacity
+      ctx.globalCompositeOperation = layer.blendMode
+      if (!drawLayer || !drawLayer(ctx, layer)) ctx.drawImage(layer.canvas, 0, 0)
+      if (afterLayer) afterLayer(ctx, layer)
+      ctx.restore()
+    }
+  }
+
+  /**
+   * Composited RGBA of the visible layers in a region (working px). Pixels
+   * outside the document read as transparent.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} [w]
+   * @param {number} [h]
+   * @param {(ctx:CanvasRenderingContext2D, layer:Layer)=>boolean} [drawLayer] - as in composite()
+   * @returns {ImageData}
+   */
+  readComposite(x, y, w = 1, h = 1, drawLayer = undefined) {
+    let canvas = this._readCanvas
+    if (!canvas || canvas.width < w || canvas.height < h) {
+      canvas = this._readCanvas = document.createElement('canvas')
+      canvas.width = w
+      canvas.height = h
+    }
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, w, h)
+    ctx.translate(-x, -y)
+    this.composite(ctx, undefined, drawLayer)
+    return ctx.getImageData(0, 0, w, h)
+  }
+
+  /** Subscribe to changes (listener: (layers, activeId)=>void). Returns unsubscribe. */
+  subscribe(listener) {
+    this._listeners.add(listener)
+    return () => this._listeners.delete(listener)
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  _makeLayer(name, canvas) {
+    return {
+      id: `layer-${this._nextId++}`,
+      name,
+      canvas,
+      visible: true,
+      opacity: 1,
+      blendMode: 'source-over',
+      isBackground: false,
+    }
+  }
+
+  _notify() {
+    if (!this._listeners.size) return
+    const layers = this.getLayers()
+    const activeId = this._activeId
+    this._listeners.forEach((fn) => {
+      try { fn(layers, activeId) } catch {}
+    })
+  }
+}
+
+/** @typedef {{name:string,visible:boolean,opacity:number,blendMode:GlobalCompositeOperation}} LayerProps */
+
+const PROP_KEYS = ['name', 'visible', 'opacity', 'blendMode']
+
+/** @returns {LayerProps} */
+function layerProps(layer) {
+  const { name, visible, opacity, blendMode } = layer
+  return { name, visible, opacity, blendMode }
+}
+
+// Valid display properties only; others are ignored
+function applyProps(layer, props) {
+  if (typeof props.name === 'string' && props.name.trim()) layer.name = props.name.trim()
+  if (typeof props.visible === 'boolean') layer.visible = props.visible
+  if (Number.isFinite(props.opacity)) layer.opacity = Math.max(0, Math.min(1, props.opacity))
+  if (isBlendMode(props.blendMode)) layer.blendMode = props.blendMode
+}
+
+export const LayerService = new LayerServiceImpl()
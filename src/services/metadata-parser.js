@@ -0,0 +1,634 @@
+/**
+ * Metadata parser: EXIF / IPTC / XMP / ICC from image bytes
+ *
+ * Responsibilities:
+ * - Walk JPEG segments (APP1 Exif/XMP, APP13 IPTC, APP2 ICC), PNG chunks
+ *   (eXIf, tEXt/iTXt/zTXt, iCCP) and WebP RIFF chunks (EXIF, XMP, ICCP)
+ * - Decode TIFF IFDs into camera, lens, exposure, GPS and timestamp fields
+ * - Pull common IPTC IIM datasets and XMP properties
+ * - Report ICC profile presence and its description when readable
+ * - Strip EXIF/GPS, XMP, IPTC, comments and text chunks from encoded bytes
+ *   (image data and ICC profile are kept)
+ *
+ * Pure functions over bytes (no DOM), so they also run inside a worker.
+ * Malformed blocks are skipped; parsing never throws.
+ */
+
+/**
+ * @typedef {Object} EmbeddedMetadata
+ * @property {'jpeg'|'png'|'webp'|'unknown'} format - container detected from the bytes
+ * @property {number|null} orientation - EXIF orientation 1..8 (JPEG APP1, PNG eXIf or WebP EXIF)
+ * @property {{make?:string,model?:string,software?:string,serial?:string}} camera
+ * @property {{make?:string,model?:string}} lens
+ * @property {{exposureTime?:number,fNumber?:number,iso?:number,focalLength?:number,focalLength35mm?:number,exposureBias?:number,exposureProgram?:string,meteringMode?:string,flashFired?:boolean}} exposure
+ * @property {{latitude:number,longitude:number,altitude?:number}|null} gps
+ * @property {{original?:string,digitized?:string,modified?:string}} timestamps - ISO 8601 local time (with offset when recorded)
+ * @property {{artist?:string,copyright?:string}} author
+ * @property {Record<string, string|string[]>|null} iptc
+ * @property {Record<string, string|string[]>|null} xmp
+ * @property {{present:boolean,description:string|null}} icc
+ * @property {Record<string, string>} text - PNG text chunks by keyword
+ * @property {string[]} blocks - metadata blocks found, e.g. ['EXIF','XMP']
+ */
+
+// TIFF field type → byte size
+const TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8]
+
+const EXPOSURE_PROGRAMS = [
+  'Not defined', 'Manual', 'Normal program', 'Aperture priority', 'Shutter priority',
+  'Creative program', 'Action program', 'Portrait mode', 'Landscape mode',
+]
+const METERING_MODES = {
+  0: 'Unknown', 1: 'Average', 2: 'Center-weighted average', 3: 'Spot',
+  4: 'Multi-spot', 5: 'Pattern', 6: 'Partial', 255: 'Other',
+}
+
+// IPTC IIM record 2 datasets worth showing
+const IPTC_FIELDS = {
+  5: 'title',
+  25: 'keywords',
+  55: 'dateCreated',
+  80: 'byline',
+  90: 'city',
+  95: 'state',
+  101: 'country',
+  105: 'headline',
+  110: 'credit',
+  115: 'source',
+  116: 'copyright',
+  120: 'caption',
+}
+const IPTC_REPEATABLE = new Set(['keywords', 'byline'])
+
+// XMP properties worth showing: output key → qualified name
+const XMP_FIELDS = {
+  title: 'dc:title',
+  creator: 'dc:creator',
+  description: 'dc:description',
+  rights: 'dc:rights',
+  subject: 'dc:subject',
+  createDate: 'xmp:CreateDate',
+  modifyDate: 'xmp:ModifyDate',
+  creatorTool: 'xmp:CreatorTool',
+  rating: 'xmp:Rating',
+  label: 'xmp:Label',
+  lens: 'aux:Lens',
+  orientation: 'tiff:Orientation',
+}
+
+const XMP_JPEG_HEADER = 'http://ns.adobe.com/xap/1.0/\0'
+const XMP_PNG_KEYWORD = 'XML:com.adobe.xmp'
+
+/**
+ * Read embedded metadata from encoded image bytes.
+ * @param {ArrayBuffer|DataView} input
+ * @returns {EmbeddedMetadata}
+ */
+export function readMetadata(input) {
+  const view = input instanceof DataView ? input : new DataView(input)
+  const out = emptyMetadata()
+  try {
+    if (isJpeg(view)) {
+      out.format = 'jpeg'
+      readJpeg(view, out)
+    } else if (isPng(view)) {
+      out.format = 'png'
+      readPng(view, out)
+    } else if (isWebp(view)) {
+      out.format = 'webp'
+      readWebp(view, out)
+    }
+  } catch {
+    // Keep whatever was parsed before the bad block
+  }
+  return out
+}
+
+/**
+ * Copy of encoded image bytes without EXIF (including GPS), XMP, IPTC,
+ * comments or text chunks. Image data and the ICC profile are copied
+ * unchanged; unknown formats are returned as is.
+ * @param {ArrayBuffer|DataView} input
+ * @returns {Uint8Array}
+ */
+export function stripMetadata(input) {
+  const view = input instanceof DataView ? input : new DataView(input)
+  const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength)
+  /** @type {Uint8Array[]} */
+  const parts = []
+  try {
+    if (isJpeg(view)) stripJpeg(view, bytes, parts)
+    else if (isPng(view)) stripPng(view, bytes, parts)
+    else if (isWebp(view)) stripWebp(view, bytes, parts)
+    else return bytes.slice()
+  } catch {
+    return bytes.slice()
+  }
+  return concat(parts)
+}
+
+function emptyMetadata() {
+  return {
+    format: 'unknown',
+    orientation: null,
+    camera: {},
+    lens: {},
+    exposure: {},
+    gps: null,
+    timestamps: {},
+    author: {},
+    iptc: null,
+    xmp: null,
+    icc: { present: false, description: null },
+    text: {},
+    blocks: [],
+  }
+}
+
+// --- Containers ---------------------------------------------------------------
+
+function isJpeg(view) {
+  return view.byteLength >= 3 && view.getUint16(0) === 0xffd8
+}
+
+function isPng(view) {
+  return view.byteLength >= 8 && view.getUint32(0) === 0x89504e47 && view.getUint32(4) === 0x0d0a1a0a
+}
+
+function isWebp(view) {
+  return view.byteLength >= 12 && ascii(view, 0, 4) === 'RIFF' && ascii(view, 8, 4) === 'WEBP'
+}
+
+function readJpeg(view, out) {
+  const length = view.byteLength
+  /** @type {Uint8Array[]} ICC profiles may span several APP2 segments */
+  const iccChunks = []
+  let offset = 2
+  while (offset + 4 <= length) {
+    const marker = view.getUint16(offset)
+    offset += 2
+    if (marker === 0xffda /* SOS */ || marker === 0xffd9 /* EOI */) break
+    if ((marker & 0xff00) !== 0xff00) break // invalid
+    const size = view.getUint16(offset)
+    if (size < 2) break
+    const start = offset + 2
+    const end = Math.min(length, offset + size)
+    if (marker === 0xffe1 /* APP1 */) {
+      if (ascii(view, start, 6) === 'Exif\0\0') {
+        readTiff(view, start + 6, end, out)
+      } else if (ascii(view, start, XMP_JPEG_HEADER.length) === XMP_JPEG_HEADER) {
+        readXmp(utf8(view, start + XMP_JPEG_HEADER.length, end), out)
+      }
+    } else if (marker === 0xffed /* APP13 */ && ascii(view, start, 14) === 'Photoshop 3.0\0') {
+      readPhotoshopResources(view, start + 14, end, out)
+    } else if (marker === 0xffe2 /* APP2 */ && ascii(view, start, 12) === 'ICC_PROFILE\0') {
+      // 12-byte header, then sequence number and total count (1 byte each)
+      iccChunks.push(new Uint8Array(view.buffer, view.byteOffset + start + 14, Math.max(0, end - start - 14)))
+    }
+    offset += size
+  }
+  if (iccChunks.length) readIcc(concat(iccChunks), out)
+}
+
+function readPng(view, out) {
+  const length = view.byteLength
+  let offset = 8
+  while (offset + 12 <= length) {
+    const size = view.getUint32(offset)
+    const type = ascii(view, offset + 4, 4)
+    const start = offset + 8
+    const end = Math.min(length, start + size)
+    if (type === 'IEND') break
+    if (type === 'eXIf') {
+      readTiff(view, start, end, out)
+    } else if (type === 'tEXt') {
+      const sep = indexOfZero(view, start, end)
+      if (sep > start) addText(out, latin1(view, start, sep), latin1(view, sep + 1, end))
+    } else if (type === 'iTXt') {
+      readPngItxt(view, start, end, out)
+    } else if (type === 'zTXt') {
+      // Compressed text can't be inflated synchronously; record the keyword only
+      const sep = indexOfZero(view, start, end)
+      if (sep > start) addText(out, latin1(view, start, sep), '(compressed)')
+    } else if (type === 'iCCP') {
+      // Profile is zlib-compressed; its name is the only readable part
+      const sep = indexOfZero(view, start, end)
+      addBlock(out, 'ICC')
+      out.icc = { present: true, description: sep > start ? latin1(view, start, sep) : null }
+    }
+    offset = start + size + 4 // data + CRC
+  }
+}
+
+function readPngItxt(view, start, end, out) {
+  const keyEnd = indexOfZero(view, start, end)
+  if (keyEnd <= start || keyEnd + 3 > end) return
+  const keyword = latin1(view, start, keyEnd)
+  const compressed = view.getUint8(keyEnd + 1) === 1
+  const langEnd = indexOfZero(view, keyEnd + 3, end)
+  if (langEnd < 0) return
+  const transEnd = indexOfZero(view, langEnd + 1, end)
+  if (transEnd < 0) return
+  if (compressed) {
+    addText(out, keyword, '(compressed)')
+    return
+  }
+  const text = utf8(view, transEnd + 1, end)
+  if (keyword === XMP_PNG_KEYWORD) readXmp(text, out)
+  else addText(out, keyword, text)
+}
+
+function readWebp(view, out) {
+  const length = Math.min(view.byteLength, 8 + view.getUint32(4, true))
+  let offset = 12
+  while (offset + 8 <= length) {
+    const type = ascii(view, offset, 4)
+    const size = view.getUint32(offset + 4, true)
+    const start = offset + 8
+    const end = Math.min(length, start + size)
+    if (type === 'EXIF') {
+      // Some writers keep the JPEG-style "Exif\0\0" prefix
+      const tiff = ascii(view, start, 6) === 'Exif\0\0' ? start + 6 : start
+      readTiff(view, tiff, end, out)
+    } else if (type === 'XMP ') {
+      readXmp(utf8(view, start, end), out)
+    } else if (type === 'ICCP') {
+      readIcc(new Uint8Array(view.buffer, view.byteOffset + start, end - start), out)
+    }
+    offset = start + size + (size & 1) // chunks are padded to even size
+  }
+}
+
+// --- Stripping ----------------------------------------------------------------
+
+// Keeps SOI, APP0 (JFIF), APP2 (ICC), APP14 (Adobe color transform) and
+// every other non-APP segment; the scan data is copied verbatim
+function stripJpeg(view, bytes, parts) {
+  const length = view.byteLength
+  parts.push(bytes.subarray(0, 2))
+  let offset = 2
+  while (offset + 4 <= length) {
+    const marker = view.getUint16(offset)
+    if (marker === 0xffda /* SOS */ || marker === 0xffd9 /* EOI */ || (marker & 0xff00) !== 0xff00) break
+    const size = view.getUint16(offset + 2)
+    if (size < 2) break
+    const end = Math.min(length, offset + 2 + size)
+    const app = marker >= 0xffe0 && marker <= 0xffef
+    const keep = app
+      ? marker === 0xffe0 || marker === 0xffee || (marker === 0xffe2 && ascii(view, offset + 4, 12) === 'ICC_PROFILE\0')
+      : marker !== 0xfffe /* COM */
+    if (keep) parts.push(bytes.subarray(offset, end))
+    offset = end
+  }
+  parts.push(bytes.subarray(offset))
+}
+
+const PNG_METADATA_CHUNKS = new Set(['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME'])
+
+function stripPng(view, bytes, parts) {
+  const length = view.byteLength
+  parts.push(bytes.subarray(0, 8))
+  let offset = 8
+  while (offset + 12 <= length) {
+    const size = view.getUint32(offset)
+    const type = ascii(view, offset + 4, 4)
+    const end = Math.min(length, offset + 12 + size) // length + type + data + CRC
+    if (!PNG_METADATA_CHUNKS.has(type)) parts.push(bytes.subarray(offset, end))
+    offset = end
+    if (type === 'IEND') return
+  }
+  parts.push(bytes.subarray(offset))
+}
+
+// Drops EXIF and XMP chunks, clears their VP8X flags and fixes the RIFF size
+function stripWebp(view, bytes, parts) {
+  const length = Math.min(view.byteLength, 8 + view.getUint32(4, true))
+  const header = bytes.slice(0, 12)
+  parts.push(header)
+  let total = 4 // "WEBP"
+  let offset = 12
+  while (offset + 8 <= length) {
+    const type = ascii(view, offset, 4)
+    const size = view.getUint32(offset + 4, true)
+    const end = Math.min(length, offset + 8 + size + (size & 1))
+    if (type !== 'EXIF' && type !== 'XMP ') {
+      let chunk = bytes.subarray(offset, end)
+      if (type === 'VP8X' && size >= 1) {
+        chunk = chunk.slice()
+        chunk[8] &= ~(0x08 /* EXIF */ | 0x04 /* XMP */)
+      }
+      parts.push(chunk)
+      total += chunk.length
+    }
+    offset = end
+  }
+  new DataView(header.buffer).setUint32(4, total, true)
+}
+
+// --- EXIF (TIFF) --------------------------------------------------------------
+
+/**
+ * Decode a TIFF structure starting at `tiff` into out.
+ * @param {DataView} view
+ * @param {number} tiff - offset of the byte-order mark
+ * @param {number} end - end of the enclosing block
+ * @param {EmbeddedMetadata} out
+ */
+function readTiff(view, tiff, end, out) {
+  if (tiff + 8 > end) return
+  const order = ascii(view, tiff, 2)
+  const little = order === 'II'
+  if (!little && order !== 'MM') return
+  if (view.getUint16(tiff + 2, little) !== 0x2a) return
+  const ctx = { view, tiff, end, little }
+  addBlock(out, 'EXIF')
+
+  const ifd0 = readIfd(ctx, view.getUint32(tiff + 4, little))
+  const exif = ifd0.has(0x8769) ? readIfd(ctx, ifd0.get(0x8769)) : new Map()
+  const gps = ifd0.has(0x8825) ? readIfd(ctx, ifd0.get(0x8825)) : new Map()
+
+  const orientation = ifd0.get(0x0112)
+  if (orientation >= 1 && orientation <= 8) out.orientation = orientation
+
+  assign(out.camera, {
+    make: str(ifd0.get(0x010f)),
+    model: str(ifd0.get(0x0110)),
+    software: str(ifd0.get(0x0131)),
+    serial: str(exif.get(0xa431)),
+  })
+  assign(out.lens, {
+    make: str(exif.get(0xa433)),
+    model: str(exif.get(0xa434)),
+  })
+  const program = exif.get(0x8822)
+  const metering = exif.get(0x9207)
+  const flash = exif.get(0x9209)
+  assign(out.exposure, {
+    exposureTime: num(exif.get(0x829a)),
+    fNumber: num(exif.get(0x829d)),
+    iso: num(first(exif.get(0x8827))),
+    focalLength: num(exif.get(0x920a)),
+    focalLength35mm: num(exif.get(0xa405)) || undefined,
+    exposureBias: num(exif.get(0x9204)),
+    exposureProgram: typeof program === 'number' ? EXPOSURE_PROGRAMS[program] : undefined,
+    meteringMode: typeof metering === 'number' ? METERING_MODES[metering] : undefined,
+    flashFired: typeof flash === 'number' ? (flash & 1) === 1 : undefined,
+  })
+  assign(out.timestamps, {
+    original: exifDate(exif.get(0x9003), exif.get(0x9011)),
+    digitized: exifDate(exif.get(0x9004), exif.get(0x9012)),
+    modified: exifDate(ifd0.get(0x0132), exif.get(0x9010)),
+  })
+  assign(out.author, {
+    artist: str(ifd0.get(0x013b)),
+    copyright: str(ifd0.get(0x8298)),
+  })
+
+  const lat = dms(gps.get(2), str(gps.get(1)), 'S')
+  const lon = dms(gps.get(4), str(gps.get(3)), 'W')
+  if (lat != null && lon != null) {
+    out.gps = { latitude: lat, longitude: lon }
+    const alt = num(gps.get(6))
+    if (alt != null) out.gps.altitude = gps.get(5) === 1 ? -alt : alt
+  }
+}
+
+/**
+ * Read one IFD into a tag → value map (arrays for multi-value fields).
+ * @returns {Map<number, any>}
+ */
+function readIfd(ctx, relOffset) {
+  const { view, tiff, end, little } = ctx
+  const tags = new Map()
+  const dir = tiff + relOffset
+  if (!relOffset || dir + 2 > end) return tags
+  const count = view.getUint16(dir, little)
+  for (let i = 0; i < count; i++) {
+    const entry = dir + 2 + i * 12
+    if (entry + 12 > end) break
+    const tag = view.getUint16(entry, little)
+    const type = view.getUint16(entry + 2, little)
+    const n = view.getUint32(entry + 4, little)
+    const size = TYPE_SIZES[type] * n
+    if (!size) continue
+    const at = size <= 4 ? entry + 8 : tiff + view.getUint32(entry + 8, little)
+    if (at + size > end) continue
+    tags.set(tag, readValue(view, at, type, n, little))
+  }
+  return tags
+}
+
+function readValue(view, at, type, n, little) {
+  if (type === 2) return latin1(view, at, at + n).replace(/\0+$/, '').trim()
+  if (type === 7) return new Uint8Array(view.buffer, view.byteOffset + at, n)
+  const values = []
+  const size = TYPE_SIZES[type]
+  for (let i = 0; i < n; i++) {
+    const p = at + i * size
+    switch (type) {
+      case 1: values.push(view.getUint8(p)); break
+      case 3: values.push(view.getUint16(p, little)); break
+      case 4: values.push(view.getUint32(p, little)); break
+      case 9: values.push(view.getInt32(p, little)); break
+      case 5: values.push(ratio(view.getUint32(p, little), view.getUint32(p + 4, little))); break
+      case 10: values.push(ratio(view.getInt32(p, little), view.getInt32(p + 4, little))); break
+      default: return null
+    }
+  }
+  return n === 1 ? values[0] : values
+}
+
+function ratio(a, b) {
+  return b ? a / b : null
+}
+
+/** Degrees/minutes/seconds triple → signed decimal degrees */
+function dms(value, ref, negativeRef) {
+  if (!Array.isArray(value) || value.length < 3 || value.some(v => v == null)) return null
+  const deg = value[0] + value[1] / 60 + value[2] / 3600
+  return ref === negativeRef ? -deg : deg
+}
+
+/** "YYYY:MM:DD HH:MM:SS" (+ optional "+HH:MM" offset) → ISO 8601 */
+function exifDate(value, offset) {
+  const m = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/)
+  if (!m || m[1] === '0000') return undefined
+  const tz = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : ''
+  return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${tz}`
+}
+
+// --- IPTC (Photoshop image resources) -----------------------------------------
+
+function readPhotoshopResources(view, start, end, out) {
+  let offset = start
+  while (offset + 12 <= end && ascii(view, offset, 4) === '8BIM') {
+    const id = view.getUint16(offset + 4)
+    // Pascal name padded to even length (including the length byte)
+    const nameLen = view.getUint8(offset + 6)
+    const nameSize = (nameLen + 1) + ((nameLen + 1) & 1)
+    const sizeAt = offset + 6 + nameSize
+    if (sizeAt + 4 > end) return
+    const size = view.getUint32(sizeAt)
+    const data = sizeAt + 4
+    if (id === 0x0404) readIptc(view, data, Math.min(end, data + size), out)
+    offset = data + size + (size & 1)
+  }
+}
+
+function readIptc(view, start, end, out) {
+  const iptc = out.iptc || {}
+  let offset = start
+  while (offset + 5 <= end && view.getUint8(offset) === 0x1c) {
+    const record = view.getUint8(offset + 1)
+    const dataset = view.getUint8(offset + 2)
+    const size = view.getUint16(offset + 3)
+    const data = offset + 5
+    if (data + size > end) break
+    const key = record === 2 ? IPTC_FIELDS[dataset] : undefined
+    if (key) {
+      const value = utf8(view, data, data + size).trim()
+      if (IPTC_REPEATABLE.has(key)) iptc[key] = [...(iptc[key] || []), value]
+      else iptc[key] = value
+    }
+    offset = data + size
+  }
+  if (Object.keys(iptc).length) {
+    out.iptc = iptc
+    addBlock(out, 'IPTC')
+  }
+}
+
+// --- XMP ----------------------------------------------------------------------
+
+/**
+ * Extract common properties from an XMP packet with regexes (no DOMParser in
+ * workers). Handles attribute and element forms, and rdf:Alt/Bag/Seq lists.
+ */
+function readXmp(xml, out) {
+  if (!xml || (xml.indexOf('x:xmpmeta') < 0 && xml.indexOf('rdf:RDF') < 0)) return
+  addBlock(out, 'XMP')
+  const xmp = out.xmp || {}
+  for (const [key, name] of Object.entries(XMP_FIELDS)) {
+    const value = xmpProperty(xml, name)
+    if (value != null && value !== '' && !(Array.isArray(value) && !value.length)) xmp[key] = value
+  }
+  out.xmp = xmp
+}
+
+function xmpProperty(xml, name) {
+  const esc = name.replace(':', '\\:')
+  const attr = xml.match(new RegExp(`\\s${esc}="([^"]*)"`))
+  if (attr) return decodeEntities(attr[1])
+  const el = xml.match(new RegExp(`<${esc}(?:\\s[^>]*)?>([\\s\\S]*?)</${esc}>`))
+  if (!el) return null
+  const items = [...el[1].matchAll(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g)].map(m => decodeEntities(m[1].trim()))
+  if (!items.length) return decodeEntities(el[1].trim())
+  // Alt lists are translations of one value; Bag/Seq are real lists
+  return /<rdf:Alt/.test(el[1]) ? items[0] : items
+}
+
+function decodeEntities(s) {
+  return s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, d) => String.fromCharCode(Number(d)))
+    .replace(/&amp;/g, '&')
+}
+
+// --- ICC ----------------------------------------------------------------------
+
+/** Mark the ICC profile present and read its 'desc' tag (v2 desc or v4 mluc). */
+function readIcc(bytes, out) {
+  addBlock(out, 'ICC')
+  out.icc = { present: true, description: null }
+  try {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    if (view.byteLength < 132 || ascii(view, 36, 4) !== 'acsp') return
+    const count = view.getUint32(128)
+    for (let i = 0; i < count; i++) {
+      const entry = 132 + i * 12
+      if (entry + 12 > view.byteLength) break
+      if (ascii(view, entry, 4) !== 'desc') continue
+      const at = view.getUint32(entry + 4)
+      const type = ascii(view, at, 4)
+      if (type === 'desc') {
+        const len = view.getUint32(at + 8)
+        out.icc.description = latin1(view, at + 12, at + 12 + len).replace(/\0+$/, '') || null
+      } else if (type === 'mluc' && view.getUint32(at + 8) > 0) {
+        const len = view.getUint32(at + 20)
+        const off = view.getUint32(at + 24)
+        out.icc.description = utf16be(view, at + off, at + off + len) || null
+      }
+      break
+    }
+  } catch {}
+}
+
+// --- Helpers ------------------------------------------------------------------
+
+function addBlock(out, name) {
+  if (!out.blocks.includes(name)) out.blocks.push(name)
+}
+
+function addText(out, keyword, text) {
+  if (!out.text[keyword]) addBlock(out, 'Text')
+  out.text[keyword] = text
+}
+
+/** Copy defined values only */
+function assign(target, values) {
+  for (const [k, v] of Object.entries(values)) {
+    if (v !== undefined && v !== null && v !== '') target[k] = v
+  }
+}
+
+function str(v) {
+  return typeof v === 'string' && v ? v : undefined
+}
+
+function num(v) {
+  return typeof v === 'number' && Number.isFinite(v) ? v : undefined
+}
+
+function first(v) {
+  return Array.isArray(v) ? v[0] : v
+}
+
+function ascii(view, start, length) {
+  if (start < 0 || start + length > view.byteLength) return ''
+  let s = ''
+  for (let i = 0; i < length; i++) s += String.fromCharCode(view.getUint8(start + i))
+  return s
+}
+
+function latin1(view, start, end) {
+  return ascii(view, start, Math.max(0, Math.min(end, view.byteLength) - start))
+}
+
+function utf8(view, start, end) {
+  const bytes = new Uint8Array(view.buffer, view.byteOffset + start, Math.max(0, Math.min(end, view.byteLength) - start))
+  return new TextDecoder('utf-8').decode(bytes)
+}
+
+function utf16be(view, start, end) {
+  let s = ''
+  for (let p = start; p + 1 < Math.min(end, view.byteLength); p += 2) s += String.fromCharCode(view.getUint16(p))
+  return s.replace(/\0+$/, '')
+}
+
+function indexOfZero(view, start, end) {
+  for (let i = start; i < end; i++) if (view.getUint8(i) === 0) return i
+  return -1
+}
+
+function concat(chunks) {
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0))
+  let at = 0
+  for (const c of chunks) {
+    out.set(c, at)
+    at += c.length
+  }
+  return out
+}
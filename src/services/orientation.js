@@ -0,0 +1,65 @@
+/**
+ * EXIF orientation helpers shared by ImageService and the decode worker
+ * (plain 2D-context math, so they work with DOM and Offscreen canvases).
+ */
+
+/**
+ * Size of an image after applying an EXIF orientation.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} orientation - 1..8
+ * @returns {{width:number,height:number}}
+ */
+export function orientedSize(width, height, orientation) {
+  const isRotated = orientation >= 5 && orientation <= 8
+  return isRotated ? { width: height, height: width } : { width, height }
+}
+
+/**
+ * Set up ctx so drawing a sw×sh source at (0, 0) lands upright in a canvas of
+ * orientedSize(sw, sh, orientation).
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {number} orientation - 1..8
+ * @param {number} sw - source width
+ * @param {number} sh - source height
+ */
+export function applyOrientation(ctx, orientation, sw, sh) {
+  const { width: dw, height: dh } = orientedSize(sw, sh, orientation)
+
+  // Apply transforms per EXIF orientation mapping
+  // Reference: https://magnushoff.com/articles/jpeg-orientation/
+  switch (orientation) {
+    case 2: // Mirror horizontally
+      ctx.translate(dw, 0)
+      ctx.scale(-1, 1)
+      break
+    case 3: // Rotate 180
+      ctx.translate(dw, dh)
+      ctx.rotate(Math.PI)
+      break
+    case 4: // Mirror vertically
+      ctx.translate(0, dh)
+      ctx.scale(1, -1)
+      break
+    case 5: // Mirror horizontally and rotate 90 CW (a transpose)
+      ctx.rotate(0.5 * Math.PI)
+      ctx.scale(1, -1)
+      break
+    case 6: // Rotate 90 CW
+      ctx.rotate(0.5 * Math.PI)
+      ctx.translate(0, -sh)
+      break
+    case 7: // Mirror horizontally and rotate 90 CCW (a transpose across the other diagonal)
+      ctx.translate(dw, dh)
+      ctx.rotate(-0.5 * Math.PI)
+      ctx.scale(1, -1)
+      break
+    case 8: // Rotate 90 CCW
+      ctx.rotate(-0.5 * Math.PI)
+      ctx.translate(-sw, 0)
+      break
+    default:
+      // Unknown, draw as is
+      break
+  }
+}
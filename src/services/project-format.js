@@ -0,0 +1,374 @@
+/**
+ * Project file format: a versioned JSON document that reopens an editing
+ * session. Pure functions over parsed JSON, no DOM.
+ *
+ * Pixels are embedded as data: URLs: the originally loaded file as it was,
+ * and each layer as a PNG at full resolution with its pixel edits baked in.
+ * Adjustments, annotations, redactions and the viewport stay editable data,
+ * in image px (document.width × height), so a file does not depend on the
+ * working-buffer size of the device that saved it.
+ *
+ * Undo history is not saved: a reopened project starts a fresh history and
+ * its pixel edits can no longer be undone. Nothing needs replaying on open,
+ * so every layer image must already be the full width × height; files with
+ * smaller layers are rejected rather than upscaled.
+ *
+ * `format` is written as the first key so a file can be recognized from its
+ * first PROJECT_SNIFF_BYTES without parsing the whole document.
+ */
+
+import { ADJUSTMENT_TYPES, sanitizeParams } from './adjustments.js'
+import { isAnnotationKind, sanitizeStyle } from './annotations.js'
+import { isRedactionMode } from './redactions.js'
+import { isBlendMode } from './blend-modes.js'
+
+/** Value of the `format` field identifying a project file */
+export const PROJECT_FORMAT = 'image-editor-project'
+
+/** Version written by this build; older files are migrated on open */
+export const PROJECT_VERSION = 2
+
+/** Suggested file name suffix */
+export const PROJECT_EXTENSION = '.project.json'
+
+/** How much of a file isProjectHead needs */
+export const PROJECT_SNIFF_BYTES = 256
+
+/**
+ * @typedef {Object} Project
+ * @property {string} format - PROJECT_FORMAT
+ * @property {number} version - PROJECT_VERSION
+ * @property {string} savedAt - ISO 8601
+ * @property {{name:string|null,data:string}|null} source - originally loaded file as a data: URL
+ * @property {ProjectMetadata} metadata
+ * @property {ProjectDocument} document
+ * @property {import('./adjustments.js').Adjustment[]} adjustments - first applied first
+ * @property {import('./annotations.js').Annotation[]} annotations - bottom first
+ * @property {import('./redactions.js').Redaction[]} redactions
+ * @property {{scale:number,tx:number,ty:number}} viewport - scale in screen px per image px
+ */
+
+/**
+ * @typedef {Object} ProjectDocument
+ * @property {number} width - full-resolution size; the coordinate space of
+ *   annotations, redactions and the viewport
+ * @property {number} height
+ * @property {ProjectLayer[]} layers - bottom first; the first is the background
+ * @property {number} activeLayer - index into layers
+ */
+
+/**
+ * @typedef {Object} ProjectLayer
+ * @property {string} name
+ * @property {boolean} visible
+ * @property {number} opacity - 0..1
+ * @property {string} blendMode - one of BLEND_MODES
+ * @property {string} image - PNG data: URL, width × height
+ */
+
+/**
+ * The ImageMetadata fields a project keeps; sizes, working sizes and limits
+ * are recomputed on open.
+ * @typedef {Object} ProjectMetadata
+ * @property {string} sourceType - 'file' | 'url'
+ * @property {string} [name]
+ * @property {string} mime
+ * @property {string} declaredMime
+ * @property {string|null} detectedMime
+ * @property {boolean} mimeMismatch
+ * @property {{width:number,height:number}|null} downscaledFrom
+ * @property {number} orientation - 1..8
+ * @property {number} byteLength
+ * @property {import('./metadata-parser.js').EmbeddedMetadata|null} embedded
+ */
+
+// Upgrades, oldest first: MIGRATIONS[n] turns a version n project into version n + 1
+/** @type {Record<number, (project: Object) => Object>} */
+const MIGRATIONS = {
+  // 1 → 2: edits were in the saving session's working px (document.workingWidth ×
+  // workingHeight) and move to image px. Malformed values are left for validate.
+  1: (project) => {
+    const { workingWidth, workingHeight, ...doc } = isObject(project.document) ? project.document : {}
+    const factor = doc.width / workingWidth
+    check(isNumber(factor) && factor >= 1, 'document.workingWidth is invalid.')
+    const scale = (v) => isNumber(v) ? v * factor : v
+    const scalePoint = (p) => isPoint(p) ? { ...p, x: scale(p.x), y: scale(p.y) } : p
+    const scaleItems = (items, fn) => Array.isArray(items) ? items.map(item => isObject(item) ? fn(item) : item) : items
+    const { viewport } = project
+    return {
+      ...project,
+      document: doc,
+      annotations: scaleItems(project.annotations, (annotation) => ({
+        ...annotation,
+        points: Array.isArray(annotation.points) ? annotation.points.map(scalePoint) : annotation.points,
+        style: isObject(annotation.style)
+          ? { ...annotation.style, width: scale(annotation.style.width), fontSize: scale(annotation.style.fontSize) }
+          : annotation.style,
+      })),
+      redactions: scaleItems(project.redactions, (r) => ({ ...r, x: scale(r.x), y: scale(r.y), w: scale(r.w), h: scale(r.h) })),
+      viewport: isObject(viewport) && isNumber(viewport.scale) ? { ...viewport, scale: viewport.scale / factor } : viewport,
+    }
+  },
+}
+
+const ADJUSTMENT_TYPE_SET = new Set(ADJUSTMENT_TYPES.map(([type]) => type))
+const HEX_COLOR = /^#[0-9a-f]{6}$/i
+const IMAGE_DATA_URL = /^data:image\/[\w.+-]+;base64,/
+const PNG_DATA_URL = /^data:image\/png;base64,/
+const SOURCE_TYPES = new Set(['file', 'url'])
+const CONTAINER_FORMATS = new Set(['jpeg', 'png', 'webp', 'unknown'])
+// Optional typed fields of the EmbeddedMetadata groups; other keys are dropped
+const EMBEDDED_FIELDS = {
+  camera: { make: 'string', model: 'string', software: 'string', serial: 'string' },
+  lens: { make: 'string', model: 'string' },
+  exposure: {
+    exposureTime: 'number', fNumber: 'number', iso: 'number', focalLength: 'number', focalLength35mm: 'number',
+    exposureBias: 'number', exposureProgram: 'string', meteringMode: 'string', flashFired: 'boolean',
+  },
+  timestamps: { original: 'string', digitized: 'string', modified: 'string' },
+  author: { artist: 'string', copyright: 'string' },
+}
+// A JSON object whose first key is the format marker
+const PROJECT_HEAD = new RegExp(`^\\uFEFF?\\s*\\{\\s*"format"\\s*:\\s*"${PROJECT_FORMAT}"`)
+
+/**
+ * Whether the start of a file is a project file's, whatever its name or type.
+ * @param {string} text - at least the first PROJECT_SNIFF_BYTES, decoded as UTF-8
+ */
+export function isProjectHead(text) {
+  return PROJECT_HEAD.test(text)
+}
+
+/**
+ * Bring a parsed project file up to PROJECT_VERSION and check it against the
+ * schema. Throws an Error whose message names the first problem found.
+ * @param {unknown} data - parsed JSON
+ * @returns {Project} validated copy; adjustment params and annotation styles are
+ *   clamped, except stroke widths and font sizes, which are in image px
+ */
+export function readProject(data) {
+  check(isObject(data) && data.format === PROJECT_FORMAT, 'The file is not a project.')
+  check(Number.isInteger(data.version) && data.version >= 1, 'The project version is missing.')
+  check(data.version <= PROJECT_VERSION, 'The project was saved by a newer version of the editor.')
+  let project = data
+  while (project.version < PROJECT_VERSION) {
+    const migrate = MIGRATIONS[project.version]
+    check(migrate, `Version ${project.version} projects are no longer supported.`)
+    project = { ...migrate(project), version: project.version + 1 }
+  }
+  return validate(project)
+}
+
+// Internal -----------------------------------------------------------------
+
+function validate(project) {
+  check(project.source === null || isObject(project.source), 'source is invalid.')
+  if (project.source) {
+    check(isString(project.source.data) && IMAGE_DATA_URL.test(project.source.data), 'source.data is not an image.')
+    check(project.source.name == null || isString(project.source.name), 'source.name is invalid.')
+  }
+  check(isObject(project.viewport), 'viewport is missing.')
+  const { scale, tx, ty } = project.viewport
+  check(isNumber(scale) && scale > 0 && isNumber(tx) && isNumber(ty), 'viewport is invalid.')
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: isString(project.savedAt) ? project.savedAt : '',
+    source: project.source ? { name: project.source.name || null, data: project.source.data } : null,
+    metadata: validateMetadata(project.metadata),
+    document: validateDocument(project.document),
+    adjustments: list(project, 'adjustments', validateAdjustment),
+    annotations: list(project, 'annotations', validateAnnotation),
+    redactions: list(project, 'redactions', validateRedaction),
+    viewport: { scale, tx, ty },
+  }
+}
+
+function validateDocument(doc) {
+  check(isObject(doc), 'document is missing.')
+  for (const key of ['width', 'height']) {
+    check(isSize(doc[key]), `document.${key} is invalid.`)
+  }
+  check(Array.isArray(doc.layers) && doc.layers.length > 0, 'document.layers is empty.')
+  const layers = doc.layers.map((layer, i) => {
+    const path = `document.layers[${i}]`
+    check(isObject(layer), `${path} is invalid.`)
+    check(isString(layer.name), `${path}.name is invalid.`)
+    check(typeof layer.visible === 'boolean', `${path}.visible is invalid.`)
+    check(isNumber(layer.opacity) && layer.opacity >= 0 && layer.opacity <= 1, `${path}.opacity is invalid.`)
+    check(isBlendMode(layer.blendMode), `${path}.blendMode is not a known blend mode.`)
+    check(isString(layer.image) && PNG_DATA_URL.test(layer.image), `${path}.image is not a PNG.`)
+    const size = pngSize(layer.image)
+    check(size && size.width === doc.width && size.height === doc.height, `${path}.image is not ${doc.width} × ${doc.height}.`)
+    const { name, visible, opacity, blendMode, image } = layer
+    return { name, visible, opacity, blendMode, image }
+  })
+  const active = doc.activeLayer
+  check(Number.isInteger(active) && active >= 0 && active < layers.length, 'document.activeLayer is invalid.')
+  const { width, height } = doc
+  return { width, height, layers, activeLayer: active }
+}
+
+function validateMetadata(meta) {
+  check(isObject(meta), 'metadata is missing.')
+  check(SOURCE_TYPES.has(meta.sourceType), 'metadata.sourceType is invalid.')
+  check(meta.name == null || isString(meta.name), 'metadata.name is invalid.')
+  check(isString(meta.mime) && isString(meta.declaredMime), 'metadata.mime is invalid.')
+  check(meta.detectedMime === null || isString(meta.detectedMime), 'metadata.detectedMime is invalid.')
+  check(typeof meta.mimeMismatch === 'boolean', 'metadata.mimeMismatch is invalid.')
+  const from = meta.downscaledFrom
+  check(from === null || (isObject(from) && isSize(from.width) && isSize(from.height)), 'metadata.downscaledFrom is invalid.')
+  check(isOrientation(meta.orientation), 'metadata.orientation is invalid.')
+  check(Number.isInteger(meta.byteLength) && meta.byteLength >= 0, 'metadata.byteLength is invalid.')
+  const { sourceType, mime, declaredMime, detectedMime, mimeMismatch, orientation, byteLength } = meta
+  const out = {
+    sourceType,
+    mime,
+    declaredMime,
+    detectedMime,
+    mimeMismatch,
+    downscaledFrom: from && { width: from.width, height: from.height },
+    orientation,
+    byteLength,
+    embedded: meta.embedded === null ? null : validateEmbedded(meta.embedded),
+  }
+  if (meta.name != null) out.name = meta.name
+  return out
+}
+
+function validateEmbedded(embedded) {
+  const path = 'metadata.embedded'
+  check(isObject(embedded), `${path} is invalid.`)
+  check(CONTAINER_FORMATS.has(embedded.format), `${path}.format is invalid.`)
+  check(embedded.orientation === null || isOrientation(embedded.orientation), `${path}.orientation is invalid.`)
+  const out = { format: embedded.format, orientation: embedded.orientation }
+  for (const [group, fields] of Object.entries(EMBEDDED_FIELDS)) {
+    const values = embedded[group]
+    check(isObject(values), `${path}.${group} is invalid.`)
+    out[group] = {}
+    for (const [key, type] of Object.entries(fields)) {
+      if (values[key] === undefined) continue
+      const valid = type === 'number' ? isNumber(values[key]) : typeof values[key] === type
+      check(valid, `${path}.${group}.${key} is invalid.`)
+      out[group][key] = values[key]
+    }
+  }
+  const { gps } = embedded
+  check(gps === null || (isObject(gps) && isNumber(gps.latitude) && isNumber(gps.longitude) &&
+    (gps.altitude === undefined || isNumber(gps.altitude))), `${path}.gps is invalid.`)
+  out.gps = gps && { latitude: gps.latitude, longitude: gps.longitude }
+  if (gps && gps.altitude !== undefined) out.gps.altitude = gps.altitude
+  for (const key of ['iptc', 'xmp']) {
+    const record = embedded[key]
+    const valid = record === null || (isObject(record) &&
+      Object.values(record).every(v => isString(v) || (Array.isArray(v) && v.every(isString))))
+    check(valid, `${path}.${key} is invalid.`)
+    out[key] = record && Object.fromEntries(Object.entries(record).map(([k, v]) => [k, Array.isArray(v) ? [...v] : v]))
+  }
+  const { icc } = embedded
+  check(isObject(icc) && typeof icc.present === 'boolean' && (icc.description === null || isString(icc.description)),
+    `${path}.icc is invalid.`)
+  out.icc = { present: icc.present, description: icc.description }
+  check(isObject(embedded.text) && Object.values(embedded.text).every(isString), `${path}.text is invalid.`)
+  out.text = { ...embedded.text }
+  check(Array.isArray(embedded.blocks) && embedded.blocks.every(isString), `${path}.blocks is invalid.`)
+  out.blocks = [...embedded.blocks]
+  return out
+}
+
+function validateAdjustment(adjustment, path) {
+  check(ADJUSTMENT_TYPE_SET.has(adjustment.type), `${path}.type is not a known adjustment.`)
+  check(typeof adjustment.enabled === 'boolean', `${path}.enabled is invalid.`)
+  check(isObject(adjustment.params), `${path}.params is invalid.`)
+  const { id, type, enabled } = adjustment
+  return { id, type, enabled, params: sanitizeParams(type, adjustment.params) }
+}
+
+function validateAnnotation(annotation, path) {
+  const { kind } = annotation
+  check(isAnnotationKind(kind), `${path}.kind is not a known annotation.`)
+  const { points } = annotation
+  const count = Array.isArray(points) ? points.length : 0
+  const counted = kind === 'pen' ? count >= 1 : count === (kind === 'text' ? 1 : 2)
+  check(counted && points.every(isPoint), `${path}.points is invalid.`)
+  const { style } = annotation
+  check(isObject(style), `${path}.style is invalid.`)
+  check(isNumber(style.width) && style.width > 0, `${path}.style.width is invalid.`)
+  check(isNumber(style.fontSize) && style.fontSize > 0, `${path}.style.fontSize is invalid.`)
+  const out = {
+    id: annotation.id,
+    kind,
+    points: points.map(({ x, y }) => ({ x, y })),
+    style: { ...sanitizeStyle(style), width: style.width, fontSize: style.fontSize },
+  }
+  if (kind === 'text') {
+    check(isString(annotation.text) && annotation.text.length > 0, `${path}.text is invalid.`)
+    out.text = annotation.text
+  }
+  return out
+}
+
+function validateRedaction(redaction, path) {
+  const { id, x, y, w, h, mode, color } = redaction
+  check(isNumber(x) && isNumber(y) && isNumber(w) && isNumber(h) && w >= 0 && h >= 0, `${path} has an invalid rectangle.`)
+  check(isRedactionMode(mode), `${path}.mode is not a known redaction.`)
+  check(isString(color) && HEX_COLOR.test(color), `${path}.color is invalid.`)
+  return { id, x, y, w, h, mode, color }
+}
+
+// Validate an array of objects with unique string ids
+function list(project, key, validateItem) {
+  const items = project[key]
+  check(Array.isArray(items), `${key} is missing.`)
+  const ids = new Set()
+  return items.map((item, i) => {
+    const path = `${key}[${i}]`
+    check(isObject(item) && isString(item.id) && item.id, `${path}.id is missing.`)
+    check(!ids.has(item.id), `${path}.id is used twice.`)
+    ids.add(item.id)
+    return validateItem(item, path)
+  })
+}
+
+// Width and height from a PNG data: URL's IHDR chunk; null when it has none
+function pngSize(url) {
+  // Signature, chunk length and type, width, height: 24 bytes in 32 base64 chars
+  let head
+  try {
+    head = atob(url.slice(url.indexOf(',') + 1, url.indexOf(',') + 33))
+  } catch {
+    return null
+  }
+  if (head.length < 24 || head.slice(1, 4) !== 'PNG' || head.slice(12, 16) !== 'IHDR') return null
+  const u32 = (at) => ((head.charCodeAt(at) << 24) | (head.charCodeAt(at + 1) << 16) | (head.charCodeAt(at + 2) << 8) | head.charCodeAt(at + 3)) >>> 0
+  return { width: u32(16), height: u32(20) }
+}
+
+function check(condition, message) {
+  if (!condition) throw new Error(message)
+}
+
+function isObject(v) {
+  return typeof v === 'object' && v !== null && !Array.isArray(v)
+}
+
+function isString(v) {
+  return typeof v === 'string'
+}
+
+function isNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v)
+}
+
+function isSize(v) {
+  return Number.isInteger(v) && v > 0
+}
+
+function isOrientation(v) {
+  return Number.isInteger(v) && v >= 1 && v <= 8
+}
+
+function isPoint(p) {
+  return isObject(p) && isNumber(p.x) && isNumber(p.y)
+}
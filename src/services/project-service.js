@@ -0,0 +1,197 @@
+/**
+ * ProjectService: save and reopen editing sessions
+ *
+ * Responsibilities:
+ * - Serialize the open document to a project file (see project-format.js): the
+ *   loaded file's bytes, its ImageMetadata, every layer at full resolution with its
+ *   pixel edits baked in, the adjustment stack, annotations, redactions and
+ *   the viewport
+ * - Parse, migrate and validate project files before anything is replaced
+ * - Convert edits between this session's working px and the image px a
+ *   project stores them in
+ * - Restore a project into ImageService, LayerService and the edit services;
+ *   undo history is not part of a project, so the caller starts a fresh one
+ * - Surface friendly errors
+ */
+
+import { ImageService } from './image-service.js'
+import { LayerService } from './layer-service.js'
+import { HistoryService } from './history-service.js'
+import { AdjustmentService } from './adjustment-service.js'
+import { AnnotationService } from './annotation-service.js'
+import { RedactionService } from './redaction-service.js'
+import { ViewportService } from './viewport-service.js'
+import { transformAnnotations } from './annotations.js'
+import { transformRedactions } from './redactions.js'
+import { friendlyError, errorMessage } from './errors.js'
+import { PROJECT_FORMAT, PROJECT_SNIFF_BYTES, PROJECT_VERSION, isProjectHead, readProject } from './project-format.js'
+
+const PROJECT_TYPE = 'application/json'
+
+class ProjectServiceImpl {
+  /**
+   * Whether a file should be opened as a project rather than as an image:
+   * it starts with the project format marker. Other JSON is not claimed.
+   * @param {Blob} file
+   * @returns {Promise<boolean>}
+   */
+  async isProjectFile(file) {
+    try {
+      return isProjectHead(await file.slice(0, PROJECT_SNIFF_BYTES).text())
+    } catch {
+      return false
+    }
+  }
+
+  /**
+   * Serialize the open document. Drafts (shapes being drawn, text being typed)
+   * are not included.
+   * @returns {Promise<Blob>}
+   */
+  async save() {
+    const meta = ImageService.getMetadata()
+    const background = LayerService.getBackground()
+    if (!meta || !background) throw friendlyError('There is no image to save.')
+    const ops = HistoryService.getOps()
+    const layers = LayerService.getLayers()
+    const savedLayers = []
+    for (const layer of layers) {
+      const pixels = ImageService.renderLayerFullResolution(layer, ops, background.id)
+      savedLayers.push({
+        name: layer.name,
+        visible: layer.visible,
+        opacity: layer.opacity,
+        blendMode: layer.blendMode,
+        image: await blobToDataUrl(await this._encodePng(pixels)),
+      })
+    }
+    const source = ImageService.getSource()
+    const { sourceType, name, mime, declaredMime, detectedMime, mimeMismatch, downscaledFrom, orientation, byteLength, embedded } = meta
+    // Edits are stored in image px
+    const scale = meta.width / LayerService.width
+    const map = (p) => ({ x: p.x * scale, y: p.y * scale })
+    /** @type {import('./project-format.js').Project} */
+    const project = {
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      savedAt: new Date().toISOString(),
+      source: source ? { name: meta.name || null, data: await blobToDataUrl(source) } : null,
+      metadata: { sourceType, name, mime, declaredMime, detectedMime, mimeMismatch, downscaledFrom, orientation, byteLength, embedded },
+      document: {
+        width: meta.width,
+        height: meta.height,
+        layers: savedLayers,
+        activeLayer: Math.max(0, layers.indexOf(LayerService.getActive())),
+      },
+      adjustments: AdjustmentService.getStack(),
+      annotations: transformAnnotations(AnnotationService.getObjects(), map, scale),
+      redactions: transformRedactions(RedactionService.getRegions(), map),
+      viewport: { scale: ViewportService.scale / scale, tx: ViewportService.tx, ty: ViewportService.ty },
+    }
+    return new Blob([JSON.stringify(project)], { type: PROJECT_TYPE })
+  }
+
+  /**
+   * Read a project file and make it the open document. The open document is
+   * left as it was when the file is invalid or its pixels fail to decode.
+   * @param {Blob} file
+   * @returns {Promise<{scale:number,tx:number,ty:number}>} the saved view, in this
+   *   session's working px (see ViewportService.setView)
+   */
+  async open(file) {
+    let project
+    let assets
+    try {
+      project = readProject(JSON.parse(await file.text()))
+      assets = project.document.layers.map(layer => dataUrlToBlob(layer.image))
+    } catch (err) {
+      const reason = err instanceof SyntaxError || err instanceof DOMException
+        ? 'The file is damaged.'
+        : errorMessage(err)
+      throw friendlyError(`Could not open the project. ${reason}`)
+    }
+    const doc = project.document
+    const [backgroundImage, ...layerImages] = assets
+
+    // Decode every layer before the open document is replaced
+    const fullLayers = []
+    for (const blob of layerImages) fullLayers.push(await this._decodeLayer(blob, doc.width, doc.height))
+    const source = project.source ? dataUrlToBlob(project.source.data) : null
+    const working = await ImageService.loadProjectImage(backgroundImage, { source, metadata: project.metadata })
+
+    // Like a geometry edit: layers at working size, full-resolution pixels kept for export
+    const downscaled = !!ImageService.getMetadata().isDownscaled
+    const canvases = [working, ...fullLayers.map(full => downscaled ? resample(full, working.width, working.height) : full)]
+    LayerService.load(doc.layers.map((saved, i) => ({ ...saved, canvas: canvases[i] })), doc.activeLayer)
+    const originals = new Map()
+    if (downscaled) LayerService.getLayers().slice(1).forEach((layer, i) => originals.set(layer.id, fullLayers[i]))
+    ImageService.setLayerOriginals(originals)
+
+    // Edits are in image px
+    const scale = working.width / doc.width
+    const map = (p) => ({ x: p.x * scale, y: p.y * scale })
+    AdjustmentService.restore(project.adjustments)
+    AnnotationService.restore(transformAnnotations(project.annotations, map, scale))
+    RedactionService.restore(transformRedactions(project.redactions, map))
+    const { viewport } = project
+    return { scale: viewport.scale / scale, tx: viewport.tx, ty: viewport.ty }
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  async _encodePng(canvas) {
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'))
+    if (!blob) throw friendlyError('Saving failed. The image may be too large for this browser.')
+    return blob
+  }
+
+  /** Layer pixels at the document's full-resolution size */
+  async _decodeLayer(blob, width, height) {
+    let bitmap
+    try {
+      bitmap = await createImageBitmap(blob)
+    } catch (err) {
+      throw friendlyError(`Could not open the project. A layer image is damaged. ${errorMessage(err)}`)
+    }
+    const canvas = makeCanvas(width, height)
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height)
+    bitmap.close()
+    return canvas
+  }
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(/** @type {string} */ (reader.result))
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
+
+// Throws DOMException on malformed base64
+function dataUrlToBlob(url) {
+  const comma = url.indexOf(',')
+  const type = url.slice('data:'.length, comma).replace(/;base64$/, '')
+  const binary = atob(url.slice(comma + 1))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return new Blob([bytes], { type })
+}
+
+function makeCanvas(w, h) {
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(w))
+  canvas.height = Math.max(1, Math.round(h))
+  return canvas
+}
+
+function resample(src, w, h) {
+  const out = makeCanvas(w, h)
+  const ctx = out.getContext('2d')
+  ctx.imageSmoothingQuality = 'high'
+  ctx.drawImage(src, 0, 0, w, h)
+  return out
+}
+
+export const ProjectService = new ProjectServiceImpl()
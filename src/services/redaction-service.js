@@ -0,0 +1,318 @@
+/**
+ * RedactionService: regions to scrub before an image is shared
+ *
+ * Responsibilities:
+ * - Keep redaction rectangles (solid fill, pixelate or blur) in working-buffer
+ *   coordinates over the whole composite; layer pixels are not changed
+ *   (ImageService burns the regions into the exported pixels)
+ * - Track the mode and fill color for new regions and the selected region
+ * - Draw new regions and move, resize, restyle or delete existing ones
+ * - Hit test regions and the selected region's edges and corners
+ * - Record each finished change in HistoryService as one undo step
+ */
+
+import { HistoryService } from './history-service.js'
+import { isRedactionMode } from './redactions.js'
+
+class RedactionServiceImpl {
+  constructor() {
+    /** @type {import('./redactions.js').Redaction[]} bottom first */
+    this._regions = []
+    // Regions as of the last history entry; edits are diffed against it
+    /** @type {import('./redactions.js').Redaction[]} */
+    this._committed = []
+    this._nextId = 1
+    /** @type {string|null} */
+    this._selectedId = null
+    /** Mode for new regions; follows the selected region */
+    this.mode = 'solid'
+    /** Fill of solid regions; follows the selected region */
+    this.color = '#000000'
+    /** @type {{x:number,y:number}[]|null} corners of the region being drawn */
+    this._draft = null
+    /** @type {{id:string,handle:string,start:{x:number,y:number},origin:import('./redactions.js').Redaction}|null} */
+    this._drag = null
+
+    /** @type {Set<Function>} */
+    this._listeners = new Set()
+  }
+
+  /** Drop all regions without recording history (e.g. when a new image is loaded). */
+  reset() {
+    this.restore([])
+  }
+
+  /**
+   * Replace all regions without recording history (restoring state around a
+   * geometry change, opening a project).
+   * @param {import('./redactions.js').Redaction[]} regions
+   */
+  restore(regions) {
+    // Saved ids stay valid; new ones are numbered after them
+    this._nextId = Math.max(this._nextId, ...regions.map(r => idNumber(r.id) + 1))
+    this._draft = null
+    this._drag = null
+    this._regions = regions
+    this._committed = regions
+    if (!this._find(this._selectedId)) this._selectedId = null
+    this._notify()
+  }
+
+  // --- Queries ----------------------------------------------------------------
+
+  /** @returns {import('./redactions.js').Redaction[]} bottom first; regions are never mutated */
+  getRegions() {
+    return this._regions.slice()
+  }
+
+  hasRegions() {
+    return this._regions.length > 0 || !!this._draft
+  }
+
+  /** @returns {import('./redactions.js').Redaction|null} */
+  getSelected() {
+    return this._find(this._selectedId)
+  }
+
+  /** @returns {import('./redactions.js').Redaction|null} region being drawn */
+  getDraft() {
+    if (!this._draft) return null
+    const [a, b] = this._draft
+    return { id: '', ...boxOf(a, b), mode: this.mode, color: this.color }
+  }
+
+  /** Whether a draw or edit drag is in progress */
+  isDragging() {
+    return !!(this._draft || this._drag)
+  }
+
+  /**
+   * Topmost region under p; the selected region's edges and corners take
+   * precedence.
+   * @param {{x:number,y:number}} p - working px
+   * @param {number} tolerance - working px
+   * @returns {{id:string,handle:string}|null} handle: 'nw'|'n'|…|'w' or 'move'
+   */
+  hitTest(p, tolerance) {
+    const selected = this.getSelected()
+    if (selected) {
+      const handle = edgeHandle(selected, p, tolerance)
+      if (handle) return { id: selected.id, handle }
+    }
+    for (let i = this._regions.length - 1; i >= 0; i--) {
+      const r = this._regions[i]
+      if (p.x >= r.x && p.x <= r.x + r.w && p.y >= r.y && p.y <= r.y + r.h) return { id: r.id, handle: 'move' }
+    }
+    return null
+  }
+
+  // --- Settings ---------------------------------------------------------------
+
+  /**
+   * Mode for new regions and the selected one (one undo step).
+   * @param {string} mode - one of REDACTION_MODES
+   */
+  setMode(mode) {
+    if (!isRedactionMode(mode)) return
+    this.mode = mode
+    this._restyle()
+  }
+
+  /**
+   * Fill color for new solid regions and, live, the selected one. The selected
+   * region's change is recorded on commit().
+   * @param {string} color - #rrggbb
+   */
+  setColor(color) {
+    if (!/^#[0-9a-f]{6}$/i.test(color)) return
+    this.color = color
+    const selected = this.getSelected()
+    if (selected) this._replace({ ...selected, color })
+    else this._notify()
+  }
+
+  /** @param {string|null} id */
+  select(id) {
+    const region = this._find(id)
+    if ((region ? region.id : null) === this._selectedId) return
+    this._selectedId = region ? region.id : null
+    if (region) {
+      this.mode = region.mode
+      this.color = region.color
+    }
+    this._notify()
+  }
+
+  // --- Editing ----------------------------------------------------------------
+
+  /**
+   * Start drawing a region with one corner at p.
+   * @param {{x:number,y:number}} p - working px
+   */
+  begin(p) {
+    this._draft = [p, p]
+    this._notify()
+  }
+
+  /**
+   * Start moving a region or dragging one of its edges/corners; selects it.
+   * @param {string} id
+   * @param {string} handle - from hitTest
+   * @param {{x:number,y:number}} p - working px
+   */
+  startDrag(id, handle, p) {
+    const region = this._find(id)
+    if (!region) return
+    this.select(id)
+    this._drag = { id, handle, start: p, origin: region }
+  }
+
+  /** @param {{x:number,y:number}} p - working px */
+  dragTo(p) {
+    if (this._draft) {
+      this._draft = [this._draft[0], p]
+      this._notify()
+      return
+    }
+    const drag = this._drag
+    if (!drag) return
+    const { origin, handle } = drag
+    const dx = p.x - drag.start.x
+    const dy = p.y - drag.start.y
+    if (handle === 'move') {
+      this._replace({ ...origin, x: origin.x + dx, y: origin.y + dy })
+      return
+    }
+    // Move the grabbed edges; dragging past the opposite edge flips the region
+    let x0 = origin.x
+    let y0 = origin.y
+    let x1 = origin.x + origin.w
+    let y1 = origin.y + origin.h
+    if (handle.includes('w')) x0 += dx
+    if (handle.includes('e')) x1 += dx
+    if (handle.includes('n')) y0 += dy
+    if (handle.includes('s')) y1 += dy
+    this._replace({ ...origin, ...boxOf({ x: x0, y: y0 }, { x: x1, y: y1 }) })
+  }
+
+  /**
+   * Finish the drag: a drawn region is added (unless either side is below
+   * minSize) and selected; an edit is recorded.
+   * @param {number} [minSize] - working px
+   */
+  endDrag(minSize = 0) {
+    const draft = this.getDraft()
+    if (draft) {
+      this._draft = null
+      if (draft.w < minSize || draft.h < minSize) {
+        this._notify()
+        return
+      }
+      const region = { ...draft, id: `red-${this._nextId++}` }
+      this._regions = [...this._regions, region]
+      this._selectedId = region.id
+      this.commit('Add redaction')
+      this._notify()
+      return
+    }
+    const drag = this._drag
+    if (!drag) return
+    this._drag = null
+    this.commit(drag.handle === 'move' ? 'Move redaction' : 'Resize redaction')
+  }
+
+  /** Abandon the drag: drop the region being drawn or put the edited one back. */
+  cancelDrag() {
+    const drag = this._drag
+    this._draft = null
+    this._drag = null
+    if (drag && this._find(drag.id)) this._replace(drag.origin)
+    else this._notify()
+  }
+
+  /** @param {string} id */
+  remove(id) {
+    const region = this._find(id)
+    if (!region) return
+    this._regions = this._regions.filter(r => r !== region)
+    if (this._selectedId === id) this._selectedId = null
+    this.commit('Delete redaction')
+    this._notify()
+  }
+
+  /**
+   * Record the changes since the last commit as one undo step (no-op when
+   * nothing changed).
+   * @param {string} [label]
+   */
+  commit(label = 'Edit redaction') {
+    HistoryService.recordStateChange(label, this._committed, this._regions, (regions) => {
+      this._regions = regions
+      this._committed = regions
+      if (!this._find(this._selectedId)) this._selectedId = null
+      this._notify()
+    })
+    this._committed = this._regions
+  }
+
+  /** Subscribe to changes (listener: ({mode, color, selected, count})=>void). Returns unsubscribe. */
+  subscribe(listener) {
+    this._listeners.add(listener)
+    return () => this._listeners.delete(listener)
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  _find(id) {
+    return (id && this._regions.find(r => r.id === id)) || null
+  }
+
+  _replace(region) {
+    this._regions = this._regions.map(r => r.id === region.id ? region : r)
+    this._notify()
+  }
+
+  _restyle() {
+    const selected = this.getSelected()
+    if (!selected) {
+      this._notify()
+      return
+    }
+    this._replace({ ...selected, mode: this.mode })
+    this.commit('Change redaction')
+  }
+
+  _notify() {
+    if (!this._listeners.size) return
+    const state = { mode: this.mode, color: this.color, selected: this.getSelected(), count: this._regions.length }
+    this._listeners.forEach((fn) => {
+      try { fn(state) } catch {}
+    })
+  }
+}
+
+function idNumber(id) {
+  return Number(String(id).split('-').pop()) || 0
+}
+
+function boxOf(a, b) {
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    w: Math.abs(b.x - a.x),
+    h: Math.abs(b.y - a.y),
+  }
+}
+
+// Compass handle of the edge or corner within tolerance of p, or null
+function edgeHandle(r, p, tolerance) {
+  const inX = p.x >= r.x - tolerance && p.x <= r.x + r.w + tolerance
+  const inY = p.y >= r.y - tolerance && p.y <= r.y + r.h + tolerance
+  if (!inX || !inY) return null
+  const near = (v, t) => Math.abs(v - t) <= tolerance
+  const ns = near(p.y, r.y) ? 'n' : near(p.y, r.y + r.h) ? 's' : ''
+  const we = near(p.x, r.x) ? 'w' : near(p.x, r.x + r.w) ? 'e' : ''
+  return ns + we || null
+}
+
+export const RedactionService = new RedactionServiceImpl()
@@ -0,0 +1,216 @@
+/**
+ * Redaction math shared by the on-screen preview, RedactionService and export.
+ * Pure functions over plain objects and RGBA buffers.
+ *
+ * Regions are in working-buffer px. Pixelate and blur keep only a coarse block
+ * average of what they cover, perturbed with random noise, so the original
+ * pixels cannot be read back (or matched against guesses) from the result.
+ */
+
+import { runFilter } from './filters.js'
+
+/** Redaction modes offered in the UI: [mode, label] */
+export const REDACTION_MODES = [
+  ['solid', 'Solid fill'],
+  ['pixelate', 'Pixelate'],
+  ['blur', 'Blur'],
+]
+
+/** Smallest pixelate/blur block in working px */
+export const MIN_REDACTION_BLOCK = 12
+
+// Blocks per short side of a large region; larger regions get larger blocks
+const BLOCKS_PER_SIDE = 6
+// Per-channel noise (±) added to each block average
+const BLOCK_NOISE = 10
+
+/**
+ * @typedef {Object} Redaction
+ * @property {string} id
+ * @property {number} x - working px
+ * @property {number} y
+ * @property {number} w
+ * @property {number} h
+ * @property {'solid'|'pixelate'|'blur'} mode
+ * @property {string} color - fill of solid regions (#rrggbb)
+ */
+
+/** @param {string} mode */
+export function isRedactionMode(mode) {
+  return REDACTION_MODES.some(([m]) => m === mode)
+}
+
+/**
+ * Pixelate/blur block size in working px: at least MIN_REDACTION_BLOCK, and
+ * coarse enough that a large region (a face, a card) is not recognizable.
+ * @param {Redaction} redaction
+ */
+export function redactionBlock(redaction) {
+  return Math.max(MIN_REDACTION_BLOCK, Math.min(redaction.w, redaction.h) / BLOCKS_PER_SIDE)
+}
+
+/**
+ * Pixel rect a region covers in a buffer at `scale` px per working px,
+ * rounded outward and clipped; null when nothing is covered.
+ * @param {Redaction} redaction
+ * @param {number} scale
+ * @param {number} width - buffer size
+ * @param {number} height
+ * @returns {{x:number,y:number,w:number,h:number}|null}
+ */
+export function redactionRect(redaction, scale, width, height) {
+  const x0 = Math.max(0, Math.floor(redaction.x * scale))
+  const y0 = Math.max(0, Math.floor(redaction.y * scale))
+  const x1 = Math.min(width, Math.ceil((redaction.x + redaction.w) * scale))
+  const y1 = Math.min(height, Math.ceil((redaction.y + redaction.h) * scale))
+  return x1 > x0 && y1 > y0 ? { x: x0, y: y0, w: x1 - x0, h: y1 - y0 } : null
+}
+
+/**
+ * Replace the pixels under a region, in place.
+ * @param {{data:Uint8ClampedArray,width:number,height:number}} pixels - exactly the region's rect
+ * @param {Redaction} redaction
+ * @param {number} block - block size in these pixels (redactionBlock × scale)
+ * @param {() => number} [random] - noise source in [0, 1); seeded for a stable preview
+ */
+export function redactPixels(pixels, redaction, block, random = Math.random) {
+  const { data } = pixels
+  if (redaction.mode === 'solid') {
+    const [r, g, b] = parseHex(redaction.color)
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = r
+      data[i + 1] = g
+      data[i + 2] = b
+      data[i + 3] = 255
+    }
+    return
+  }
+  const size = Math.max(1, Math.round(block))
+  pixelate(pixels, size, random)
+  if (redaction.mode === 'blur') {
+    // Smoothing the blocks hides their edges; it adds no detail back
+    data.set(runFilter(pixels, 'gaussianBlur', { radius: size / 2 }))
+  }
+}
+
+/**
+ * Bake regions into an image, in place: each covered rect is replaced by its
+ * redaction, computed at the image's resolution so no original pixel
+ * survives under it. This is what export writes.
+ * @param {{data:Uint8ClampedArray,width:number,height:number}} image - RGBA
+ * @param {Redaction[]} redactions
+ * @param {number} scale - image px per working px
+ * @param {() => number} [random] - noise source in [0, 1)
+ */
+export function redactImage(image, redactions, scale, random = Math.random) {
+  for (const redaction of redactions) {
+    const rect = redactionRect(redaction, scale, image.width, image.height)
+    if (!rect) continue
+    const pixels = cropPixels(image, rect)
+    redactPixels(pixels, redaction, redactionBlock(redaction) * scale, random)
+    pastePixels(image, pixels, rect)
+  }
+}
+
+/**
+ * Map regions through a geometry change (crop, rotate, flip, straighten).
+ * Each becomes the box around its mapped corners, so a straightened region
+ * grows rather than uncovering the corners of what it hid.
+ * @param {Redaction[]} redactions
+ * @param {(p:{x:number,y:number}) => {x:number,y:number}} map - old to new working px
+ * @returns {Redaction[]}
+ */
+export function transformRedactions(redactions, map) {
+  return redactions.map((redaction) => {
+    const { x, y, w, h } = redaction
+    const corners = [{ x, y }, { x: x + w, y }, { x, y: y + h }, { x: x + w, y: y + h }].map(map)
+    const xs = corners.map(p => p.x)
+    const ys = corners.map(p => p.y)
+    const x0 = Math.min(...xs)
+    const y0 = Math.min(...ys)
+    return { ...redaction, x: x0, y: y0, w: Math.max(...xs) - x0, h: Math.max(...ys) - y0 }
+  })
+}
+
+/**
+ * Deterministic [0, 1) generator (mulberry32) seeded from a string.
+ * @param {string} seed
+ * @returns {() => number}
+ */
+export function seededRandom(seed) {
+  let state = 0
+  for (let i = 0; i < seed.length; i++) state = Math.imul(state ^ seed.charCodeAt(i), 0x9e3779b1)
+  return () => {
+    state = (state + 0x6d2b79f5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Internal -----------------------------------------------------------------
+
+function cropPixels(image, rect) {
+  const data = new Uint8ClampedArray(rect.w * rect.h * 4)
+  for (let y = 0; y < rect.h; y++) {
+    const from = ((rect.y + y) * image.width + rect.x) * 4
+    data.set(image.data.subarray(from, from + rect.w * 4), y * rect.w * 4)
+  }
+  return { data, width: rect.w, height: rect.h }
+}
+
+function pastePixels(image, pixels, rect) {
+  for (let y = 0; y < rect.h; y++) {
+    image.data.set(pixels.data.subarray(y * rect.w * 4, (y + 1) * rect.w * 4), ((rect.y + y) * image.width + rect.x) * 4)
+  }
+}
+
+// Fill each block with its alpha-weighted average plus noise
+function pixelate({ data, width, height }, size, random) {
+  for (let by = 0; by < height; by += size) {
+    const y1 = Math.min(height, by + size)
+    for (let bx = 0; bx < width; bx += size) {
+      const x1 = Math.min(width, bx + size)
+      let r = 0
+      let g = 0
+      let b = 0
+      let a = 0
+      for (let y = by; y < y1; y++) {
+        for (let x = bx; x < x1; x++) {
+          const i = (y * width + x) * 4
+          const alpha = data[i + 3]
+          r += data[i] * alpha
+          g += data[i + 1] * alpha
+          b += data[i + 2] * alpha
+          a += alpha
+        }
+      }
+      const k = a > 0 ? 1 / a : 0
+      const fill = [
+        r * k + noise(random),
+        g * k + noise(random),
+        b * k + noise(random),
+        a / ((y1 - by) * (x1 - bx)),
+      ]
+      for (let y = by; y < y1; y++) {
+        for (let x = bx; x < x1; x++) {
+          const i = (y * width + x) * 4
+          data[i] = fill[0]
+          data[i + 1] = fill[1]
+          data[i + 2] = fill[2]
+          data[i + 3] = fill[3]
+        }
+      }
+    }
+  }
+}
+
+function noise(random) {
+  return (random() * 2 - 1) * BLOCK_NOISE
+}
+
+function parseHex(color) {
+  const m = /^#([0-9a-f]{6})$/i.exec(color || '')
+  const n = m ? parseInt(m[1], 16) : 0
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255]
+}
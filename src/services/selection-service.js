@@ -0,0 +1,353 @@
+/**
+ * SelectionService: image-space selection shapes and mask
+ *
+ * Responsibilities:
+ * - Keep selection as an ordered list of shapes (rect, ellipse, lasso) in image coordinates
+ * - Combine shapes with replace/add/subtract/intersect modes into a raster mask
+ * - Trace the combined mask into outline polylines for marching ants
+ * - Clip canvas edits to the selection mask
+ * - Record selection changes in HistoryService
+ */
+
+import { HistoryService } from './history-service.js'
+
+/**
+ * @typedef {'replace'|'add'|'subtract'|'intersect'} SelectionMode
+ */
+
+/**
+ * @typedef {Object} SelectionShape
+ * @property {'rect'|'ellipse'|'lasso'} kind
+ * @property {SelectionMode} mode
+ * @property {number} [x] - rect/ellipse bounds in image px
+ * @property {number} [y]
+ * @property {number} [w]
+ * @property {number} [h]
+ * @property {{x:number,y:number}[]} [points] - lasso polygon in image px
+ */
+
+// Outline tracing works on a mask no larger than this per side
+const OUTLINE_MAX_DIM = 1024
+
+const COMPOSITE_FOR_MODE = {
+  replace: 'source-over',
+  add: 'source-over',
+  subtract: 'destination-out',
+  intersect: 'destination-in',
+}
+
+class SelectionServiceImpl {
+  constructor() {
+    /** @type {SelectionShape[]} */
+    this._shapes = []
+    this.width = 0
+    this.height = 0
+
+    // Derived caches, rebuilt lazily after changes
+    /** @type {HTMLCanvasElement|null} */
+    this._mask = null
+    /** @type {{x:number,y:number}[][]|null} */
+    this._outline = null
+
+    /** @type {Set<Function>} */
+    this._listeners = new Set()
+  }
+
+  /**
+   * Set the document size (image px) and replace the selection without recording
+   * history (new image, or restoring state around a geometry change).
+   * @param {number} width
+   * @param {number} height
+   * @param {SelectionShape[]} [shapes] - defaults to no selection
+   */
+  reset(width, height, shapes = []) {
+    this.width = Math.max(1, width | 0)
+    this.height = Math.max(1, height | 0)
+    this._shapes = shapes.map(cloneShape)
+    this._invalidateCaches()
+    this._notify()
+  }
+
+  // --- Queries ----------------------------------------------------------------
+
+  hasSelection() {
+    return this._shapes.length > 0
+  }
+
+  /** @returns {SelectionShape[]} copy suitable for serializing into edit ops */
+  getShapes() {
+    return this._shapes.map(cloneShape)
+  }
+
+  /**
+   * Selection mask at document size: opaque inside, transparent outside.
+   * @returns {HTMLCanvasElement|null}
+   */
+  getMask() {
+    if (!this._shapes.length) return null
+    if (!this._mask) this._mask = renderSelectionMask(this._shapes, this.width, this.height)
+    return this._mask
+  }
+
+  /**
+   * Outline polylines in image coordinates. A lone replace shape yields its
+   * exact geometry; combined selections are traced from a (possibly reduced) mask.
+   * @returns {{x:number,y:number}[][]}
+   */
+  getOutline() {
+    if (!this._shapes.length) return []
+    if (!this._outline) this._outline = this._traceOutline()
+    return this._outline
+  }
+
+  // --- Mutations --------------------------------------------------------------
+
+  /**
+   * Combine a new shape into the selection using shape.mode.
+   * Degenerate shapes in replace mode clear the selection (click to deselect).
+   * @param {SelectionShape} shape
+   */
+  apply(shape) {
+    // Subtracting/intersecting with nothing selected leaves nothing selected
+    if (!this._shapes.length && (shape.mode === 'subtract' || shape.mode === 'intersect')) return
+    if (isDegenerate(shape)) {
+      if (shape.mode === 'replace') this.clear()
+      return
+    }
+    const next = shape.mode === 'replace' ? [cloneShape(shape)] : [...this._shapes, cloneShape(shape)]
+    this._setShapes(next, 'Select')
+  }
+
+  selectAll() {
+    this._setShapes([{ kind: 'rect', mode: 'replace', x: 0, y: 0, w: this.width, h: this.height }], 'Select all')
+  }
+
+  clear() {
+    if (!this._shapes.length) return
+    this._setShapes([], 'Deselect')
+  }
+
+  /**
+   * Mask the pixels in ctx (document-sized) to the selection, limited to rect when given.
+   * No-op without a selection.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {{x:number,y:number,w:number,h:number}} [rect]
+   */
+  clipTo(ctx, rect) {
+    const mask = this.getMask()
+    if (!mask) return
+    applyMask(ctx, mask, rect)
+  }
+
+  /** Subscribe to changes (listener: (shapes)=>void). Returns unsubscribe. */
+  subscribe(listener) {
+    this._listeners.add(listener)
+    return () => this._listeners.delete(listener)
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  _setShapes(next, label) {
+    const prev = this._shapes
+    const set = (shapes) => {
+      this._shapes = shapes
+      this._invalidateCaches()
+      this._notify()
+    }
+    set(next)
+    HistoryService.recordStateChange(label, prev, next, set)
+  }
+
+  _invalidateCaches() {
+    this._mask = null
+    this._outline = null
+  }
+
+  _traceOutline() {
+    if (this._shapes.length === 1 && this._shapes[0].mode === 'replace') {
+      return [shapeToPolygon(this._shapes[0])]
+    }
+    const cell = Math.max(1, Math.ceil(Math.max(this.width, this.height) / OUTLINE_MAX_DIM))
+    const gw = Math.ceil(this.width / cell)
+    const gh = Math.ceil(this.height / cell)
+    const small = renderSelectionMask(this._shapes, gw, gh, 1 / cell)
+    const data = small.getContext('2d').getImageData(0, 0, gw, gh).data
+    const inside = new Uint8Array(gw * gh)
+    for (let i = 0; i < inside.length; i++) inside[i] = data[i * 4 + 3] >= 128 ? 1 : 0
+    return traceMask(inside, gw, gh).map(poly => poly.map(p => ({ x: p.x * cell, y: p.y * cell })))
+  }
+
+  _notify() {
+    if (!this._listeners.size) return
+    const shapes = this.getShapes()
+    this._listeners.forEach((fn) => {
+      try { fn(shapes) } catch {}
+    })
+  }
+}
+
+// --- Geometry helpers (exported for tools and export replay) -----------------
+
+/**
+ * Append a shape's path to ctx in its current transform (image coordinates).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {SelectionShape} shape
+ */
+export function traceShape(ctx, shape) {
+  if (shape.kind === 'rect') {
+    ctx.rect(shape.x, shape.y, shape.w, shape.h)
+  } else if (shape.kind === 'ellipse') {
+    ctx.moveTo(shape.x + shape.w, shape.y + shape.h / 2)
+    ctx.ellipse(shape.x + shape.w / 2, shape.y + shape.h / 2, Math.abs(shape.w / 2), Math.abs(shape.h / 2), 0, 0, Math.PI * 2)
+  } else if (shape.kind === 'lasso' && shape.points && shape.points.length) {
+    ctx.moveTo(shape.points[0].x, shape.points[0].y)
+    for (let i = 1; i < shape.points.length; i++) ctx.lineTo(shape.points[i].x, shape.points[i].y)
+    ctx.closePath()
+  }
+}
+
+/**
+ * Rasterize selection shapes into a mask canvas of the given size.
+ * `scale` maps image coordinates to mask pixels (e.g. full-resolution replay).
+ * @param {SelectionShape[]} shapes
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [scale=1]
+ * @returns {HTMLCanvasElement}
+ */
+export function renderSelectionMask(shapes, width, height, scale = 1) {
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width))
+  canvas.height = Math.max(1, Math.round(height))
+  const ctx = canvas.getContext('2d')
+  ctx.setTransform(scale, 0, 0, scale, 0, 0)
+  ctx.fillStyle = '#fff'
+  for (const shape of shapes) {
+    if (shape.mode === 'replace') {
+      ctx.save()
+      ctx.setTransform(1, 0, 0, 1, 0, 0)
+      ctx.clearRect(0, 0, canvas.width, canvas.height)
+      ctx.restore()
+    }
+    ctx.globalCompositeOperation = COMPOSITE_FOR_MODE[shape.mode] || 'source-over'
+    ctx.beginPath()
+    traceShape(ctx, shape)
+    ctx.fill()
+  }
+  ctx.globalCompositeOperation = 'source-over'
+  return canvas
+}
+
+/**
+ * Keep only the pixels of ctx's canvas that fall inside mask (same size),
+ * optionally limited to rect so the rest of the canvas is untouched.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} mask
+ * @param {{x:number,y:number,w:number,h:number}} [rect]
+ */
+export function applyMask(ctx, mask, rect) {
+  ctx.save()
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+  if (rect) {
+    // destination-in affects the whole clip region; restrict it to rect
+    ctx.beginPath()
+    ctx.rect(rect.x, rect.y, rect.w, rect.h)
+    ctx.clip()
+  }
+  ctx.globalCompositeOperation = 'destination-in'
+  ctx.drawImage(mask, 0, 0)
+  ctx.restore()
+}
+
+function cloneShape(shape) {
+  const copy = { ...shape }
+  if (shape.points) copy.points = shape.points.map(p => ({ x: p.x, y: p.y }))
+  return copy
+}
+
+function isDegenerate(shape) {
+  if (shape.kind === 'lasso') return !shape.points || shape.points.length < 3
+  return Math.abs(shape.w) < 1 || Math.abs(shape.h) < 1
+}
+
+function shapeToPolygon(shape) {
+  if (shape.kind === 'lasso') return shape.points.map(p => ({ x: p.x, y: p.y }))
+  if (shape.kind === 'rect') {
+    const { x, y, w, h } = shape
+    return [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }]
+  }
+  // Ellipse: enough segments to look smooth at high zoom
+  const cx = shape.x + shape.w / 2
+  const cy = shape.y + shape.h / 2
+  const rx = Math.abs(shape.w / 2)
+  const ry = Math.abs(shape.h / 2)
+  const n = Math.max(32, Math.min(256, Math.round((rx + ry) / 2)))
+  const pts = []
+  for (let i = 0; i < n; i++) {
+    const a = (i / n) * Math.PI * 2
+    pts.push({ x: cx + Math.cos(a) * rx, y: cy + Math.sin(a) * ry })
+  }
+  return pts
+}
+
+/**
+ * Trace boundaries of a binary grid into closed polylines along pixel edges.
+ * Each boundary edge is directed with the inside on its right, then edges are
+ * chained end-to-start; collinear vertices are dropped.
+ * @param {Uint8Array} inside - 1 for selected cells
+ * @param {number} w
+ * @param {number} h
+ * @returns {{x:number,y:number}[][]}
+ */
+function traceMask(inside, w, h) {
+  const at = (x, y) => (x >= 0 && y >= 0 && x < w && y < h ? inside[y * w + x] : 0)
+  const key = (x, y) => y * (w + 1) + x
+  /** @type {Map<number, number[]>} start vertex → end vertices */
+  const edges = new Map()
+  const addEdge = (x0, y0, x1, y1) => {
+    const k = key(x0, y0)
+    const list = edges.get(k)
+    if (list) list.push(key(x1, y1))
+    else edges.set(k, [key(x1, y1)])
+  }
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (!inside[y * w + x]) continue
+      if (!at(x, y - 1)) addEdge(x, y, x + 1, y) // top, heading right
+      if (!at(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1) // right, heading down
+      if (!at(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1) // bottom, heading left
+      if (!at(x - 1, y)) addEdge(x, y + 1, x, y) // left, heading up
+    }
+  }
+
+  const polys = []
+  for (const [startKey, ends] of edges) {
+    while (ends.length) {
+      const poly = [startKey]
+      let cur = ends.pop()
+      while (cur !== startKey) {
+        poly.push(cur)
+        const next = edges.get(cur)
+        if (!next || !next.length) break
+        cur = next.pop()
+      }
+      polys.push(simplify(poly.map(k => ({ x: k % (w + 1), y: Math.floor(k / (w + 1)) }))))
+    }
+  }
+  return polys
+}
+
+function simplify(pts) {
+  if (pts.length < 3) return pts
+  const out = []
+  for (let i = 0; i < pts.length; i++) {
+    const a = pts[(i - 1 + pts.length) % pts.length]
+    const b = pts[i]
+    const c = pts[(i + 1) % pts.length]
+    const collinear = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x) === 0
+    if (!collinear) out.push(b)
+  }
+  return out
+}
+
+export const SelectionService = new SelectionServiceImpl()
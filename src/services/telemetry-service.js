@@ -1,6 +1,6 @@
 /**
  * TelemetryService: lightweight instrumentation
- * - Timings: start/end or one-shot mark
+ * - Timings: start/end, one-shot mark, or a duration recorded elsewhere
  * - Counters: increment by name
  * - Snapshot: return current values for debug overlay
  */
@@ -43,6 +43,14 @@ class TelemetryServiceImpl {
     return null
   }
 
+  /** Record a duration measured elsewhere (e.g. inside a worker) */
+  recordTiming(name, ms) {
+    if (!Number.isFinite(ms)) return
+    this._timings[name] = ms
+    this._notify()
+    try { console.debug(`[telemetry] ${name} ${Math.round(ms)}ms`) } catch {}
+  }
+
   /** One-shot mark with absolute timestamp */
   mark(name) {
     this._timings[name] = this.now()
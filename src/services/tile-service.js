@@ -0,0 +1,160 @@
+/**
+ * TileService: multi-resolution tile pyramid over the full-resolution original
+ *
+ * Responsibilities:
+ * - Split the original into TILE_SIZE tiles at mip levels (level L = 1/2^L scale)
+ * - Pick the level matching the current zoom and draw only the visible tiles
+ * - Build tiles lazily, a few per frame, falling back to the working buffer
+ *   for tiles that are not ready yet (progressive refinement)
+ * - Draw the working buffer over edited rects, whose pixels the original lacks
+ * - Bound memory with an LRU cache; drop everything when the original changes
+ *
+ * Only useful when the working buffer is a downscaled preview and the view is
+ * zoomed in past its resolution.
+ */
+
+const TILE_SIZE = 512
+// Tiles rendered per frame before falling back; keeps zooming responsive
+const MAX_NEW_TILES_PER_FRAME = 6
+const MAX_CACHE_BYTES = 192 * 1024 * 1024
+
+/**
+ * @typedef {Object} TileView
+ * @property {ImageBitmap} source - full-resolution original
+ * @property {CanvasImageSource} fallback - working buffer drawn where tiles are missing
+ * @property {number} downscaleFactor - working px per original px (< 1 when downscaled)
+ * @property {number} devicePxPerWorkingPx - current zoom including DPR
+ * @property {{x:number,y:number,w:number,h:number}} visible - visible rect in working px
+ * @property {{x:number,y:number,w:number,h:number}[]} [edited] - working px rects
+ *   changed since the original was loaded; drawn from the fallback
+ */
+
+class TileServiceImpl {
+  constructor() {
+    /** @type {ImageBitmap|null} */
+    this._source = null
+    /** @type {Map<string, HTMLCanvasElement>} LRU: oldest first */
+    this._cache = new Map()
+    this._bytes = 0
+    this._lastLevel = -1
+  }
+
+  /**
+   * Mip level to draw at this zoom, or -1 when the working buffer already has
+   * enough detail.
+   * @param {number} downscaleFactor
+   * @param {number} devicePxPerWorkingPx
+   */
+  levelFor(downscaleFactor, devicePxPerWorkingPx) {
+    if (!(downscaleFactor < 1)) return -1
+    const devicePxPerOriginalPx = devicePxPerWorkingPx * downscaleFactor
+    const level = Math.max(0, Math.floor(Math.log2(1 / devicePxPerOriginalPx)))
+    // Level L has 1/2^L resolution; only worth it if finer than the working buffer
+    return Math.pow(2, -level) > downscaleFactor ? level : -1
+  }
+
+  /**
+   * Draw the visible part of the original into ctx, whose transform maps
+   * working-buffer px to device px.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {TileView} view
+   * @returns {boolean} false when some tiles fell back to the preview and
+   *   another frame should be drawn to refine them
+   */
+  draw(ctx, view) {
+    const { source, fallback, downscaleFactor: df, visible } = view
+    if (source !== this._source) this.clear(source)
+    const level = this.levelFor(df, view.devicePxPerWorkingPx)
+    this._lastLevel = level
+    if (level < 0) {
+      ctx.drawImage(fallback, 0, 0)
+      return true
+    }
+
+    const span = TILE_SIZE * Math.pow(2, level) // original px covered by one tile
+    const x0 = Math.max(0, Math.floor(visible.x / df / span))
+    const y0 = Math.max(0, Math.floor(visible.y / df / span))
+    const x1 = Math.min(Math.ceil(source.width / span), Math.ceil((visible.x + visible.w) / df / span))
+    const y1 = Math.min(Math.ceil(source.height / span), Math.ceil((visible.y + visible.h) / df / span))
+
+    let budget = MAX_NEW_TILES_PER_FRAME
+    let complete = true
+    for (let ty = y0; ty < y1; ty++) {
+      for (let tx = x0; tx < x1; tx++) {
+        const sx = tx * span
+        const sy = ty * span
+        const sw = Math.min(span, source.width - sx)
+        const sh = Math.min(span, source.height - sy)
+        let tile = this._get(level, tx, ty)
+        if (!tile && budget > 0) {
+          tile = this._build(level, tx, ty, sx, sy, sw, sh)
+          budget--
+        }
+        if (tile) {
+          ctx.drawImage(tile, 0, 0, tile.width, tile.height, sx * df, sy * df, sw * df, sh * df)
+        } else {
+          ctx.drawImage(fallback, sx * df, sy * df, sw * df, sh * df, sx * df, sy * df, sw * df, sh * df)
+          complete = false
+        }
+      }
+    }
+    // Edited pixels exist only in the working buffer
+    for (const r of view.edited || []) {
+      const x = Math.max(r.x, Math.floor(visible.x))
+      const y = Math.max(r.y, Math.floor(visible.y))
+      const w = Math.min(r.x + r.w, fallback.width, Math.ceil(visible.x + visible.w)) - x
+      const h = Math.min(r.y + r.h, fallback.height, Math.ceil(visible.y + visible.h)) - y
+      if (w > 0 && h > 0) ctx.drawImage(fallback, x, y, w, h, x, y, w, h)
+    }
+    return complete
+  }
+
+  /**
+   * Drop all tiles (optionally switching to a new source).
+   * @param {ImageBitmap|null} [source]
+   */
+  clear(source = null) {
+    this._source = source
+    this._cache.clear()
+    this._bytes = 0
+    this._lastLevel = -1
+  }
+
+  /** @returns {{level:number,tiles:number,bytes:number}} level -1 means the preview is used */
+  getStats() {
+    return { level: this._lastLevel, tiles: this._cache.size, bytes: this._bytes }
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  _get(level, tx, ty) {
+    const key = `${level}:${tx}:${ty}`
+    const tile = this._cache.get(key)
+    if (!tile) return null
+    // Refresh LRU position
+    this._cache.delete(key)
+    this._cache.set(key, tile)
+    return tile
+  }
+
+  _build(level, tx, ty, sx, sy, sw, sh) {
+    const scale = Math.pow(2, -level)
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.max(1, Math.ceil(sw * scale))
+    canvas.height = Math.max(1, Math.ceil(sh * scale))
+    const ctx = canvas.getContext('2d')
+    if ('imageSmoothingQuality' in ctx) ctx.imageSmoothingQuality = 'high'
+    ctx.drawImage(this._source, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height)
+
+    this._cache.set(`${level}:${tx}:${ty}`, canvas)
+    this._bytes += canvas.width * canvas.height * 4
+    for (const [key, old] of this._cache) {
+      if (this._bytes <= MAX_CACHE_BYTES) break
+      this._cache.delete(key)
+      this._bytes -= old.width * old.height * 4
+    }
+    return canvas
+  }
+}
+
+export const TileService = new TileServiceImpl()
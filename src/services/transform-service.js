@@ -0,0 +1,261 @@
+/**
+ * TransformService: document-wide geometry edits
+ *
+ * Responsibilities:
+ * - Crop the document to a rectangle given in working-buffer coordinates
+ * - Rotate by 90°, flip, and straighten by an arbitrary angle with auto-crop
+ * - Rebuild every layer at full resolution with its edits baked in
+ * - Swap ImageService's original and the layer buffers to the new geometry
+ * - Carry annotations and redactions along to the new geometry
+ * - Record each change as a single undoable history barrier
+ */
+
+import { ImageService } from './image-service.js'
+import { LayerService } from './layer-service.js'
+import { SelectionService } from './selection-service.js'
+import { HistoryService } from './history-service.js'
+import { AnnotationService } from './annotation-service.js'
+import { transformAnnotations } from './annotations.js'
+import { RedactionService } from './redaction-service.js'
+import { transformRedactions } from './redactions.js'
+
+/** Straighten angle limit in degrees (either direction) */
+export const MAX_STRAIGHTEN = 45
+
+/**
+ * Largest rect with the image's aspect ratio that fits inside the image rotated
+ * by `degrees` about its center; centered on the same point.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} degrees
+ * @returns {{w:number,h:number}}
+ */
+export function straightenSize(width, height, degrees) {
+  const t = (degrees * Math.PI) / 180
+  const c = Math.abs(Math.cos(t))
+  const s = Math.abs(Math.sin(t))
+  const k = Math.min(width / (width * c + height * s), height / (width * s + height * c))
+  return { w: width * k, h: height * k }
+}
+
+class TransformServiceImpl {
+  /**
+   * Crop to a rect in working-buffer coordinates. The rect is snapped to whole
+   * original pixels so repeated crops do not drift.
+   * @param {{x:number,y:number,w:number,h:number}} rect
+   */
+  async crop(rect) {
+    const meta = ImageService.getMetadata()
+    if (!meta) return
+    const sx = meta.width / meta.workingWidth
+    const sy = meta.height / meta.workingHeight
+    const ox = clampInt(rect.x * sx, 0, meta.width - 1)
+    const oy = clampInt(rect.y * sy, 0, meta.height - 1)
+    const ow = clampInt(rect.w * sx, 1, meta.width - ox)
+    const oh = clampInt(rect.h * sy, 1, meta.height - oy)
+    if (ox === 0 && oy === 0 && ow === meta.width && oh === meta.height) return
+
+    const layers = this._mapLayers((src) => {
+      const out = makeCanvas(ow, oh)
+      out.getContext('2d').drawImage(src, ox, oy, ow, oh, 0, 0, ow, oh)
+      return out
+    })
+    await this._commit('Crop', layers, (p) => ({ x: p.x - ox, y: p.y - oy }))
+  }
+
+  /**
+   * Rotate by a quarter turn.
+   * @param {1|-1} direction - 1 clockwise, -1 counter-clockwise
+   */
+  async rotate90(direction) {
+    await this._orient(direction < 0 ? 'Rotate left' : 'Rotate right', direction < 0 ? 8 : 6)
+  }
+
+  /** @param {'horizontal'|'vertical'} axis */
+  async flip(axis) {
+    await this._orient(axis === 'vertical' ? 'Flip vertical' : 'Flip horizontal', axis === 'vertical' ? 4 : 2)
+  }
+
+  /**
+   * Rotate by an arbitrary angle and crop to the largest rect of the original
+   * aspect ratio that contains no empty corners.
+   * @param {number} degrees - clockwise, clamped to ±MAX_STRAIGHTEN
+   */
+  async straighten(degrees) {
+    const angle = Math.max(-MAX_STRAIGHTEN, Math.min(MAX_STRAIGHTEN, Number(degrees) || 0))
+    const meta = ImageService.getMetadata()
+    if (!meta || Math.abs(angle) < 0.01) return
+    const size = straightenSize(meta.width, meta.height, angle)
+    const w = Math.max(1, Math.floor(size.w))
+    const h = Math.max(1, Math.floor(size.h))
+    const t = (angle * Math.PI) / 180
+    const cos = Math.cos(t)
+    const sin = Math.sin(t)
+    const layers = this._mapLayers((src) => {
+      const out = makeCanvas(w, h)
+      const ctx = out.getContext('2d')
+      ctx.imageSmoothingQuality = 'high'
+      ctx.translate(w / 2, h / 2)
+      ctx.rotate(t)
+      ctx.drawImage(src, -src.width / 2, -src.height / 2)
+      return out
+    })
+    await this._commit('Straighten', layers, (p) => {
+      const dx = p.x - meta.width / 2
+      const dy = p.y - meta.height / 2
+      return { x: w / 2 + dx * cos - dy * sin, y: h / 2 + dx * sin + dy * cos }
+    })
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  /** Apply an EXIF-style orientation transform (see ImageService.orientCanvas) to every layer. */
+  async _orient(label, orientation) {
+    const meta = ImageService.getMetadata()
+    if (!meta) return
+    await this._commit(
+      label,
+      this._mapLayers((src) => ImageService.orientCanvas(src, orientation)),
+      (p) => orientPoint(p, meta.width, meta.height, orientation),
+    )
+  }
+
+  /**
+   * Run every layer's full-resolution pixels (edits baked in) through fn.
+   * @param {(src:CanvasImageSource) => HTMLCanvasElement} fn
+   * @returns {Map<string, HTMLCanvasElement>} keyed by layer id
+   */
+  _mapLayers(fn) {
+    const ops = HistoryService.getOps()
+    const bgId = LayerService.getBackground()?.id
+    const out = new Map()
+    for (const layer of LayerService.getLayers()) {
+      out.set(layer.id, fn(ImageService.renderLayerFullResolution(layer, ops, bgId)))
+    }
+    return out
+  }
+
+  /**
+   * Make the given full-resolution layer pixels the new document and push a
+   * history barrier that swaps the whole before/after state.
+   * @param {string} label
+   * @param {Map<string, HTMLCanvasElement>} layers - new pixels per layer id
+   * @param {(p:{x:number,y:number}) => {x:number,y:number}} mapPoint - where a point
+   *   of the old original lands in the new one (full-resolution px)
+   */
+  async _commit(label, layers, mapPoint) {
+    const before = this._capture()
+    const bgId = LayerService.getBackground()?.id
+    const fromScale = ImageService.getMetadata().width / LayerService.width
+    const working = await ImageService.replaceOriginal(layers.get(bgId))
+    const w = working.width
+    const h = working.height
+    // Annotations and redactions live in working px, whose scale can change with the new size
+    const toScale = w / ImageService.getMetadata().width
+    const mapWorking = (p) => {
+      const q = mapPoint({ x: p.x * fromScale, y: p.y * fromScale })
+      return { x: q.x * toScale, y: q.y * toScale }
+    }
+    const annotations = transformAnnotations(before.annotations, mapWorking, fromScale * toScale)
+    const redactions = transformRedactions(before.redactions, mapWorking)
+    const downscaled = !!ImageService.getMetadata()?.isDownscaled
+
+    const canvases = new Map()
+    const originals = new Map()
+    layers.forEach((full, id) => {
+      if (id === bgId) {
+        canvases.set(id, working)
+      } else if (downscaled) {
+        // Export rebuilds the layer from its full-resolution pixels
+        originals.set(id, full)
+        canvases.set(id, resample(full, w, h))
+      } else {
+        canvases.set(id, full)
+      }
+    })
+    ImageService.setLayerOriginals(originals)
+    const after = {
+      image: ImageService.snapshot(),
+      canvases,
+      width: w,
+      height: h,
+      selection: [],
+      annotations,
+      redactions,
+    }
+    this._apply(after)
+
+    HistoryService.push({
+      label,
+      bytes: stateBytes(before),
+      barrier: true,
+      undo: () => this._apply(before),
+      redo: () => this._apply(after),
+    })
+  }
+
+  _capture() {
+    return {
+      image: ImageService.snapshot(),
+      canvases: LayerService.getCanvases(),
+      width: LayerService.width,
+      height: LayerService.height,
+      selection: SelectionService.getShapes(),
+      annotations: AnnotationService.getObjects(),
+      redactions: RedactionService.getRegions(),
+    }
+  }
+
+  _apply(state) {
+    ImageService.restore(state.image)
+    LayerService.setCanvases(state.canvases, state.width, state.height)
+    SelectionService.reset(state.width, state.height, state.selection)
+    AnnotationService.restore(state.annotations)
+    RedactionService.restore(state.redactions)
+  }
+}
+
+function makeCanvas(w, h) {
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(w))
+  canvas.height = Math.max(1, Math.round(h))
+  return canvas
+}
+
+function resample(src, w, h) {
+  const out = makeCanvas(w, h)
+  const ctx = out.getContext('2d')
+  ctx.imageSmoothingQuality = 'high'
+  ctx.drawImage(src, 0, 0, w, h)
+  return out
+}
+
+/**
+ * Where p lands under an orientation transform (see ImageService.orientCanvas)
+ * of a width × height image. Only the quarter turns and flips used by rotate90/flip.
+ */
+function orientPoint(p, width, height, orientation) {
+  switch (orientation) {
+    case 2: return { x: width - p.x, y: p.y }
+    case 4: return { x: p.x, y: height - p.y }
+    case 6: return { x: height - p.y, y: p.x }
+    case 8: return { x: p.y, y: width - p.x }
+    default: return p
+  }
+}
+
+function clampInt(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, Math.round(v)))
+}
+
+// Memory retained by a captured state: original plus every layer buffer
+function stateBytes(state) {
+  const o = state.image.original
+  let bytes = o ? o.width * o.height * 4 : 0
+  const add = (c) => { bytes += c.width * c.height * 4 }
+  state.canvases.forEach(add)
+  state.image.layerOriginals.forEach(add)
+  return bytes
+}
+
+export const TransformService = new TransformServiceImpl()
@@ -7,6 +7,7 @@
  * - Clamp panning so content cannot drift beyond bounds
  * - Provide toScreen/toImage coordinate transforms
  * - Provide zoom-to-point behavior and apply transforms to a 2D context
+ * - Restore a saved zoom and pan
  */
 
 /**
@@ -15,6 +16,9 @@
 
 import { Telemetry } from './telemetry-service.js'
 
+/** Highest zoom in screen px per image px (3200%) */
+export const MAX_ZOOM = 32
+
 class ViewportServiceImpl {
   constructor() {
     // Viewport (canvas CSS pixels, not DPR-scaled)
@@ -31,7 +35,7 @@ class ViewportServiceImpl {
 
     // Zoom constraints
     this.minScale = 1
-    this.maxScale = 8
+    this.maxScale = MAX_ZOOM
 
     // Epsilon for float comparisons
     this._eps = 1e-6
@@ -112,7 +116,7 @@ class ViewportServiceImpl {
     // Recompute min zoom when content size changes
     this._recomputeMinScale()
     this.scale = Math.max(this.scale, this.minScale)
-    this.maxScale = Math.max(this.minScale * 8, this.minScale) // cap ~8x over fit
+    this.maxScale = Math.max(this.minScale * 8, MAX_ZOOM) // 3200%, or ~8x over fit for tiny images
     this.clampPan()
   }
 
@@ -143,7 +147,7 @@ class ViewportServiceImpl {
     this.minScale = Math.min(sx, sy)
     if (!isFinite(this.minScale) || this.minScale <= 0) this.minScale = 1
     // Update max relative to new min if needed
-    this.maxScale = Math.max(this.minScale * 8, this.maxScale || this.minScale * 8)
+    this.maxScale = Math.max(this.minScale * 8, MAX_ZOOM)
   }
 
   /**
@@ -175,6 +179,19 @@ class ViewportServiceImpl {
     }
   }
 
+  /**
+   * Restore a saved view (e.g. from a project), clamped to the current zoom
+   * range and pan bounds.
+   * @param {{scale:number,tx:number,ty:number}} view
+   */
+  setView({ scale, tx, ty }) {
+    this._recomputeMinScale()
+    this.scale = Math.max(this.minScale, Math.min(this.maxScale, scale))
+    this.tx = tx
+    this.ty = ty
+    this.clampPan()
+  }
+
   // --- Zoom & Pan -------------------------------------------------------------
 
   /**
@@ -0,0 +1,79 @@
+/**
+ * WorkerClient: request/response calls to a module worker with a fallback
+ *
+ * Responsibilities:
+ * - Start the worker on first use; never again once it has failed
+ * - Match responses to requests by id
+ * - Resolve with null when there is no worker or it crashes (pending requests
+ *   included), so callers fall back to the main thread
+ *
+ * Workers answer each `{id, ...}` request with `{id, ...}`.
+ */
+
+export class WorkerClient {
+  /**
+   * @param {() => (Worker|null)} create - constructs the worker, or returns null
+   *   when this environment cannot run it. Bundlers only pick up the worker
+   *   script from `new Worker(new URL('./x.js', import.meta.url))` written out
+   *   in the calling module, so the caller supplies it.
+   */
+  constructor(create) {
+    this._create = create
+    /** @type {Worker|null|undefined} */
+    this._worker = undefined
+    /** @type {Map<number, (result: Object|null) => void>} */
+    this._requests = new Map()
+    this._nextId = 1
+  }
+
+  /** Whether requests go to a worker (starts it on first call) */
+  isAvailable() {
+    return !!this._getWorker()
+  }
+
+  /**
+   * Post a request and wait for its response.
+   * @param {Object} message - sent with an added `id`
+   * @param {Transferable[]} [transfer]
+   * @returns {Promise<Object|null>} the response; null when the worker is unavailable or failed
+   */
+  request(message, transfer = []) {
+    const worker = this._getWorker()
+    if (!worker) return Promise.resolve(null)
+    const id = this._nextId++
+    return new Promise((resolve) => {
+      this._requests.set(id, resolve)
+      worker.postMessage({ ...message, id }, transfer)
+    })
+  }
+
+  // Internal -----------------------------------------------------------------
+
+  _getWorker() {
+    if (this._worker !== undefined) return this._worker
+    this._worker = null
+    if (typeof Worker === 'undefined') return null
+    try {
+      const worker = this._create()
+      if (!worker) return null
+      worker.onmessage = (event) => this._settle(event.data.id, event.data)
+      // Script failed to load or crashed: stop using it and release pending requests
+      worker.onerror = () => {
+        worker.terminate()
+        this._worker = null
+        for (const id of [...this._requests.keys()]) this._settle(id, null)
+      }
+      this._worker = worker
+    } catch (_) {
+      // Module workers unsupported
+    }
+    return this._worker
+  }
+
+  _settle(id, result) {
+    const resolve = this._requests.get(id)
+    if (!resolve) return
+    this._requests.delete(id)
+    resolve(result)
+  }
+}
@@ -0,0 +1,65 @@
+import { LitElement, css, html } from 'lit'
+import { MAX_STRAIGHTEN } from './services/transform-service.js'
+
+/**
+ * <straighten-options>
+ * Inline toolbar controls for the straighten tool.
+ * - Angle slider and numeric input (degrees, clockwise)
+ * - Fires `straighten-input` with detail {angle} on every change
+ * - Apply / Cancel buttons (fires `straighten-apply` / `straighten-cancel`)
+ */
+export class StraightenOptions extends LitElement {
+  static properties = {
+    angle: { type: Number },
+  }
+
+  constructor() {
+    super()
+    this.angle = 0
+  }
+
+  _onInput(event) {
+    const value = Number(/** @type {HTMLInputElement} */ (event.currentTarget).value)
+    if (!Number.isFinite(value)) return
+    const angle = Math.max(-MAX_STRAIGHTEN, Math.min(MAX_STRAIGHTEN, value))
+    this.dispatchEvent(new CustomEvent('straighten-input', { detail: { angle }, bubbles: true, composed: true }))
+  }
+
+  _fire(name) {
+    this.dispatchEvent(new CustomEvent(name, { bubbles: true, composed: true }))
+  }
+
+  render() {
+    return html`
+      <label title="Rotation angle (drag on the image along a line that should be level)">
+        <span>Angle</span>
+        <input type="range" min=${-MAX_STRAIGHTEN} max=${MAX_STRAIGHTEN} step="0.1"
+          .value=${String(this.angle)} @input=${this._onInput} />
+        <input class="num" type="number" min=${-MAX_STRAIGHTEN} max=${MAX_STRAIGHTEN} step="0.1"
+          .value=${String(Math.round(this.angle * 10) / 10)} @change=${this._onInput} />
+        <span>°</span>
+      </label>
+      <button title="Apply (Enter)" ?disabled=${!this.angle} @click=${() => this._fire('straighten-apply')}>Apply</button>
+      <button title="Cancel (Esc)" @click=${() => this._fire('straighten-cancel')}>Cancel</button>
+    `
+  }
+
+  static styles = css`
+    :host {
+      display: inline-flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 12px;
+      font: 12px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    }
+    label {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+    }
+    input[type="range"] { width: 140px; }
+    .num { width: 4.5em; font: inherit; }
+  `
+}
+
+customElements.define('straighten-options', StraightenOptions)
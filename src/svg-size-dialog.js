@@ -0,0 +1,185 @@
+import { LitElement, css, html } from 'lit'
+
+const SCALES = [1, 2, 4]
+
+/**
+ * <svg-size-dialog>
+ * Modal form asking at which pixel size to rasterize an SVG.
+ * - `intrinsic` is the SVG's own size ({width, height}); used as the default
+ * - Width/height stay linked to the intrinsic aspect ratio unless unlocked
+ * - Fires `svg-size-confirm` with detail {width, height}
+ * - Fires `svg-size-cancel` when dismissed (button, backdrop or Escape)
+ */
+export class SvgSizeDialog extends LitElement {
+  static properties = {
+    open: { type: Boolean },
+    intrinsic: { attribute: false },
+    maxDim: { type: Number },
+    _width: { state: true },
+    _height: { state: true },
+    _locked: { state: true },
+  }
+
+  constructor() {
+    super()
+    this.open = false
+    /** @type {{width:number,height:number}} */
+    this.intrinsic = { width: 300, height: 150 }
+    this.maxDim = 12000
+    this._width = 300
+    this._height = 150
+    this._locked = true
+  }
+
+  willUpdate(changed) {
+    if ((changed.has('open') || changed.has('intrinsic')) && this.open) {
+      this._width = this.intrinsic.width
+      this._height = this.intrinsic.height
+      this._locked = true
+    }
+  }
+
+  updated(changed) {
+    const dialog = /** @type {HTMLDialogElement|null} */ (this.renderRoot?.querySelector('dialog'))
+    if (!dialog) return
+    if (changed.has('open')) {
+      if (this.open && !dialog.open) {
+        dialog.showModal?.()
+        this.renderRoot.querySelector('input')?.select()
+      } else if (!this.open && dialog.open) {
+        dialog.close()
+      }
+    }
+  }
+
+  get _ratio() {
+    return this.intrinsic.width / this.intrinsic.height
+  }
+
+  _setWidth(value) {
+    const w = Math.round(Number(value))
+    if (!Number.isFinite(w)) return
+    this._width = w
+    if (this._locked) this._height = Math.max(1, Math.round(w / this._ratio))
+  }
+
+  _setHeight(value) {
+    const h = Math.round(Number(value))
+    if (!Number.isFinite(h)) return
+    this._height = h
+    if (this._locked) this._width = Math.max(1, Math.round(h * this._ratio))
+  }
+
+  _setScale(scale) {
+    this._locked = true
+    this._width = Math.round(this.intrinsic.width * scale)
+    this._height = Math.round(this.intrinsic.height * scale)
+  }
+
+  get _valid() {
+    const ok = (v) => Number.isInteger(v) && v >= 1 && v <= this.maxDim
+    return ok(this._width) && ok(this._height)
+  }
+
+  _onSubmit(e) {
+    e.preventDefault()
+    if (!this._valid) return
+    this.dispatchEvent(new CustomEvent('svg-size-confirm', {
+      detail: { width: this._width, height: this._height },
+      bubbles: true,
+      composed: true,
+    }))
+  }
+
+  _onCancel(e) {
+    // Native dialog 'cancel' (Escape) would close it behind our back
+    e?.preventDefault?.()
+    this.dispatchEvent(new CustomEvent('svg-size-cancel', { bubbles: true, composed: true }))
+  }
+
+  _onBackdropClick(e) {
+    if (e.target === e.currentTarget) this._onCancel()
+  }
+
+  render() {
+    return html`
+      <dialog @cancel=${this._onCancel} @click=${this._onBackdropClick}>
+        <form @submit=${this._onSubmit}>
+          <h2>Rasterize SVG</h2>
+          <div class="row">
+            <label>Width
+              <input type="number" min="1" max=${this.maxDim} step="1" .value=${String(this._width)}
+                @input=${(e) => this._setWidth(e.currentTarget.value)} />
+            </label>
+            <span class="times">×</span>
+            <label>Height
+              <input type="number" min="1" max=${this.maxDim} step="1" .value=${String(this._height)}
+                @input=${(e) => this._setHeight(e.currentTarget.value)} />
+            </label>
+            <span>px</span>
+          </div>
+          <label class="check">
+            <input type="checkbox" .checked=${this._locked} @change=${(e) => { this._locked = e.currentTarget.checked }} />
+            Keep aspect ratio
+          </label>
+          <div class="scales">
+            ${SCALES.map((s) => html`<button type="button" @click=${() => this._setScale(s)}>${s}×</button>`)}
+          </div>
+          <div class="hint ${this._valid ? '' : 'error'}">
+            ${this._valid
+              ? `Intrinsic size ${this.intrinsic.width} × ${this.intrinsic.height} px.`
+              : `Enter whole pixel sizes from 1 to ${this.maxDim}.`}
+          </div>
+          <div class="actions">
+            <button type="button" @click=${this._onCancel}>Cancel</button>
+            <button type="submit" class="primary" ?disabled=${!this._valid}>Open</button>
+          </div>
+        </form>
+      </dialog>
+    `
+  }
+
+  static styles = css`
+    dialog {
+      padding: 0;
+      border: 1px solid rgba(255,255,255,0.1);
+      border-radius: 10px;
+      background: rgba(15, 15, 18, 0.97);
+      color: #fff;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+      font: 13px/1.4 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    }
+    dialog::backdrop { background: rgba(0,0,0,0.45); }
+    form {
+      display: grid;
+      gap: 10px;
+      padding: 14px 16px;
+      min-width: min(360px, 90vw);
+      text-align: left;
+    }
+    h2 { margin: 0 0 4px; font-size: 15px; font-weight: 600; }
+    .row { display: flex; align-items: end; gap: 8px; }
+    .row label { display: grid; gap: 4px; color: #bbb; font-size: 12px; }
+    .row input { width: 7em; font: inherit; padding: 0.3em 0.4em; }
+    .times { padding-bottom: 0.3em; }
+    .check { display: inline-flex; align-items: center; gap: 6px; }
+    .scales { display: flex; gap: 6px; }
+    .hint { color: #888; font-size: 12px; }
+    .hint.error { color: #ff6b6b; }
+    .actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 6px; }
+    button {
+      border-radius: 6px;
+      border: 1px solid rgba(255,255,255,0.18);
+      padding: 0.4em 1em;
+      background: #1a1a1a;
+      color: #fff;
+      cursor: pointer;
+      font: inherit;
+    }
+    .scales button { padding: 0.2em 0.7em; }
+    button.primary { border-color: #646cff; }
+    button:disabled { opacity: 0.6; cursor: default; }
+  `
+}
+
+customElements.define('svg-size-dialog', SvgSizeDialog)
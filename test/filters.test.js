@@ -0,0 +1,134 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { FILTER_TYPES, FILTER_PARAMS, defaultFilterParams, filterReach, runFilter, sanitizeFilterParams } from '../src/services/filters.js'
+
+// RGBA image from [r, g, b, a] pixels, row by row
+function image(width, height, pixels) {
+  assert.equal(pixels.length, width * height)
+  return { data: Uint8ClampedArray.from(pixels.flat()), width, height }
+}
+
+// Opaque gray row
+function grayRow(values) {
+  return image(values.length, 1, values.map(v => [v, v, v, 255]))
+}
+
+// Red channel of each pixel
+function reds(data) {
+  return Array.from({ length: data.length / 4 }, (_, i) => data[i * 4])
+}
+
+function pixels(data) {
+  return Array.from({ length: data.length / 4 }, (_, i) => Array.from(data.subarray(i * 4, i * 4 + 4)))
+}
+
+test('gaussian blur spreads an impulse by three box passes', () => {
+  const impulse = grayRow([0, 0, 0, 255, 0, 0, 0])
+  // sigma 1.5: three radius-1 boxes, i.e. [1, 3, 6, 7, 6, 3, 1] / 27
+  assert.deepEqual(reds(runFilter(impulse, 'gaussianBlur', { radius: 1.5 })), [9, 28, 57, 66, 57, 28, 9])
+  // sigma 1: a single radius-1 box
+  assert.deepEqual(reds(runFilter(impulse, 'gaussianBlur', { radius: 1 })), [0, 0, 85, 85, 85, 0, 0])
+})
+
+test('gaussian blur at the smallest radius still blurs', () => {
+  const min = FILTER_PARAMS.gaussianBlur[0][2]
+  const impulse = grayRow([0, 0, 255, 0, 0])
+  assert.deepEqual(reds(runFilter(impulse, 'gaussianBlur', { radius: min })), [0, 85, 85, 85, 0])
+  assert.ok(filterReach('gaussianBlur', { radius: min }) >= 1)
+})
+
+test('gaussian blur keeps colors at transparent edges', () => {
+  const src = image(3, 1, [[255, 0, 0, 255], [0, 0, 0, 0], [0, 0, 0, 0]])
+  // Premultiplied: the red fades out instead of darkening
+  assert.deepEqual(pixels(runFilter(src, 'gaussianBlur', { radius: 1 })), [[255, 0, 0, 170], [255, 0, 0, 85], [0, 0, 0, 0]])
+})
+
+test('unsharp mask steepens edges above the threshold', () => {
+  const edge = grayRow([50, 50, 50, 200, 200, 200])
+  const params = { radius: 1, amount: 100, threshold: 0 }
+  assert.deepEqual(reds(runFilter(edge, 'unsharpMask', params)), [50, 50, 0, 250, 200, 200])
+  // A detail of 50 is below a threshold of 60
+  assert.deepEqual(reds(runFilter(edge, 'unsharpMask', { ...params, threshold: 60 })), [50, 50, 50, 200, 200, 200])
+  // Flat areas have no detail to add
+  assert.deepEqual(reds(runFilter(grayRow([90, 90, 90]), 'unsharpMask', { ...params, amount: 500 })), [90, 90, 90])
+})
+
+test('median denoise removes an outlier and keeps edges', () => {
+  // One-row windows clamp to the row, so each is three copies of its neighbours
+  assert.deepEqual(reds(runFilter(grayRow([10, 20, 255, 30, 40]), 'medianDenoise', { radius: 1 })), [10, 20, 30, 40, 40])
+  const salt = image(3, 3, Array.from({ length: 9 }, (_, i) => i === 4 ? [255, 255, 255, 255] : [10, 10, 10, 255]))
+  assert.deepEqual(pixels(runFilter(salt, 'medianDenoise', { radius: 1 })), Array(9).fill([10, 10, 10, 255]))
+  assert.deepEqual(reds(runFilter(grayRow([0, 0, 0, 200, 200, 200]), 'medianDenoise', { radius: 1 })), [0, 0, 0, 200, 200, 200])
+})
+
+test('grayscale uses Rec. 709 luma and keeps alpha', () => {
+  const src = image(4, 1, [[255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 128], [100, 150, 200, 0]])
+  assert.deepEqual(pixels(runFilter(src, 'grayscale', {})), [[54, 54, 54, 255], [182, 182, 182, 255], [18, 18, 18, 128], [143, 143, 143, 0]])
+})
+
+test('sepia tones by intensity', () => {
+  const white = image(1, 1, [[255, 255, 255, 255]])
+  assert.deepEqual(pixels(runFilter(white, 'sepia', { intensity: 100 })), [[255, 255, 239, 255]])
+  assert.deepEqual(pixels(runFilter(white, 'sepia', { intensity: 50 })), [[255, 255, 247, 255]])
+  assert.deepEqual(pixels(runFilter(white, 'sepia', { intensity: 0 })), [[255, 255, 255, 255]])
+})
+
+test('invert flips colors and keeps alpha', () => {
+  const src = image(2, 1, [[10, 20, 30, 40], [255, 0, 128, 255]])
+  assert.deepEqual(pixels(runFilter(src, 'invert', {})), [[245, 235, 225, 40], [0, 255, 127, 255]])
+})
+
+test('posterize snaps channels to evenly spaced levels', () => {
+  const src = grayRow([0, 100, 127, 128, 200, 255])
+  assert.deepEqual(reds(runFilter(src, 'posterize', { levels: 2 })), [0, 0, 0, 255, 255, 255])
+  assert.deepEqual(reds(runFilter(src, 'posterize', { levels: 4 })), [0, 85, 85, 170, 170, 255])
+})
+
+test('threshold splits at the level by luma', () => {
+  const src = image(4, 1, [[100, 100, 100, 255], [128, 128, 128, 255], [127, 127, 127, 255], [100, 150, 200, 255]])
+  assert.deepEqual(reds(runFilter(src, 'threshold', { level: 128 })), [0, 255, 0, 255])
+})
+
+test('a mask blends filtered and source pixels', () => {
+  const src = image(3, 1, [[0, 0, 0, 255], [0, 0, 0, 255], [0, 0, 0, 255]])
+  const out = runFilter(src, 'invert', {}, { mask: Uint8Array.from([255, 0, 51]) })
+  assert.deepEqual(pixels(out), [[255, 255, 255, 255], [0, 0, 0, 255], [51, 51, 51, 255]])
+})
+
+test('regions filtered with filterReach of context match a whole-image run', () => {
+  const width = 40
+  const height = 24
+  const src = image(width, height, Array.from({ length: width * height }, (_, i) => {
+    const v = (i * 7919) % 251
+    return [v, (v * 3) % 256, 255 - v, 255]
+  }))
+  const cases = [['gaussianBlur', { radius: 3 }], ['unsharpMask', { radius: 2, amount: 150, threshold: 4 }], ['medianDenoise', { radius: 2 }]]
+  for (const [type, params] of cases) {
+    const whole = runFilter(src, type, params)
+    // Right half, read with `reach` columns of context on its left
+    const reach = Math.ceil(filterReach(type, params))
+    const x0 = 20 - reach
+    const part = image(width - x0, height, Array.from({ length: (width - x0) * height }, (_, i) => {
+      const x = x0 + (i % (width - x0))
+      const y = Math.floor(i / (width - x0))
+      return Array.from(src.data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4))
+    }))
+    const piece = runFilter(part, type, params)
+    for (let y = 0; y < height; y++) {
+      for (let x = 20; x < width; x++) {
+        const a = (y * width + x) * 4
+        const b = (y * (width - x0) + (x - x0)) * 4
+        assert.deepEqual(Array.from(piece.subarray(b, b + 4)), Array.from(whole.subarray(a, a + 4)), `${type} at ${x},${y}`)
+      }
+    }
+  }
+})
+
+test('params are clamped to their ranges with defaults for invalid values', () => {
+  for (const [type] of FILTER_TYPES) {
+    assert.deepEqual(sanitizeFilterParams(type, {}), defaultFilterParams(type))
+  }
+  assert.deepEqual(sanitizeFilterParams('gaussianBlur', { radius: 500 }), { radius: 50 })
+  assert.deepEqual(sanitizeFilterParams('posterize', { levels: 'x' }), { levels: 4 })
+  assert.deepEqual(sanitizeFilterParams('unsharpMask', { amount: -5, radius: 0 }), { amount: 0, radius: 0.5, threshold: 0 })
+})
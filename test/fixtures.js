@@ -0,0 +1,216 @@
+/**
+ * Byte fixtures for the parser tests: minimal JPEG, PNG and WebP containers
+ * with hand-built EXIF (TIFF), XMP and text blocks. The image data itself is
+ * a placeholder; only the container structure is real.
+ */
+
+export const XMP_PACKET = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF><rdf:Description xmp:CreatorTool="Fixture"/></rdf:RDF></x:xmpmeta>'
+
+// Placeholder pixel payload; tests check it survives stripping byte for byte
+export const IMAGE_DATA = bytes([0xde, 0xad, 0xbe, 0xef, 0x01, 0x02, 0x03, 0x04])
+
+const JPEG_XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0'
+
+/**
+ * TIFF structure with an orientation tag and optionally a GPS IFD.
+ * @param {{orientation?:number, gps?:{latitude:number[], longitude:number[]}, little?:boolean}} options
+ *   gps values are [degrees, minutes, seconds], north and east
+ */
+export function tiff({ orientation, gps, little = false } = {}) {
+  const ifd0 = []
+  if (orientation != null) ifd0.push({ tag: 0x0112, type: 3, values: [orientation] })
+  const gpsIfd = gps && [
+    { tag: 1, type: 2, values: 'N' },
+    { tag: 2, type: 5, values: gps.latitude },
+    { tag: 3, type: 2, values: 'E' },
+    { tag: 4, type: 5, values: gps.longitude },
+  ]
+  const ifdSize = (entries) => 2 + entries.length * 12 + 4
+  if (gpsIfd) ifd0.push({ tag: 0x8825, type: 4, values: [0] })
+  const gpsAt = 8 + ifdSize(ifd0)
+  if (gpsIfd) ifd0[ifd0.length - 1].values = [gpsAt]
+
+  const out = new Uint8Array(1024)
+  const view = new DataView(out.buffer)
+  out.set(ascii(little ? 'II' : 'MM'), 0)
+  view.setUint16(2, 0x2a, little)
+  view.setUint32(4, 8, little)
+  let dataAt = gpsAt + (gpsIfd ? ifdSize(gpsIfd) : 0)
+  const writeIfd = (at, entries) => {
+    view.setUint16(at, entries.length, little)
+    entries.forEach(({ tag, type, values }, i) => {
+      const entry = at + 2 + i * 12
+      const data = encodeValues(type, values, little)
+      view.setUint16(entry, tag, little)
+      view.setUint16(entry + 2, type, little)
+      view.setUint32(entry + 4, type === 2 ? data.length : values.length, little)
+      if (data.length <= 4) {
+        out.set(data, entry + 8)
+      } else {
+        view.setUint32(entry + 8, dataAt, little)
+        out.set(data, dataAt)
+        dataAt += data.length + (data.length & 1)
+      }
+    })
+  }
+  writeIfd(8, ifd0)
+  if (gpsIfd) writeIfd(gpsAt, gpsIfd)
+  return out.slice(0, dataAt)
+}
+
+/**
+ * JPEG: SOI, the given segments, a scan holding IMAGE_DATA, EOI.
+ * @param {{marker:number, payload:Uint8Array}[]} segments
+ */
+export function jpeg(segments = []) {
+  const parts = [bytes([0xff, 0xd8])]
+  for (const { marker, payload } of segments) {
+    parts.push(bytes([marker >> 8, marker & 0xff, (payload.length + 2) >> 8, (payload.length + 2) & 0xff]), payload)
+  }
+  parts.push(bytes([0xff, 0xda, 0x00, 0x02]), IMAGE_DATA, bytes([0xff, 0xd9]))
+  return concat(parts)
+}
+
+export function jpegExif(tiffBytes) {
+  return { marker: 0xffe1, payload: concat([ascii('Exif\0\0'), tiffBytes]) }
+}
+
+export function jpegXmp(packet = XMP_PACKET) {
+  return { marker: 0xffe1, payload: concat([ascii(JPEG_XMP_HEADER), ascii(packet)]) }
+}
+
+export function jpegIcc(profile) {
+  // Sequence number 1 of 1
+  return { marker: 0xffe2, payload: concat([ascii('ICC_PROFILE\0'), bytes([1, 1]), profile]) }
+}
+
+/** APP13 Photoshop resource block holding IPTC datasets 2:x as [dataset, text] */
+export function jpegIptc(datasets) {
+  const iptc = concat(datasets.map(([dataset, text]) => concat([bytes([0x1c, 2, dataset, 0, text.length]), ascii(text)])))
+  const resource = concat([ascii('8BIM'), bytes([0x04, 0x04, 0, 0]), u32(iptc.length), iptc])
+  return { marker: 0xffed, payload: concat([ascii('Photoshop 3.0\0'), resource]) }
+}
+
+export function jpegComment(text) {
+  return { marker: 0xfffe, payload: ascii(text) }
+}
+
+/**
+ * PNG: signature, IHDR, the given chunks, IDAT holding IMAGE_DATA, IEND.
+ * @param {{type:string, data:Uint8Array}[]} chunks
+ * @param {{width?:number, height?:number}} [size] - IHDR size, 1 × 1 by default
+ */
+export function png(chunks = [], { width = 1, height = 1 } = {}) {
+  const ihdr = new Uint8Array(13)
+  new DataView(ihdr.buffer).setUint32(0, width)
+  new DataView(ihdr.buffer).setUint32(4, height)
+  const all = [{ type: 'IHDR', data: ihdr }, ...chunks, { type: 'IDAT', data: IMAGE_DATA }, { type: 'IEND', data: new Uint8Array(0) }]
+  const parts = [bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])]
+  for (const { type, data } of all) {
+    const head = new Uint8Array(8)
+    new DataView(head.buffer).setUint32(0, data.length)
+    head.set(ascii(type), 4)
+    const crc = new Uint8Array(4)
+    new DataView(crc.buffer).setUint32(0, crc32(concat([head.subarray(4), data])))
+    parts.push(head, data, crc)
+  }
+  return concat(parts)
+}
+
+export function pngText(keyword, text) {
+  return { type: 'tEXt', data: concat([ascii(keyword), bytes([0]), ascii(text)]) }
+}
+
+export function pngXmp(packet = XMP_PACKET) {
+  // Keyword, compression flag and method, empty language and translated keyword
+  return { type: 'iTXt', data: concat([ascii('XML:com.adobe.xmp'), bytes([0, 0, 0, 0, 0]), ascii(packet)]) }
+}
+
+/**
+ * WebP (extended format): RIFF header, VP8X with `flags`, the given chunks,
+ * VP8L holding IMAGE_DATA.
+ * @param {{type:string, data:Uint8Array}[]} chunks
+ * @param {number} [flags] - VP8X feature flags (0x08 EXIF, 0x04 XMP)
+ */
+export function webp(chunks = [], flags = 0) {
+  const vp8x = new Uint8Array(10)
+  vp8x[0] = flags
+  const parts = [ascii('WEBP')]
+  for (const { type, data } of [{ type: 'VP8X', data: vp8x }, ...chunks, { type: 'VP8L', data: IMAGE_DATA }]) {
+    const head = new Uint8Array(8)
+    head.set(ascii(type), 0)
+    new DataView(head.buffer).setUint32(4, data.length, true)
+    parts.push(head, data)
+    if (data.length & 1) parts.push(bytes([0]))
+  }
+  const body = concat(parts)
+  const header = new Uint8Array(8)
+  header.set(ascii('RIFF'), 0)
+  new DataView(header.buffer).setUint32(4, body.length, true)
+  return concat([header, body])
+}
+
+/** The ArrayBuffer behind a fixture, as the parsers take it */
+export function buffer(u8) {
+  return u8.buffer.slice(u8.byteOffset, u8.byteOffset + u8.byteLength)
+}
+
+/** Whether `needle` occurs anywhere in `haystack` */
+export function includesBytes(haystack, needle) {
+  outer: for (let i = 0; i + needle.length <= haystack.length; i++) {
+    for (let j = 0; j < needle.length; j++) if (haystack[i + j] !== needle[j]) continue outer
+    return true
+  }
+  return false
+}
+
+export function ascii(s) {
+  return Uint8Array.from(s, c => c.charCodeAt(0))
+}
+
+export function bytes(list) {
+  return Uint8Array.from(list)
+}
+
+export function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0))
+  let at = 0
+  for (const p of parts) {
+    out.set(p, at)
+    at += p.length
+  }
+  return out
+}
+
+// Internal -----------------------------------------------------------------
+
+function u32(n) {
+  const out = new Uint8Array(4)
+  new DataView(out.buffer).setUint32(0, n)
+  return out
+}
+
+function encodeValues(type, values, little) {
+  if (type === 2) return ascii(`${values}\0`)
+  const size = { 3: 2, 4: 4, 5: 8 }[type]
+  const out = new Uint8Array(values.length * size)
+  const view = new DataView(out.buffer)
+  values.forEach((v, i) => {
+    if (type === 3) view.setUint16(i * 2, v, little)
+    else if (type === 4) view.setUint32(i * 4, v, little)
+    else {
+      view.setUint32(i * 8, Math.round(v * 100), little)
+      view.setUint32(i * 8 + 4, 100, little)
+    }
+  })
+  return out
+}
+
+function crc32(data) {
+  let crc = ~0
+  for (const byte of data) {
+    crc ^= byte
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1))
+  }
+  return ~crc >>> 0
+}
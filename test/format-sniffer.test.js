@@ -0,0 +1,216 @@
+// Format detection, header sizes and SVG sizing: what ImageService decides
+// before it hands the bytes to the browser. Pixel decoding itself (AVIF, GIF first frame,
+// BMP, rasterized SVG) runs through createImageBitmap and <img>, which Node
+// lacks, so it is not covered here.
+
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { sniffFormat, normalizeMime, readImageSize, resolveMime, svgIntrinsicSize, SNIFF_BYTES } from '../src/services/format-sniffer.js'
+import { ascii, bytes, concat, jpeg, jpegExif, png, tiff, webp } from './fixtures.js'
+
+// ISO-BMFF ftyp box: size, 'ftyp', major brand, minor version, compatible brands
+function ftyp(major, compatible = []) {
+  const box = concat([bytes([0, 0, 0, 16 + compatible.length * 4]), ascii('ftyp'), ascii(major), bytes([0, 0, 0, 0]), ...compatible.map(ascii)])
+  return concat([box, bytes([0, 0, 0, 8]), ascii('mdat')])
+}
+
+// BMP file header and the size field of a DIB header
+function bmp(dibSize) {
+  const out = new Uint8Array(54)
+  out.set(ascii('BM'), 0)
+  out[14] = dibSize
+  return out
+}
+
+// ISO-BMFF box; full boxes take version and flags as the first payload bytes
+function box(type, payload) {
+  const head = new Uint8Array(8)
+  new DataView(head.buffer).setUint32(0, 8 + payload.length)
+  head.set(ascii(type), 4)
+  return concat([head, payload])
+}
+
+function u32be(...values) {
+  const out = new Uint8Array(values.length * 4)
+  values.forEach((v, i) => new DataView(out.buffer).setUint32(i * 4, v))
+  return out
+}
+
+// WebP whose first chunk is `type`
+function riff(type, data) {
+  const head = new Uint8Array(20)
+  head.set(ascii('RIFF'), 0)
+  new DataView(head.buffer).setUint32(4, 12 + data.length, true)
+  head.set(ascii('WEBP'), 8)
+  head.set(ascii(type), 12)
+  new DataView(head.buffer).setUint32(16, data.length, true)
+  return concat([head, data])
+}
+
+const FIXTURES = {
+  'image/jpeg': jpeg(),
+  'image/png': png(),
+  'image/gif': concat([ascii('GIF89a'), bytes([1, 0, 1, 0, 0, 0, 0])]),
+  'image/webp': webp(),
+  'image/bmp': bmp(40),
+  'image/avif': ftyp('avif', ['mif1', 'miaf']),
+  'image/svg+xml': ascii('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>'),
+  'image/tiff': bytes([0x49, 0x49, 0x2a, 0x00, 8, 0, 0, 0]),
+  'image/heic': ftyp('heic', ['mif1']),
+  'image/vnd.adobe.photoshop': concat([ascii('8BPS'), bytes([0, 1])]),
+}
+
+for (const [mime, fixture] of Object.entries(FIXTURES)) {
+  test(`sniffs ${mime} from its header`, () => {
+    assert.equal(sniffFormat(fixture), mime)
+    assert.equal(sniffFormat(fixture.buffer), mime)
+  })
+}
+
+test('sniffs older and variant signatures', () => {
+  assert.equal(sniffFormat(concat([ascii('GIF87a'), bytes([1, 0, 1, 0])])), 'image/gif')
+  for (const dib of [12, 52, 56, 108, 124]) assert.equal(sniffFormat(bmp(dib)), 'image/bmp')
+  assert.equal(sniffFormat(bytes([0x4d, 0x4d, 0x00, 0x2a, 0, 0, 0, 8])), 'image/tiff')
+  // AVIF named only among the compatible brands
+  assert.equal(sniffFormat(ftyp('mif1', ['avif'])), 'image/avif')
+  assert.equal(sniffFormat(ftyp('avis')), 'image/avif')
+})
+
+test('sniffs SVG after a BOM, XML declaration, comments and doctype', () => {
+  const text = '\uFEFF<?xml version="1.0"?>\n<!-- drawn by hand -->\n' +
+    '<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">\n<svg viewBox="0 0 1 1"></svg>'
+  assert.equal(sniffFormat(new TextEncoder().encode(text)), 'image/svg+xml')
+})
+
+test('does not claim unknown or look-alike bytes', () => {
+  assert.equal(sniffFormat(new Uint8Array(0)), null)
+  assert.equal(sniffFormat(ascii('hello world')), null)
+  assert.equal(sniffFormat(ascii('<html><svg></svg></html>')), null)
+  // 'BM' followed by text rather than a DIB header
+  assert.equal(sniffFormat(ascii('BMW service history, 2019 and later')), null)
+  assert.equal(sniffFormat(ftyp('mp42', ['isom'])), null)
+  // Truncated signatures
+  assert.equal(sniffFormat(bytes([0xff, 0xd8])), null)
+  assert.equal(sniffFormat(png().subarray(0, 6)), null)
+})
+
+test('only needs the first SNIFF_BYTES', () => {
+  for (const [mime, fixture] of Object.entries(FIXTURES)) {
+    const padded = concat([fixture, new Uint8Array(SNIFF_BYTES * 2)])
+    assert.equal(sniffFormat(padded.subarray(0, SNIFF_BYTES)), mime)
+  }
+})
+
+test('normalizes declared mime aliases and parameters', () => {
+  assert.equal(normalizeMime('image/jpg'), 'image/jpeg')
+  assert.equal(normalizeMime('image/pjpeg'), 'image/jpeg')
+  assert.equal(normalizeMime('image/x-png'), 'image/png')
+  assert.equal(normalizeMime('image/x-ms-bmp'), 'image/bmp')
+  assert.equal(normalizeMime(' Image/SVG+XML; charset=utf-8'), 'image/svg+xml')
+  assert.equal(normalizeMime(''), '')
+  assert.equal(normalizeMime(undefined), '')
+})
+
+test('trusts the sniffed type over a mislabelled one', () => {
+  // A PNG saved with a .jpg name
+  assert.deepEqual(resolveMime('image/jpeg', sniffFormat(png())), { mime: 'image/png', mimeMismatch: true })
+  // Alias of the right type
+  assert.deepEqual(resolveMime(normalizeMime('image/jpg'), sniffFormat(jpeg())), { mime: 'image/jpeg', mimeMismatch: false })
+  // Generic or missing types claim no format
+  assert.deepEqual(resolveMime('application/octet-stream', 'image/webp'), { mime: 'image/webp', mimeMismatch: false })
+  assert.deepEqual(resolveMime('', 'image/gif'), { mime: 'image/gif', mimeMismatch: false })
+  // Nothing recognized: fall back to the declared type
+  assert.deepEqual(resolveMime('image/png', null), { mime: 'image/png', mimeMismatch: false })
+})
+
+test('resolves SVG size from width and height', () => {
+  assert.deepEqual(svgIntrinsicSize({ width: '640', height: '480' }), { width: 640, height: 480 })
+  assert.deepEqual(svgIntrinsicSize({ width: '64px', height: ' 48.4px ', viewBox: '0 0 1 1' }), { width: 64, height: 48 })
+})
+
+test('resolves SVG size from the viewBox', () => {
+  assert.deepEqual(svgIntrinsicSize({ viewBox: '0 0 200 100' }), { width: 200, height: 100 })
+  assert.deepEqual(svgIntrinsicSize({ viewBox: '-10,-10,24,12' }), { width: 24, height: 12 })
+  // One side given: the other follows the viewBox aspect ratio
+  assert.deepEqual(svgIntrinsicSize({ width: '400', viewBox: '0 0 200 100' }), { width: 400, height: 200 })
+  assert.deepEqual(svgIntrinsicSize({ height: '50', viewBox: '0 0 200 100' }), { width: 100, height: 50 })
+})
+
+test('falls back to 300×150 for sizes it cannot resolve', () => {
+  assert.deepEqual(svgIntrinsicSize({}), { width: 300, height: 150 })
+  // Relative units and percentages depend on the container
+  assert.deepEqual(svgIntrinsicSize({ width: '100%', height: '10em' }), { width: 300, height: 150 })
+  assert.deepEqual(svgIntrinsicSize({ width: '0', height: '-5', viewBox: '0 0 0 0' }), { width: 300, height: 150 })
+  // Only the known side is kept when there is no viewBox
+  assert.deepEqual(svgIntrinsicSize({ width: '40' }), { width: 40, height: 150 })
+})
+
+test('reads the size from JPEG frame headers past other segments', () => {
+  // SOF0: precision, height, width, components
+  const sof = { marker: 0xffc0, payload: bytes([8, 0x0b, 0xb8, 0x0f, 0xa0, 3]) }
+  assert.deepEqual(readImageSize(jpeg([jpegExif(tiff({ orientation: 6 })), sof])), { width: 4000, height: 3000 })
+  // Progressive frames too
+  assert.deepEqual(readImageSize(jpeg([{ ...sof, marker: 0xffc2 }]).buffer), { width: 4000, height: 3000 })
+  // No frame header before the scan
+  assert.equal(readImageSize(jpeg()), null)
+})
+
+test('reads the size from PNG, GIF and BMP headers', () => {
+  assert.deepEqual(readImageSize(png([], { width: 20000, height: 300 })), { width: 20000, height: 300 })
+  assert.deepEqual(readImageSize(concat([ascii('GIF89a'), bytes([0x40, 0x1f, 0x10, 0x27, 0, 0, 0])])), { width: 8000, height: 10000 })
+
+  const info = bmp(40)
+  new DataView(info.buffer).setInt32(18, 640, true)
+  // Negative height: rows stored top-down
+  new DataView(info.buffer).setInt32(22, -480, true)
+  assert.deepEqual(readImageSize(info), { width: 640, height: 480 })
+  const core = bmp(12)
+  new DataView(core.buffer).setUint16(18, 32, true)
+  new DataView(core.buffer).setUint16(20, 16, true)
+  assert.deepEqual(readImageSize(core), { width: 32, height: 16 })
+})
+
+test('reads the size from each WebP bitstream', () => {
+  // VP8X canvas size, stored minus one in 24 bits
+  const vp8x = new Uint8Array(10)
+  vp8x.set([0x3f, 0x42, 0x0f], 4)
+  vp8x.set([0x1f, 0xa1, 0x07], 7)
+  assert.deepEqual(readImageSize(riff('VP8X', vp8x)), { width: 1000000, height: 500000 })
+  assert.deepEqual(readImageSize(webp()), { width: 1, height: 1 })
+
+  // VP8L: signature, then 14-bit width and height minus one
+  const vp8l = new Uint8Array(5)
+  vp8l[0] = 0x2f
+  new DataView(vp8l.buffer).setUint32(1, (4095 << 14) | 2047, true)
+  assert.deepEqual(readImageSize(riff('VP8L', vp8l)), { width: 2048, height: 4096 })
+
+  // VP8: frame tag, start code, then 14-bit sizes under two scaling bits
+  const vp8 = new Uint8Array(10)
+  vp8.set([0x9d, 0x01, 0x2a], 3)
+  new DataView(vp8.buffer).setUint16(6, 0xc000 | 1920, true)
+  new DataView(vp8.buffer).setUint16(8, 1080, true)
+  assert.deepEqual(readImageSize(riff('VP8 ', vp8)), { width: 1920, height: 1080 })
+})
+
+test('reads the AVIF size from the largest ispe and applies irot', () => {
+  const ispe = (w, h) => box('ispe', u32be(0, w, h))
+  const avif = (...properties) => concat([
+    ftyp('avif', ['mif1']),
+    box('meta', concat([bytes([0, 0, 0, 0]), box('hdlr', new Uint8Array(20)), box('iprp', box('ipco', concat(properties)))])),
+  ])
+  // Thumbnail first, then the image
+  assert.deepEqual(readImageSize(avif(ispe(160, 120), ispe(8064, 6048))), { width: 8064, height: 6048 })
+  assert.deepEqual(readImageSize(avif(ispe(8064, 6048), box('irot', bytes([1])))), { width: 6048, height: 8064 })
+  assert.deepEqual(readImageSize(avif(ispe(8064, 6048), box('irot', bytes([2])))), { width: 8064, height: 6048 })
+  assert.equal(readImageSize(avif()), null)
+})
+
+test('returns null for headers it cannot size', () => {
+  assert.equal(readImageSize(new Uint8Array(0)), null)
+  assert.equal(readImageSize(ascii('hello world')), null)
+  assert.equal(readImageSize(FIXTURES['image/svg+xml']), null)
+  assert.equal(readImageSize(FIXTURES['image/tiff']), null)
+  // Cut short inside the header
+  assert.equal(readImageSize(png([], { width: 10, height: 10 }).subarray(0, 20)), null)
+  assert.equal(readImageSize(riff('VP8L', bytes([0x2f, 1]))), null)
+})
@@ -0,0 +1,67 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { HistoryService } from '../src/services/history-service.js'
+
+test('state changes undo and redo between their snapshots', async () => {
+  HistoryService.clear()
+  let state = ['a']
+  const set = (next) => { state = next }
+  const prev = state
+  state = [...prev, 'b']
+  HistoryService.recordStateChange('Add b', prev, state, set)
+  const next = state
+  assert.equal((await HistoryService.undo()).label, 'Add b')
+  assert.equal(state, prev)
+  await HistoryService.redo()
+  assert.equal(state, next)
+})
+
+test('unchanged state records nothing', () => {
+  HistoryService.clear()
+  const state = ['a']
+  HistoryService.recordStateChange('Nothing', state, state, () => assert.fail('set was called'))
+  assert.equal(HistoryService.canUndo(), false)
+})
+
+// Canvas stand-in: one byte per pixel behind getImageData/putImageData
+function fakeCanvas(width, height) {
+  const pixels = new Uint8ClampedArray(width * height * 4)
+  const ctx = {
+    getImageData(x, y, w, h) {
+      const data = new Uint8ClampedArray(w * h * 4)
+      for (let row = 0; row < h; row++) data.set(pixels.subarray(((y + row) * width + x) * 4, ((y + row) * width + x + w) * 4), row * w * 4)
+      return { data, width: w, height: h }
+    },
+    putImageData(image, x, y) {
+      for (let row = 0; row < image.height; row++) {
+        pixels.set(image.data.subarray(row * image.width * 4, (row + 1) * image.width * 4), ((y + row) * width + x) * 4)
+      }
+    },
+  }
+  return { width, height, pixels, getContext: () => ctx }
+}
+
+test('canvas edits restore pixels, then run their hooks, in one step', async () => {
+  HistoryService.clear()
+  const canvas = fakeCanvas(300, 200)
+  const calls = []
+  const entry = HistoryService.recordCanvasEdit('Paint', canvas, { x: 0, y: 0, w: 300, h: 200 }, () => {
+    canvas.pixels[(150 * 300 + 200) * 4] = 255
+    return { type: 'paint' }
+  }, {
+    undo: () => calls.push(['undo', canvas.pixels[(150 * 300 + 200) * 4]]),
+    redo: () => calls.push(['redo', canvas.pixels[(150 * 300 + 200) * 4]]),
+  })
+  // Only the changed tile is kept, and the op is told where it is
+  assert.deepEqual(entry.op, { type: 'paint', rect: { x: 128, y: 128, w: 128, h: 72 } })
+  await HistoryService.undo()
+  await HistoryService.redo()
+  assert.deepEqual(calls, [['undo', 0], ['redo', 255]])
+})
+
+test('canvas edits that change no pixel record nothing', () => {
+  HistoryService.clear()
+  const canvas = fakeCanvas(10, 10)
+  assert.equal(HistoryService.recordCanvasEdit('Nothing', canvas, { x: 0, y: 0, w: 10, h: 10 }, () => {}), null)
+  assert.equal(HistoryService.canUndo(), false)
+})
@@ -0,0 +1,92 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { readMetadata } from '../src/services/metadata-parser.js'
+import { applyOrientation, orientedSize } from '../src/services/orientation.js'
+import { buffer, jpeg, jpegExif, png, tiff, webp, concat, ascii } from './fixtures.js'
+
+const ORIENTATIONS = [1, 2, 3, 4, 5, 6, 7, 8]
+
+// Where the stored image's first row (its top-left and top-right corners)
+// must land when shown upright, per the EXIF orientation definitions
+const FIRST_ROW = {
+  1: ['top-left', 'top-right'],
+  2: ['top-right', 'top-left'],
+  3: ['bottom-right', 'bottom-left'],
+  4: ['bottom-left', 'bottom-right'],
+  5: ['top-left', 'bottom-left'],
+  6: ['top-right', 'bottom-right'],
+  7: ['bottom-right', 'top-right'],
+  8: ['bottom-left', 'top-left'],
+}
+
+const CONTAINERS = {
+  'JPEG APP1': (t) => jpeg([jpegExif(t)]),
+  'PNG eXIf': (t) => png([{ type: 'eXIf', data: t }]),
+  'WebP EXIF': (t) => webp([{ type: 'EXIF', data: t }], 0x08),
+  'WebP EXIF with Exif prefix': (t) => webp([{ type: 'EXIF', data: concat([ascii('Exif\0\0'), t]) }], 0x08),
+}
+
+for (const [name, wrap] of Object.entries(CONTAINERS)) {
+  for (const little of [false, true]) {
+    test(`reads all 8 orientations from ${name} (${little ? 'little' : 'big'}-endian)`, () => {
+      for (const orientation of ORIENTATIONS) {
+        const meta = readMetadata(buffer(wrap(tiff({ orientation, little }))))
+        assert.equal(meta.orientation, orientation)
+        assert.ok(meta.blocks.includes('EXIF'))
+      }
+    })
+  }
+}
+
+test('ignores out-of-range orientations and files without EXIF', () => {
+  assert.equal(readMetadata(buffer(jpeg([jpegExif(tiff({ orientation: 9 }))]))).orientation, null)
+  assert.equal(readMetadata(buffer(jpeg())).orientation, null)
+  assert.equal(readMetadata(buffer(png())).orientation, null)
+  assert.equal(readMetadata(buffer(webp())).orientation, null)
+})
+
+test('orientedSize swaps the sides for orientations 5-8 only', () => {
+  for (const orientation of ORIENTATIONS) {
+    const expected = orientation >= 5 ? { width: 30, height: 40 } : { width: 40, height: 30 }
+    assert.deepEqual(orientedSize(40, 30, orientation), expected)
+  }
+})
+
+test('applyOrientation draws the stored image upright', () => {
+  const sw = 40
+  const sh = 30
+  for (const orientation of ORIENTATIONS) {
+    const { width, height } = orientedSize(sw, sh, orientation)
+    const corners = {
+      'top-left': [0, 0],
+      'top-right': [width, 0],
+      'bottom-left': [0, height],
+      'bottom-right': [width, height],
+    }
+    const ctx = matrixContext()
+    applyOrientation(ctx, orientation, sw, sh)
+    const [first, last] = FIRST_ROW[orientation]
+    assert.deepEqual(ctx.map(0, 0), corners[first], `orientation ${orientation}, first pixel`)
+    assert.deepEqual(ctx.map(sw, 0), corners[last], `orientation ${orientation}, end of first row`)
+    // The opposite corner lands on a canvas corner too, so the source fills the canvas
+    assert.ok(Object.values(corners).some(c => c[0] === ctx.map(sw, sh)[0] && c[1] === ctx.map(sw, sh)[1]))
+  }
+})
+
+// Stand-in for a 2D context that tracks only the current transform
+function matrixContext() {
+  let m = [1, 0, 0, 1, 0, 0]
+  const multiply = (a, b, c, d, e, f) => {
+    m = [
+      m[0] * a + m[2] * b, m[1] * a + m[3] * b,
+      m[0] * c + m[2] * d, m[1] * c + m[3] * d,
+      m[0] * e + m[2] * f + m[4], m[1] * e + m[3] * f + m[5],
+    ]
+  }
+  return {
+    translate: (x, y) => multiply(1, 0, 0, 1, x, y),
+    scale: (x, y) => multiply(x, 0, 0, y, 0, 0),
+    rotate: (r) => multiply(Math.cos(r), Math.sin(r), -Math.sin(r), Math.cos(r), 0, 0),
+    map: (x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]].map(v => Math.round(v) + 0),
+  }
+}
@@ -0,0 +1,220 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { PROJECT_SNIFF_BYTES, PROJECT_VERSION, isProjectHead, readProject } from '../src/services/project-format.js'
+import { sanitizeStyle } from '../src/services/annotations.js'
+import { png } from './fixtures.js'
+
+function pngUrl(width, height) {
+  return `data:image/png;base64,${Buffer.from(png([], { width, height })).toString('base64')}`
+}
+
+const STYLE = sanitizeStyle({ color: '#00ff00' })
+
+const EMBEDDED = {
+  format: 'jpeg',
+  orientation: 6,
+  camera: { make: 'Canon', model: 'EOS R6' },
+  lens: {},
+  exposure: { exposureTime: 0.004, fNumber: 2.8, iso: 400, flashFired: false },
+  gps: { latitude: 48.858, longitude: 2.2945, altitude: 35 },
+  timestamps: { original: '2024-05-01T10:00:00+02:00' },
+  author: { artist: 'A. Photographer' },
+  iptc: { keywords: ['tower', 'paris'], caption: 'Evening' },
+  xmp: null,
+  icc: { present: true, description: 'sRGB' },
+  text: {},
+  blocks: ['EXIF', 'IPTC', 'ICC'],
+}
+
+// A project as ProjectService.save writes it: 400 × 300, edits in image px
+function saved() {
+  return {
+    format: 'image-editor-project',
+    version: PROJECT_VERSION,
+    savedAt: '2026-10-19T12:00:00.000Z',
+    source: { name: 'tower.jpg', data: 'data:image/jpeg;base64,/9j/2w==' },
+    metadata: {
+      sourceType: 'file',
+      name: 'tower.jpg',
+      mime: 'image/jpeg',
+      declaredMime: 'image/jpeg',
+      detectedMime: 'image/jpeg',
+      mimeMismatch: false,
+      downscaledFrom: null,
+      orientation: 6,
+      byteLength: 5120,
+      embedded: EMBEDDED,
+    },
+    document: {
+      width: 400,
+      height: 300,
+      layers: [
+        { name: 'Background', visible: true, opacity: 1, blendMode: 'source-over', image: pngUrl(400, 300) },
+        { name: 'Layer 1', visible: false, opacity: 0.5, blendMode: 'multiply', image: pngUrl(400, 300) },
+      ],
+      activeLayer: 1,
+    },
+    adjustments: [{ id: 'adj-1', type: 'exposure', enabled: true, params: { exposure: 0.5 } }],
+    annotations: [
+      { id: 'ann-1', kind: 'arrow', points: [{ x: 20, y: 40 }, { x: 120, y: 160 }], style: { ...STYLE, width: 8, fontSize: 64 } },
+      { id: 'ann-2', kind: 'text', points: [{ x: 50, y: 50 }], text: 'Hello', style: { ...STYLE, width: 4, fontSize: 48 } },
+    ],
+    redactions: [{ id: 'red-1', x: 200, y: 80, w: 60, h: 40, mode: 'pixelate', color: '#000000' }],
+    viewport: { scale: 1, tx: -15, ty: 8 },
+  }
+}
+
+// The same session as version 1 wrote it: edits in the 200 × 150 working buffer
+function savedV1() {
+  const project = saved()
+  return {
+    ...project,
+    version: 1,
+    document: { ...project.document, workingWidth: 200, workingHeight: 150 },
+    annotations: [
+      { id: 'ann-1', kind: 'arrow', points: [{ x: 10, y: 20 }, { x: 60, y: 80 }], style: { ...STYLE, width: 4, fontSize: 32 } },
+      { id: 'ann-2', kind: 'text', points: [{ x: 25, y: 25 }], text: 'Hello', style: { ...STYLE, width: 2, fontSize: 24 } },
+    ],
+    redactions: [{ id: 'red-1', x: 100, y: 40, w: 30, h: 20, mode: 'pixelate', color: '#000000' }],
+    viewport: { scale: 2, tx: -15, ty: 8 },
+  }
+}
+
+// The message readProject throws for `data`
+function problem(data) {
+  try {
+    readProject(data)
+  } catch (err) {
+    return err.message
+  }
+  assert.fail('the project was accepted')
+}
+
+test('reads back what was saved', () => {
+  const data = saved()
+  const project = readProject(data)
+  assert.deepEqual(project.metadata, data.metadata)
+  assert.deepEqual(project.document, data.document)
+  assert.deepEqual(project.annotations, data.annotations)
+  assert.deepEqual(project.redactions, data.redactions)
+  assert.deepEqual(project.viewport, data.viewport)
+})
+
+test('migrates version 1 edits from working px to image px', () => {
+  const project = readProject(savedV1())
+  assert.equal(project.version, PROJECT_VERSION)
+  assert.deepEqual(project, readProject(saved()))
+  assert.equal(Object.hasOwn(project.document, 'workingWidth'), false)
+})
+
+test('rejects version 1 files without a usable working size', () => {
+  for (const workingWidth of [undefined, 0, 800, 'x']) {
+    const data = savedV1()
+    data.document.workingWidth = workingWidth
+    assert.equal(problem(data), 'document.workingWidth is invalid.')
+  }
+  // Malformed edits are left for validation to report
+  const data = savedV1()
+  data.redactions[0].w = 'wide'
+  assert.equal(problem(data), 'redactions[0] has an invalid rectangle.')
+})
+
+test('keeps stroke widths and font sizes in image px beyond the tool limits', () => {
+  const data = saved()
+  data.annotations[0].style.width = 256
+  data.annotations[1].style.fontSize = 1600
+  data.annotations[0].style.color = 'green'
+  const [arrow, text] = readProject(data).annotations
+  assert.equal(arrow.style.width, 256)
+  assert.equal(text.style.fontSize, 1600)
+  // Other invalid style fields still fall back to the defaults
+  assert.equal(arrow.style.color, sanitizeStyle({}).color)
+  data.annotations[0].style.width = -1
+  assert.equal(problem(data), 'annotations[0].style.width is invalid.')
+})
+
+test('keeps only the metadata fields a project stores', () => {
+  const data = saved()
+  // Recomputed on open, or not metadata at all
+  Object.assign(data.metadata, { width: 9999, workingWidth: 1, limits: { maxPixels: 1 }, isDownscaled: true, onload: 'alert(1)' })
+  data.metadata.embedded = { ...EMBEDDED, camera: { ...EMBEDDED.camera, toString: 'x' }, extra: {} }
+  const { metadata } = readProject(data)
+  assert.deepEqual(metadata, saved().metadata)
+  assert.equal(Object.hasOwn(metadata.embedded.camera, 'toString'), false)
+})
+
+test('reads metadata without embedded details or a file name', () => {
+  const data = saved()
+  Object.assign(data.metadata, { sourceType: 'url', embedded: null, detectedMime: null, downscaledFrom: { width: 8000, height: 6000 } })
+  delete data.metadata.name
+  const { metadata } = readProject(data)
+  assert.equal(metadata.embedded, null)
+  assert.equal(Object.hasOwn(metadata, 'name'), false)
+  assert.deepEqual(metadata.downscaledFrom, { width: 8000, height: 6000 })
+})
+
+test('rejects metadata fields of the wrong type', () => {
+  const cases = [
+    [m => { m.sourceType = 'clipboard' }, 'metadata.sourceType is invalid.'],
+    [m => { m.mime = 5 }, 'metadata.mime is invalid.'],
+    [m => { m.mimeMismatch = 'no' }, 'metadata.mimeMismatch is invalid.'],
+    [m => { m.downscaledFrom = { width: -1, height: 2 } }, 'metadata.downscaledFrom is invalid.'],
+    [m => { m.orientation = 9 }, 'metadata.orientation is invalid.'],
+    [m => { m.byteLength = '5120' }, 'metadata.byteLength is invalid.'],
+    [m => { m.embedded = [] }, 'metadata.embedded is invalid.'],
+    [m => { m.embedded.format = 'gif' }, 'metadata.embedded.format is invalid.'],
+    [m => { m.embedded.exposure.iso = '400' }, 'metadata.embedded.exposure.iso is invalid.'],
+    [m => { m.embedded.camera.make = { name: 'Canon' } }, 'metadata.embedded.camera.make is invalid.'],
+    [m => { m.embedded.gps = { latitude: 'N' } }, 'metadata.embedded.gps is invalid.'],
+    [m => { m.embedded.iptc = { keywords: [1, 2] } }, 'metadata.embedded.iptc is invalid.'],
+    [m => { m.embedded.icc = { present: 'yes' } }, 'metadata.embedded.icc is invalid.'],
+    [m => { m.embedded.text = { Comment: null } }, 'metadata.embedded.text is invalid.'],
+    [m => { m.embedded.blocks = 'EXIF' }, 'metadata.embedded.blocks is invalid.'],
+  ]
+  for (const [change, message] of cases) {
+    const data = saved()
+    data.metadata.embedded = structuredClone(EMBEDDED)
+    change(data.metadata)
+    assert.equal(problem(data), message)
+  }
+  const data = saved()
+  delete data.metadata
+  assert.equal(problem(data), 'metadata is missing.')
+})
+
+test('requires every layer at full resolution since no history is replayed', () => {
+  const data = saved()
+  data.document.layers[1].image = pngUrl(200, 150)
+  assert.equal(problem(data), 'document.layers[1].image is not 400 × 300.')
+  data.document.layers[1].image = 'data:image/png;base64,bm90IGEgUE5H'
+  assert.equal(problem(data), 'document.layers[1].image is not 400 × 300.')
+  data.document.layers[1].image = 'data:image/jpeg;base64,/9j/2w=='
+  assert.equal(problem(data), 'document.layers[1].image is not a PNG.')
+})
+
+test('does not carry a saved history', () => {
+  const data = { ...saved(), history: [{ label: 'Brush stroke', op: { type: 'brush' } }] }
+  assert.equal(Object.hasOwn(readProject(data), 'history'), false)
+})
+
+test('rejects files that are not projects or come from a newer editor', () => {
+  assert.equal(problem({ name: 'package', version: '1.0.0' }), 'The file is not a project.')
+  assert.equal(problem({ ...saved(), version: '1' }), 'The project version is missing.')
+  assert.equal(problem({ ...saved(), version: PROJECT_VERSION + 1 }), 'The project was saved by a newer version of the editor.')
+})
+
+test('recognizes a project from the format marker at its start', () => {
+  const head = JSON.stringify(saved())
+  assert.ok(isProjectHead(head))
+  assert.ok(isProjectHead(head.slice(0, PROJECT_SNIFF_BYTES)))
+  assert.ok(isProjectHead('\uFEFF{\n  "format": "image-editor-project",\n  "version": 1'))
+})
+
+test('does not claim other JSON', () => {
+  assert.ok(!isProjectHead('{"name":"package","version":"1.0.0"}'))
+  assert.ok(!isProjectHead('[{"format":"image-editor-project"}]'))
+  assert.ok(!isProjectHead('{"format":"image-editor-project-2"}'))
+  // The marker nested in another document
+  assert.ok(!isProjectHead('{"backup":{"format":"image-editor-project"}}'))
+  assert.ok(!isProjectHead(''))
+})
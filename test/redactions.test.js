@@ -0,0 +1,158 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  REDACTION_MODES, MIN_REDACTION_BLOCK, redactImage, redactionBlock, redactionRect, seededRandom, transformRedactions,
+} from '../src/services/redactions.js'
+
+const WIDTH = 48
+const HEIGHT = 40
+// Export at twice the working resolution, like a downscaled document
+const SCALE = 2
+
+// Detailed opaque image at export resolution, one seeded noise value per channel
+function source() {
+  const random = seededRandom('source')
+  const data = new Uint8ClampedArray(WIDTH * SCALE * HEIGHT * SCALE * 4)
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = random() * 256
+    data[i + 1] = random() * 256
+    data[i + 2] = random() * 256
+    data[i + 3] = 255
+  }
+  return { data, width: WIDTH * SCALE, height: HEIGHT * SCALE }
+}
+
+function region(mode) {
+  return { id: 'red-1', x: 6.5, y: 4, w: 30, h: 24, mode, color: '#112233' }
+}
+
+// What ImageService._bakeRedactions exports, on a copy
+function bake(image, redactions, random) {
+  const out = { ...image, data: new Uint8ClampedArray(image.data) }
+  redactImage(out, redactions, SCALE, random)
+  return out
+}
+
+// Visit every pixel with whether it lies in rect
+function forEachPixel(image, rect, fn) {
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const inside = x >= rect.x && x < rect.x + rect.w && y >= rect.y && y < rect.y + rect.h
+      fn((y * image.width + x) * 4, inside, x - rect.x, y - rect.y)
+    }
+  }
+}
+
+// The same pixels reordered within each block (mirrored), so every block keeps its average
+function shuffleBlocks(image, rect, size) {
+  const out = { ...image, data: new Uint8ClampedArray(image.data) }
+  for (let by = 0; by < rect.h; by += size) {
+    for (let bx = 0; bx < rect.w; bx += size) {
+      const w = Math.min(size, rect.w - bx)
+      const h = Math.min(size, rect.h - by)
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          const to = ((rect.y + by + y) * image.width + rect.x + bx + x) * 4
+          const from = ((rect.y + by + h - 1 - y) * image.width + rect.x + bx + w - 1 - x) * 4
+          out.data.set(image.data.subarray(from, from + 4), to)
+        }
+      }
+    }
+  }
+  return out
+}
+
+for (const [mode] of REDACTION_MODES) {
+  test(`${mode}: no source pixel survives under the region, nothing outside changes`, () => {
+    const src = source()
+    const redaction = region(mode)
+    const rect = redactionRect(redaction, SCALE, src.width, src.height)
+    const out = bake(src, [redaction], seededRandom('export'))
+    let inside = 0
+    let survived = 0
+    forEachPixel(src, rect, (i, isInside) => {
+      const same = src.data[i] === out.data[i] && src.data[i + 1] === out.data[i + 1] && src.data[i + 2] === out.data[i + 2]
+      if (!isInside) {
+        assert.ok(same && src.data[i + 3] === out.data[i + 3], `pixel ${i / 4} outside the region changed`)
+        return
+      }
+      inside++
+      if (same) survived++
+    })
+    assert.equal(inside, rect.w * rect.h)
+    // Chance matches of a noisy average with a random source pixel only
+    assert.ok(survived / inside < 0.001, `${survived} of ${inside} source pixels survived`)
+  })
+}
+
+test('solid fills the region with its color', () => {
+  const src = source()
+  const redaction = region('solid')
+  const rect = redactionRect(redaction, SCALE, src.width, src.height)
+  const out = bake(src, [redaction])
+  forEachPixel(src, rect, (i, inside) => {
+    if (inside) assert.deepEqual(Array.from(out.data.subarray(i, i + 4)), [0x11, 0x22, 0x33, 255])
+  })
+})
+
+test('pixelate leaves one color per block', () => {
+  const src = source()
+  const redaction = region('pixelate')
+  const rect = redactionRect(redaction, SCALE, src.width, src.height)
+  const size = Math.round(redactionBlock(redaction) * SCALE)
+  assert.ok(size >= MIN_REDACTION_BLOCK * SCALE)
+  const out = bake(src, [redaction], seededRandom('export'))
+  const colors = new Map()
+  forEachPixel(src, rect, (i, inside, x, y) => {
+    if (!inside) return
+    const key = `${Math.floor(x / size)},${Math.floor(y / size)}`
+    const color = Array.from(out.data.subarray(i, i + 4)).join()
+    if (!colors.has(key)) colors.set(key, color)
+    assert.equal(color, colors.get(key), `block ${key} is not uniform`)
+  })
+})
+
+for (const mode of ['pixelate', 'blur']) {
+  test(`${mode}: the result depends only on block averages`, () => {
+    // Detail within blocks cannot be read back if rearranging it changes nothing
+    const src = source()
+    const redaction = region(mode)
+    const rect = redactionRect(redaction, SCALE, src.width, src.height)
+    const size = Math.round(redactionBlock(redaction) * SCALE)
+    const a = bake(src, [redaction], seededRandom('export'))
+    const b = bake(shuffleBlocks(src, rect, size), [redaction], seededRandom('export'))
+    forEachPixel(src, rect, (i, inside) => {
+      if (inside) assert.deepEqual(Array.from(a.data.subarray(i, i + 4)), Array.from(b.data.subarray(i, i + 4)))
+    })
+  })
+
+  test(`${mode}: block averages are perturbed by noise`, () => {
+    // Without noise, a guessed source could be confirmed by matching its averages
+    const src = source()
+    const redaction = region(mode)
+    const rect = redactionRect(redaction, SCALE, src.width, src.height)
+    const a = bake(src, [redaction], seededRandom('one'))
+    const b = bake(src, [redaction], seededRandom('two'))
+    let differing = 0
+    forEachPixel(src, rect, (i, inside) => {
+      if (inside && a.data.subarray(i, i + 3).some((v, c) => v !== b.data[i + c])) differing++
+    })
+    assert.ok(differing / (rect.w * rect.h) > 0.9)
+  })
+}
+
+test('blocks grow with the region so large areas stay unrecognizable', () => {
+  assert.equal(redactionBlock({ w: 20, h: 400 }), MIN_REDACTION_BLOCK)
+  assert.equal(redactionBlock({ w: 600, h: 300 }), 50)
+})
+
+test('regions cover their rect rounded outward and clipped', () => {
+  assert.deepEqual(redactionRect({ x: 1.2, y: 0.5, w: 3, h: 2 }, 2, 100, 100), { x: 2, y: 1, w: 7, h: 4 })
+  assert.deepEqual(redactionRect({ x: -5, y: 90, w: 10, h: 20 }, 1, 100, 100), { x: 0, y: 90, w: 5, h: 10 })
+  assert.equal(redactionRect({ x: 120, y: 0, w: 10, h: 10 }, 1, 100, 100), null)
+})
+
+test('geometry changes map regions to the box around their corners', () => {
+  const rotate = (p) => ({ x: 40 - p.y, y: p.x })
+  assert.deepEqual(transformRedactions([region('solid')], rotate), [{ ...region('solid'), x: 12, y: 6.5, w: 24, h: 30 }])
+})
@@ -0,0 +1,79 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { readMetadata, stripMetadata } from '../src/services/metadata-parser.js'
+import {
+  IMAGE_DATA, XMP_PACKET, ascii, buffer, bytes, concat, includesBytes,
+  jpeg, jpegComment, jpegExif, jpegIcc, jpegIptc, jpegXmp, png, pngText, pngXmp, tiff, webp,
+} from './fixtures.js'
+
+// Eiffel Tower; the rational bytes of these values must not survive stripping
+const GPS = { latitude: [48, 51, 30.24], longitude: [2, 17, 40.2] }
+const EXIF = tiff({ orientation: 6, gps: GPS })
+const ICC = concat([ascii('fake ICC profile'), new Uint8Array(16)])
+
+// Everything a stripped export must not carry
+function assertNoPrivateMetadata(stripped) {
+  const meta = readMetadata(buffer(stripped))
+  assert.equal(meta.gps, null)
+  assert.equal(meta.orientation, null)
+  assert.equal(meta.xmp, null)
+  assert.equal(meta.iptc, null)
+  assert.deepEqual(meta.text, {})
+  assert.deepEqual(meta.blocks.filter(b => b !== 'ICC'), [])
+  assert.ok(!includesBytes(stripped, EXIF), 'EXIF/GPS bytes remain')
+  assert.ok(!includesBytes(stripped, ascii(XMP_PACKET)), 'XMP packet remains')
+  assert.ok(includesBytes(stripped, IMAGE_DATA), 'image data was lost')
+}
+
+test('fixtures carry the metadata that stripping removes', () => {
+  const meta = readMetadata(buffer(jpeg([jpegExif(EXIF), jpegXmp(), jpegIptc([[120, 'Caption']])])))
+  assert.equal(meta.orientation, 6)
+  assert.ok(Math.abs(meta.gps.latitude - (48 + 51 / 60 + 30.24 / 3600)) < 1e-6)
+  assert.ok(Math.abs(meta.gps.longitude - (2 + 17 / 60 + 40.2 / 3600)) < 1e-6)
+  assert.deepEqual(meta.blocks, ['EXIF', 'XMP', 'IPTC'])
+})
+
+test('strips EXIF, GPS, XMP, IPTC and comments from JPEG and keeps JFIF, ICC and scan data', () => {
+  const jfif = { marker: 0xffe0, payload: concat([ascii('JFIF\0'), bytes([1, 2, 0, 0, 1, 0, 1, 0, 0])]) }
+  const dqt = { marker: 0xffdb, payload: new Uint8Array(65) }
+  const source = jpeg([
+    jfif, jpegExif(EXIF), jpegXmp(), jpegIptc([[120, 'Caption'], [80, 'Photographer']]),
+    jpegComment('shot at home'), jpegIcc(ICC), dqt,
+  ])
+  const stripped = stripMetadata(buffer(source))
+  assertNoPrivateMetadata(stripped)
+  assert.ok(!includesBytes(stripped, ascii('shot at home')))
+  assert.ok(!includesBytes(stripped, ascii('Photographer')))
+  assert.deepEqual(Array.from(stripped), Array.from(jpeg([jfif, jpegIcc(ICC), dqt])))
+  assert.equal(readMetadata(buffer(stripped)).icc.present, true)
+})
+
+test('strips eXIf, text, XMP and tIME chunks from PNG and keeps the rest', () => {
+  const iccp = { type: 'iCCP', data: concat([ascii('sRGB\0'), bytes([0]), ICC]) }
+  const time = { type: 'tIME', data: bytes([7, 234, 10, 19, 12, 0, 0]) }
+  const ztxt = { type: 'zTXt', data: concat([ascii('Comment\0'), bytes([0, 0x78, 0x9c])]) }
+  const source = png([iccp, { type: 'eXIf', data: EXIF }, pngText('Author', 'Someone'), pngXmp(), time, ztxt])
+  const stripped = stripMetadata(buffer(source))
+  assertNoPrivateMetadata(stripped)
+  assert.ok(!includesBytes(stripped, ascii('Someone')))
+  assert.ok(!includesBytes(stripped, ascii('tIME')))
+  // Byte-identical to a PNG written without them, CRCs included
+  assert.deepEqual(Array.from(stripped), Array.from(png([iccp])))
+})
+
+test('strips EXIF and XMP chunks from WebP, clears their flags and fixes the RIFF size', () => {
+  const iccp = { type: 'ICCP', data: ICC }
+  // ICC, EXIF and XMP flags; an odd-sized chunk checks padding
+  const source = webp([iccp, { type: 'EXIF', data: EXIF }, { type: 'XMP ', data: ascii(`${XMP_PACKET} `) }], 0x20 | 0x08 | 0x04)
+  const stripped = stripMetadata(buffer(source))
+  assertNoPrivateMetadata(stripped)
+  assert.deepEqual(Array.from(stripped), Array.from(webp([iccp], 0x20)))
+  const view = new DataView(buffer(stripped))
+  assert.equal(view.getUint32(4, true), stripped.length - 8)
+})
+
+test('leaves files without metadata and unknown formats unchanged', () => {
+  for (const file of [jpeg(), png(), webp(), ascii('not an image')]) {
+    assert.deepEqual(Array.from(stripMetadata(buffer(file))), Array.from(file))
+  }
+})
@@ -0,0 +1,71 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { WorkerClient } from '../src/services/worker-client.js'
+
+// Answers each request with its payload doubled, in reverse order of arrival
+class FakeWorker {
+  constructor() {
+    this.inbox = []
+    this.terminated = false
+  }
+
+  postMessage(message) {
+    this.inbox.push(message)
+  }
+
+  flush() {
+    for (const { id, value } of this.inbox.reverse()) this.onmessage({ data: { id, value: value * 2 } })
+    this.inbox = []
+  }
+}
+
+test('matches responses to their requests', async () => {
+  globalThis.Worker = FakeWorker
+  try {
+    const worker = new FakeWorker()
+    const client = new WorkerClient(() => worker)
+    assert.ok(client.isAvailable())
+    const a = client.request({ value: 1 })
+    const b = client.request({ value: 5 })
+    worker.flush()
+    assert.equal((await a).value, 2)
+    assert.equal((await b).value, 10)
+  } finally {
+    delete globalThis.Worker
+  }
+})
+
+test('resolves null for pending and later requests once the worker fails', async () => {
+  globalThis.Worker = FakeWorker
+  try {
+    let created = 0
+    const worker = new FakeWorker()
+    worker.terminate = () => { worker.terminated = true }
+    const client = new WorkerClient(() => {
+      created++
+      return worker
+    })
+    const pending = client.request({ value: 1 })
+    worker.onerror()
+    assert.equal(await pending, null)
+    assert.ok(worker.terminated)
+    assert.equal(await client.request({ value: 2 }), null)
+    assert.equal(created, 1)
+  } finally {
+    delete globalThis.Worker
+  }
+})
+
+test('resolves null without workers or when the factory declines', async () => {
+  let created = 0
+  assert.equal(await new WorkerClient(() => { created++; return new FakeWorker() }).request({ value: 1 }), null)
+  assert.equal(created, 0)
+  globalThis.Worker = FakeWorker
+  try {
+    const client = new WorkerClient(() => null)
+    assert.ok(!client.isAvailable())
+    assert.equal(await client.request({ value: 1 }), null)
+  } finally {
+    delete globalThis.Worker
+  }
+})